@@ -0,0 +1,188 @@
+const logger = require('../logger');
+const { findPartReference, normalizePartNumber, describeSupersession } = require('../catalog/parts');
+const { CartError, getCart, addItem, updateItem, removeItem, clearCart } = require('../cart/cart');
+
+const CLEAR_PATTERN = /\b(empty|clear)\b.*\b(cart|basket)\b/i;
+const REMOVE_PATTERN = /\b(remove|delete|take\s+(out|off)|drop)\b/i;
+const UPDATE_PATTERN = /\b(change|update|set|make)\b.*\b(quantity|qty|to\s+\d+|it\s+\d+)\b|\bquantity\b/i;
+const ADD_PATTERN = /\b(add|put|throw|buy)\b/i;
+
+const NUMBER_WORDS = { one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10 };
+const ORDINALS = { first: 0, '1st': 0, second: 1, '2nd': 1, third: 2, '3rd': 2 };
+
+const money = (amount) => `$${amount.toFixed(2)}`;
+
+// Cart Agent
+//
+// Chat front end for the Redis cart (cart/cart.js). "Add that to my cart"
+// means the part the assistant just showed: the orchestrator keeps the last
+// parts in context.lastShownParts.
+class CartAgent {
+  async handle(query, context, history, userId) {
+    const operation = this.parseOperation(query);
+    logger.info(`🛒 Cart ${operation} for ${userId}`);
+
+    try {
+      switch (operation) {
+        case 'clear':
+          return this.describeCart(await clearCart(userId), 'Your cart is now empty.');
+        case 'remove':
+        case 'update':
+          return await this.changeItem(operation, query, userId);
+        case 'add':
+          return await this.add(query, context, userId);
+        default:
+          return this.describeCart(await getCart(userId));
+      }
+    } catch (error) {
+      if (error instanceof CartError) {
+        return { message: `${error.message}.` };
+      }
+      throw error;
+    }
+  }
+
+  parseOperation(query) {
+    if (CLEAR_PATTERN.test(query)) return 'clear';
+    if (REMOVE_PATTERN.test(query)) return 'remove';
+    if (UPDATE_PATTERN.test(query)) return 'update';
+    if (ADD_PATTERN.test(query)) return 'add';
+    return 'view';
+  }
+
+  // "add 2 of those" → 2; part numbers themselves are not quantities
+  parseQuantity(query, partToken = null) {
+    const text = partToken ? query.replace(partToken, ' ') : query;
+    const digits = text.match(/\b(\d{1,2})\b/);
+    if (digits) return parseInt(digits[1], 10);
+
+    const word = text.toLowerCase().match(new RegExp(`\\b(${Object.keys(NUMBER_WORDS).join('|')})\\b`));
+    return word ? NUMBER_WORDS[word[1]] : null;
+  }
+
+  async add(query, context, userId) {
+    const reference = await findPartReference(query);
+    const target = reference ? reference.token : this.pickShownPart(query, context);
+
+    if (!target) {
+      return this.askWhichPart(context);
+    }
+
+    const quantity = this.parseQuantity(query, reference?.token) || 1;
+    const { part, cart } = await addItem(userId, target, quantity);
+    const line = cart.items.find(item => item.partNumber === part.partNumber);
+
+    const notes = [describeSupersession(part)].filter(Boolean);
+    notes.push(`Added **${quantity} × ${part.name}** (${part.partNumber}) to your cart`
+      + (line && line.quantity > quantity ? ` — you now have ${line.quantity}.` : '.'));
+
+    return this.describeCart(cart, notes.join(' '), { listItems: false });
+  }
+
+  // The part "that" refers to, from what the assistant last showed
+  pickShownPart(query, context) {
+    const shown = context.lastShownParts || [];
+    if (shown.length === 1) return shown[0].partNumber;
+
+    if (shown.length > 1) {
+      const ordinal = query.toLowerCase().match(/\b(first|1st|second|2nd|third|3rd|last)\b/);
+      if (!ordinal) return null;
+      const index = ordinal[1] === 'last' ? shown.length - 1 : ORDINALS[ordinal[1]];
+      return shown[index]?.partNumber || null;
+    }
+
+    return null;
+  }
+
+  askWhichPart(context) {
+    const shown = (context.lastShownParts || []).slice(0, 3);
+    if (shown.length === 0) {
+      return {
+        message: 'Which part would you like to add? Tell me the part number (e.g., PS11752778) or search for a part first.'
+      };
+    }
+
+    return {
+      message: 'Which part would you like to add?\n\n' +
+        shown.map(p => `• ${p.name} (${p.partNumber})`).join('\n'),
+      actions: [{
+        type: 'suggestion',
+        suggestions: shown.map(p => `Add ${p.partNumber} to my cart`)
+      }]
+    };
+  }
+
+  async changeItem(operation, query, userId) {
+    const cart = await getCart(userId);
+    if (cart.items.length === 0) {
+      return this.describeCart(cart);
+    }
+
+    const item = await this.findCartItem(query, cart.items);
+    if (!item) {
+      return {
+        message: `Which part should I ${operation === 'remove' ? 'remove' : 'change'}?\n\n` +
+          cart.items.map(i => `• ${i.name} (${i.partNumber}) × ${i.quantity}`).join('\n')
+      };
+    }
+
+    if (operation === 'remove') {
+      const updated = await removeItem(userId, item.partNumber);
+      return this.describeCart(updated, `Removed **${item.name}** from your cart.`, { listItems: false });
+    }
+
+    const quantity = this.parseQuantity(query, item.partNumber);
+    if (quantity === null) {
+      return { message: `How many of the **${item.name}** would you like?` };
+    }
+
+    const updated = await updateItem(userId, item.partNumber, quantity);
+    const summary = quantity === 0
+      ? `Removed **${item.name}** from your cart.`
+      : `Updated **${item.name}** to ${quantity}.`;
+    return this.describeCart(updated, summary, { listItems: false });
+  }
+
+  // Match by part number, then by name words; a one-line cart needs neither
+  async findCartItem(query, items) {
+    const reference = await findPartReference(query);
+    if (reference) {
+      return items.find(i => i.partNumber === reference.partNumber) || null;
+    }
+
+    const tokens = query.split(/[^A-Za-z0-9-]+/).map(normalizePartNumber).filter(Boolean);
+    const byNumber = items.find(i => tokens.includes(i.partNumber));
+    if (byNumber) return byNumber;
+
+    const words = new Set(query.toLowerCase().split(/[^a-z]+/).filter(w => w.length > 3 && w !== 'cart'));
+    const byName = items.filter(i => i.name.toLowerCase().split(/[^a-z]+/).some(w => words.has(w)));
+    if (byName.length === 1) return byName[0];
+
+    return items.length === 1 ? items[0] : null;
+  }
+
+  describeCart(cart, summary = null, { listItems = true } = {}) {
+    const lines = summary ? [summary] : [];
+
+    if (cart.items.length === 0) {
+      if (!summary) lines.push('Your cart is empty.');
+    } else {
+      if (listItems) {
+        lines.push('**Your cart:**\n' + cart.items
+          .map(i => `• ${i.quantity} × ${i.name} (${i.partNumber}) — ${money(i.lineTotal)}`)
+          .join('\n'));
+      }
+      lines.push(`Subtotal: **${money(cart.subtotal)}**`);
+      lines.push(cart.freeShippingRemaining > 0
+        ? `Add ${money(cart.freeShippingRemaining)} more for free standard shipping.`
+        : '🎉 Your order ships free!');
+    }
+
+    return {
+      message: lines.join('\n\n'),
+      actions: [{ type: 'cart', cart }]
+    };
+  }
+}
+
+module.exports = CartAgent;
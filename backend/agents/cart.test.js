@@ -0,0 +1,104 @@
+jest.mock('../db', () => ({ query: jest.fn() }));
+jest.mock('../redis', () => ({ redis: {} }));
+jest.mock('../cart/cart', () => ({
+  ...jest.requireActual('../cart/cart'),
+  getCart: jest.fn(),
+  addItem: jest.fn(),
+  updateItem: jest.fn(),
+  removeItem: jest.fn(),
+  clearCart: jest.fn()
+}));
+jest.mock('../catalog/parts', () => ({
+  ...jest.requireActual('../catalog/parts'),
+  findPartReference: jest.fn(async () => null)
+}));
+
+const { CartError, getCart, addItem, updateItem, removeItem } = require('../cart/cart');
+const { findPartReference } = require('../catalog/parts');
+const CartAgent = require('./cart');
+
+const line = (partNumber, name, price, quantity) => ({ partNumber, name, price, quantity, lineTotal: price * quantity });
+const cartOf = (items, { subtotal, freeShippingRemaining = 0 }) => ({ items, subtotal, freeShippingRemaining });
+
+const BIN = line('PS11752778', 'Refrigerator Door Shelf Bin', 36.08, 1);
+const PUMP = line('PS11757304', 'Washing Machine Drain Pump', 59.99, 1);
+
+describe('CartAgent', () => {
+  const agent = new CartAgent();
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('"add that to my cart" adds the part just shown', async () => {
+    const context = { lastShownParts: [{ partNumber: 'PS11752778', name: BIN.name }] };
+    addItem.mockResolvedValue({
+      part: { partNumber: 'PS11752778', name: BIN.name, superseded: false },
+      cart: cartOf([BIN], { subtotal: 36.08, freeShippingRemaining: 13.92 })
+    });
+
+    const response = await agent.handle('Add that to my cart', context, [], 'u1');
+
+    expect(addItem).toHaveBeenCalledWith('u1', 'PS11752778', 1);
+    expect(response.message).toContain('Added **1 × Refrigerator Door Shelf Bin** (PS11752778)');
+    expect(response.message).toContain('Add $13.92 more for free standard shipping.');
+    expect(response.actions[0]).toMatchObject({ type: 'cart', cart: { subtotal: 36.08 } });
+  });
+
+  test('asks which part when several were shown, unless an ordinal picks one', async () => {
+    const context = {
+      lastShownParts: [
+        { partNumber: 'PS11752778', name: BIN.name },
+        { partNumber: 'PS11757304', name: PUMP.name }
+      ]
+    };
+
+    const ask = await agent.handle('add it to my cart', context, [], 'u1');
+    expect(addItem).not.toHaveBeenCalled();
+    expect(ask.actions[0].suggestions).toEqual(['Add PS11752778 to my cart', 'Add PS11757304 to my cart']);
+
+    addItem.mockResolvedValue({ part: { partNumber: 'PS11757304', name: PUMP.name }, cart: cartOf([PUMP], { subtotal: 59.99 }) });
+    await agent.handle('add two of the second one to my cart', context, [], 'u1');
+    expect(addItem).toHaveBeenCalledWith('u1', 'PS11757304', 2);
+  });
+
+  test('an explicit part number wins over what was shown', async () => {
+    findPartReference.mockResolvedValueOnce({ token: 'PS11757304', partNumber: 'PS11757304' });
+    addItem.mockResolvedValue({ part: { partNumber: 'PS11757304', name: PUMP.name }, cart: cartOf([PUMP], { subtotal: 59.99 }) });
+
+    const response = await agent.handle('put PS11757304 in my cart', { lastShownParts: [{ partNumber: 'PS11752778' }] }, [], 'u1');
+
+    expect(addItem).toHaveBeenCalledWith('u1', 'PS11757304', 1);
+    expect(response.message).toContain('🎉 Your order ships free!');
+  });
+
+  test('lists the cart', async () => {
+    getCart.mockResolvedValue(cartOf([BIN, PUMP], { subtotal: 96.07 }));
+
+    const response = await agent.handle("what's in my cart?", {}, [], 'u1');
+
+    expect(response.message).toContain('• 1 × Refrigerator Door Shelf Bin (PS11752778) — $36.08');
+    expect(response.message).toContain('Subtotal: **$96.07**');
+  });
+
+  test('removes and updates lines matched by name', async () => {
+    getCart.mockResolvedValue(cartOf([BIN, PUMP], { subtotal: 96.07 }));
+    removeItem.mockResolvedValue(cartOf([PUMP], { subtotal: 59.99 }));
+    updateItem.mockResolvedValue(cartOf([BIN, { ...PUMP, quantity: 3 }], { subtotal: 216.05 }));
+
+    const removed = await agent.handle('remove the shelf bin from my cart', {}, [], 'u1');
+    expect(removeItem).toHaveBeenCalledWith('u1', 'PS11752778');
+    expect(removed.message).toContain('Removed **Refrigerator Door Shelf Bin**');
+
+    await agent.handle('change the drain pump quantity in my cart to 3', {}, [], 'u1');
+    expect(updateItem).toHaveBeenCalledWith('u1', 'PS11757304', 3);
+  });
+
+  test('explains cart errors instead of failing', async () => {
+    addItem.mockRejectedValue(new CartError('Dishwasher Upper Rack (PS10065979) is out of stock right now', 409));
+
+    const response = await agent.handle('add that to my cart', { lastShownParts: [{ partNumber: 'PS10065979' }] }, [], 'u1');
+
+    expect(response.message).toBe('Dishwasher Upper Rack (PS10065979) is out of stock right now.');
+  });
+});
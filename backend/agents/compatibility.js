@@ -0,0 +1,243 @@
+const db = require('../db');
+const logger = require('../logger');
+const { safeRedisGet, safeRedisSet } = require('../redis');
+const { extractModelNumber, resolveModel, formatRevisions } = require('../catalog/models');
+const { normalizePartNumber, resolvePartNumber, findPartReference, describeSupersession } = require('../catalog/parts');
+const { DialogManager } = require('../dialog/manager');
+
+// Compatibility Agent
+//
+// A check is the 'compatibility' dialog with two slots, the part and the
+// model. Either can come first, in one message or over several turns, and
+// a later message can correct either one.
+class CompatibilityAgent {
+  constructor(dialogs = new DialogManager()) {
+    this.dialogs = dialogs;
+
+    dialogs.register({
+      name: 'compatibility',
+      intent: 'compatibility_check',
+      extract: (query) => this.extractEntities(query),
+      slots: [
+        {
+          name: 'partNumber',
+          correctable: true,
+          prompt: (slots) => (slots.modelNumber
+            ? {
+              message: `Got your model number **${slots.modelNumber}**! Which part number do you want to check?\n\n(e.g., PS11752778)`,
+              actions: [{
+                type: 'input_prompt',
+                field: 'part_number',
+                placeholder: 'Enter part number (e.g. PS11752778)'
+              }]
+            }
+            : {
+              message: "To check compatibility, I need:\n• Part number (e.g., PS11752778)\n• Appliance model number (e.g., WDT780SAEM1)\n\nPlease provide one or both:",
+              actions: [{
+                type: 'input_prompt',
+                field: 'part_and_model',
+                placeholder: 'Enter part number and model'
+              }]
+            })
+        },
+        {
+          name: 'modelNumber',
+          correctable: true,
+          prompt: (slots) => ({
+            message: `Great! I have part number **${slots.partNumber}**. What's your appliance model number?\n\n(e.g., WDT780SAEM1)`,
+            actions: [{
+              type: 'input_prompt',
+              field: 'model_number',
+              placeholder: 'Enter model number (e.g. WDT780SAEM1)'
+            }]
+          })
+        }
+      ],
+      complete: (slots) => this.answer(slots.partNumber, slots.modelNumber),
+      cancelled: "OK, I've stopped the compatibility check."
+    });
+  }
+
+  async check(query, context, history) {
+    if (this.dialogs.active(context)) {
+      return await this.dialogs.continue(query, context);
+    }
+
+    // A part or model mentioned just before the question counts too
+    // ("is it compatible with WDT780SAEM1?")
+    let { partNumber, modelNumber } = await this.extractEntities(query);
+    logger.info(`🔍 Current query entities:`, { partNumber, modelNumber });
+
+    if (!partNumber || !modelNumber) {
+      const historyEntities = await this.extractFromHistory(history);
+      logger.info(`📜 History entities:`, historyEntities);
+
+      partNumber = partNumber || historyEntities.partNumber;
+      modelNumber = modelNumber || historyEntities.modelNumber;
+    }
+
+    return await this.dialogs.start('compatibility', null, context, { partNumber, modelNumber });
+  }
+
+  async answer(partNumber, modelNumber) {
+    logger.info(`✅ Checking compatibility: ${partNumber} with ${modelNumber}`);
+
+    let compatible;
+    try {
+      compatible = await this.checkCompatibility(partNumber, modelNumber);
+    } catch (err) {
+      // No verdict: "not compatible" would be a guess
+      logger.error('Compatibility check error:', err);
+      return {
+        message: `Sorry, I couldn't check whether **${partNumber}** fits **${modelNumber}** right now. Please try again in a moment.`
+      };
+    }
+    
+    const verdict = compatible.isCompatible
+      ? `✓ **Yes!** Part **${compatible.partNumber || partNumber}** is compatible with **${modelNumber}**.\n\n${compatible.details}`
+      : `✗ Unfortunately, part **${compatible.partNumber || partNumber}** is not compatible with **${modelNumber}**.\n\n${compatible.alternativeSuggestion || 'Try searching for parts specifically for your model.'}`;
+    const message = compatible.supersession ? `${compatible.supersession}\n\n${verdict}` : verdict;
+
+    return {
+      message,
+      products: compatible.alternativeParts || [],
+      actions: compatible.isCompatible ? [{
+        type: 'add_to_cart',
+        partNumber: compatible.partNumber || partNumber
+      }] : [],
+      // The verdict itself, so clients and the eval harness needn't parse it
+      compatibility: {
+        partNumber: compatible.partNumber || partNumber,
+        modelNumber,
+        compatible: compatible.isCompatible
+      }
+    };
+  }
+
+  async extractEntities(query) {
+    // Part number: PS number, bare PartSelect digits or an OEM / superseded
+    // number, resolved to the current PartSelect part
+    const partRef = await findPartReference(query);
+    let extractedPart = partRef?.partNumber || null;
+    if (!extractedPart) {
+      const partMatch = query.match(/\b(PS\d{8})\b|\b(\d{8})\b/i);
+      extractedPart = partMatch ? (partMatch[1] || partMatch[2]).toUpperCase() : null;
+    }
+
+    // Model number: 3 letters + 3-7 digits + 3+ alphanumeric, optional
+    // hyphenated revision (e.g., WDT780SAEM1, WRS325SDHZ-01). An OEM number
+    // like WPW10321304 has the same shape, so skip the part token.
+    const extractedModel = extractModelNumber(query, partRef ? [partRef.token] : []);
+    
+    logger.info(`🔍 Extracted from "${query}":`, { 
+      part: extractedPart, 
+      model: extractedModel 
+    });
+    
+    return {
+      partNumber: extractedPart,
+      modelNumber: extractedModel,
+      partResolution: partRef
+    };
+  }
+
+  async extractFromHistory(history) {
+    const recent = history.slice(-3).map(h => h.content).join(' ');
+    
+    // Use the same extraction as the current query
+    const { partNumber, modelNumber } = await this.extractEntities(recent);
+    
+    logger.info(`📜 Extracted from history:`, { 
+      part: partNumber, 
+      model: modelNumber 
+    });
+    
+    return { partNumber, modelNumber };
+  }
+
+  // Rejects when the catalog can't be reached, so callers never mistake an
+  // outage for "not compatible"
+  async checkCompatibility(partNumber, modelNumber) {
+    const model = await resolveModel(modelNumber);
+    if (!partNumber || !model) {
+      return {
+        isCompatible: false,
+        details: 'A part number and a model number are both needed to check compatibility.',
+        alternativeSuggestion: 'Please provide both and try again.'
+      };
+    }
+
+    // OEM and superseded numbers resolve to the current PartSelect part
+    const resolution = await resolvePartNumber(partNumber);
+    const currentPart = resolution?.partNumber || normalizePartNumber(partNumber);
+    const supersession = describeSupersession(resolution);
+
+    const cacheKey = `compat:${currentPart}:${model.modelNumber}`;
+
+    // Check Redis first
+    const cached = await safeRedisGet(cacheKey);
+    if (cached) {
+      logger.info(`⚡ Redis cache hit for compatibility ${currentPart}-${model.modelNumber}`);
+      return { ...cached, supersession };
+    }
+
+    logger.info(`🧭 Redis cache miss for compatibility ${currentPart}-${model.modelNumber}`);
+
+    if (!resolution) {
+      const result =  { 
+        isCompatible: false, 
+        details: `Part ${partNumber} not found in our database.`,
+        alternativeSuggestion: 'Double-check the part number or try searching by part name.'
+      };
+      await safeRedisSet(cacheKey, result, 86400);
+      return result;
+    }
+
+    const partId = resolution.partId;
+    const partName = resolution.name;
+
+    // Every listed revision of the same base model, so the reply can say
+    // "fits WRS325SDHZ revisions 00–04"
+    const compat = await db.query(
+      `SELECT pc.model_number, m.revision
+       FROM part_compatibility pc
+       LEFT JOIN models m ON m.model_number = pc.model_number
+       WHERE pc.part_id = $1
+       AND (pc.model_number = ANY($2::text[]) OR m.base_model = $3)`,
+      [partId, model.modelNumbers, model.baseModel]
+    );
+
+    const fitting = compat.rows.filter(r => model.modelNumbers.includes(r.model_number));
+    const fitsRevisions = formatRevisions(compat.rows.map(r => r.revision));
+    const revisionNote = fitsRevisions ? ` It fits ${model.baseModel} revisions ${fitsRevisions}.` : '';
+    const isCompatible = fitting.length > 0;
+
+    let details;
+    if (!isCompatible) {
+      details = `The ${partName} is not listed as compatible with model ${model.modelNumber}.${revisionNote}`;
+    } else if (model.allRevisions && fitting.length < model.modelNumbers.length) {
+      details = `This ${partName} fits ${model.baseModel} revisions ${fitsRevisions}, but not every revision of that model. Check the full model number on your appliance's sticker to confirm.`;
+    } else if (model.allRevisions) {
+      details = `This ${partName} fits every listed revision of the ${model.baseModel} (${fitsRevisions}).`;
+    } else {
+      details = `This ${partName} is designed for your ${model.modelNumber} model.${revisionNote}`;
+    }
+
+    const result =  {
+      isCompatible,
+      partNumber: currentPart,
+      modelNumber: model.modelNumber,
+      baseModel: model.baseModel,
+      fitsRevisions: fitsRevisions || null,
+      details,
+      alternativeSuggestion: !isCompatible
+        ? `Would you like me to search for parts that fit your ${model.modelNumber}?`
+        : null,
+    };
+    await safeRedisSet(cacheKey, result, 86400);
+
+    return { ...result, supersession };
+  }
+}
+
+module.exports = CompatibilityAgent;
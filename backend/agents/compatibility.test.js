@@ -0,0 +1,148 @@
+jest.mock('../db', () => ({ query: jest.fn() }));
+jest.mock('../redis', () => ({
+  safeRedisGet: jest.fn(async () => null),
+  safeRedisSet: jest.fn(async () => {}),
+  getUserContext: jest.fn(async () => ({})),
+  setUserContext: jest.fn(async () => {})
+}));
+
+const db = require('../db');
+const CompatibilityAgent = require('./compatibility');
+
+const REVISIONS = ['00', '01', '02', '03', '04', '05'].map(rev => ({
+  model_number: `WRS325SDHZ${rev}`,
+  base_model: 'WRS325SDHZ',
+  revision: rev,
+  brand: 'Whirlpool',
+  appliance_type: 'refrigerator'
+}));
+
+const DOOR_BIN = { id: 1, part_number: 'PS11752778', name: 'Refrigerator Door Shelf Bin' };
+
+// Door bin is listed for revisions 00–04 but not 05
+const FITTING = REVISIONS.slice(0, 5).map(r => ({ model_number: r.model_number, revision: r.revision }));
+
+// Aliases pointing at the door bin: the current OEM number, an older one,
+// and a retired PartSelect number replaced through a chain
+const ALIASES = {
+  WPW10321304: { part: DOOR_BIN, type: 'oem' },
+  W10321304: { part: DOOR_BIN, type: 'superseded' },
+  PS2002: { part: DOOR_BIN, type: 'superseded' }
+};
+const RETIRED = {
+  PS1001: { id: 7, part_number: 'PS1001', name: 'Old Door Bin' },
+  PS2002: { id: 8, part_number: 'PS2002', name: 'Interim Door Bin' }
+};
+const REPLACED_BY = { PS1001: RETIRED.PS2002 };
+
+// Answer each catalog query by its shape rather than call order
+function mockCatalog() {
+  db.query.mockImplementation(async (sql, params) => {
+    if (sql.includes('OR $1 = ANY(aliases)')) {
+      return { rows: REVISIONS.filter(r => r.model_number === params[0]) };
+    }
+    if (sql.includes('WHERE base_model = $1')) {
+      return { rows: REVISIONS.filter(r => r.base_model === params[0]) };
+    }
+    if (sql.includes('UNION ALL')) {
+      const [number] = params[0];
+      const part = [DOOR_BIN, ...Object.values(RETIRED)].find(p => p.part_number === number);
+      if (part) return { rows: [{ ...part, matched_by: 'part_number' }] };
+      const alias = ALIASES[number];
+      return { rows: alias ? [{ ...alias.part, matched_by: alias.type }] : [] };
+    }
+    if (sql.includes("alias_type = 'superseded'")) {
+      const replacement = REPLACED_BY[params[0]] || (ALIASES[params[0]]?.type === 'superseded' && ALIASES[params[0]].part);
+      return { rows: replacement ? [replacement] : [] };
+    }
+    if (sql.includes('FROM part_compatibility pc')) {
+      return { rows: params[0] === DOOR_BIN.id ? FITTING : [] };
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+  });
+}
+
+describe('CompatibilityAgent.checkCompatibility', () => {
+  const agent = new CompatibilityAgent();
+
+  beforeEach(() => {
+    db.query.mockReset();
+    mockCatalog();
+  });
+
+  test('matches hyphenated, lower-case model numbers and lists fitting revisions', async () => {
+    const result = await agent.checkCompatibility('PS11752778', 'wrs325sdhz-01');
+
+    expect(result.isCompatible).toBe(true);
+    expect(result.modelNumber).toBe('WRS325SDHZ01');
+    expect(result.details).toContain('fits WRS325SDHZ revisions 00–04');
+    expect(result.supersession).toBeNull();
+  });
+
+  test('a base model asks the customer to confirm the revision when not all fit', async () => {
+    const result = await agent.checkCompatibility('PS11752778', 'WRS325SDHZ');
+
+    expect(result.isCompatible).toBe(true);
+    expect(result.fitsRevisions).toBe('00–04');
+    expect(result.details).toContain('not every revision');
+  });
+
+  test('an unlisted revision is not compatible but names the ones that are', async () => {
+    const result = await agent.checkCompatibility('PS11752778', 'WRS325SDHZ05');
+
+    expect(result.isCompatible).toBe(false);
+    expect(result.details).toContain('revisions 00–04');
+  });
+
+  test('resolves OEM numbers to the PartSelect part', async () => {
+    const result = await agent.checkCompatibility('WPW10321304', 'WRS325SDHZ01');
+
+    expect(result.isCompatible).toBe(true);
+    expect(result.partNumber).toBe('PS11752778');
+    expect(result.supersession).toBeNull();
+  });
+
+  test('follows replacement chains and says the part was superseded', async () => {
+    const result = await agent.checkCompatibility('PS1001', 'WRS325SDHZ01');
+
+    expect(result.partNumber).toBe('PS11752778');
+    expect(result.supersession).toBe('Part **PS1001** has been superseded by **PS11752778** (via PS2002).');
+  });
+});
+
+describe('CompatibilityAgent when the catalog is down', () => {
+  const agent = new CompatibilityAgent();
+
+  beforeEach(() => {
+    db.query.mockReset().mockRejectedValue(new Error('connection refused'));
+  });
+
+  test('checkCompatibility rejects instead of answering "not compatible"', async () => {
+    await expect(agent.checkCompatibility('PS11752778', 'WRS325SDHZ01')).rejects.toThrow('connection refused');
+  });
+
+  test('answer says the check could not be done and gives no verdict', async () => {
+    const response = await agent.answer('PS11752778', 'WRS325SDHZ01');
+
+    expect(response.message).toContain("couldn't check whether **PS11752778** fits **WRS325SDHZ01**");
+    expect(response.compatibility).toBeUndefined();
+    expect(response.actions).toBeUndefined();
+  });
+});
+
+describe('CompatibilityAgent.extractEntities', () => {
+  const agent = new CompatibilityAgent();
+
+  beforeEach(() => {
+    db.query.mockReset();
+    mockCatalog();
+  });
+
+  test('an OEM number is read as the part, not as the model', async () => {
+    const entities = await agent.extractEntities('Does W10321304 fit my WRS325SDHZ-01?');
+
+    expect(entities.partNumber).toBe('PS11752778');
+    expect(entities.modelNumber).toBe('WRS325SDHZ01');
+    expect(entities.partResolution.superseded).toBe(true);
+  });
+});
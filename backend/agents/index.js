@@ -0,0 +1,19 @@
+const AgentOrchestrator = require('./orchestrator');
+const IntentClassificationAgent = require('./intentClassification');
+const ProductSearchAgent = require('./productSearch');
+const CompatibilityAgent = require('./compatibility');
+const TroubleshootingAgent = require('./troubleshooting');
+const InstallationAgent = require('./installation');
+const OrderSupportAgent = require('./orderSupport');
+const CartAgent = require('./cart');
+
+module.exports = {
+  AgentOrchestrator,
+  IntentClassificationAgent,
+  ProductSearchAgent,
+  CompatibilityAgent,
+  TroubleshootingAgent,
+  InstallationAgent,
+  OrderSupportAgent,
+  CartAgent
+};
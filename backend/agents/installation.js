@@ -0,0 +1,110 @@
+const logger = require('../logger');
+const { findPartReference } = require('../catalog/parts');
+const { findGuideForPart, searchGuides } = require('../catalog/guides');
+const { DialogManager } = require('../dialog/manager');
+
+// Installation Agent
+//
+// Answers only from the installation_guides store. When no guide exists for
+// a part, it says so instead of generating steps. A question that names no
+// part and matches no guide starts the 'installation' dialog, which asks
+// for the part.
+class InstallationAgent {
+  constructor(dialogs = new DialogManager()) {
+    this.dialogs = dialogs;
+
+    dialogs.register({
+      name: 'installation',
+      intent: 'installation_help',
+      slots: [{
+        name: 'part',
+        extract: (query) => this.extractPartInfo(query),
+        prompt: (slots, { retry }) => ({
+          message: retry
+            ? "I still need the part number (e.g., PS11752778) to find its installation guide. It's on the part's label and in your order confirmation."
+            : "I'd be happy to help with installation! Which part are you installing? Please provide the part number (e.g., PS11752778)."
+        })
+      }],
+      complete: (slots) => this.guideForPart(slots.part),
+      cancelled: 'OK. What else can I help you with?'
+    });
+  }
+
+  async guide(query, context, history) {
+    if (this.dialogs.active(context)) {
+      return await this.dialogs.continue(query, context);
+    }
+
+    const part = await this.extractPartInfo(query);
+
+    if (!part) {
+      const guide = await searchGuides(query);
+      if (guide) {
+        return this.formatGuide(guide, null);
+      }
+    }
+
+    return await this.dialogs.start('installation', null, context, { part });
+  }
+
+  async guideForPart(part) {
+    const guide = await findGuideForPart(part.partId);
+
+    if (!guide) {
+      logger.info(`📭 No installation guide for ${part.partNumber}`);
+      return this.noGuide(part);
+    }
+
+    logger.info(`📘 Installation guide ${guide.id} (${guide.scope}) for ${part.partNumber}`);
+    return this.formatGuide(guide, part);
+  }
+
+  // Part numbers, OEM and superseded numbers all resolve to the current part
+  async extractPartInfo(query) {
+    return await findPartReference(query);
+  }
+
+  formatGuide(guide, part) {
+    const sections = [`**${guide.title}**`];
+
+    if (part && guide.scope === 'category') {
+      sections.push(`There's no guide specific to **${part.partNumber}**, so this is our general guide for ${guide.category.toLowerCase()} parts — details may differ slightly for your part.`);
+    }
+    if (guide.summary) sections.push(guide.summary);
+    if (guide.safetyNotes.length > 0) {
+      sections.push(`⚠️ **Safety first:**\n${guide.safetyNotes.map(n => `• ${n}`).join('\n')}`);
+    }
+    sections.push(guide.steps.map((step, i) => `${i + 1}. ${step}`).join('\n'));
+
+    return {
+      message: sections.join('\n\n'),
+      actions: [{
+        type: 'installation_guide',
+        guideId: guide.id,
+        partNumber: part?.partNumber || null,
+        scope: guide.scope,
+        videoUrl: guide.videoUrl,
+        pdfUrl: guide.pdfUrl,
+        estimatedTime: guide.estimatedTime,
+        difficulty: guide.difficulty,
+        tools: guide.tools,
+        safetyNotes: guide.safetyNotes
+      }]
+    };
+  }
+
+  noGuide(part) {
+    return {
+      message: `I don't have a verified installation guide for **${part.partNumber}** (${part.name}) yet, and I'd rather not guess at the steps. Please check the part's page on PartSelect (https://www.partselect.com/${part.partNumber}.htm), or contact our support team for help.`,
+      actions: [{
+        type: 'suggestion',
+        suggestions: [
+          `Check if ${part.partNumber} fits my model`,
+          'Contact support'
+        ]
+      }]
+    };
+  }
+}
+
+module.exports = InstallationAgent;
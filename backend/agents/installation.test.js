@@ -0,0 +1,87 @@
+jest.mock('../catalog/parts', () => ({ findPartReference: jest.fn() }));
+jest.mock('../catalog/guides', () => ({
+  findGuideForPart: jest.fn(),
+  searchGuides: jest.fn()
+}));
+
+const { findPartReference } = require('../catalog/parts');
+const { findGuideForPart, searchGuides } = require('../catalog/guides');
+const InstallationAgent = require('./installation');
+
+const DOOR_BIN = { token: 'PS11752778', partNumber: 'PS11752778', partId: 1, name: 'Refrigerator Door Shelf Bin' };
+const DRAIN_PUMP = { token: 'WPW10730972', partNumber: 'PS11757304', partId: 2, name: 'Washing Machine Drain Pump' };
+
+const PUMP_GUIDE = {
+  id: 2,
+  scope: 'category',
+  title: 'Replacing a washer drain pump',
+  summary: 'The pump sits behind the lower access panel.',
+  steps: ['Unplug the washer.', 'Remove the old pump.', 'Fit the new pump.'],
+  tools: ['Pliers'],
+  safetyNotes: ['Unplug the washer before touching any wiring.'],
+  estimatedTime: '30-60 minutes',
+  difficulty: 'medium',
+  videoUrl: null,
+  pdfUrl: null,
+  category: 'Pump'
+};
+
+describe('InstallationAgent', () => {
+  const agent = new InstallationAgent();
+
+  beforeEach(() => {
+    findPartReference.mockReset();
+    findGuideForPart.mockReset();
+    searchGuides.mockReset();
+  });
+
+  test('answers from the stored guide without inventing media links', async () => {
+    findPartReference.mockResolvedValue(DRAIN_PUMP);
+    findGuideForPart.mockResolvedValue(PUMP_GUIDE);
+
+    const response = await agent.guide('How do I install WPW10730972?', {}, []);
+
+    expect(findGuideForPart).toHaveBeenCalledWith(2);
+    expect(response.message).toContain('1. Unplug the washer.\n2. Remove the old pump.\n3. Fit the new pump.');
+    expect(response.message).toContain('general guide for pump parts');
+    expect(response.actions[0]).toMatchObject({
+      type: 'installation_guide',
+      partNumber: 'PS11757304',
+      estimatedTime: '30-60 minutes',
+      difficulty: 'medium',
+      tools: ['Pliers'],
+      videoUrl: null,
+      pdfUrl: null
+    });
+  });
+
+  test('says when no verified guide exists instead of generating one', async () => {
+    findPartReference.mockResolvedValue(DOOR_BIN);
+    findGuideForPart.mockResolvedValue(null);
+
+    const response = await agent.guide('How do I install PS11752778?', {}, []);
+
+    expect(response.message).toContain("don't have a verified installation guide for **PS11752778**");
+    expect(response.actions.some(a => a.type === 'installation_guide')).toBe(false);
+  });
+
+  test('finds a guide by description when no part number is given', async () => {
+    findPartReference.mockResolvedValue(null);
+    searchGuides.mockResolvedValue({ ...PUMP_GUIDE, scope: 'search' });
+
+    const response = await agent.guide('how do I replace a washer drain pump', {}, []);
+
+    expect(searchGuides).toHaveBeenCalledWith('how do I replace a washer drain pump');
+    expect(response.message).toContain('**Replacing a washer drain pump**');
+    expect(response.message).not.toContain('general guide');
+  });
+
+  test('asks for the part number when nothing matches', async () => {
+    findPartReference.mockResolvedValue(null);
+    searchGuides.mockResolvedValue(null);
+
+    const response = await agent.guide('help me install this', {}, []);
+
+    expect(response.message).toContain('Which part are you installing?');
+  });
+});
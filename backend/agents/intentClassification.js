@@ -0,0 +1,239 @@
+const client = require('prom-client');
+const logger = require('../logger');
+const { callStructured, StructuredOutputError } = require('../llm/structured');
+const { quoteUserText, quoteHistory } = require('../guardrails');
+const { loadModel, predict, DEFAULT_MODEL_PATH } = require('../intent/classifier');
+
+const INTENTS = [
+  'product_search',
+  'compatibility_check',
+  'troubleshooting',
+  'installation_help',
+  'order_support',
+  'cart',
+  'general_question',
+  'out_of_scope'
+];
+
+const INTENT_SCHEMA = {
+  type: 'object',
+  properties: {
+    primary: { type: 'string', enum: INTENTS },
+    confidence: { type: 'number', minimum: 0, maximum: 1 },
+    entities: { type: 'object' },
+    subIntents: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          intent: { type: 'string', enum: INTENTS },
+          text: { type: 'string' },
+          entities: { type: 'object' }
+        },
+        required: ['intent']
+      }
+    }
+  },
+  required: ['primary', 'confidence']
+};
+
+// Most requests one reply will answer at once
+const MAX_PLAN_STEPS = 3;
+
+// Identifiers a step's agent reads from its text
+const PLAN_ENTITIES = ['partNumber', 'modelNumber', 'orderNumber'];
+
+// "…and how do I install it?", "Thanks. Where is my order?": possibly more
+// than one request, which only the LLM splits into a plan
+const COMPOUND_PATTERN = /\b(?:and|also|then|plus)\s+(?:how|what|where|when|can|could|will|would|is|are|does|do|add|track|show|find|check)\b|[?!.]\s+\w/i;
+
+// Local predictions at or above this confidence skip the LLM ('off' disables)
+const DEFAULT_FAST_PATH_THRESHOLD = '0.9';
+
+const classificationDuration = new client.Histogram({
+  name: 'intent_classification_duration_seconds',
+  help: 'Intent classification latency by path (local fast path or LLM)',
+  labelNames: ['path'],
+  buckets: [0.001, 0.005, 0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5]
+});
+
+const classifierAgreement = new client.Counter({
+  name: 'intent_classifier_agreement_total',
+  help: 'Local classifier predictions compared with the LLM, for escalated and shadow-checked messages',
+  labelNames: ['path', 'result']
+});
+
+// The trained model, loaded once; null when it's missing or unusable
+let localModel;
+
+function getLocalModel() {
+  if (localModel !== undefined) return localModel;
+
+  const file = process.env.INTENT_MODEL_PATH || DEFAULT_MODEL_PATH;
+  try {
+    const model = loadModel(file);
+    const unknown = model.labels.filter(l => !INTENTS.includes(l));
+    if (unknown.length > 0) throw new Error(`unknown intents ${unknown.join(', ')}`);
+    localModel = model;
+    logger.info(`⚡ Local intent classifier loaded (${model.examples} examples, trained ${model.trainedAt})`);
+  } catch (err) {
+    logger.warn(`⚠️ Local intent classifier unavailable, every message goes to the LLM: ${err.message}`);
+    localModel = null;
+  }
+  return localModel;
+}
+
+// Two or more different requests become an ordered plan of steps
+// [{ intent, text, entities }]; anything less is no plan (null)
+function toPlan(subIntents = []) {
+  const steps = subIntents
+    .filter(s => s.intent !== 'out_of_scope')
+    .filter((s, i, all) => i === 0 || s.intent !== all[i - 1].intent)
+    .slice(0, MAX_PLAN_STEPS)
+    .map(s => ({
+      intent: s.intent,
+      text: typeof s.text === 'string' && s.text.trim() ? s.text.trim() : null,
+      entities: Object.fromEntries(PLAN_ENTITIES
+        .filter(k => typeof s.entities?.[k] === 'string' && s.entities[k])
+        .map(k => [k, s.entities[k]]))
+    }));
+
+  return new Set(steps.map(s => s.intent)).size > 1 ? steps : null;
+}
+
+// Intent Classification Agent
+class IntentClassificationAgent {
+  async classify(query, history) {
+    // Handle simple responses first
+    const simpleResponses = {
+      affirmative: /^(yes|yeah|yep|sure|ok|okay|should i|do i need|what about)/i,
+      questioning: /^(should|would|do i|can i|is it|what if)/i,
+    };
+
+    // If it's a follow-up question, infer from context
+    if (simpleResponses.questioning.test(query.trim())) {
+      const lastAssistant = history.slice().reverse().find(h => h.role === 'assistant');
+      if (lastAssistant && lastAssistant.content) {
+        const content = lastAssistant.content.toLowerCase();
+        
+        // If we just gave troubleshooting advice
+        if (content.includes('step') || content.includes('troubleshoot')) {
+          logger.info('🎯 Follow-up question after troubleshooting');
+          return { 
+            primary: 'general_question', 
+            confidence: 0.85,
+            entities: { isFollowUp: true, context: 'troubleshooting' }
+          };
+        }
+      }
+    }
+
+    const endTimer = classificationDuration.startTimer();
+
+    // Obvious messages ("track my order") don't need a model, unless they
+    // may ask for several things
+    const local = this.classifyLocally(query);
+    if (local && local.confidence >= this.fastPathThreshold() && !COMPOUND_PATTERN.test(query)) {
+      logger.info(`⚡ Local intent ${local.intent} (${local.confidence})`);
+      endTimer({ path: 'local' });
+      this.maybeShadowCheck(query, history, local);
+      return { primary: local.intent, confidence: local.confidence, entities: {}, source: 'local' };
+    }
+
+    const intent = await this.classifyWithLlm(query, history);
+    endTimer({ path: 'llm' });
+    if (local && !intent.validationFailed) {
+      this.recordAgreement('escalated', local, intent);
+    }
+    return intent;
+  }
+
+  // null without a trained model
+  classifyLocally(query) {
+    const model = getLocalModel();
+    return model ? predict(model, query) : null;
+  }
+
+  fastPathThreshold() {
+    const threshold = parseFloat(process.env.INTENT_FAST_PATH_THRESHOLD || DEFAULT_FAST_PATH_THRESHOLD);
+    return Number.isFinite(threshold) ? threshold : Infinity;
+  }
+
+  // A sample of fast-path answers (INTENT_FAST_PATH_SHADOW_RATE, default 0)
+  // is also sent to the LLM in the background, so agreement is measured on
+  // the messages the LLM no longer sees
+  maybeShadowCheck(query, history, local) {
+    const rate = parseFloat(process.env.INTENT_FAST_PATH_SHADOW_RATE || '0');
+    if (!(Math.random() < rate)) return;
+
+    this.classifyWithLlm(query, history)
+      .then(intent => {
+        if (!intent.validationFailed) this.recordAgreement('shadow', local, intent);
+      })
+      .catch(err => logger.warn(`⚠️ Shadow intent check failed: ${err.message}`));
+  }
+
+  recordAgreement(path, local, intent) {
+    const agreed = local.intent === intent.primary;
+    classifierAgreement.inc({ path, result: agreed ? 'agree' : 'disagree' });
+    if (!agreed) {
+      logger.info(`⚡ Local classifier said ${local.intent} (${local.confidence}), LLM said ${intent.primary}`);
+    }
+  }
+
+  async classifyWithLlm(query, history) {
+    // Build richer conversation context (last 5 messages)
+    const conversationContext = history.length > 0 
+      ? `\n\nRecent conversation (for context):\n${quoteHistory(history.slice(-5), 150)}`
+      : '';
+    
+    const prompt = `Analyze this customer query and classify intent.
+
+Customer Query: ${quoteUserText(query)}${conversationContext}
+
+CONTEXT AWARENESS RULES:
+1. If the query is a follow-up question (starts with "should", "would", "can", "what about"), analyze the conversation to understand what they're asking about
+2. If they're asking for advice after receiving troubleshooting steps, classify as general_question (not a new troubleshooting request)
+3. Look at the FULL conversation context, not just the current message
+4. If unsure, favor the most recent topic rather than assuming a new intent
+
+Possible Intents:
+- product_search: Looking for specific parts
+- compatibility_check: Checking if a part works
+- troubleshooting: Reporting a NEW problem (not follow-up questions)
+- installation_help: How to install
+- order_support: Orders, shipping, returns
+- cart: Adding, removing or viewing parts in their shopping cart
+- general_question: Follow-up questions, advice, clarifications about current topic
+- out_of_scope: Not related to appliance parts
+
+MULTIPLE REQUESTS:
+If the query asks for more than one thing ("Is PS11752778 compatible with WRS325SDHZ01 and how do I install it?"), also list each request in the order asked as "subIntents". Give each its own words as "text" and the part, model or order number it refers to as "entities" (partNumber, modelNumber, orderNumber), even when the customer wrote "it". "primary" is the first request. Leave "subIntents" out for a single request.
+
+Respond with valid JSON only: { "primary": "intent_name", "confidence": 0.95, "entities": {...}, "subIntents": [{ "intent": "intent_name", "text": "...", "entities": {...} }] }`;
+
+    try {
+      const intent = await callStructured(prompt, [], {
+        agent: 'intent',
+        task: 'intent_classification',
+        schema: INTENT_SCHEMA,
+        schemaName: 'intent_classification',
+        temperature: 0.3
+      });
+      const { subIntents, ...classified } = intent;
+      const plan = toPlan(subIntents);
+      if (plan) {
+        logger.info(`🧩 Plan: ${plan.map(s => s.intent).join(' → ')}`);
+        return { entities: {}, ...classified, primary: plan[0].intent, plan, source: 'llm' };
+      }
+      return { entities: {}, ...classified, source: 'llm' };
+    } catch (e) {
+      if (!(e instanceof StructuredOutputError)) throw e;
+
+      logger.error('Intent classification failed validation:', e.message);
+      return { primary: 'general_question', confidence: 0, entities: {}, validationFailed: true, source: 'llm' };
+    }
+  }
+}
+
+module.exports = IntentClassificationAgent;
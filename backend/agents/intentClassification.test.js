@@ -0,0 +1,94 @@
+jest.mock('../db', () => ({ query: jest.fn() }));
+jest.mock('../redis', () => ({ redis: {} }));
+jest.mock('../llm/structured', () => {
+  const actual = jest.requireActual('../llm/structured');
+  return { ...actual, callStructured: jest.fn() };
+});
+
+const client = require('prom-client');
+const { callStructured } = require('../llm/structured');
+const IntentClassificationAgent = require('./intentClassification');
+
+// Escalated messages compared with the LLM so far, agreeing or not
+async function escalatedComparisons() {
+  const metric = await client.register.getSingleMetric('intent_classifier_agreement_total').get();
+  return metric.values.filter(v => v.labels.path === 'escalated').reduce((sum, v) => sum + v.value, 0);
+}
+
+describe('IntentClassificationAgent', () => {
+  const env = { ...process.env };
+  const agent = new IntentClassificationAgent();
+
+  beforeEach(() => {
+    delete process.env.INTENT_FAST_PATH_THRESHOLD;
+    callStructured.mockReset().mockResolvedValue({ primary: 'product_search', confidence: 0.8 });
+  });
+
+  afterAll(() => {
+    process.env = env;
+  });
+
+  test('answers obvious messages locally without the LLM', async () => {
+    const intent = await agent.classify('PS11752778 compatible with WRS325SDHZ01?', []);
+
+    expect(intent).toMatchObject({ primary: 'compatibility_check', source: 'local' });
+    expect(intent.confidence).toBeGreaterThanOrEqual(0.9);
+    expect(callStructured).not.toHaveBeenCalled();
+  });
+
+  test('asks the LLM below the threshold and records whether it agreed', async () => {
+    const before = await escalatedComparisons();
+
+    const intent = await agent.classify('Yes please', []);
+
+    expect(callStructured).toHaveBeenCalledTimes(1);
+    expect(intent).toEqual({ primary: 'product_search', confidence: 0.8, entities: {}, source: 'llm' });
+    expect(await escalatedComparisons()).toBe(before + 1);
+  });
+
+  test('turns several requests into a plan', async () => {
+    callStructured.mockResolvedValue({
+      primary: 'compatibility_check',
+      confidence: 0.9,
+      entities: { partNumber: 'PS11752778' },
+      subIntents: [
+        { intent: 'compatibility_check', text: 'Is PS11752778 compatible with WRS325SDHZ01', entities: { partNumber: 'PS11752778', modelNumber: 'WRS325SDHZ01' } },
+        { intent: 'installation_help', text: 'how do I install it?', entities: { partNumber: 'PS11752778', isFollowUp: true } },
+        { intent: 'installation_help', text: 'what tools do I need?' },
+        { intent: 'out_of_scope', text: 'and the weather?' }
+      ]
+    });
+
+    // Confident locally, but "and how" may be a second request
+    const intent = await agent.classify('Is PS11752778 compatible with WRS325SDHZ01 and how do I install it?', []);
+
+    expect(callStructured).toHaveBeenCalledTimes(1);
+    expect(intent.subIntents).toBeUndefined();
+    expect(intent.plan).toEqual([
+      { intent: 'compatibility_check', text: 'Is PS11752778 compatible with WRS325SDHZ01', entities: { partNumber: 'PS11752778', modelNumber: 'WRS325SDHZ01' } },
+      { intent: 'installation_help', text: 'how do I install it?', entities: { partNumber: 'PS11752778' } }
+    ]);
+  });
+
+  test('keeps a single request without a plan', async () => {
+    callStructured.mockResolvedValue({
+      primary: 'installation_help',
+      confidence: 0.9,
+      subIntents: [{ intent: 'installation_help', text: 'How do I install it?' }, { intent: 'out_of_scope', text: 'and is it sunny?' }]
+    });
+
+    const intent = await agent.classify('How do I install it? And is it sunny?', []);
+
+    expect(intent.primary).toBe('installation_help');
+    expect(intent.plan).toBeUndefined();
+  });
+
+  test('sends everything to the LLM when the fast path is off', async () => {
+    process.env.INTENT_FAST_PATH_THRESHOLD = 'off';
+
+    const intent = await agent.classify('track my order', []);
+
+    expect(callStructured).toHaveBeenCalledTimes(1);
+    expect(intent.source).toBe('llm');
+  });
+});
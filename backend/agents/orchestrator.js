@@ -0,0 +1,542 @@
+const logger = require('../logger');
+const { callWithBreaker, withTokenStream } = require('../llm');
+const { getUserContext, setUserContext } = require('../redis');
+const { getConversationContext } = require('../helpers');
+const { ORDER_NUMBER_PATTERN } = require('../orders/lookup');
+const { RMA_NUMBER_PATTERN } = require('../orders/returns');
+const { withRequester } = require('../orders/lookupLimit');
+const { DialogManager } = require('../dialog/manager');
+const {
+  USER_TEXT_RULE,
+  BLOCKED_INPUT_MESSAGE,
+  quoteUserText,
+  quoteHistory,
+  guardInput,
+  guardOutput,
+  createGuardedStream
+} = require('../guardrails');
+const { verifyReply, hasClaims } = require('../grounding/verifier');
+const IntentClassificationAgent = require('./intentClassification');
+const ProductSearchAgent = require('./productSearch');
+const CompatibilityAgent = require('./compatibility');
+const TroubleshootingAgent = require('./troubleshooting');
+const InstallationAgent = require('./installation');
+const OrderSupportAgent = require('./orderSupport');
+const CartAgent = require('./cart');
+
+// The customer's side of the conversation, this message included
+const customerText = (query, history = []) => [
+  ...history.filter(h => h.role === 'user').map(h => h.content),
+  query
+];
+
+// Plan steps that act on what the steps before them showed
+const PLAN_DEPENDENT_INTENTS = new Set(['cart']);
+
+// Context that waits for the customer's next message; a plan leaves at most
+// one of them open
+const PLAN_OPEN_STATE = ['dialog', 'troubleshooting'];
+
+// Agent System: Define specialized agents
+class AgentOrchestrator {
+  constructor() {
+    // Multi-turn flows of every agent share one dialog manager, so a new
+    // flow replaces whatever was pending
+    this.dialogs = new DialogManager();
+    this.agents = {
+      intent: new IntentClassificationAgent(),
+      product: new ProductSearchAgent(),
+      compatibility: new CompatibilityAgent(this.dialogs),
+      troubleshooting: new TroubleshootingAgent(),
+      installation: new InstallationAgent(this.dialogs),
+      order: new OrderSupportAgent(this.dialogs),
+      cart: new CartAgent()
+    };
+  }
+
+  // options.wizard is a structured answer from the troubleshooting wizard;
+  // options.requester identifies the client (its IP) for order lookup limits
+  async processQuery(userId, query, history, options = {}) {
+    // Step 0: Prompt-injection attempts never reach a model
+    const input = guardInput(query);
+    if (input.action === 'block') {
+      return this.handleBlockedInput(input.hits);
+    }
+
+    // Step 1: Classify intent WITH conversation history
+    const intent = await this.classify(query, history, options);
+    
+    logger.info(`🎯 Intent: ${intent.primary} (${intent.confidence})`);
+    
+    // Step 2: Route to appropriate agent(s)
+    const response = await withRequester(options.requester || userId,
+      () => this.routeToAgents(intent, query, userId, history, options));
+    
+    // Step 3: Format response for frontend, checking the reply on the way out
+    return await this.finishResponse(response, intent, customerText(query, history));
+  }
+
+  // Same pipeline as processQuery, but reports progress through emit(event, data)
+  // as soon as each piece is known. Replies generated by the LLM are streamed
+  // sentence by sentence, each one only after the output guardrail passed
+  // it; the rest follows once the reply is checked. Templated replies are
+  // sent in word-sized chunks. When checking changed text that was already
+  // sent, the `done` event carries the corrected reply for the client to
+  // show instead.
+  async processQueryStream(userId, query, history, emit, options = {}) {
+    const input = guardInput(query);
+    if (input.action === 'block') {
+      const response = this.handleBlockedInput(input.hits);
+      this.emitTemplated(response, emit);
+      return response;
+    }
+
+    const intent = await this.classify(query, history, options);
+
+    logger.info(`🎯 Intent: ${intent.primary} (${intent.confidence})`);
+    emit('intent', { intent: intent.primary, confidence: intent.confidence });
+
+    let streamed = false;
+    // Sentences naming parts, prices or links wait for the grounding check
+    const stream = createGuardedStream((text) => emit('token', { text }), { hold: hasClaims });
+    const agentResponse = await withTokenStream(
+      (text) => {
+        streamed = true;
+        stream.push(text);
+      },
+      () => withRequester(options.requester || userId,
+        () => this.routeToAgents(intent, query, userId, history, options))
+    );
+
+    const response = await this.finishResponse(agentResponse, intent, customerText(query, history));
+
+    if (streamed) {
+      const message = response.message || '';
+      if (message.startsWith(stream.sent)) {
+        this.emitWords(message.slice(stream.sent.length), emit);
+      }
+      if (response.products.length > 0) {
+        emit('products', { products: response.products });
+      }
+      emit('actions', { actions: response.actions });
+    } else {
+      this.emitTemplated(response, emit);
+    }
+
+    return response;
+  }
+
+  // Send a reply that wasn't streamed from a model in word-sized chunks
+  emitTemplated(response, emit) {
+    if (response.products.length > 0) {
+      emit('products', { products: response.products });
+    }
+
+    this.emitWords(response.message || '', emit);
+
+    emit('actions', { actions: response.actions });
+  }
+
+  emitWords(message, emit) {
+    for (const text of message.match(/\S+\s*|\s+/g) || []) {
+      emit('token', { text });
+    }
+  }
+
+  // Format a reply, then apply the output guardrail and check its part
+  // numbers, prices and links against the catalog. `userText` is what the
+  // customer wrote, which a reply may repeat unverified.
+  async finishResponse(agentResponse, intent, userText = []) {
+    return await verifyReply(this.guardResponse(this.formatResponse(agentResponse, intent)), { userText });
+  }
+
+  // Apply the output guardrail to a formatted reply
+  guardResponse(response) {
+    const output = guardOutput(response.message);
+    if (output.action === 'allow') return response;
+
+    return {
+      ...response,
+      message: output.text,
+      ...(output.action === 'block' && { products: [], actions: [] }),
+      metadata: { ...response.metadata, guardrail: { stage: 'output', action: output.action, hits: output.hits } }
+    };
+  }
+
+  // Wizard answers already say what they are; don't ask the classifier
+  async classify(query, history, options = {}) {
+    if (options.wizard) {
+      return { primary: 'troubleshooting', confidence: 1, entities: {} };
+    }
+    return await this.agents.intent.classify(query, history);
+  }
+
+  async routeToAgents(intent, query, userId, history, options = {}) {
+    const context = await getUserContext(userId);
+    const flowContext = getConversationContext(history);
+    
+    // During a troubleshooting walk the reply answers the current check,
+    // unless the customer clearly moved on to something else
+    if (context.troubleshooting) {
+      if (intent.validationFailed || ['troubleshooting', 'general_question'].includes(intent.primary)) {
+        logger.info('↩️ Continuing troubleshooting tree');
+        intent.primary = 'troubleshooting';
+        intent.validationFailed = false;
+      } else {
+        context.troubleshooting = null;
+      }
+    }
+
+    // A dialog waiting on an answer (compatibility, order lookup, return,
+    // installation) takes every reply that answers its question, whatever the
+    // classifier made of it. A side question leaves it waiting; any other
+    // request means the customer moved on.
+    let continueDialog = false;
+    const dialog = this.dialogs.active(context);
+    if (dialog && !context.troubleshooting) {
+      if (intent.validationFailed || await this.dialogs.claims(query, context)) {
+        logger.info(`↩️ Continuing ${dialog.name} dialog`);
+        intent.primary = dialog.intent;
+        intent.validationFailed = false;
+        continueDialog = true;
+      } else if (!['general_question', 'out_of_scope'].includes(intent.primary)) {
+        this.dialogs.abandon(context);
+      }
+    }
+
+    // Several requests in one message run as a plan (unless the message
+    // answered a pending question above)
+    if (intent.plan && !continueDialog && !context.troubleshooting) {
+      const response = await this.runPlan(intent.plan, query, context, userId, history, options);
+      await setUserContext(userId, { ...context, lastIntent: intent.primary, lastTopic: flowContext.topic });
+      return response;
+    }
+
+    // An order or RMA number goes to order support whatever the classifier
+    // made of it
+    if (!continueDialog && intent.primary !== 'order_support' && !context.troubleshooting &&
+        (ORDER_NUMBER_PATTERN.test(query) || RMA_NUMBER_PATTERN.test(query))) {
+      logger.info('↩️ Order or RMA number — routing to order support');
+      intent.primary = 'order_support';
+      intent.validationFailed = false;
+    }
+
+    // Handle follow-up questions intelligently
+    if (intent.entities?.isFollowUp && flowContext.topic === 'troubleshooting' && !context.troubleshooting) {
+      logger.info('↩️ Follow-up question after troubleshooting');
+      return await this.handleGeneralQuery(query, history);
+    }
+
+    // Don't guess an answer when the classifier's output couldn't be validated
+    if (intent.validationFailed) {
+      logger.warn('❓ Intent could not be classified — asking the customer to clarify');
+      return this.handleUnclassified();
+    }
+    
+    const response = continueDialog
+      ? await this.dialogs.continue(query, context)
+      : await this.dispatch(intent.primary, query, context, userId, history, options);
+
+    this.rememberShownParts(context, response);
+    await setUserContext(userId, { ...context, lastIntent: intent.primary, lastTopic: flowContext.topic });
+    return response;
+  }
+
+  // Hand the query to the agent for `primary`
+  async dispatch(primary, query, context, userId, history, options = {}) {
+    switch (primary) {
+      case 'product_search':
+        return await this.agents.product.search(query, context, history);
+      
+      case 'compatibility_check':
+        return await this.agents.compatibility.check(query, context, history);
+      
+      case 'troubleshooting':
+        return await this.agents.troubleshooting.diagnose(query, context, history, options.wizard || null);
+      
+      case 'installation_help':
+        return await this.agents.installation.guide(query, context, history);
+      
+      case 'order_support':
+        return await this.agents.order.assist(query, context, history);
+      
+      case 'cart':
+        return await this.agents.cart.handle(query, context, history, userId);
+
+      case 'general_question':
+        return await this.handleGeneralQuery(query, history);
+      
+      default:
+        return await this.handleOutOfScope(query);
+    }
+  }
+
+  // Run the steps of a multi-request plan and merge their replies in order.
+  // Steps run in parallel, except that a cart step waits for the steps
+  // before it: "add it" means a part they showed. Each step works on its own
+  // copy of the context, merged back in plan order afterwards. Replies are
+  // merged as templated text, so steps don't stream their tokens.
+  async runPlan(plan, query, context, userId, history, options = {}) {
+    // A new multi-part request replaces any question left waiting
+    this.dialogs.abandon(context);
+
+    const runStep = async (step, stepContext) => {
+      try {
+        return await this.dispatch(step.intent, this.stepQuery(step, query), stepContext, userId, history, options);
+      } catch (err) {
+        logger.error(`🧩 Plan step ${step.intent} failed:`, err.message);
+        return { message: `Sorry, I couldn't answer "${step.text || step.intent}" right now. Could you ask about it again?` };
+      }
+    };
+
+    const runWave = async (steps) => {
+      const before = structuredClone(context);
+      const results = await Promise.all(steps.map(async (step) => {
+        const stepContext = structuredClone(before);
+        return { response: await runStep(step, stepContext), stepContext };
+      }));
+
+      for (const { response, stepContext } of results) {
+        this.mergeStepContext(context, before, stepContext);
+        this.rememberShownParts(context, response);
+      }
+      return results.map(r => r.response);
+    };
+
+    const responses = await withTokenStream(null, async () => {
+      const done = [];
+      let wave = [];
+
+      for (const step of plan) {
+        if (PLAN_DEPENDENT_INTENTS.has(step.intent)) {
+          done.push(...await runWave(wave), ...await runWave([step]));
+          wave = [];
+        } else {
+          wave.push(step);
+        }
+      }
+      done.push(...await runWave(wave));
+      return done;
+    });
+
+    const response = this.mergeResponses(responses);
+    this.rememberShownParts(context, response);
+    return { ...response, plan: plan.map(s => s.intent) };
+  }
+
+  // Copy what a step changed into the shared context. Only one dialog or
+  // troubleshooting walk can wait for the next message: the earliest step's.
+  mergeStepContext(context, before, stepContext) {
+    for (const key of new Set([...Object.keys(before), ...Object.keys(stepContext)])) {
+      if (JSON.stringify(before[key]) === JSON.stringify(stepContext[key])) continue;
+
+      if (PLAN_OPEN_STATE.includes(key) && stepContext[key] && PLAN_OPEN_STATE.some(k => context[k])) {
+        logger.info(`🧩 Plan already waits on an answer, dropping the ${key} a later step opened`);
+        continue;
+      }
+      context[key] = stepContext[key];
+    }
+  }
+
+  // The step's own words, plus identifiers it refers to ("install it") that
+  // the classifier found elsewhere in the message
+  stepQuery(step, query) {
+    const text = step.text || query;
+    const missing = Object.values(step.entities || {})
+      .filter(value => !text.toUpperCase().includes(value.toUpperCase()));
+    return missing.length > 0 ? `${text} (${missing.join(', ')})` : text;
+  }
+
+  // One reply from several: messages in order, products and product cards
+  // without repeats, and each action once
+  mergeResponses(responses) {
+    const messages = [...new Set(responses.map(r => r.message).filter(Boolean))];
+
+    const seenProducts = new Set();
+    const products = responses.flatMap(r => r.products || []).filter(p => {
+      if (seenProducts.has(p.partNumber)) return false;
+      seenProducts.add(p.partNumber);
+      return true;
+    });
+
+    const actions = [];
+    const seenActions = new Set();
+    for (const action of responses.flatMap(r => r.actions || [])) {
+      const cards = action.type === 'product_cards' ? actions.find(a => a.type === 'product_cards') : null;
+      if (cards) {
+        const shown = new Set(cards.products.map(p => p.partNumber));
+        cards.products = [...cards.products, ...action.products.filter(p => !shown.has(p.partNumber))].slice(0, 5);
+        continue;
+      }
+
+      const key = JSON.stringify(action);
+      if (seenActions.has(key)) continue;
+      seenActions.add(key);
+      actions.push(action.type === 'product_cards' ? { ...action, products: [...action.products] } : action);
+    }
+
+    return {
+      message: messages.join('\n\n'),
+      products,
+      actions,
+      compatibility: responses.find(r => r.compatibility)?.compatibility
+    };
+  }
+
+  // Parts in this reply, so "add that to my cart" knows what "that" is. A
+  // part offered for the cart outranks the alternatives listed beside it.
+  rememberShownParts(context, response) {
+    const fromProducts = (response.products || []).map(p => ({ partNumber: p.partNumber, name: p.name }));
+    const fromActions = (response.actions || [])
+      .filter(a => a.type === 'add_to_cart' && a.partNumber)
+      .map(a => ({ partNumber: a.partNumber, name: a.name || a.partNumber }));
+
+    const shown = fromActions.length > 0 ? fromActions : fromProducts;
+    if (shown.length > 0) {
+      context.lastShownParts = shown.slice(0, 5);
+    }
+  }
+
+  formatResponse(agentResponse, intent) {
+    const response = {
+      message: agentResponse.message,
+      products: agentResponse.products || [],
+      actions: agentResponse.actions || [],
+      metadata: {
+        intent: intent.primary,
+        confidence: intent.confidence,
+        ...(intent.validationFailed && { intentValidationFailed: true }),
+        ...(agentResponse.compatibility && { compatibility: agentResponse.compatibility }),
+        ...(agentResponse.plan && { plan: agentResponse.plan })
+      }
+    };
+    
+    // Add completion actions if conversation seems complete
+    if (this.shouldOfferCompletion(agentResponse)) {
+      response.actions.push({
+        type: 'conversation_completion',
+        suggestions: [
+          "Find another part",
+          "Ask something else",
+          "Start new chat"
+        ]
+      });
+    }
+    
+    return response;
+  }
+
+  // Detect if conversation is wrapping up
+  shouldOfferCompletion(agentResponse) {
+    const message = agentResponse.message?.toLowerCase() || '';
+    
+    // Don't show completion if there are input prompts (conversation is ongoing)
+    const hasInputPrompt = agentResponse.actions?.some(a => 
+      a.type === 'input_prompt' || 
+      a.type === 'button_group' ||
+      a.type === 'next_steps' ||
+      a.type === 'troubleshooting_wizard'
+    );
+    
+    if (hasInputPrompt) {
+      return false; // Conversation is still active
+    }
+    
+    const completionIndicators = [
+      'you\'re welcome',
+      'you\'re very welcome',
+      'glad i could help',
+      'happy to help',
+      'let me know if you need',
+      'any other questions',
+      'anything else',
+      'feel free to',
+      'good luck with the repair',
+      'good luck with',
+      'hope this helps',
+      'if you run into any other issues',
+    ];
+    
+    return completionIndicators.some(indicator => message.includes(indicator));
+  }
+
+  async handleGeneralQuery(query, history) {
+    // Build rich context from recent messages
+    const conversationContext = history.length > 0
+      ? quoteHistory(history.slice(-5))
+      : '';
+
+    const systemPrompt = `You are a helpful PartSelect assistant. 
+
+  IMPORTANT: This is a follow-up question in an ongoing conversation. Use the conversation history to understand context and provide relevant advice.
+
+  Rules:
+  1. If they're asking about hiring a handyman/professional after troubleshooting advice, give honest practical advice
+  2. If they're asking "what about X" or "should I Y", refer to what was just discussed
+  3. Keep responses conversational and brief (2-4 sentences)
+  4. Don't repeat information already given
+  5. Focus on answering their specific question
+
+  Previous conversation:
+  ${conversationContext}
+
+  Current question: ${quoteUserText(query)}
+
+  Provide a helpful, contextual answer based on the conversation flow.
+
+  ${USER_TEXT_RULE}`;
+
+    const response = await callWithBreaker(query, history, {
+      agent: 'general',
+      stream: true,
+      systemPrompt,
+      temperature: 0.7,
+      maxTokens: 200
+    });
+    
+    return { message: response };
+  }
+
+  handleUnclassified() {
+    return {
+      message: "Sorry, I didn't quite catch what you need. Are you looking for a part, checking compatibility, fixing a problem, or asking about an order?",
+      actions: [{
+        type: 'suggestion',
+        suggestions: [
+          'Find a part',
+          'Check part compatibility',
+          'Troubleshoot a problem',
+          'Track my order'
+        ]
+      }]
+    };
+  }
+
+  // Answered without a model, so nothing the customer wrote can steer it
+  handleBlockedInput(hits) {
+    const response = this.formatResponse({
+      message: BLOCKED_INPUT_MESSAGE,
+      actions: [{
+        type: 'suggestion',
+        suggestions: [
+          'Find a part',
+          'Check part compatibility',
+          'Troubleshoot a problem',
+          'Track my order'
+        ]
+      }]
+    }, { primary: 'out_of_scope', confidence: 1 });
+
+    response.metadata.guardrail = { stage: 'input', action: 'block', hits };
+    return response;
+  }
+
+  async handleOutOfScope(query) {
+    return {
+      message: "I'm the PartSelect assistant, so I can only help with refrigerator and dishwasher parts — finding parts, checking compatibility, installation, troubleshooting and orders. What can I help you with?",
+      actions: []
+    };
+  }
+}
+
+module.exports = AgentOrchestrator;
@@ -0,0 +1,156 @@
+const logger = require('../logger');
+const { callWithBreaker } = require('../llm');
+const { extractLookupDetails } = require('../orders/lookup');
+const { normalizeRmaNumber } = require('../orders/returns');
+const { DialogManager } = require('../dialog/manager');
+const { orderSlots, orderPrompt } = require('../dialog/orderSlots');
+const ReturnsAgent = require('./returns');
+const SYSTEM_PROMPTS = require('../prompts');
+
+const STATUS_LABELS = {
+  processing: 'being processed',
+  shipped: 'shipped',
+  partially_shipped: 'partially shipped',
+  delivered: 'delivered',
+  cancelled: 'cancelled'
+};
+
+const SHIPMENT_LABELS = {
+  label_created: 'Label created',
+  in_transit: 'In transit',
+  out_for_delivery: 'Out for delivery',
+  delivered: 'Delivered',
+  exception: 'Delivery exception'
+};
+
+const formatDate = (value) => {
+  // Date-only values (estimated delivery) are calendar dates, not instants
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(`${value}T12:00:00Z`) : new Date(value);
+  return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+};
+
+// Order Support Agent
+//
+// Order tracking is the 'order_lookup' dialog: it needs the order number and
+// the email or ZIP the order shipped to (dialog/orderSlots.js), then looks
+// the order up in Postgres (orders/lookup.js). Returns are handed to
+// ReturnsAgent, which runs its own dialogs.
+class OrderSupportAgent {
+  constructor(dialogs = new DialogManager()) {
+    this.dialogs = dialogs;
+    this.returns = new ReturnsAgent(dialogs);
+
+    dialogs.register({
+      name: 'order_lookup',
+      intent: 'order_support',
+      slots: orderSlots({
+        prompt: () => ({
+          message: "I can help you track your order! Please enter your order number (e.g., ORD-104829) and the email address or ZIP code on the order.",
+          actions: [orderPrompt]
+        }),
+        onVerified: async (order) => ({ fill: { order } })
+      }),
+      complete: async (slots) => this.describeLookup(slots.order),
+      cancelled: "OK, I've stopped looking up that order."
+    });
+  }
+
+  async assist(query, context, history) {
+    if (this.dialogs.active(context)) {
+      return await this.dialogs.continue(query, context);
+    }
+
+    const orderIntent = await this.classifyOrderIntent(query);
+
+    if (orderIntent === 'return_request' || normalizeRmaNumber(query)) {
+      return await this.returns.handle(query, context);
+    }
+
+    switch(orderIntent) {
+      case 'track_order':
+        return await this.dialogs.start('order_lookup', query, context);
+      case 'shipping_info':
+        return await this.handleShippingInfo(query);
+      default:
+        // A bare order number is a tracking request
+        return extractLookupDetails(query).orderNumber
+          ? await this.dialogs.start('order_lookup', query, context)
+          : await this.handleGeneralOrderQuery(query, history);
+    }
+  }
+
+  async classifyOrderIntent(query) {
+    const intents = {
+      track: ['track', 'status', 'where is', 'shipped'],
+      return: ['return', 'refund', 'send back'],
+      shipping: ['shipping', 'delivery', 'how long', 'when will']
+    };
+
+    // "status of my return" is about the return, not the delivery
+    const lowerQuery = query.toLowerCase();
+    if (intents.return.some(kw => lowerQuery.includes(kw))) return 'return_request';
+    if (intents.track.some(kw => lowerQuery.includes(kw))) return 'track_order';
+    if (intents.shipping.some(kw => lowerQuery.includes(kw))) return 'shipping_info';
+    return 'general';
+  }
+
+  describeLookup(order) {
+    logger.info(`📦 Order ${order.orderNumber} found (${order.status})`);
+    return {
+      message: this.describeOrder(order),
+      actions: [{ type: 'order_status', ...order }]
+    };
+  }
+
+  describeOrder(order) {
+    const intro = `Order **${order.orderNumber}** (placed ${formatDate(order.placedAt)}) is **${STATUS_LABELS[order.status] || order.status}**.`;
+    const unshipped = order.items.filter(i => !i.trackingNumber).length;
+    const lines = [intro];
+
+    if (order.status === 'processing') {
+      lines.push("It hasn't shipped yet; most orders ship within 24 hours.");
+    }
+
+    for (const shipment of order.shipments) {
+      const latest = shipment.events[shipment.events.length - 1];
+      const parts = [`📦 ${shipment.carrier} ${shipment.trackingNumber}: ${SHIPMENT_LABELS[shipment.status] || shipment.status}`];
+      if (shipment.deliveredAt) {
+        parts.push(`on ${formatDate(shipment.deliveredAt)}`);
+      } else if (shipment.estimatedDelivery) {
+        parts.push(`(estimated delivery ${formatDate(shipment.estimatedDelivery)})`);
+      }
+      lines.push(parts.join(' '));
+      if (latest && !shipment.deliveredAt) {
+        lines.push(`Latest update: ${latest.description}${latest.location ? `, ${latest.location}` : ''} (${formatDate(latest.at)})`);
+      }
+    }
+
+    if (order.status === 'partially_shipped' && unshipped > 0) {
+      lines.push(`${unshipped} item${unshipped === 1 ? " hasn't" : "s haven't"} shipped yet.`);
+    }
+
+    return lines.join('\n\n');
+  }
+
+  async handleShippingInfo(query) {
+    return {
+      message: "PartSelect offers:\n\n" +
+               "📦 **Standard Shipping:** 5-7 business days (FREE over $50)\n" +
+               "🚚 **Expedited Shipping:** 2-3 business days\n" +
+               "⚡ **Express Shipping:** 1-2 business days\n\n" +
+               "Most orders ship within 24 hours!"
+    };
+  }
+
+  async handleGeneralOrderQuery(query, history) {
+    const response = await callWithBreaker(query, history, {
+      agent: 'order',
+      stream: true,
+      systemPrompt: SYSTEM_PROMPTS.orderSupport,
+      temperature: 0.7
+    });
+    return { message: response };
+  }
+}
+
+module.exports = OrderSupportAgent;
@@ -0,0 +1,121 @@
+jest.mock('../redis', () => require('../eval/fakeRedis').createRedisModule());
+jest.mock('../orders/lookup', () => ({
+  ...jest.requireActual('../orders/lookup'),
+  findOrder: jest.fn()
+}));
+
+const { redis } = require('../redis');
+const { findOrder } = require('../orders/lookup');
+const { MAX_REQUESTER_FAILURES, withRequester } = require('../orders/lookupLimit');
+const OrderSupportAgent = require('./orderSupport');
+
+const SHIPPED_ORDER = {
+  orderNumber: 'ORD-104829',
+  status: 'shipped',
+  placedAt: '2026-10-14T15:12:00.000Z',
+  total: 49.98,
+  items: [{ partNumber: 'PS11752778', name: 'Refrigerator Door Shelf Bin', quantity: 2, unitPrice: 24.99, trackingNumber: '1Z999AA10123456784' }],
+  shipments: [{
+    carrier: 'UPS',
+    trackingNumber: '1Z999AA10123456784',
+    status: 'in_transit',
+    estimatedDelivery: '2026-10-21',
+    deliveredAt: null,
+    events: [{ at: '2026-10-17T13:22:00Z', location: 'Hodgkins, IL', description: 'Arrived at facility' }]
+  }]
+};
+
+describe('OrderSupportAgent order lookup', () => {
+  const agent = new OrderSupportAgent();
+
+  beforeEach(() => {
+    findOrder.mockReset();
+    redis.flushall();
+  });
+
+  test('asks for the email or ZIP, then looks the order up', async () => {
+    const context = {};
+    findOrder.mockResolvedValue(SHIPPED_ORDER);
+
+    const first = await agent.assist('Where is my order ORD-104829?', context, []);
+    expect(first.message).toContain('email address or shipping ZIP code');
+    expect(context.dialog).toEqual({ flow: 'order_lookup', pending: 'verification', slots: { orderNumber: 'ORD-104829' } });
+    expect(findOrder).not.toHaveBeenCalled();
+
+    const second = await agent.assist('60614', context, []);
+    expect(findOrder).toHaveBeenCalledWith('ORD-104829', { email: null, zip: '60614' });
+    expect(second.message).toContain('Order **ORD-104829**');
+    expect(second.message).toContain('In transit (estimated delivery Oct 21)');
+    expect(second.actions[0]).toMatchObject({ type: 'order_status', orderNumber: 'ORD-104829', status: 'shipped' });
+    expect(context.dialog).toBeNull();
+  });
+
+  test('starts a lookup from a tracking question without an order number', async () => {
+    const context = {};
+    const response = await agent.assist('Can you track my package?', context, []);
+
+    expect(response.actions[0]).toMatchObject({ type: 'input_prompt', fields: ['order number', 'email or ZIP code'] });
+    expect(context.dialog).toMatchObject({ flow: 'order_lookup', pending: 'orderNumber' });
+  });
+
+  test('does not say which detail was wrong and stops after repeated failures', async () => {
+    const context = {};
+    findOrder.mockResolvedValue(null);
+
+    const miss = await agent.assist('ORD-104829 someone@else.com', context, []);
+    expect(miss.message).toContain("couldn't find an order **ORD-104829** with that email or ZIP code");
+
+    for (const zip of ['60601', '60602', '60603', '60604']) {
+      await agent.assist(`ORD-104829 ${zip}`, context, []);
+    }
+    const blocked = await agent.assist('ORD-104829 60614', context, []);
+    expect(blocked.message).toContain("wasn't able to verify");
+    expect(findOrder).toHaveBeenCalledTimes(5);
+  });
+
+  test('keeps an order locked for the same requester in a new conversation', async () => {
+    findOrder.mockResolvedValue(null);
+    await withRequester('203.0.113.7', async () => {
+      for (const zip of ['60601', '60602', '60603', '60604', '60605']) {
+        await agent.assist(`ORD-104829 ${zip}`, {}, []);
+      }
+    });
+
+    // A fresh context, as after a new chat or a new session
+    findOrder.mockResolvedValue(SHIPPED_ORDER);
+    const blocked = await withRequester('203.0.113.7', () => agent.assist('ORD-104829 60614', {}, []));
+    expect(blocked.message).toContain("wasn't able to verify");
+    expect(findOrder).toHaveBeenCalledTimes(5);
+
+    // Other orders can still be looked up
+    await withRequester('203.0.113.7', () => agent.assist('ORD-104830 60614', {}, []));
+    expect(findOrder).toHaveBeenLastCalledWith('ORD-104830', { email: null, zip: '60614' });
+  });
+
+  test("another requester's failures don't lock the owner out", async () => {
+    findOrder.mockResolvedValue(null);
+    await withRequester('203.0.113.7', async () => {
+      for (const zip of ['60601', '60602', '60603', '60604', '60605']) {
+        await agent.assist(`ORD-104829 ${zip}`, {}, []);
+      }
+    });
+
+    findOrder.mockResolvedValue(SHIPPED_ORDER);
+    const owner = await withRequester('198.51.100.20', () => agent.assist('ORD-104829 60614', {}, []));
+    expect(owner.message).toContain('Order **ORD-104829**');
+  });
+
+  test('stops a requester trying many order numbers', async () => {
+    findOrder.mockResolvedValue(null);
+    await withRequester('203.0.113.7', async () => {
+      for (let i = 0; i < MAX_REQUESTER_FAILURES; i++) {
+        await agent.assist(`ORD-${200000 + i} 60614`, {}, []);
+      }
+    });
+    expect(findOrder).toHaveBeenCalledTimes(MAX_REQUESTER_FAILURES);
+
+    const blocked = await withRequester('203.0.113.7', () => agent.assist('ORD-300000 60614', {}, []));
+    expect(blocked.message).toContain("wasn't able to verify");
+    expect(findOrder).toHaveBeenCalledTimes(MAX_REQUESTER_FAILURES);
+  });
+});
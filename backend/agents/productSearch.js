@@ -0,0 +1,353 @@
+const logger = require('../logger');
+const { callWithBreaker } = require('../llm');
+const { callStructured } = require('../llm/structured');
+const { safeRedisGet, safeRedisSet } = require('../redis');
+const { retry } = require('../helpers');
+const { searchParts, searchPartsForModel } = require('../search');
+const { extractModelNumber, normalizeModelNumber } = require('../catalog/models');
+const { findPartReference, describeSupersession } = require('../catalog/parts');
+const SYSTEM_PROMPTS = require('../prompts');
+const { USER_TEXT_RULE, quoteUserText, quoteHistory } = require('../guardrails');
+
+const SEARCH_PARAMS_SCHEMA = {
+  type: 'object',
+  properties: {
+    part_number: { type: ['string', 'null'] },
+    model_number: { type: ['string', 'null'] },
+    keywords: { type: 'array', items: { type: 'string' } },
+    appliance_type: { enum: ['refrigerator', 'dishwasher', null] },
+    category: { type: ['string', 'null'] }
+  },
+  required: ['keywords']
+};
+
+// Words that say "find parts" rather than which part
+const GENERIC_SEARCH_TERMS = new Set([
+  'a', 'an', 'the', 'for', 'my', 'me', 'i', 'to', 'of', 'with', 'on', 'in',
+  'part', 'parts', 'find', 'need', 'show', 'looking', 'search', 'compatible',
+  'fit', 'fits', 'model', 'what', 'which', 'any', 'all', 'available', 'some'
+]);
+
+// Product Search Agent
+class ProductSearchAgent {
+  async search(query, context, history) {
+    try {
+      const lastAssistant = history.slice().reverse().find(h => h.role === 'assistant');
+      let searchParams;
+      
+      if (lastAssistant && lastAssistant.content.includes('search for parts')) {
+        const modelNumber = extractModelNumber(lastAssistant.content);
+        if (modelNumber) {
+          searchParams = {
+            keywords: [],
+            appliance_type: null,
+            model_number: modelNumber
+          };
+        } else {
+          searchParams = await this.extractSearchParams(query);
+        }
+      } else {
+        searchParams = await this.extractSearchParams(query);
+      }
+      
+      // NEW: If no specific search criteria, ask for model number
+      if (!searchParams.model_number && 
+          (!searchParams.keywords || searchParams.keywords.length === 0 || 
+          searchParams.keywords.join(' ').toLowerCase().includes('find parts'))) {
+        return {
+          message: "I'd be happy to help you find parts! What's your appliance model number?\n\n(It's usually on a sticker inside the fridge compartment or on the door frame)",
+          products: [],
+          actions: [{
+            type: 'input_prompt',
+            field: 'model_number',
+            placeholder: 'Enter model number (e.g. WDT780SAEM1)'
+          }]
+        };
+      }
+      
+      // A model number scopes the search to parts listed for that model
+      if (searchParams.model_number) {
+        return await this.searchByModel(searchParams);
+      }
+
+      const products = await this.searchProductDatabase(searchParams);
+      
+      // If no products found, use AI to provide helpful info
+      if (products.length === 0) {
+        const aiSuggestion = await this.getAISuggestion(query, searchParams, history);
+        return {
+          message: aiSuggestion,
+          products: [],
+          actions: []
+        };
+      }
+      
+      const found = products.length > 0 
+        ? `I found ${products.length} parts matching your search. Take a look below!`
+        : await this.generateSearchResponse(query, products, searchParams);
+      const supersession = describeSupersession(searchParams.part_reference);
+      const message = supersession ? `${supersession}\n\n${found}` : found;
+      
+      return {
+        message,
+        products,
+        actions: [{
+          type: 'product_cards',
+          products: products.slice(0, 5)
+        }]
+      };
+    } catch (error) {
+      logger.error('ProductSearchAgent.search error:', error);
+      return {
+        message: "I'm having trouble right now. Could you tell me more about what part you're looking for?",
+        products: [],
+        actions: []
+      };
+    }
+  }
+
+  // Parts listed for the model in part_compatibility, narrowed by any keywords
+  async searchByModel(searchParams) {
+    const modelNumber = normalizeModelNumber(searchParams.model_number);
+    const narrowing = (searchParams.keywords || [])
+      .map(w => w.replace(/[^\w-]/g, ''))
+      .filter(w => w && !GENERIC_SEARCH_TERMS.has(w.toLowerCase()) && normalizeModelNumber(w) !== modelNumber)
+      .join(' ');
+
+    const result = await searchPartsForModel({
+      modelNumber,
+      query: narrowing,
+      applianceType: searchParams.appliance_type || null
+    });
+
+    if (result.totalForModel === 0) {
+      return {
+        message: `I couldn't find any parts listed for model **${modelNumber}**. Could you double-check the model number? It's usually on a sticker inside the door or on the frame.`,
+        products: [],
+        actions: [{
+          type: 'input_prompt',
+          field: 'model_number',
+          placeholder: 'Enter model number (e.g. WDT780SAEM1)'
+        }]
+      };
+    }
+
+    if (result.parts.length === 0) {
+      const all = await searchPartsForModel({ modelNumber });
+      const categories = all.groups.map(g => g.category);
+
+      return {
+        message: `None of the ${result.totalForModel} parts listed for **${modelNumber}** match "${narrowing}". Parts for this model fall under: ${categories.join(', ')}.`,
+        products: [],
+        actions: [{
+          type: 'suggestion',
+          suggestions: categories.map(c => `${c} for ${modelNumber}`)
+        }]
+      };
+    }
+
+    const products = this.formatProducts(result.parts)
+      .map(p => ({ ...p, compatibility: [modelNumber] }));
+    const summary = result.groups
+      .map(g => `• **${g.category}** (${g.parts.length})`)
+      .join('\n');
+
+    const message = narrowing
+      ? `I found ${products.length} part${products.length === 1 ? '' : 's'} matching "${narrowing}" that ${products.length === 1 ? 'is' : 'are'} listed for your **${modelNumber}**:\n\n${summary}`
+      : `Here are the parts listed for your **${modelNumber}**, by category:\n\n${summary}`;
+
+    return {
+      message,
+      products,
+      actions: [{
+        type: 'product_cards',
+        products: products.slice(0, 5)
+      }]
+    };
+  }
+
+  // Get AI suggestion when no products found
+  async getAISuggestion(query, searchParams, history) {
+    const conversationContext = history.length > 0
+      ? quoteHistory(history.slice(-3))
+      : '';
+
+    const prompt = `A customer is looking for appliance parts but we don't have specific products available right now.
+
+  Customer query: ${quoteUserText(query)}
+  ${searchParams.model_number ? `Model number: ${searchParams.model_number}` : ''}
+  ${conversationContext ? `\nRecent conversation:\n${conversationContext}` : ''}
+
+  Provide a helpful response that:
+  1. Acknowledges what they're looking for
+  2. Suggests common parts that typically fit this model/need (use your knowledge)
+  3. Offers to help them troubleshoot or find the right part
+
+  Keep it conversational and helpful (3-4 sentences). DO NOT mention "database" or "our inventory".`;
+
+    try {
+      const response = await callWithBreaker(prompt, history, {
+        agent: 'product',
+        stream: true,
+        temperature: 0.7,
+        maxTokens: 200,
+        systemPrompt: SYSTEM_PROMPTS.default
+      });
+      return response;
+    } catch (error) {
+      logger.error('getAISuggestion failed:', error);
+      return `I'd be happy to help you find parts for your ${searchParams.model_number || 'appliance'}. Could you tell me more about what you're looking for? For example, what issue are you experiencing or what part needs replacement?`;
+    }
+  }
+
+  async extractSearchParams(query) {
+    // Normalize text
+    const cleaned = query.trim();
+    // Known part numbers first: OEM numbers like WPW10321304 look like models
+    const partRef = await findPartReference(cleaned);
+    const partToken = partRef?.token.toUpperCase();
+    const modelMatch = [...cleaned.matchAll(/[A-Z]{3}\d{3,7}[A-Z0-9]{2,}(?:-[A-Z0-9]{1,2})?/gi)]  // WDT780SAEM1, WRS325SDHZ-01 etc.
+      .find(m => m[0].toUpperCase() !== partToken);
+    const partMatch = cleaned.match(/\bPS\d{6,8}\b/i);
+
+    // Local quick-parse logic first
+    if (modelMatch || partMatch || partRef) {
+      const result = {
+        part_number: partRef?.partNumber || (partMatch ? partMatch[0].toUpperCase() : null),
+        part_reference: partRef,
+        model_number: modelMatch ? normalizeModelNumber(modelMatch[0]) : null,
+        keywords: cleaned
+          .split(/\s+/)
+          .filter(w => !w.match(/[A-Z]{3}\d{3,7}[A-Z0-9]{2,}/i) && !w.match(/\bPS\d{6,8}\b/i)),
+        appliance_type: null,
+        category: null,
+      };
+
+      // If user only typed “WDT780SAEM1” or similar, treat it as model search
+      if (result.model_number && result.keywords.length === 0) {
+        result.keywords.push(result.model_number);
+      }
+
+      return result;
+    }
+
+    // Otherwise, call AI to interpret natural language (fallback)
+    const prompt = `
+  Extract appliance search intent from this sentence:
+
+  ${quoteUserText(query)}
+
+  Return JSON with:
+  {
+    "part_number": "string or null",
+    "model_number": "string or null",
+    "keywords": ["keywords..."],
+    "appliance_type": "refrigerator or dishwasher or null",
+    "category": "category name or null"
+  }
+
+  If the user only says something general like "I need a shelf bin", 
+  guess reasonable keywords but don't fabricate a model number.`;
+
+    try {
+      return await callStructured(prompt, [], {
+        agent: 'product',
+        task: 'search_params',
+        schema: SEARCH_PARAMS_SCHEMA,
+        schemaName: 'search_params',
+        temperature: 0.5,           // a bit more creative
+        maxTokens: 150,
+        systemPrompt: `You are a friendly appliance parts assistant extracting useful search info.
+
+${USER_TEXT_RULE}`
+      });
+    } catch (err) {
+      logger.warn('extractSearchParams fallback used:', err.message);
+      return { keywords: cleaned.split(/\s+/), appliance_type: null, category: null };
+    }
+  }
+
+
+  async searchProductDatabase(params) {
+    try {
+      const query = [params.part_number, ...(params.keywords || [])].filter(Boolean).join(' ');
+      if (!query) return [];
+
+      // Build a cache key based on query parameters
+      const cacheKey = `product:${params.appliance_type || 'any'}:${query.toLowerCase().replace(/\s+/g, '-')}`;
+
+      // Try Redis cache first
+      const cached = await safeRedisGet(cacheKey);
+      if (cached) {
+        logger.info(`⚡ Redis cache hit for ${cacheKey}`);
+        return cached;
+      }
+
+      logger.info(`🧭 Redis cache miss for ${cacheKey}`);
+
+      // Hybrid exact + full-text + vector search
+      const rows = await retry(() => searchParts({
+        query,
+        applianceType: params.appliance_type || null,
+        limit: 5
+      }));
+      const products = this.formatProducts(rows);
+
+      // Cache result for 24 hours (86400 seconds)
+      await safeRedisSet(cacheKey, products, 86400);
+
+      return products;
+    } catch (err) {
+      logger.error('Product search error:', err);
+      return [];
+    }
+  }
+
+  formatProducts(rows) {
+    return rows.map(p => ({
+      partNumber: p.part_number,
+      name: p.name,
+      description: p.description,
+      price: parseFloat(p.price || 0),
+      inStock: p.in_stock ?? true,
+      imageUrl: p.image_url || '/placeholder-part.png',
+      productUrl: `https://www.partselect.com/${p.part_number}.htm`,
+      rating: p.rating || 4.3,
+      reviews: p.review_count || 19,
+      relevance: p.relevance,
+      compatibility: []
+    }));
+  }
+
+  async generateSearchResponse(query, products, params) {
+    if (products.length === 0) {
+      return "I don't have specific product listings for that at the moment, but I can help you find the right parts. Could you tell me more about what you need? For example:\n\n• What's the issue you're experiencing?\n• What part are you looking to replace?\n• Do you have your appliance model number?";
+    }
+
+    const prompt = `Generate a helpful response for a customer searching for parts.
+
+  Query: ${quoteUserText(query)}
+  Found ${products.length} products.
+
+  Create a brief, friendly message (2-3 sentences) that:
+  1. Confirms what they're looking for
+  2. Mentions how many results were found
+  3. Invites them to view the products
+
+  DO NOT mention "database" or "checking database". Be conversational.`;
+
+    try {
+      const response = await callWithBreaker(prompt, [], { 
+        agent: 'product',
+        temperature: 0.7, 
+        maxTokens: 150
+      });
+      return response;
+    } catch (error) {
+      logger.error('generateSearchResponse failed:', error.message);
+      return `I found ${products.length} compatible parts for you. Take a look at the options below!`;
+    }
+  }
+}
+
+module.exports = ProductSearchAgent;
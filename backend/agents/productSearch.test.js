@@ -0,0 +1,54 @@
+jest.mock('../search', () => ({
+  searchParts: jest.fn(),
+  searchPartsForModel: jest.fn()
+}));
+jest.mock('../redis', () => ({
+  safeRedisGet: jest.fn(async () => null),
+  safeRedisSet: jest.fn(async () => {})
+}));
+
+const { searchPartsForModel } = require('../search');
+const ProductSearchAgent = require('./productSearch');
+
+const DOOR_BIN = {
+  id: 1,
+  part_number: 'PS11752778',
+  name: 'Refrigerator Door Shelf Bin',
+  price: '24.99',
+  category: 'Door Bin'
+};
+
+describe('ProductSearchAgent model-scoped search', () => {
+  const agent = new ProductSearchAgent();
+
+  beforeEach(() => {
+    searchPartsForModel.mockReset();
+  });
+
+  test('narrows by keywords within the parts listed for the model', async () => {
+    searchPartsForModel.mockResolvedValue({
+      modelNumber: 'WRS325SDHZ01',
+      totalForModel: 4,
+      parts: [DOOR_BIN],
+      groups: [{ category: 'Door Bin', parts: [DOOR_BIN] }]
+    });
+
+    const response = await agent.search('door bin for WRS325SDHZ01', {}, []);
+
+    expect(searchPartsForModel).toHaveBeenCalledWith(expect.objectContaining({
+      modelNumber: 'WRS325SDHZ01',
+      query: 'door bin'
+    }));
+    expect(response.message).toContain('listed for your **WRS325SDHZ01**');
+    expect(response.products[0]).toMatchObject({ partNumber: 'PS11752778', compatibility: ['WRS325SDHZ01'] });
+  });
+
+  test('does not claim compatible parts for an unknown model', async () => {
+    searchPartsForModel.mockResolvedValue({ modelNumber: 'ABC123XYZ', totalForModel: 0, parts: [], groups: [] });
+
+    const response = await agent.search('parts for ABC123XYZ', {}, []);
+
+    expect(response.products).toEqual([]);
+    expect(response.message).toMatch(/couldn't find any parts listed for model \*\*ABC123XYZ\*\*/);
+  });
+});
@@ -0,0 +1,312 @@
+const logger = require('../logger');
+const { extractLookupDetails, findOrder } = require('../orders/lookup');
+const {
+  RETURN_WINDOW_DAYS,
+  CONDITIONS,
+  normalizeRmaNumber,
+  checkItemEligibility,
+  checkCondition,
+  findOpenReturns,
+  createReturn,
+  findReturns,
+  findReturnsByNumber
+} = require('../orders/returns');
+const { DialogManager } = require('../dialog/manager');
+const { orderSlots, orderPrompt } = require('../dialog/orderSlots');
+const { isLookupLocked, recordLookupFailure, clearLookupFailures } = require('../orders/lookupLimit');
+
+const STATUS_PATTERN = /\b(status|where('s| is)|has .* (arrived|been received)|refund(ed)? yet|RMA-?[0-9a-f]{6})\b/i;
+const POLICY_PATTERN = /\bpolicy\b/i;
+
+// First match wins, so "never used" is unused rather than used
+const CONDITION_KEYWORDS = [
+  { condition: 'defective', pattern: /\b(defective|broken|damaged|doesn'?t work|not working|faulty|cracked)\b/i },
+  { condition: 'unused', pattern: /\b(unused|unopened|new|sealed|never used|original packaging)\b/i },
+  { condition: 'installed', pattern: /\b(installed|used|fitted)\b/i }
+];
+
+const REASON_SUGGESTIONS = [
+  "Wrong part / doesn't fit",
+  'Part is defective',
+  'Arrived damaged',
+  'Ordered by mistake',
+  'No longer needed'
+];
+
+const MAX_REASON_LENGTH = 500;
+
+const itemLabel = (item) => `${item.name} (${item.partNumber})`;
+
+const itemSummary = ({ id, partNumber, name }) => ({ id, partNumber, name });
+
+// Returns Agent
+//
+// A return is the 'return' dialog, one question per turn:
+//
+//   order number + email/ZIP → item → condition → reason → RMA issued
+//
+// The order is verified like tracking does (dialog/orderSlots.js); the item
+// question is skipped when only one line is returnable. Eligibility is
+// checked on the line (delivered, within RETURN_WINDOW_DAYS of purchase, no
+// open RMA) and again on the condition (installed parts only if defective).
+// "Where's my return?" is the 'return_status' dialog.
+class ReturnsAgent {
+  constructor(dialogs = new DialogManager()) {
+    this.dialogs = dialogs;
+
+    dialogs.register({
+      name: 'return',
+      intent: 'order_support',
+      slots: [
+        ...orderSlots({
+          prompt: (slots, { retry }) => ({
+            message: retry
+              ? "I'll need both the order number and the email address or ZIP code on the order."
+              : `I can help you return a part. Parts can be returned within ${RETURN_WINDOW_DAYS} days of purchase. First, what's your order number and the email address or ZIP code on the order?`,
+            actions: [orderPrompt]
+          }),
+          onVerified: (order) => this.returnableItems(order)
+        }),
+        {
+          name: 'item',
+          extract: (query, { slots, pending }) => this.matchItem(query, slots.order, pending),
+          validate: (itemId, slots) => this.checkItem(itemId, slots),
+          prompt: (slots, { retry }) => ({
+            message: retry
+              ? 'Sorry, which item did you mean? Pick one below.'
+              : `Which item from order **${slots.order.orderNumber}** would you like to return?`,
+            actions: [{ type: 'suggestion', suggestions: slots.order.items.map(itemLabel) }]
+          })
+        },
+        {
+          name: 'condition',
+          extract: (query, { pending }) => (pending ? this.matchCondition(query) : null),
+          validate: (condition) => this.checkCondition(condition),
+          prompt: (slots, { retry }) => ({
+            message: retry
+              ? 'Sorry, which of these best describes the part?'
+              : `What condition is the **${slots.order.items.find(i => i.id === slots.item).name}** in?`,
+            actions: [{ type: 'suggestion', suggestions: Object.values(CONDITIONS) }]
+          })
+        },
+        {
+          name: 'reason',
+          // Free text, but a question means the customer moved on
+          extract: (query, { pending }) => {
+            const reason = query.trim().slice(0, MAX_REASON_LENGTH);
+            return pending && reason && !reason.endsWith('?') ? reason : null;
+          },
+          prompt: () => ({
+            message: 'Why are you returning it?',
+            actions: [{ type: 'suggestion', suggestions: REASON_SUGGESTIONS }]
+          })
+        }
+      ],
+      complete: (slots, context) => this.issueReturn(slots, context),
+      cancelled: "OK, I've stopped the return request. Nothing was submitted."
+    });
+
+    dialogs.register({
+      name: 'return_status',
+      intent: 'order_support',
+      extract: (query) => {
+        const details = extractLookupDetails(query);
+        const rmaNumber = normalizeRmaNumber(query);
+        return {
+          reference: rmaNumber || details.orderNumber ? { rmaNumber, orderNumber: rmaNumber ? null : details.orderNumber } : null,
+          verification: details.email || details.zip ? { email: details.email, zip: details.zip } : null
+        };
+      },
+      slots: [
+        {
+          name: 'reference',
+          correctable: true,
+          // Returns opened in this session are already verified
+          validate: async (reference, slots, context) => (reference.rmaNumber && (context.returns || []).includes(reference.rmaNumber)
+            ? { end: this.describeReturns(await findReturnsByNumber([reference.rmaNumber])) }
+            : { value: reference }),
+          prompt: () => this.statusPrompt()
+        },
+        { name: 'verification', correctable: true, prompt: () => this.statusPrompt() }
+      ],
+      complete: (slots, context) => this.returnStatus(slots, context),
+      cancelled: 'OK. What else can I help you with?'
+    });
+  }
+
+  async handle(query, context) {
+    if (this.dialogs.active(context)) {
+      return await this.dialogs.continue(query, context);
+    }
+    if (POLICY_PATTERN.test(query)) return this.describePolicy();
+
+    if (STATUS_PATTERN.test(query)) {
+      const known = context.returns || [];
+      if (known.length > 0 && !normalizeRmaNumber(query) && !extractLookupDetails(query).orderNumber) {
+        return this.describeReturns(await findReturnsByNumber(known));
+      }
+      return await this.dialogs.start('return_status', query, context);
+    }
+
+    return await this.dialogs.start('return', query, context);
+  }
+
+  describePolicy() {
+    return {
+      message: "Here's how PartSelect returns work:\n\n" +
+               `• Parts can be returned within **${RETURN_WINDOW_DAYS} days** of purchase, once they've been delivered\n` +
+               '• Unused parts in their original packaging get a full refund\n' +
+               '• Installed parts can only be returned if they are defective\n' +
+               "• You'll get an RMA number and a printable return slip to pack with the part\n" +
+               '• Refunds go to the original payment method once the part is received and inspected',
+      actions: [{
+        type: 'button_group',
+        buttons: [{ label: 'Start Return', action: 'initiate_return' }]
+      }]
+    };
+  }
+
+  // Once the order is verified: which lines can go back. A single
+  // returnable line answers the item question.
+  async returnableItems(order) {
+    const openReturns = await findOpenReturns(order.items.map(i => i.id));
+    const checked = order.items.map(item => ({ item, ...checkItemEligibility(order, item, { openReturns }) }));
+    const returnable = checked.filter(c => c.eligible).map(c => c.item);
+    const notReturnable = checked
+      .filter(c => !c.eligible)
+      .map(c => `• ${itemLabel(c.item)}: ${c.reason}`);
+
+    if (returnable.length === 0) {
+      return { end: { message: `Nothing on order **${order.orderNumber}** can be returned right now:\n\n${notReturnable.join('\n')}` } };
+    }
+
+    return {
+      fill: {
+        order: { orderNumber: order.orderNumber, items: returnable.map(itemSummary) },
+        item: returnable.length === 1 ? returnable[0].id : null
+      },
+      note: notReturnable.length > 0 ? `These items can't be returned:\n${notReturnable.join('\n')}` : null
+    };
+  }
+
+  matchItem(query, order, pending) {
+    if (!order) return null;
+    const reply = query.trim().toLowerCase();
+    const item = order.items.find(i => reply.includes(i.partNumber.toLowerCase())) ||
+      (pending ? order.items.find(i => itemLabel(i).toLowerCase() === reply || i.name.toLowerCase() === reply) : null);
+    return item ? item.id : null;
+  }
+
+  async checkItem(itemId, slots) {
+    const order = await findOrder(slots.orderNumber, slots.verification);
+    const item = order?.items.find(i => i.id === itemId);
+    if (!item) {
+      return { end: { message: "Sorry, I couldn't load that order again. Please start the return over." } };
+    }
+
+    const openReturns = await findOpenReturns([item.id]);
+    const check = checkItemEligibility(order, item, { openReturns });
+    if (!check.eligible) {
+      return {
+        error: {
+          message: `**${itemLabel(item)}** can't be returned because ${check.reason}. Would you like to return a different item?`,
+          actions: [{ type: 'suggestion', suggestions: slots.order.items.filter(i => i.id !== item.id).map(itemLabel) }]
+        }
+      };
+    }
+    return { value: itemId };
+  }
+
+  matchCondition(query) {
+    const reply = query.trim().toLowerCase();
+    return Object.keys(CONDITIONS).find(key => CONDITIONS[key].toLowerCase() === reply) ||
+      CONDITION_KEYWORDS.find(k => k.pattern.test(query))?.condition || null;
+  }
+
+  checkCondition(condition) {
+    const check = checkCondition(condition);
+    if (!check.eligible) {
+      // Ask again: "actually it's defective" should still work
+      return {
+        error: {
+          message: `Sorry, ${check.reason}. If the part doesn't work, choose "${CONDITIONS.defective}".`,
+          actions: [{ type: 'suggestion', suggestions: [CONDITIONS.defective, 'Cancel return'] }]
+        }
+      };
+    }
+    return { value: condition };
+  }
+
+  async issueReturn(slots, context) {
+    // Check again: the order or an earlier return may have changed mid-flow
+    const order = await findOrder(slots.orderNumber, slots.verification);
+    const item = order?.items.find(i => i.id === slots.item);
+    const openReturns = item ? await findOpenReturns([item.id]) : new Map();
+    const check = item ? checkItemEligibility(order, item, { openReturns }) : { eligible: false, reason: 'the order could not be loaded' };
+
+    if (!check.eligible) {
+      return { message: `Sorry, I can't open this return because ${check.reason}.` };
+    }
+
+    const ret = await createReturn({ orderNumber: order.orderNumber, item, condition: slots.condition, reason: slots.reason });
+    if (!ret) {
+      // Another request opened a return for this line since the check above
+      const existing = (await findOpenReturns([item.id])).get(item.id);
+      return { message: `Sorry, I can't open this return because it already has return ${existing || 'in progress'}.` };
+    }
+    context.returns = [...(context.returns || []), ret.rmaNumber].slice(-10);
+    logger.info(`↩️ Issued ${ret.rmaNumber} for ${order.orderNumber} / ${item.partNumber} (${slots.condition})`);
+
+    return {
+      message: `Your return is approved. Your RMA number is **${ret.rmaNumber}**.\n\n` +
+               "Print the return slip below, pack it with the part, and write the RMA number on the outside of the box. " +
+               `Your refund of **$${ret.refundAmount.toFixed(2)}** goes to the original payment method once we receive and inspect the part.`,
+      actions: [{ type: 'return_slip', ...ret }]
+    };
+  }
+
+  statusPrompt() {
+    return {
+      message: 'To check on a return, please give me your RMA number (e.g. RMA-4F2A9C) or order number, and the email address or ZIP code on the order.',
+      actions: [{
+        type: 'input_prompt',
+        fields: ['RMA or order number', 'email or ZIP code'],
+        placeholder: 'Enter RMA or order number'
+      }]
+    };
+  }
+
+  async returnStatus({ reference, verification }, context) {
+    const number = reference.rmaNumber || reference.orderNumber;
+    if (await isLookupLocked(number)) {
+      return { message: "I wasn't able to verify that return. For your security I can't check more details here, but our support team can help you with it." };
+    }
+
+    const returns = await findReturns(reference, verification);
+    if (returns.length === 0) {
+      const failures = await recordLookupFailure(number);
+      logger.warn(`↩️ Return lookup failed for ${number} (${failures} failures)`);
+      return { message: `I couldn't find a return for **${number}** with that email or ZIP code. Please check both and try again.` };
+    }
+
+    await clearLookupFailures(number);
+    return this.describeReturns(returns);
+  }
+
+  describeReturns(returns) {
+    if (returns.length === 0) {
+      return { message: "I couldn't find that return. Please check the RMA number and try again." };
+    }
+
+    const lines = returns.map(r =>
+      `• **${r.rmaNumber}**: ${r.name} (${r.partNumber}), order ${r.orderNumber}: **${r.statusLabel}**`
+    );
+
+    return {
+      message: `${returns.length === 1 ? 'Here is your return' : 'Here are your returns'}:\n\n${lines.join('\n')}`,
+      actions: returns.map(r => ({ type: 'return_slip', ...r }))
+    };
+  }
+}
+
+module.exports = ReturnsAgent;
@@ -0,0 +1,127 @@
+jest.mock('../redis', () => require('../eval/fakeRedis').createRedisModule());
+jest.mock('../orders/lookup', () => ({
+  ...jest.requireActual('../orders/lookup'),
+  findOrder: jest.fn()
+}));
+jest.mock('../orders/returns', () => ({
+  ...jest.requireActual('../orders/returns'),
+  findOpenReturns: jest.fn(async () => new Map()),
+  createReturn: jest.fn(),
+  findReturns: jest.fn(),
+  findReturnsByNumber: jest.fn()
+}));
+
+const { findOrder } = require('../orders/lookup');
+const { createReturn, findReturns } = require('../orders/returns');
+const ReturnsAgent = require('./returns');
+
+const placedAt = new Date(Date.now() - 5 * 24 * 60 * 60 * 1000).toISOString();
+
+const ORDER = {
+  orderNumber: 'ORD-104832',
+  status: 'partially_shipped',
+  placedAt,
+  items: [
+    { id: 21, partNumber: 'PS11757304', name: 'Washing Machine Drain Pump', quantity: 1, unitPrice: 59.99, trackingNumber: '6129' },
+    { id: 22, partNumber: 'PS11752778', name: 'Refrigerator Door Shelf Bin', quantity: 1, unitPrice: 24.99, trackingNumber: null }
+  ],
+  shipments: [{ trackingNumber: '6129', status: 'delivered' }]
+};
+
+const RETURN = {
+  rmaNumber: 'RMA-4F2A9C',
+  orderNumber: 'ORD-104832',
+  partNumber: 'PS11757304',
+  name: 'Washing Machine Drain Pump',
+  status: 'issued',
+  statusLabel: 'Approved, waiting for the part to arrive',
+  refundAmount: 59.99,
+  slipPath: '/returns/RMA-4F2A9C/slip?token=abc'
+};
+
+describe('ReturnsAgent', () => {
+  const agent = new ReturnsAgent();
+
+  beforeEach(() => {
+    findOrder.mockReset();
+    createReturn.mockReset();
+    findReturns.mockReset();
+  });
+
+  test('walks order → condition → reason and issues an RMA', async () => {
+    const context = {};
+    findOrder.mockResolvedValue(ORDER);
+    createReturn.mockResolvedValue(RETURN);
+
+    const first = await agent.handle('I would like to start a return', context);
+    expect(first.message).toContain("what's your order number");
+    expect(context.dialog).toMatchObject({ flow: 'return', pending: 'orderNumber' });
+
+    // Only the delivered pump is returnable, so the item step is skipped
+    const second = await agent.handle('ORD-104832 jane.doe@example.com', context);
+    expect(second.message).toContain('What condition is the **Washing Machine Drain Pump** in?');
+    expect(second.message).toContain("Refrigerator Door Shelf Bin (PS11752778): it hasn't shipped yet");
+    expect(context.dialog).toMatchObject({ flow: 'return', pending: 'condition', slots: { item: 21 } });
+
+    const third = await agent.handle('It was never used', context);
+    expect(third.message).toBe('Why are you returning it?');
+
+    const fourth = await agent.handle('Ordered by mistake', context);
+    expect(createReturn).toHaveBeenCalledWith({
+      orderNumber: 'ORD-104832', item: ORDER.items[0], condition: 'unused', reason: 'Ordered by mistake'
+    });
+    expect(fourth.message).toContain('Your RMA number is **RMA-4F2A9C**');
+    expect(fourth.actions[0]).toMatchObject({ type: 'return_slip', rmaNumber: 'RMA-4F2A9C' });
+    expect(context.dialog).toBeNull();
+    expect(context.returns).toEqual(['RMA-4F2A9C']);
+  });
+
+  test('refuses installed parts but lets the customer say it is defective', async () => {
+    const context = {
+      dialog: {
+        flow: 'return',
+        pending: 'condition',
+        slots: {
+          orderNumber: 'ORD-104832',
+          verification: { email: null, zip: '60614' },
+          order: { orderNumber: 'ORD-104832', items: [{ id: 21, partNumber: 'PS11757304', name: 'Washing Machine Drain Pump' }] },
+          item: 21
+        }
+      }
+    };
+
+    const response = await agent.handle('Installed or used, and working', context);
+
+    expect(response.message).toContain('installed parts can only be returned if they are defective');
+    expect(context.dialog.pending).toBe('condition');
+    expect(await agent.dialogs.claims("actually it's broken", context)).toBe(true);
+    expect(await agent.dialogs.claims('Do you sell ice makers?', context)).toBe(false);
+  });
+
+  test('looks up return status by RMA number and ZIP', async () => {
+    const context = {};
+    findReturns.mockResolvedValue([RETURN]);
+
+    const first = await agent.handle("What's the status of my return RMA-4F2A9C?", context);
+    expect(first.message).toContain('email address or ZIP code');
+    expect(context.dialog).toMatchObject({
+      flow: 'return_status', pending: 'verification', slots: { reference: { rmaNumber: 'RMA-4F2A9C' } }
+    });
+
+    const second = await agent.handle('60614', context);
+    expect(findReturns).toHaveBeenCalledWith(
+      { rmaNumber: 'RMA-4F2A9C', orderNumber: null },
+      expect.objectContaining({ zip: '60614' })
+    );
+    expect(second.message).toContain('**RMA-4F2A9C**');
+    expect(second.message).toContain('Approved, waiting for the part to arrive');
+  });
+
+  test('cancels a return in progress', async () => {
+    const context = { dialog: { flow: 'return', pending: 'reason', slots: { item: 21 } } };
+    const response = await agent.handle('never mind', context);
+
+    expect(response.message).toContain('Nothing was submitted');
+    expect(context.dialog).toBeNull();
+  });
+});
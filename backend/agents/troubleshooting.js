@@ -0,0 +1,404 @@
+const logger = require('../logger');
+const { callStructured, StructuredOutputError } = require('../llm/structured');
+const SYSTEM_PROMPTS = require('../prompts');
+const { searchParts } = require('../search');
+const { listTrees, getNode } = require('../catalog/troubleshootingTrees');
+const { quoteUserText, quoteHistory } = require('../guardrails');
+
+const ANALYSIS_SCHEMA = {
+  type: 'object',
+  properties: {
+    likelyCause: { type: 'string' },
+    steps: { type: 'array', items: { type: 'string' }, minItems: 1 },
+    parts: { type: 'array', items: { type: 'string' } },
+    difficulty: { enum: ['easy', 'medium', 'hard'] }
+  },
+  required: ['likelyCause', 'steps', 'parts']
+};
+
+const SYMPTOM_SCHEMA = {
+  type: 'object',
+  properties: { tree: { type: ['string', 'null'] } },
+  required: ['tree']
+};
+
+const OUTCOME_SCHEMA = {
+  type: 'object',
+  properties: { outcome: { type: ['string', 'null'] } },
+  required: ['outcome']
+};
+
+// Troubleshooting Agent
+//
+// Common symptoms are diagnosed by walking a decision tree from Postgres
+// (catalog/troubleshootingTrees.js): one check per turn, branching on what the
+// customer found, until a diagnosis node names the likely cause and parts.
+// The LLM only maps the customer's wording onto a tree or an outcome; the
+// steps themselves always come from the tree. Symptoms without a tree fall
+// back to a free-form LLM checklist.
+//
+// The walk is kept in the user context as
+// context.troubleshooting = { tree, version, node, path: [{ node, outcome, skipped? }] }
+// and a free-form checklist as context.troubleshootingChecklist.
+//
+// Answers from the chat UI's wizard arrive as a structured `wizard` payload
+// instead of free text:
+//   { tree, node, outcome, status: 'done' | 'problem' | 'skip' }   tree step
+//   { checklist: true, step, status: 'problem' | 'done' }         free-form checklist
+class TroubleshootingAgent {
+  async diagnose(query, context, history, wizard = null) {
+    if (wizard?.checklist) {
+      return await this.continueChecklist(wizard, context);
+    }
+
+    const session = context.troubleshooting;
+
+    if (session) {
+      const node = await getNode(session.tree, session.node);
+      if (node) {
+        return await this.continueTree(query, node, session, context, wizard);
+      }
+      // The tree was edited mid-walk; start over from the symptom
+      logger.warn(`🌳 Troubleshooting node ${session.tree}:${session.node} no longer exists`);
+      context.troubleshooting = null;
+    }
+
+    if (wizard) {
+      return { message: 'That troubleshooting session has already finished. What problem are you seeing now?' };
+    }
+
+    const tree = await this.matchSymptom(query, history);
+    if (tree) {
+      return await this.startTree(tree, context);
+    }
+
+    return await this.diagnoseFreeform(query, context, history);
+  }
+
+  async startTree(tree, context) {
+    const root = await getNode(tree.slug, tree.rootNodeKey);
+    if (!root) {
+      logger.error(`🌳 Tree ${tree.slug} has no root node ${tree.rootNodeKey}`);
+      context.troubleshooting = null;
+      return { message: "Sorry, I couldn't load the troubleshooting steps for that problem. Could you describe what's happening in a bit more detail?" };
+    }
+
+    logger.info(`🌳 Starting troubleshooting tree ${tree.slug} v${tree.version}`);
+    context.troubleshooting = { tree: tree.slug, version: tree.version, node: root.key, path: [] };
+
+    return this.askCheck(root, 1, `Let's work through **${tree.symptom.toLowerCase()}** one check at a time.`);
+  }
+
+  async continueTree(query, node, session, context, wizard = null) {
+    // A button on an earlier step; the walk has moved on since
+    if (wizard && wizard.node !== node.key) {
+      return this.askCheck(node, session.path.length + 1, "That step was already answered. Here's where we are now:");
+    }
+
+    const outcome = wizard
+      ? this.outcomeFromWizard(wizard, node)
+      : await this.matchOutcome(query, node);
+
+    if (!outcome) {
+      return this.askCheck(
+        node,
+        session.path.length + 1,
+        wizard?.status === 'skip'
+          ? "This check decides what to look at next, so it can't be skipped."
+          : "Sorry, I couldn't tell which of these matches what you found."
+      );
+    }
+
+    session.path.push({ node: node.key, outcome: outcome.key, ...(wizard?.status === 'skip' && { skipped: true }) });
+    const next = await getNode(session.tree, outcome.next);
+
+    if (!next) {
+      logger.error(`🌳 Outcome ${session.tree}:${node.key}/${outcome.key} points to missing node ${outcome.next}`);
+      context.troubleshooting = null;
+      return { message: "Sorry, I couldn't load the next troubleshooting step. Could you describe what you're seeing now?" };
+    }
+
+    if (next.type === 'check') {
+      session.node = next.key;
+      context.troubleshooting = session;
+      return this.askCheck(next, session.path.length + 1);
+    }
+
+    context.troubleshooting = null;
+    return await this.reportDiagnosis(next, session);
+  }
+
+  askCheck(node, stepNumber, intro = null) {
+    const lines = [
+      ...(intro ? [intro] : []),
+      `**Step ${stepNumber}:** ${node.prompt}`,
+      'What did you find?'
+    ];
+
+    return {
+      message: lines.join('\n\n'),
+      actions: [{
+        type: 'troubleshooting_wizard',
+        tree: node.treeSlug,
+        node: node.key,
+        step: stepNumber,
+        prompt: node.prompt,
+        outcomes: node.outcomes.map(o => ({ key: o.key, label: o.label, type: o.type }))
+      }]
+    };
+  }
+
+  // Done and Found a problem name the outcome; Skip follows the check's 'ok'
+  // outcome, as if nothing was wrong
+  outcomeFromWizard(wizard, node) {
+    if (wizard.status === 'skip') {
+      return node.outcomes.find(o => o.type === 'ok') || null;
+    }
+    return node.outcomes.find(o => o.key === wizard.outcome) || null;
+  }
+
+  async reportDiagnosis(node, session) {
+    logger.info(`🩺 Diagnosis ${session.tree} v${session.version}: ${node.key} via ${session.path.map(p => `${p.node}=${p.outcome}${p.skipped ? ' (skipped)' : ''}`).join(' → ')}`);
+
+    const trees = await listTrees();
+    const applianceType = trees.find(t => t.slug === session.tree)?.applianceType || null;
+    const suggestedParts = node.likelyParts.length > 0
+      ? await this.findRelevantParts(node.likelyParts.join(' '), applianceType)
+      : [];
+
+    const skippedSteps = session.path
+      .map((p, i) => (p.skipped ? i + 1 : null))
+      .filter(Boolean);
+
+    const lines = [
+      `**Likely cause:** ${node.prompt}`,
+      ...(skippedSteps.length > 0
+        ? [`_This assumes skipped step${skippedSteps.length === 1 ? '' : 's'} ${skippedSteps.join(', ')} turned up nothing. If the fix doesn't work, go back to ${skippedSteps.length === 1 ? 'that check' : 'those checks'} first._`]
+        : []),
+      ...(suggestedParts.length > 0 ? ['Here are the parts that usually fix this:'] : [])
+    ];
+    const message = lines.join('\n\n');
+
+    return {
+      message,
+      products: suggestedParts,
+      actions: [
+        ...(suggestedParts.length > 0 ? [{
+          type: 'product_cards',
+          products: suggestedParts.slice(0, 3)
+        }] : []),
+        this.nextStepsAction()
+      ]
+    };
+  }
+
+  nextStepsAction() {
+    return {
+      type: 'next_steps',
+      buttons: [
+        { label: 'Find this part', action: 'search_part' },
+        { label: 'Ask another question', action: 'continue' },
+        { label: 'Start fresh chat', action: 'new_chat' }
+      ]
+    };
+  }
+
+  // Which tree (if any) covers the customer's symptom
+  async matchSymptom(query, history) {
+    const trees = await listTrees();
+    if (trees.length === 0) return null;
+
+    const recent = quoteHistory(history.slice(-2));
+    const prompt = `Customer said: ${quoteUserText(query)}
+${recent ? `\nRecent conversation:\n${recent}\n` : ''}
+Which of these appliance symptoms does the customer describe? Answer with its key, or null if none clearly matches.
+
+${trees.map(t => `- ${t.slug}: ${t.symptom} (${t.applianceType}; ${t.matchPhrases.join(', ')})`).join('\n')}
+
+Return JSON: {"tree": "<key>" or null}`;
+
+    try {
+      const { tree } = await callStructured(prompt, [], {
+        agent: 'troubleshooting',
+        task: 'troubleshooting_symptom',
+        schema: SYMPTOM_SCHEMA,
+        schemaName: 'troubleshooting_symptom',
+        temperature: 0
+      });
+      return trees.find(t => t.slug === tree) || null;
+    } catch (e) {
+      if (!(e instanceof StructuredOutputError)) throw e;
+      return null;
+    }
+  }
+
+  // Which outcome of the current check a typed reply describes.
+  // Wizard clicks arrive structured and never get here.
+  async matchOutcome(query, node) {
+    const prompt = `Customer said: ${quoteUserText(query)}
+
+They were asked to do this check: ${node.prompt}
+
+Which of these outcomes does their reply describe? Answer with its key, or null if the reply doesn't say.
+
+${node.outcomes.map(o => `- ${o.key}: ${o.label}`).join('\n')}
+
+Return JSON: {"outcome": "<key>" or null}`;
+
+    try {
+      const { outcome } = await callStructured(prompt, [], {
+        agent: 'troubleshooting',
+        task: 'troubleshooting_outcome',
+        schema: OUTCOME_SCHEMA,
+        schemaName: 'troubleshooting_outcome',
+        temperature: 0
+      });
+      return node.outcomes.find(o => o.key === outcome) || null;
+    } catch (e) {
+      if (!(e instanceof StructuredOutputError)) throw e;
+      return null;
+    }
+  }
+
+  // No tree covers this symptom: general LLM suggestions, labelled as such
+  async diagnoseFreeform(query, context, history) {
+    const analysis = await this.analyzeProblem(query, context, history);
+    const guide = await this.generateTroubleshootingGuide(analysis);
+    
+    let suggestedParts = [];
+    if (analysis.parts && analysis.parts.length > 0) {
+      suggestedParts = await this.findRelevantParts([analysis.likelyCause || '', ...analysis.parts].join(' '));
+    }
+
+    context.troubleshootingChecklist = analysis.steps.length > 0
+      ? { likelyCause: analysis.likelyCause, steps: analysis.steps, parts: analysis.parts || [] }
+      : null;
+    
+    return {
+      message: guide,
+      products: suggestedParts,
+      actions: analysis.steps.length > 0 ? [{ type: 'troubleshooting_wizard', steps: analysis.steps }] : []
+    };
+  }
+
+  // The customer worked through a free-form checklist in the wizard
+  async continueChecklist(wizard, context) {
+    const checklist = context.troubleshootingChecklist;
+    context.troubleshootingChecklist = null;
+
+    if (!checklist) {
+      return { message: 'That checklist has already finished. What problem are you seeing now?' };
+    }
+
+    if (wizard.status !== 'problem') {
+      return {
+        message: "None of those checks turned up the problem, so it needs a closer look than a checklist can give. Tell me more about what you're seeing, or have an appliance technician test the parts directly.",
+        actions: [this.nextStepsAction()]
+      };
+    }
+
+    const step = checklist.steps[wizard.step - 1];
+    const suggestedParts = checklist.parts.length > 0
+      ? await this.findRelevantParts([checklist.likelyCause, ...checklist.parts].join(' '))
+      : [];
+
+    const lines = [
+      step ? `Thanks, so this check turned something up: _${step}_` : 'Thanks, so one of the checks turned something up.',
+      `That points to the likely cause: **${checklist.likelyCause}**`,
+      ...(suggestedParts.length > 0 ? ['These parts usually fix it:'] : [])
+    ];
+
+    return {
+      message: lines.join('\n\n'),
+      products: suggestedParts,
+      actions: [
+        ...(suggestedParts.length > 0 ? [{ type: 'product_cards', products: suggestedParts.slice(0, 3) }] : []),
+        this.nextStepsAction()
+      ]
+    };
+  }
+
+  async analyzeProblem(query, context, history) {
+    const conversationContext = history.length > 0
+      ? `\n\nConversation history:\n${quoteHistory(history.slice(-3))}`
+      : '';
+
+    const prompt = `You are an appliance repair expert. Analyze this problem:
+
+${quoteUserText(query)}${conversationContext}
+
+Provide a diagnosis in the following JSON format:
+{
+  "likelyCause": "Most likely cause of the issue",
+  "steps": ["Step 1: Check...", "Step 2: Test...", "Step 3: Inspect..."],
+  "parts": ["part_name1", "part_name2"],
+  "difficulty": "easy|medium|hard"
+}
+
+Provide 3-5 troubleshooting steps.
+
+IMPORTANT: Only include parts in the "parts" array if the troubleshooting steps are likely to reveal that a part needs replacement. If the issue can be resolved by checking settings, cleaning, or adjusting things, leave "parts" as an empty array.
+
+Examples:
+- "Ice maker not working" → parts: ["ice maker assembly", "water inlet valve"] (likely needs replacement)
+- "Refrigerator not cooling" → parts: ["compressor", "thermostat"] (likely needs parts)
+- "Ice maker making noise" → parts: [] (might just need cleaning or adjustment)
+- "Water dispenser slow" → parts: [] (likely just a clogged filter or setting)`;
+
+    try {
+      return await callStructured(prompt, [], {
+        agent: 'troubleshooting',
+        task: 'troubleshooting_analysis',
+        schema: ANALYSIS_SCHEMA,
+        schemaName: 'troubleshooting_analysis',
+        temperature: 0.5,
+        systemPrompt: SYSTEM_PROMPTS.troubleshooting
+      });
+    } catch (e) {
+      if (!(e instanceof StructuredOutputError)) throw e;
+
+      logger.error('Troubleshooting analysis failed validation:', e.message);
+      return { steps: [], likelyCause: 'Unknown', parts: [], difficulty: 'medium' };
+    }
+  }
+
+  async generateTroubleshootingGuide(analysis) {
+    const cause = analysis.likelyCause || 'Unknown';
+    const conciseCause = cause.split(/[.?!]/)[0].trim();
+
+    // More natural, less robotic format
+    return `I don't have an expert-reviewed checklist for this exact problem yet, but based on the symptoms, this sounds like ${conciseCause.toLowerCase()}.
+
+  Here's what I recommend checking:
+
+  ${(analysis.steps || []).map((step, i) => `${i + 1}. ${step}`).join('\n')}
+
+  Try these steps and let me know what you find! I'm here if you need help with any of them.`;
+  }
+
+  async findRelevantParts(searchText, applianceType = null) {
+    try {
+      if (!searchText.trim()) return [];
+
+      const rows = await searchParts({ query: searchText, applianceType, limit: 3 });
+
+      return rows.map(p => ({
+        partNumber: p.part_number,
+        name: p.name,
+        description: p.description,
+        price: parseFloat(p.price || 0),
+        inStock: p.in_stock ?? true,
+        imageUrl: p.image_url || '/placeholder-part.png',
+        productUrl: `https://www.partselect.com/${p.part_number}.htm`,
+        rating: p.rating || 4.3,
+        reviews: p.review_count || 19,
+        relevance: p.relevance
+      }));
+    } catch (err) {
+      logger.error('findRelevantParts error:', err.message);
+      return [];
+    }
+  }
+}
+
+module.exports = TroubleshootingAgent;
@@ -0,0 +1,154 @@
+jest.mock('../catalog/troubleshootingTrees', () => ({
+  listTrees: jest.fn(),
+  getNode: jest.fn()
+}));
+jest.mock('../search', () => ({ searchParts: jest.fn() }));
+
+const { listTrees, getNode } = require('../catalog/troubleshootingTrees');
+const { searchParts } = require('../search');
+const { registerProvider } = require('../llm');
+const { createMockProvider } = require('../llm/mockProvider');
+const { SCRIPTED_RESPONDERS } = require('../eval/scriptedResponders');
+const TroubleshootingAgent = require('./troubleshooting');
+
+registerProvider(createMockProvider({ name: 'scripted', responders: SCRIPTED_RESPONDERS }));
+
+const TREE = {
+  slug: 'fridge-not-cooling',
+  applianceType: 'refrigerator',
+  symptom: 'Refrigerator not cooling',
+  matchPhrases: ['fridge warm', 'not cold'],
+  rootNodeKey: 'check_settings',
+  version: 1
+};
+
+const NODES = {
+  check_settings: {
+    type: 'check',
+    prompt: 'Check the temperature control.',
+    likelyParts: [],
+    outcomes: [
+      { key: 'settings_wrong', label: 'The setting was wrong', type: 'problem', next: 'settings_fixed' },
+      { key: 'settings_ok', label: 'The settings look correct', type: 'ok', next: 'check_condenser_fan' }
+    ]
+  },
+  settings_fixed: { type: 'diagnosis', prompt: 'The setting was the cause.', likelyParts: [], outcomes: [] },
+  check_condenser_fan: {
+    type: 'check',
+    prompt: 'Is the condenser fan spinning?',
+    likelyParts: [],
+    outcomes: [
+      { key: 'fan_not_spinning', label: "The condenser fan isn't spinning", type: 'problem', next: 'condenser_fan_failed' },
+      { key: 'fan_spinning', label: 'The condenser fan is spinning', type: 'ok', next: 'settings_fixed' }
+    ]
+  },
+  condenser_fan_failed: {
+    type: 'diagnosis',
+    prompt: 'The condenser fan motor most likely needs replacing.',
+    likelyParts: ['condenser fan motor'],
+    outcomes: []
+  }
+};
+
+describe('TroubleshootingAgent decision trees', () => {
+  const env = { ...process.env };
+  const agent = new TroubleshootingAgent();
+
+  beforeEach(() => {
+    process.env.LLM_PROVIDER_ORDER = 'scripted';
+    listTrees.mockResolvedValue([TREE]);
+    getNode.mockImplementation(async (slug, key) =>
+      slug === TREE.slug && NODES[key]
+        ? { treeSlug: slug, symptom: TREE.symptom, version: 1, key, ...NODES[key] }
+        : null
+    );
+    searchParts.mockReset();
+  });
+
+  afterAll(() => {
+    process.env = env;
+  });
+
+  test('walks from symptom to diagnosis one check per turn', async () => {
+    const context = {};
+
+    const first = await agent.diagnose('My fridge is warm', context, []);
+    expect(first.message).toContain('**Step 1:** Check the temperature control.');
+    expect(first.actions[0]).toMatchObject({ type: 'troubleshooting_wizard', node: 'check_settings', step: 1 });
+    expect(context.troubleshooting).toMatchObject({ tree: 'fridge-not-cooling', node: 'check_settings' });
+
+    // Wizard click: a structured outcome
+    const second = await agent.diagnose('The settings look correct', context, [], {
+      status: 'done', tree: 'fridge-not-cooling', node: 'check_settings', outcome: 'settings_ok'
+    });
+    expect(second.message).toContain('**Step 2:** Is the condenser fan spinning?');
+
+    // Free text mapped onto an outcome by the (mock) LLM
+    searchParts.mockResolvedValue([{ id: 9, part_number: 'PS12345678', name: 'Condenser Fan Motor', price: '49.99' }]);
+    const third = await agent.diagnose("the fan isn't spinning at all", context, []);
+
+    expect(third.message).toContain('**Likely cause:** The condenser fan motor most likely needs replacing.');
+    expect(searchParts).toHaveBeenCalledWith({ query: 'condenser fan motor', applianceType: 'refrigerator', limit: 3 });
+    expect(third.products.map(p => p.partNumber)).toEqual(['PS12345678']);
+    expect(context.troubleshooting).toBeNull();
+  });
+
+  test('repeats the check when the reply matches no outcome', async () => {
+    const context = { troubleshooting: { tree: 'fridge-not-cooling', version: 1, node: 'check_settings', path: [] } };
+
+    const response = await agent.diagnose('hmm', context, []);
+
+    expect(response.message).toContain("couldn't tell which of these matches");
+    expect(response.message).toContain('**Step 1:**');
+    expect(context.troubleshooting.node).toBe('check_settings');
+  });
+
+  test('skipping a check follows its ok outcome and caveats the diagnosis', async () => {
+    const context = { troubleshooting: { tree: 'fridge-not-cooling', version: 1, node: 'check_settings', path: [] } };
+    searchParts.mockResolvedValue([]);
+
+    await agent.diagnose('Skipped this step', context, [], { status: 'skip', node: 'check_settings' });
+    expect(context.troubleshooting.path).toEqual([{ node: 'check_settings', outcome: 'settings_ok', skipped: true }]);
+
+    const response = await agent.diagnose('Found a problem', context, [], {
+      status: 'problem', node: 'check_condenser_fan', outcome: 'fan_not_spinning'
+    });
+    expect(response.message).toContain('**Likely cause:** The condenser fan motor');
+    expect(response.message).toContain('skipped step 1 turned up nothing');
+  });
+
+  test('re-asks the current check when an earlier step is clicked again', async () => {
+    const context = { troubleshooting: { tree: 'fridge-not-cooling', version: 1, node: 'check_condenser_fan', path: [{ node: 'check_settings', outcome: 'settings_ok' }] } };
+
+    const response = await agent.diagnose('The setting was wrong', context, [], {
+      status: 'problem', node: 'check_settings', outcome: 'settings_wrong'
+    });
+
+    expect(response.message).toContain('already answered');
+    expect(response.message).toContain('**Step 2:** Is the condenser fan spinning?');
+    expect(context.troubleshooting.path).toHaveLength(1);
+  });
+
+  test('falls back to free-form suggestions when no tree covers the symptom', async () => {
+    listTrees.mockResolvedValue([]);
+
+    const response = await agent.diagnose('My dryer squeaks', {}, []);
+
+    expect(response.message).toContain("don't have an expert-reviewed checklist");
+    expect(response.actions[0].steps).toHaveLength(3);
+  });
+
+  test('reports back on a free-form checklist from the wizard', async () => {
+    searchParts.mockResolvedValue([{ id: 4, part_number: 'PS11111111', name: 'Drum Roller', price: '19.99' }]);
+    const context = {
+      troubleshootingChecklist: { likelyCause: 'Worn drum rollers', steps: ['Spin the drum by hand', 'Check the rollers'], parts: ['drum roller'] }
+    };
+
+    const response = await agent.diagnose('Found a problem', context, [], { checklist: true, status: 'problem', step: 2 });
+
+    expect(response.message).toContain('_Check the rollers_');
+    expect(response.message).toContain('**Worn drum rollers**');
+    expect(response.products.map(p => p.partNumber)).toEqual(['PS11111111']);
+    expect(context.troubleshootingChecklist).toBeNull();
+  });
+});
@@ -0,0 +1,88 @@
+const db = require('../db');
+const logger = require('../logger');
+const { getUserContext, setUserContext, clearUserContext } = require('../redis');
+const { mergeCart } = require('../cart/cart');
+const { verifyToken, issueSession } = require('./session');
+
+// The storefront vouches for a signed-in customer with a short-lived HS256
+// token signed with ACCOUNT_LINK_SECRET:
+//   { sub: '<customer id>', aud: 'partselect-chat', exp: <unix seconds> }
+// Linking is off when the secret isn't set.
+const ACCOUNT_LINK_SECRET = process.env.ACCOUNT_LINK_SECRET || null;
+const ACCOUNT_AUDIENCE = 'partselect-chat';
+const MAX_ACCOUNT_ID_LENGTH = 80;
+
+class AccountLinkError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'AccountLinkError';
+    this.status = status;
+  }
+}
+
+function verifyAccountToken(accountToken) {
+  if (!ACCOUNT_LINK_SECRET) {
+    throw new AccountLinkError('Account linking is not enabled', 501);
+  }
+
+  const claims = verifyToken(accountToken, ACCOUNT_LINK_SECRET);
+  const accountId = claims?.aud === ACCOUNT_AUDIENCE ? claims.sub : null;
+  if (typeof accountId !== 'string' || !accountId || accountId.length > MAX_ACCOUNT_ID_LENGTH) {
+    // Not 401: that means the chat session expired, and clients start a new one
+    throw new AccountLinkError('Invalid or expired account token', 403);
+  }
+  return accountId;
+}
+
+// Context that waits on the customer's next answer; only one side's can stay
+const OPEN_STATE = ['dialog', 'troubleshooting', 'troubleshootingChecklist'];
+
+// The account's context with the anonymous session's filling the gaps. An
+// open question on the account wins; otherwise the visitor's carries on.
+function mergeContexts(account, anonymous) {
+  const accountOpen = OPEN_STATE.some(key => account[key]);
+  const merged = { ...anonymous };
+  for (const [key, value] of Object.entries(account)) {
+    if (value !== null && value !== undefined) merged[key] = value;
+  }
+  for (const key of OPEN_STATE) {
+    merged[key] = (accountOpen ? account[key] : anonymous[key]) ?? null;
+  }
+  if (account.returns || anonymous.returns) {
+    merged.returns = [...new Set([...(account.returns || []), ...(anonymous.returns || [])])].slice(-10);
+  }
+  return merged;
+}
+
+/**
+ * Switch a session to the customer's account. An anonymous visitor's
+ * conversations, context and cart move to the account, so the chat carries
+ * on and the history follows the customer to other devices. Returns the new
+ * session ({ token, userId, account, expiresAt }).
+ */
+async function linkAccount(userId, accountToken) {
+  const accountUserId = `account:${verifyAccountToken(accountToken)}`;
+
+  if (userId.startsWith('anon:')) {
+    await db.query(`UPDATE conversations SET user_id = $2 WHERE user_id = $1`, [userId, accountUserId]);
+
+    const context = await getUserContext(userId);
+    if (Object.keys(context).length > 0) {
+      await setUserContext(accountUserId, mergeContexts(await getUserContext(accountUserId), context));
+    }
+    await clearUserContext(userId);
+
+    const dropped = await mergeCart(userId, accountUserId);
+    if (dropped.length > 0) {
+      logger.warn(`🛒 Account cart full, ${dropped.length} parts not merged: ${dropped.join(', ')}`);
+    }
+    logger.info(`🔗 Linked ${userId} to ${accountUserId}`);
+  }
+
+  return issueSession(accountUserId);
+}
+
+module.exports = {
+  AccountLinkError,
+  linkAccount
+};
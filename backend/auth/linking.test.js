@@ -0,0 +1,72 @@
+process.env.ACCOUNT_LINK_SECRET = 'storefront-secret';
+
+jest.mock('../db', () => ({ query: jest.fn(async () => ({ rows: [] })) }));
+jest.mock('../redis', () => ({
+  getUserContext: jest.fn(async (userId) => (userId.startsWith('anon:')
+    ? { dialog: { flow: 'order_lookup', slots: {}, pending: 'orderNumber' } }
+    : {})),
+  setUserContext: jest.fn(async () => {}),
+  clearUserContext: jest.fn(async () => {})
+}));
+jest.mock('../cart/cart', () => ({ mergeCart: jest.fn(async () => []) }));
+
+const db = require('../db');
+const { getUserContext, setUserContext, clearUserContext } = require('../redis');
+const { mergeCart } = require('../cart/cart');
+const { signToken, verifySession } = require('./session');
+const { linkAccount } = require('./linking');
+
+const accountToken = (claims) => signToken({
+  sub: 'C-1001',
+  aud: 'partselect-chat',
+  exp: Math.floor(Date.now() / 1000) + 300,
+  ...claims
+}, 'storefront-secret');
+
+describe('account linking', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  test("moves an anonymous visitor's history, context and cart to the account", async () => {
+    const session = await linkAccount('anon:1', accountToken());
+
+    expect(verifySession(session.token)).toBe('account:C-1001');
+    expect(session.account).toBe('C-1001');
+    expect(db.query.mock.calls[0][1]).toEqual(['anon:1', 'account:C-1001']);
+    expect(setUserContext).toHaveBeenCalledWith('account:C-1001', expect.objectContaining({ dialog: expect.any(Object) }));
+    expect(clearUserContext).toHaveBeenCalledWith('anon:1');
+    expect(mergeCart).toHaveBeenCalledWith('anon:1', 'account:C-1001');
+  });
+
+  test("keeps the account's open question and fills in the rest", async () => {
+    getUserContext.mockImplementation(async (userId) => (userId.startsWith('anon:')
+      ? { dialog: { flow: 'order_lookup', slots: {}, pending: 'orderNumber' }, returns: ['RMA-200001'], lastShownParts: ['PS11752778'] }
+      : { troubleshooting: { tree: 'ice-maker', node: 'water-supply' }, dialog: null, returns: ['RMA-100001'] }));
+
+    await linkAccount('anon:1', accountToken());
+
+    expect(setUserContext).toHaveBeenCalledWith('account:C-1001', {
+      troubleshooting: { tree: 'ice-maker', node: 'water-supply' },
+      dialog: null,
+      troubleshootingChecklist: null,
+      returns: ['RMA-100001', 'RMA-200001'],
+      lastShownParts: ['PS11752778']
+    });
+  });
+
+  test("doesn't move one account's data into another", async () => {
+    const session = await linkAccount('account:C-2002', accountToken());
+
+    expect(session.userId).toBe('account:C-1001');
+    expect(db.query).not.toHaveBeenCalled();
+    expect(mergeCart).not.toHaveBeenCalled();
+  });
+
+  test('rejects account tokens that are forged, expired or for another audience', async () => {
+    const forged = signToken({ sub: 'C-1001', aud: 'partselect-chat', exp: Math.floor(Date.now() / 1000) + 300 }, 'guess');
+
+    await expect(linkAccount('anon:1', forged)).rejects.toMatchObject({ status: 403 });
+    await expect(linkAccount('anon:1', accountToken({ exp: 1 }))).rejects.toMatchObject({ status: 403 });
+    await expect(linkAccount('anon:1', accountToken({ aud: 'elsewhere' }))).rejects.toMatchObject({ status: 403 });
+    expect(db.query).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,99 @@
+const crypto = require('crypto');
+const logger = require('../logger');
+
+// Session tokens are HS256 JWTs signed with SESSION_SECRET. The subject is
+// the user id everything else is keyed by (Redis context, cart,
+// conversations): `anon:<uuid>` for anonymous visitors, `account:<id>` once
+// the customer has linked their account.
+const SESSION_TTL_SECONDS = parseFloat(process.env.SESSION_TTL_DAYS || '30') * 24 * 60 * 60;
+
+const SESSION_SECRET = process.env.SESSION_SECRET || (() => {
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('SESSION_SECRET must be set in production');
+  }
+  logger.warn('⚠️ SESSION_SECRET is not set; using a random secret, so sessions end when the server restarts');
+  return crypto.randomBytes(32).toString('hex');
+})();
+
+const HEADER = Buffer.from(JSON.stringify({ alg: 'HS256', typ: 'JWT' })).toString('base64url');
+
+const hmac = (data, secret) => crypto.createHmac('sha256', secret).update(data).digest('base64url');
+
+function signToken(claims, secret) {
+  const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+  return `${HEADER}.${payload}.${hmac(`${HEADER}.${payload}`, secret)}`;
+}
+
+/**
+ * Claims of an HS256 token signed with `secret`, or null when the token is
+ * malformed, signed with another key or algorithm, or expired. Tokens
+ * without `exp` are rejected.
+ */
+function verifyToken(token, secret) {
+  if (typeof token !== 'string') return null;
+  const parts = token.split('.');
+  if (parts.length !== 3) return null;
+
+  const [header, payload, signature] = parts;
+  const expected = Buffer.from(hmac(`${header}.${payload}`, secret));
+  const given = Buffer.from(signature);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+
+  try {
+    if (JSON.parse(Buffer.from(header, 'base64url').toString()).alg !== 'HS256') return null;
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    if (typeof claims.exp !== 'number' || claims.exp * 1000 <= Date.now()) return null;
+    return claims;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * A new session for `userId` (a fresh anonymous id when omitted):
+ * { token, userId, account, expiresAt }
+ */
+function issueSession(userId = `anon:${crypto.randomUUID()}`) {
+  const now = Math.floor(Date.now() / 1000);
+  const exp = now + Math.round(SESSION_TTL_SECONDS);
+  return {
+    token: signToken({ sub: userId, typ: 'session', iat: now, exp }, SESSION_SECRET),
+    userId,
+    account: userId.startsWith('account:') ? userId.slice('account:'.length) : null,
+    expiresAt: new Date(exp * 1000).toISOString()
+  };
+}
+
+// The verified user id of a session token, or null
+function verifySession(token) {
+  const claims = verifyToken(token, SESSION_SECRET);
+  return claims?.typ === 'session' && typeof claims.sub === 'string' ? claims.sub : null;
+}
+
+function bearerToken(req) {
+  const match = (req.get('Authorization') || '').match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+}
+
+/**
+ * Express middleware: rejects requests without a valid session token with
+ * 401 and sets `req.userId` to the verified identity. Whatever userId the
+ * client sends in the body or query is ignored.
+ */
+function requireSession(req, res, next) {
+  const userId = verifySession(bearerToken(req));
+  if (!userId) {
+    return res.status(401).json({ error: 'Session expired or missing. Request a new one from /api/session.' });
+  }
+  req.userId = userId;
+  next();
+}
+
+module.exports = {
+  signToken,
+  verifyToken,
+  issueSession,
+  verifySession,
+  bearerToken,
+  requireSession
+};
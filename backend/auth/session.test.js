@@ -0,0 +1,63 @@
+const { signToken, verifyToken, issueSession, verifySession, requireSession } = require('./session');
+
+const SECRET = 'test-secret';
+const inOneHour = () => Math.floor(Date.now() / 1000) + 3600;
+
+function request(authorization) {
+  return { get: (name) => (name === 'Authorization' ? authorization : undefined) };
+}
+
+function response() {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+}
+
+describe('session tokens', () => {
+  test('verifies its own signature and rejects tampering', () => {
+    const token = signToken({ sub: 'anon:1', exp: inOneHour() }, SECRET);
+    expect(verifyToken(token, SECRET)).toMatchObject({ sub: 'anon:1' });
+
+    const [header, , signature] = token.split('.');
+    const forged = Buffer.from(JSON.stringify({ sub: 'anon:2', exp: inOneHour() })).toString('base64url');
+    expect(verifyToken(`${header}.${forged}.${signature}`, SECRET)).toBeNull();
+    expect(verifyToken(token, 'another-secret')).toBeNull();
+  });
+
+  test('rejects expired tokens, tokens without exp and unsigned tokens', () => {
+    expect(verifyToken(signToken({ sub: 'anon:1', exp: 1 }, SECRET), SECRET)).toBeNull();
+    expect(verifyToken(signToken({ sub: 'anon:1' }, SECRET), SECRET)).toBeNull();
+
+    const none = Buffer.from(JSON.stringify({ alg: 'none', typ: 'JWT' })).toString('base64url');
+    const payload = Buffer.from(JSON.stringify({ sub: 'anon:1', exp: inOneHour() })).toString('base64url');
+    expect(verifyToken(`${none}.${payload}.`, SECRET)).toBeNull();
+    expect(verifyToken('not a token', SECRET)).toBeNull();
+  });
+
+  test('issues anonymous and account sessions', () => {
+    const anonymous = issueSession();
+    expect(anonymous.userId).toMatch(/^anon:[0-9a-f-]{36}$/);
+    expect(anonymous.account).toBeNull();
+    expect(verifySession(anonymous.token)).toBe(anonymous.userId);
+
+    const account = issueSession('account:C-1001');
+    expect(account.account).toBe('C-1001');
+    expect(verifySession(account.token)).toBe('account:C-1001');
+  });
+
+  test('binds requests to the verified user and ignores client-sent ids', () => {
+    const { token, userId } = issueSession();
+    const req = { ...request(`Bearer ${token}`), body: { userId: 'someone-else' } };
+    const next = jest.fn();
+
+    requireSession(req, response(), next);
+    expect(next).toHaveBeenCalled();
+    expect(req.userId).toBe(userId);
+
+    const res = response();
+    requireSession(request(undefined), res, next);
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(next).toHaveBeenCalledTimes(1);
+  });
+});
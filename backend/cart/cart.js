@@ -0,0 +1,195 @@
+const db = require('../db');
+const { redis } = require('../redis');
+const { normalizePartNumber, resolvePartNumber } = require('../catalog/parts');
+
+// Carts live in a Redis hash per user (part number → quantity) and expire
+// after a month without changes
+const CART_TTL_SECONDS = 30 * 24 * 60 * 60;
+const MAX_LINE_QUANTITY = 20;
+const MAX_CART_LINES = 50;
+
+// Standard shipping is free once the subtotal reaches the threshold
+const FREE_SHIPPING_THRESHOLD = parseFloat(process.env.FREE_SHIPPING_THRESHOLD || '50');
+const STANDARD_SHIPPING = parseFloat(process.env.STANDARD_SHIPPING || '6.95');
+
+class CartError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'CartError';
+    this.status = status;
+  }
+}
+
+const cartKey = (userId) => `cart:${userId}`;
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+function validateQuantity(quantity, { allowZero = false } = {}) {
+  const value = Number(quantity);
+  const min = allowZero ? 0 : 1;
+  if (!Number.isInteger(value) || value < min) {
+    throw new CartError(`Quantity must be a whole number of at least ${min}`);
+  }
+  if (value > MAX_LINE_QUANTITY) {
+    throw new CartError(`You can order at most ${MAX_LINE_QUANTITY} of a part`);
+  }
+  return value;
+}
+
+// Subtotal, shipping and how far the cart is from free shipping
+function summarize(items) {
+  const subtotal = roundMoney(items.reduce((sum, item) => sum + item.lineTotal, 0));
+  const qualifies = subtotal >= FREE_SHIPPING_THRESHOLD;
+  const shipping = items.length === 0 || qualifies ? 0 : STANDARD_SHIPPING;
+
+  return {
+    items,
+    itemCount: items.reduce((sum, item) => sum + item.quantity, 0),
+    subtotal,
+    shipping,
+    total: roundMoney(subtotal + shipping),
+    freeShippingThreshold: FREE_SHIPPING_THRESHOLD,
+    freeShippingRemaining: items.length === 0 || qualifies ? 0 : roundMoney(FREE_SHIPPING_THRESHOLD - subtotal)
+  };
+}
+
+/**
+ * The user's cart priced from the catalog. Lines whose part has left the
+ * catalog are dropped. Resolves to { items, itemCount, subtotal, shipping,
+ * total, freeShippingThreshold, freeShippingRemaining }.
+ */
+async function getCart(userId) {
+  const lines = await redis.hgetall(cartKey(userId));
+  const partNumbers = Object.keys(lines);
+  if (partNumbers.length === 0) return summarize([]);
+
+  const result = await db.query(
+    `SELECT part_number, name, price, in_stock, image_url
+     FROM parts WHERE part_number = ANY($1::text[])`,
+    [partNumbers]
+  );
+  const parts = new Map(result.rows.map(r => [r.part_number, r]));
+
+  const missing = partNumbers.filter(pn => !parts.has(pn));
+  if (missing.length > 0) await redis.hdel(cartKey(userId), ...missing);
+
+  // Keep the order the parts were added in
+  const items = partNumbers.filter(pn => parts.has(pn)).map(pn => {
+    const part = parts.get(pn);
+    const price = parseFloat(part.price) || 0;
+    const quantity = parseInt(lines[pn], 10);
+    return {
+      partNumber: pn,
+      name: part.name,
+      price,
+      quantity,
+      lineTotal: roundMoney(price * quantity),
+      inStock: part.in_stock !== false,
+      imageUrl: part.image_url,
+      productUrl: `https://www.partselect.com/${pn}.htm`
+    };
+  });
+
+  return summarize(items);
+}
+
+/**
+ * Add a part to the cart. Any part reference the catalog knows works
+ * (superseded and manufacturer numbers resolve to the current part).
+ * Resolves to { part, cart } where `part` is the resolution.
+ */
+async function addItem(userId, partInput, quantity = 1) {
+  const count = validateQuantity(quantity);
+  const part = await resolvePartNumber(partInput);
+  if (!part) {
+    throw new CartError(`We couldn't find part ${partInput}`, 404);
+  }
+
+  const stock = await db.query('SELECT in_stock FROM parts WHERE id = $1', [part.partId]);
+  if (stock.rows[0]?.in_stock === false) {
+    throw new CartError(`${part.name} (${part.partNumber}) is out of stock right now`, 409);
+  }
+
+  const key = cartKey(userId);
+  const current = parseInt(await redis.hget(key, part.partNumber), 10) || 0;
+  if (current === 0 && await redis.hlen(key) >= MAX_CART_LINES) {
+    throw new CartError(`Your cart can hold at most ${MAX_CART_LINES} different parts`, 409);
+  }
+  if (current + count > MAX_LINE_QUANTITY) {
+    throw new CartError(`You can order at most ${MAX_LINE_QUANTITY} of a part (you already have ${current})`);
+  }
+
+  await redis.multi().hincrby(key, part.partNumber, count).expire(key, CART_TTL_SECONDS).exec();
+  return { part, cart: await getCart(userId) };
+}
+
+// Set a line's quantity; zero removes it
+async function updateItem(userId, partNumber, quantity) {
+  const count = validateQuantity(quantity, { allowZero: true });
+  const normalized = normalizePartNumber(partNumber);
+  const key = cartKey(userId);
+
+  if (!normalized || !(await redis.hexists(key, normalized))) {
+    throw new CartError(`${partNumber} isn't in your cart`, 404);
+  }
+  if (count === 0) return await removeItem(userId, normalized);
+
+  await redis.multi().hset(key, normalized, count).expire(key, CART_TTL_SECONDS).exec();
+  return await getCart(userId);
+}
+
+async function removeItem(userId, partNumber) {
+  const normalized = normalizePartNumber(partNumber);
+  const removed = normalized ? await redis.hdel(cartKey(userId), normalized) : 0;
+  if (!removed) {
+    throw new CartError(`${partNumber} isn't in your cart`, 404);
+  }
+  return await getCart(userId);
+}
+
+async function clearCart(userId) {
+  await redis.del(cartKey(userId));
+  return summarize([]);
+}
+
+// Move one cart's lines into another (an anonymous cart into the account's
+// when the customer signs in). Quantities add up, capped per line, and new
+// lines only go in while the cart has room. Resolves to the part numbers
+// that didn't fit.
+async function mergeCart(fromUserId, toUserId) {
+  const from = await redis.hgetall(cartKey(fromUserId));
+  const partNumbers = Object.keys(from);
+  if (partNumbers.length === 0) return [];
+
+  const key = cartKey(toUserId);
+  const into = await redis.hgetall(key);
+  let lines = Object.keys(into).length;
+  const dropped = [];
+  const multi = redis.multi();
+  for (const pn of partNumbers) {
+    if (!(pn in into)) {
+      if (lines >= MAX_CART_LINES) {
+        dropped.push(pn);
+        continue;
+      }
+      lines++;
+    }
+    const quantity = (parseInt(into[pn], 10) || 0) + (parseInt(from[pn], 10) || 0);
+    multi.hset(key, pn, Math.min(quantity, MAX_LINE_QUANTITY));
+  }
+  await multi.expire(key, CART_TTL_SECONDS).del(cartKey(fromUserId)).exec();
+  return dropped;
+}
+
+module.exports = {
+  CartError,
+  FREE_SHIPPING_THRESHOLD,
+  STANDARD_SHIPPING,
+  MAX_LINE_QUANTITY,
+  MAX_CART_LINES,
+  getCart,
+  addItem,
+  updateItem,
+  removeItem,
+  clearCart,
+  mergeCart
+};
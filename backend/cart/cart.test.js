@@ -0,0 +1,127 @@
+jest.mock('../db', () => ({ query: jest.fn() }));
+jest.mock('../redis', () => {
+  const hashes = new Map();
+  const hash = (key) => {
+    if (!hashes.has(key)) hashes.set(key, new Map());
+    return hashes.get(key);
+  };
+  const redis = {
+    hashes,
+    hgetall: jest.fn(async (key) => Object.fromEntries(hash(key))),
+    hget: jest.fn(async (key, field) => hash(key).get(field) ?? null),
+    hlen: jest.fn(async (key) => hash(key).size),
+    hexists: jest.fn(async (key, field) => (hash(key).has(field) ? 1 : 0)),
+    hdel: jest.fn(async (key, ...fields) => fields.filter(f => hash(key).delete(f)).length),
+    del: jest.fn(async (key) => (hashes.delete(key) ? 1 : 0)),
+    multi: jest.fn(() => {
+      const ops = [];
+      const chain = {
+        hincrby: (key, field, n) => { ops.push(() => hash(key).set(field, String((parseInt(hash(key).get(field), 10) || 0) + n))); return chain; },
+        hset: (key, field, value) => { ops.push(() => hash(key).set(field, String(value))); return chain; },
+        expire: () => chain,
+        del: (key) => { ops.push(() => hashes.delete(key)); return chain; },
+        exec: async () => ops.forEach(op => op())
+      };
+      return chain;
+    })
+  };
+  return { redis };
+});
+jest.mock('../catalog/parts', () => ({
+  ...jest.requireActual('../catalog/parts'),
+  resolvePartNumber: jest.fn()
+}));
+
+const db = require('../db');
+const { redis } = require('../redis');
+const { resolvePartNumber } = require('../catalog/parts');
+const { CartError, MAX_CART_LINES, getCart, addItem, updateItem, removeItem, mergeCart } = require('./cart');
+
+const PARTS = {
+  PS11752778: { part_number: 'PS11752778', name: 'Refrigerator Door Shelf Bin', price: '36.08', in_stock: true, image_url: null },
+  PS11757304: { part_number: 'PS11757304', name: 'Washing Machine Drain Pump', price: '59.99', in_stock: true, image_url: null },
+  PS10065979: { part_number: 'PS10065979', name: 'Dishwasher Upper Rack', price: '79.99', in_stock: false, image_url: null }
+};
+const IDS = { 1: 'PS11752778', 2: 'PS11757304', 3: 'PS10065979' };
+
+describe('cart', () => {
+  beforeEach(() => {
+    redis.hashes.clear();
+    db.query.mockReset();
+    db.query.mockImplementation(async (sql, [arg]) => {
+      if (sql.includes('WHERE id = $1')) return { rows: [PARTS[IDS[arg]]] };
+      return { rows: arg.filter(pn => PARTS[pn]).map(pn => PARTS[pn]) };
+    });
+    resolvePartNumber.mockImplementation(async (input) => {
+      const id = Object.keys(IDS).find(k => IDS[k] === input);
+      return id ? { partNumber: input, partId: Number(id), name: PARTS[input].name, superseded: false, chain: [input] } : null;
+    });
+  });
+
+  test('prices lines and charges shipping below the free threshold', async () => {
+    const { cart } = await addItem('u1', 'PS11752778', 1);
+
+    expect(cart.items).toEqual([expect.objectContaining({ partNumber: 'PS11752778', quantity: 1, lineTotal: 36.08 })]);
+    expect(cart).toMatchObject({ itemCount: 1, subtotal: 36.08, shipping: 6.95, total: 43.03, freeShippingRemaining: 13.92 });
+  });
+
+  test('ships free once the subtotal reaches $50', async () => {
+    await addItem('u1', 'PS11752778', 1);
+    const { cart } = await addItem('u1', 'PS11752778', 1);
+
+    expect(cart.items[0].quantity).toBe(2);
+    expect(cart).toMatchObject({ subtotal: 72.16, shipping: 0, total: 72.16, freeShippingRemaining: 0 });
+  });
+
+  test('updates and removes lines', async () => {
+    await addItem('u1', 'PS11752778', 1);
+    await addItem('u1', 'PS11757304', 1);
+
+    const updated = await updateItem('u1', 'ps11757304', 3);
+    expect(updated.items.map(i => [i.partNumber, i.quantity])).toEqual([['PS11752778', 1], ['PS11757304', 3]]);
+
+    const removed = await removeItem('u1', 'PS11752778');
+    expect(removed.items.map(i => i.partNumber)).toEqual(['PS11757304']);
+
+    const zeroed = await updateItem('u1', 'PS11757304', 0);
+    expect(zeroed).toMatchObject({ items: [], subtotal: 0, shipping: 0 });
+  });
+
+  test('rejects unknown, out-of-stock and oversized requests', async () => {
+    await expect(addItem('u1', 'PS99999999')).rejects.toMatchObject({ status: 404 });
+    await expect(addItem('u1', 'PS10065979')).rejects.toMatchObject({ status: 409 });
+    await expect(addItem('u1', 'PS11752778', 0)).rejects.toBeInstanceOf(CartError);
+    await expect(addItem('u1', 'PS11752778', 21)).rejects.toThrow('at most 20');
+    await expect(removeItem('u1', 'PS11752778')).rejects.toMatchObject({ status: 404 });
+  });
+
+  test('drops lines whose part has left the catalog', async () => {
+    redis.hashes.set('cart:u1', new Map([['PS00000001', '1'], ['PS11752778', '2']]));
+
+    const cart = await getCart('u1');
+    expect(cart.items.map(i => i.partNumber)).toEqual(['PS11752778']);
+    expect(redis.hdel).toHaveBeenCalledWith('cart:u1', 'PS00000001');
+  });
+
+  test('merges an anonymous cart into the account cart', async () => {
+    redis.hashes.set('cart:anon', new Map([['PS11752778', '15'], ['PS11757304', '1']]));
+    redis.hashes.set('cart:account', new Map([['PS11752778', '10']]));
+
+    await mergeCart('anon', 'account');
+
+    expect(Object.fromEntries(redis.hashes.get('cart:account'))).toEqual({ PS11752778: '20', PS11757304: '1' });
+    expect(redis.hashes.has('cart:anon')).toBe(false);
+  });
+
+  test('merges only as many new lines as the account cart has room for', async () => {
+    const full = Array.from({ length: MAX_CART_LINES - 1 }, (_, i) => [`PS${10000000 + i}`, '1']);
+    redis.hashes.set('cart:account', new Map([...full, ['PS11752778', '1']]));
+    redis.hashes.set('cart:anon', new Map([['PS11752778', '2'], ['PS11757304', '1']]));
+
+    const dropped = await mergeCart('anon', 'account');
+
+    expect(dropped).toEqual(['PS11757304']);
+    expect(redis.hashes.get('cart:account').size).toBe(MAX_CART_LINES);
+    expect(redis.hashes.get('cart:account').get('PS11752778')).toBe('3');
+  });
+});
@@ -0,0 +1,82 @@
+const db = require('../db');
+
+const GUIDE_COLUMNS = `g.id, g.title, g.summary, g.steps, g.tools, g.safety_notes,
+  g.estimated_time, g.difficulty, g.video_url, g.pdf_url, g.category, g.appliance_type`;
+
+// Words that say "installation" rather than what is being installed
+const INSTALL_TERMS = new Set([
+  'install', 'installing', 'installation', 'replace', 'replacing', 'replacement',
+  'how', 'do', 'i', 'the', 'a', 'an', 'my', 'to', 'put', 'in', 'new', 'remove', 'guide', 'instructions'
+]);
+
+function toGuide(row, scope) {
+  return {
+    id: row.id,
+    scope,
+    title: row.title,
+    summary: row.summary,
+    steps: row.steps,
+    tools: row.tools,
+    safetyNotes: row.safety_notes,
+    estimatedTime: row.estimated_time,
+    difficulty: row.difficulty,
+    videoUrl: row.video_url,
+    pdfUrl: row.pdf_url,
+    category: row.category,
+    applianceType: row.appliance_type
+  };
+}
+
+/**
+ * The installation guide for a part: its own guide first, then the guide for
+ * its category and appliance type. Resolves to a guide with
+ * `scope: 'part' | 'category'`, or null when no guide exists.
+ */
+async function findGuideForPart(partId) {
+  const own = await db.query(
+    `SELECT ${GUIDE_COLUMNS} FROM installation_guides g WHERE g.part_id = $1
+     ORDER BY g.updated_at DESC LIMIT 1`,
+    [partId]
+  );
+  if (own.rows.length > 0) return toGuide(own.rows[0], 'part');
+
+  const byCategory = await db.query(
+    `SELECT ${GUIDE_COLUMNS}
+     FROM installation_guides g JOIN parts p ON p.id = $1
+     WHERE g.part_id IS NULL
+     AND g.category ILIKE p.category
+     AND (g.appliance_type IS NULL OR g.appliance_type ILIKE p.appliance_type)
+     ORDER BY g.appliance_type IS NULL, g.updated_at DESC
+     LIMIT 1`,
+    [partId]
+  );
+  return byCategory.rows.length > 0 ? toGuide(byCategory.rows[0], 'category') : null;
+}
+
+/**
+ * Full-text lookup over guide titles, summaries and categories for questions
+ * without a part number ("how do I replace a washer drain pump"). Every term
+ * must match, so a vaguely related guide is never offered as the answer.
+ * Resolves to a guide with `scope: 'search'`, or null.
+ */
+async function searchGuides(query) {
+  const terms = (query || '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(t => t.length > 1 && !INSTALL_TERMS.has(t));
+
+  if (terms.length === 0) return null;
+
+  const result = await db.query(
+    `SELECT ${GUIDE_COLUMNS},
+       ts_rank_cd(to_tsvector('english', g.title || ' ' || coalesce(g.summary, '') || ' ' || coalesce(g.category, '')), q) AS rank
+     FROM installation_guides g, plainto_tsquery('english', $1) q
+     WHERE to_tsvector('english', g.title || ' ' || coalesce(g.summary, '') || ' ' || coalesce(g.category, '')) @@ q
+     ORDER BY rank DESC
+     LIMIT 1`,
+    [terms.join(' ')]
+  );
+  return result.rows.length > 0 ? toGuide(result.rows[0], 'search') : null;
+}
+
+module.exports = { findGuideForPart, searchGuides };
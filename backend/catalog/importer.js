@@ -0,0 +1,364 @@
+const db = require('../db');
+const { deleteMatching } = require('../redis');
+const logger = require('../logger');
+const { validatePart, validateCompatibility, validateModel, validateAlias } = require('./validate');
+const { normalizeModelNumber, splitModelNumber } = require('./models');
+const { normalizePartNumber } = require('./parts');
+
+// Columns an import file can set, in INSERT order
+const PART_FIELDS = [
+  'part_number', 'name', 'description', 'price', 'in_stock',
+  'image_url', 'rating', 'review_count', 'category', 'appliance_type'
+];
+
+const MODEL_FIELDS = ['model_number', 'base_model', 'revision', 'brand', 'appliance_type', 'aliases'];
+
+const ALIAS_FIELDS = ['alias', 'part_number', 'alias_type', 'manufacturer'];
+
+// part_aliases with the target part's number, for diffing against import rows
+const ALIAS_SOURCE = `(SELECT a.alias, p.part_number, a.alias_type, a.manufacturer
+  FROM part_aliases a JOIN parts p ON p.id = a.part_id) AS aliases`;
+
+// Fields that feed the embedding text (see scripts/embedParts.js partText)
+const EMBEDDED_FIELDS = ['name', 'description', 'category', 'appliance_type'];
+
+const BATCH_SIZE = 500;
+
+function sameValue(field, a, b) {
+  if (a === null || a === undefined) return b === null || b === undefined;
+  if (b === null || b === undefined) return false;
+  if (['price', 'rating'].includes(field)) return Number(a) === Number(b);
+  return String(a) === String(b);
+}
+
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) chunks.push(items.slice(i, i + size));
+  return chunks;
+}
+
+/**
+ * Validate raw records ([{ line, record, error? }]) and drop duplicates
+ * (the last row for a key wins). Resolves to { rows, errors }.
+ */
+function validateRecords(records, validator, keyOf, source) {
+  const byKey = new Map();
+  const errors = [];
+
+  for (const { line, record, error } of records) {
+    if (error) {
+      errors.push({ source, line, errors: [error] });
+      continue;
+    }
+    const result = validator(record || {});
+    if (result.errors.length > 0) {
+      errors.push({ source, line, errors: result.errors });
+      continue;
+    }
+    byKey.set(keyOf(result.value), { line, ...result.value });
+  }
+
+  return { rows: [...byKey.values()], errors };
+}
+
+// Split rows keyed by `fields[0]` into created / updated (with field diffs) / unchanged
+async function diffAgainstTable(rows, source, fields) {
+  const [key] = fields;
+  const diff = { created: [], updated: [], unchanged: [] };
+  const existing = new Map();
+
+  for (const batch of chunk(rows.map(r => r[key]), BATCH_SIZE)) {
+    const result = await db.query(
+      `SELECT ${fields.join(', ')} FROM ${source} WHERE ${key} = ANY($1::text[])`,
+      [batch]
+    );
+    result.rows.forEach(row => existing.set(row[key], row));
+  }
+
+  for (const row of rows) {
+    const current = existing.get(row[key]);
+    if (!current) {
+      diff.created.push(row);
+      continue;
+    }
+
+    const changes = fields
+      .filter(f => !sameValue(f, current[f], row[f]))
+      .map(f => ({ field: f, from: current[f], to: row[f] }));
+
+    if (changes.length === 0) {
+      diff.unchanged.push(row);
+    } else {
+      diff.updated.push({ ...row, changes });
+    }
+  }
+
+  return diff;
+}
+
+// Part numbers from `numbers` that exist in the parts table
+async function existingPartNumbers(numbers) {
+  const found = new Set();
+  for (const batch of chunk([...new Set(numbers)], BATCH_SIZE)) {
+    const result = await db.query(
+      `SELECT part_number FROM parts WHERE part_number = ANY($1::text[])`,
+      [batch]
+    );
+    result.rows.forEach(row => found.add(row.part_number));
+  }
+  return found;
+}
+
+/**
+ * Compare validated rows against the database without writing anything.
+ * Resolves to a plan: { parts, models, aliases: { created, updated,
+ * unchanged }, compatibility: { added, existing, unknownPart }, reembed, errors }.
+ */
+async function planImport({ partRecords = [], modelRecords = [], aliasRecords = [], compatRecords = [] }) {
+  const partsResult = validateRecords(partRecords, validatePart, p => p.part_number, 'parts');
+  const modelsResult = validateRecords(modelRecords, validateModel, m => m.model_number, 'models');
+  const aliasesResult = validateRecords(aliasRecords, validateAlias, a => a.alias, 'aliases');
+  const compatResult = validateRecords(
+    compatRecords, validateCompatibility, c => `${c.part_number}|${c.model_number}`, 'compatibility'
+  );
+
+  // 1. parts and models: new, changed (with field diffs) or unchanged
+  const plan = {
+    parts: await diffAgainstTable(partsResult.rows, 'parts', PART_FIELDS),
+    models: await diffAgainstTable(modelsResult.rows, 'models', MODEL_FIELDS),
+    aliases: { created: [], updated: [], unchanged: [] },
+    compatibility: { added: [], existing: [], unknownPart: [] },
+    reembed: [],
+    errors: [...partsResult.errors, ...modelsResult.errors, ...aliasesResult.errors, ...compatResult.errors]
+  };
+
+  plan.reembed = [
+    ...plan.parts.created,
+    ...plan.parts.updated.filter(p => p.changes.some(c => EMBEDDED_FIELDS.includes(c.field)))
+  ].map(p => p.part_number);
+
+  // 2. aliases: the target part must be in the database or this import
+  const importedParts = new Set(partsResult.rows.map(p => p.part_number));
+  const aliasTargets = await existingPartNumbers(
+    aliasesResult.rows.map(a => a.part_number).filter(n => !importedParts.has(n))
+  );
+  const validAliases = [];
+  for (const alias of aliasesResult.rows) {
+    if (importedParts.has(alias.part_number) || aliasTargets.has(alias.part_number)) {
+      validAliases.push(alias);
+    } else {
+      plan.errors.push({ source: 'aliases', line: alias.line, errors: [`part ${alias.part_number} not in catalog`] });
+    }
+  }
+  plan.aliases = await diffAgainstTable(validAliases, ALIAS_SOURCE, ALIAS_FIELDS);
+
+  // 3. compatibility: links must point at a part in the database or this import
+  const existingLinks = new Set();
+  const knownParts = new Set();
+
+  for (const batch of chunk(compatResult.rows, BATCH_SIZE)) {
+    const partNumbers = [...new Set(batch.map(c => c.part_number))];
+    const result = await db.query(
+      `SELECT p.part_number, pc.model_number
+       FROM parts p
+       LEFT JOIN part_compatibility pc ON pc.part_id = p.id
+       WHERE p.part_number = ANY($1::text[])`,
+      [partNumbers]
+    );
+    for (const row of result.rows) {
+      knownParts.add(row.part_number);
+      if (row.model_number) existingLinks.add(`${row.part_number}|${normalizeModelNumber(row.model_number)}`);
+    }
+  }
+
+  for (const link of compatResult.rows) {
+    if (!knownParts.has(link.part_number) && !importedParts.has(link.part_number)) {
+      plan.compatibility.unknownPart.push(link);
+    } else if (existingLinks.has(`${link.part_number}|${link.model_number}`)) {
+      plan.compatibility.existing.push(link);
+    } else {
+      plan.compatibility.added.push(link);
+    }
+  }
+
+  return plan;
+}
+
+/**
+ * Drop cached lookups the plan makes stale: compatibility answers for every
+ * part number it touches (including "not found" for new parts and aliases)
+ * and all product searches, whose keys are free-text queries.
+ * Resolves to the number of keys deleted.
+ */
+async function clearCatalogCache(plan) {
+  const partNumbers = new Set([
+    ...[...plan.parts.created, ...plan.parts.updated].map(p => p.part_number),
+    ...[...plan.aliases.created, ...plan.aliases.updated].flatMap(a => [a.alias, a.part_number]),
+    ...plan.compatibility.added.map(c => c.part_number)
+  ].map(normalizePartNumber).filter(Boolean));
+
+  let deleted = 0;
+  for (const partNumber of partNumbers) {
+    deleted += await deleteMatching(`compat:${partNumber}:*`);
+  }
+  if (plan.parts.created.length + plan.parts.updated.length + plan.aliases.created.length + plan.aliases.updated.length > 0) {
+    deleted += await deleteMatching('product:*');
+  }
+  return deleted;
+}
+
+/**
+ * Write a plan in one transaction, then clear the cache entries it makes
+ * stale. Parts whose embedded text changed get their embedding cleared so
+ * `npm run embed` picks them up again. Resolves to { registeredModels,
+ * clearedCacheKeys }: models added to the registry from compatibility rows
+ * alone, and cache keys deleted (null when Redis couldn't be reached).
+ */
+async function applyImport(plan) {
+  const parts = [...plan.parts.created, ...plan.parts.updated];
+  const client = await db.pool.connect();
+  let registeredModels = 0;
+
+  try {
+    await client.query('BEGIN');
+
+    for (const batch of chunk(parts, BATCH_SIZE)) {
+      await client.query(
+        `INSERT INTO parts (${PART_FIELDS.join(', ')})
+         SELECT * FROM unnest(
+           $1::text[], $2::text[], $3::text[], $4::numeric[], $5::boolean[],
+           $6::text[], $7::numeric[], $8::int[], $9::text[], $10::text[]
+         )
+         ON CONFLICT (part_number) DO UPDATE SET
+           ${PART_FIELDS.slice(1).map(f => `${f} = EXCLUDED.${f}`).join(',\n           ')},
+           updated_at = NOW()`,
+        PART_FIELDS.map(f => batch.map(p => p[f]))
+      );
+    }
+
+    for (const batch of chunk(plan.reembed, BATCH_SIZE)) {
+      await client.query(
+        `UPDATE parts SET embedding = NULL, embedding_model = NULL, embedding_dim = NULL
+         WHERE part_number = ANY($1::text[])`,
+        [batch]
+      );
+    }
+
+    const models = [...plan.models.created, ...plan.models.updated];
+    for (const batch of chunk(models, BATCH_SIZE)) {
+      await client.query(
+        `INSERT INTO models (${MODEL_FIELDS.join(', ')})
+         SELECT m.model_number, m.base_model, m.revision, m.brand, m.appliance_type,
+                ARRAY(SELECT jsonb_array_elements_text(m.aliases))
+         FROM unnest($1::text[], $2::text[], $3::text[], $4::text[], $5::text[], $6::jsonb[])
+           AS m(model_number, base_model, revision, brand, appliance_type, aliases)
+         ON CONFLICT (model_number) DO UPDATE SET
+           ${MODEL_FIELDS.slice(1).map(f => `${f} = EXCLUDED.${f}`).join(',\n           ')},
+           updated_at = NOW()`,
+        [
+          ...MODEL_FIELDS.slice(0, 5).map(f => batch.map(m => m[f])),
+          batch.map(m => JSON.stringify(m.aliases))
+        ]
+      );
+    }
+
+    const aliases = [...plan.aliases.created, ...plan.aliases.updated];
+    for (const batch of chunk(aliases, BATCH_SIZE)) {
+      await client.query(
+        `INSERT INTO part_aliases (alias, part_id, alias_type, manufacturer)
+         SELECT a.alias, p.id, a.alias_type, a.manufacturer
+         FROM unnest($1::text[], $2::text[], $3::text[], $4::text[])
+           AS a(alias, part_number, alias_type, manufacturer)
+         JOIN parts p ON p.part_number = a.part_number
+         ON CONFLICT (alias) DO UPDATE SET
+           part_id = EXCLUDED.part_id,
+           alias_type = EXCLUDED.alias_type,
+           manufacturer = EXCLUDED.manufacturer`,
+        ALIAS_FIELDS.map(f => batch.map(a => a[f]))
+      );
+    }
+
+    for (const batch of chunk(plan.compatibility.added, BATCH_SIZE)) {
+      await client.query(
+        `INSERT INTO part_compatibility (part_id, model_number)
+         SELECT p.id, c.model_number
+         FROM unnest($1::text[], $2::text[]) AS c(part_number, model_number)
+         JOIN parts p ON p.part_number = c.part_number
+         ON CONFLICT (part_id, model_number) DO NOTHING`,
+        [batch.map(c => c.part_number), batch.map(c => c.model_number)]
+      );
+
+      // Models only known from compatibility rows get a registry entry with
+      // a guessed base model / revision and the part's appliance type
+      const split = batch.map(c => splitModelNumber(c.model_number));
+      const registered = await client.query(
+        `INSERT INTO models (model_number, base_model, revision, appliance_type)
+         SELECT DISTINCT ON (c.model_number) c.model_number, c.base_model, c.revision, p.appliance_type
+         FROM unnest($1::text[], $2::text[], $3::text[], $4::text[])
+           AS c(part_number, model_number, base_model, revision)
+         JOIN parts p ON p.part_number = c.part_number
+         ORDER BY c.model_number
+         ON CONFLICT (model_number) DO NOTHING`,
+        [
+          batch.map(c => c.part_number),
+          batch.map(c => c.model_number),
+          split.map(m => m.baseModel),
+          split.map(m => m.revision)
+        ]
+      );
+      registeredModels += registered.rowCount;
+    }
+
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  // The import is written either way; stale entries still expire within a day
+  let clearedCacheKeys = null;
+  try {
+    clearedCacheKeys = await clearCatalogCache(plan);
+  } catch (err) {
+    logger.warn(`⚠️ Could not clear cached catalog lookups: ${err.message}`);
+  }
+  return { registeredModels, clearedCacheKeys };
+}
+
+// Human-readable diff report for the console
+function formatReport(plan, { dryRun = false, verbose = false } = {}) {
+  const lines = [];
+  const { parts, models, aliases, compatibility } = plan;
+
+  lines.push(dryRun ? '🔍 Dry run — no changes written' : '📦 Import summary');
+  lines.push(`Parts: ${parts.created.length} new, ${parts.updated.length} changed, ${parts.unchanged.length} unchanged`);
+  lines.push(`Models: ${plan.models.created.length} new, ${plan.models.updated.length} changed, ${plan.models.unchanged.length} unchanged`);
+  lines.push(`Aliases: ${aliases.created.length} new, ${aliases.updated.length} changed, ${aliases.unchanged.length} unchanged`);
+  lines.push(`Compatibility: ${compatibility.added.length} new links, ${compatibility.existing.length} already present, ${compatibility.unknownPart.length} for unknown parts`);
+  lines.push(`Re-embedding needed: ${plan.reembed.length} parts`);
+
+  if (verbose || dryRun) {
+    parts.created.forEach(p => lines.push(`  + ${p.part_number} ${p.name}`));
+    models.created.forEach(m => lines.push(`  + ${m.model_number} (${m.base_model} rev ${m.revision || '-'})`));
+    aliases.created.forEach(a => lines.push(`  + ${a.alias} → ${a.part_number} (${a.alias_type})`));
+    [...parts.updated, ...models.updated, ...aliases.updated].forEach(row => {
+      lines.push(`  ~ ${row.alias || row.part_number || row.model_number}`);
+      row.changes.forEach(c => lines.push(`      ${c.field}: ${JSON.stringify(c.from)} → ${JSON.stringify(c.to)}`));
+    });
+  }
+
+  compatibility.unknownPart.forEach(c =>
+    lines.push(`  ⚠️ ${c.part_number} → ${c.model_number}: part not in catalog, skipped`)
+  );
+
+  if (plan.errors.length > 0) {
+    lines.push(`❌ ${plan.errors.length} invalid rows skipped:`);
+    plan.errors.forEach(e => lines.push(`  ${e.source}:${e.line} ${e.errors.join('; ')}`));
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = { planImport, applyImport, formatReport, validateRecords };
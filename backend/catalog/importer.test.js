@@ -0,0 +1,179 @@
+jest.mock('../db', () => ({ query: jest.fn(), pool: { connect: jest.fn() } }));
+jest.mock('../redis', () => require('../eval/fakeRedis').createRedisModule());
+
+const db = require('../db');
+const { redis } = require('../redis');
+const { parseCsv } = require('./readers');
+const { planImport, applyImport } = require('./importer');
+
+const DOOR_BIN = {
+  part_number: 'PS11752778',
+  name: 'Refrigerator Door Shelf Bin',
+  description: 'Clear door bin',
+  price: '24.99',
+  in_stock: true,
+  image_url: null,
+  rating: '4.2',
+  review_count: 58,
+  category: 'Door Bin',
+  appliance_type: 'refrigerator'
+};
+
+describe('parseCsv', () => {
+  test('handles quoted commas, escaped quotes and newlines', () => {
+    const rows = parseCsv('part_number,name\r\nPS1,"Bin, ""clear""\nlarge"\n');
+    expect(rows).toEqual([
+      ['part_number', 'name'],
+      ['PS1', 'Bin, "clear"\nlarge']
+    ]);
+  });
+});
+
+describe('planImport', () => {
+  beforeEach(() => {
+    db.query.mockReset();
+  });
+
+  test('reports new, changed and unchanged parts and flags re-embedding', async () => {
+    db.query.mockResolvedValueOnce({
+      rows: [DOOR_BIN, { ...DOOR_BIN, part_number: 'PS11722130', name: 'Ice Maker' }]
+    });
+
+    const plan = await planImport({
+      partRecords: [
+        { line: 2, record: { ...DOOR_BIN, price: '24.99', in_stock: 'yes' } },
+        { line: 3, record: { ...DOOR_BIN, part_number: 'PS11722130', name: 'Ice Maker Assembly' } },
+        { line: 4, record: { part_number: 'PS3406971', name: 'Dishwasher Wheel', price: '8.50' } }
+      ]
+    });
+
+    expect(plan.parts.unchanged.map(p => p.part_number)).toEqual(['PS11752778']);
+    expect(plan.parts.updated[0].changes).toEqual([
+      { field: 'name', from: 'Ice Maker', to: 'Ice Maker Assembly' }
+    ]);
+    expect(plan.parts.created.map(p => p.part_number)).toEqual(['PS3406971']);
+    expect(plan.reembed).toEqual(['PS3406971', 'PS11722130']);
+    expect(plan.errors).toEqual([]);
+  });
+
+  test('price-only changes do not need a new embedding', async () => {
+    db.query.mockResolvedValueOnce({ rows: [DOOR_BIN] });
+
+    const plan = await planImport({ partRecords: [{ line: 2, record: { ...DOOR_BIN, price: '19.99' } }] });
+
+    expect(plan.parts.updated).toHaveLength(1);
+    expect(plan.reembed).toEqual([]);
+  });
+
+  test('skips invalid rows with their line numbers', async () => {
+    db.query.mockResolvedValue({ rows: [] });
+
+    const plan = await planImport({
+      partRecords: [
+        { line: 2, record: { part_number: 'PS123', name: '', price: '-1' } },
+        { line: 3, record: null, error: 'invalid JSON (Unexpected token)' }
+      ],
+      compatRecords: [{ line: 2, record: { part_number: 'PS11752778' } }]
+    });
+
+    expect(plan.parts.created).toEqual([]);
+    expect(plan.errors).toEqual([
+      { source: 'parts', line: 2, errors: expect.arrayContaining(['name is required', 'price "-1" must be a non-negative number']) },
+      { source: 'parts', line: 3, errors: ['invalid JSON (Unexpected token)'] },
+      { source: 'compatibility', line: 2, errors: ['model_number is required'] }
+    ]);
+  });
+
+  test('normalizes model numbers and splits base model from revision', async () => {
+    db.query.mockResolvedValueOnce({ rows: [] });
+
+    const plan = await planImport({
+      modelRecords: [
+        { line: 2, record: { model_number: 'wrs325sdhz-01', brand: 'Whirlpool', aliases: 'wrs325sdhz 01|KRS325SDHZ01' } }
+      ]
+    });
+
+    expect(plan.models.created).toEqual([expect.objectContaining({
+      model_number: 'WRS325SDHZ01',
+      base_model: 'WRS325SDHZ',
+      revision: '01',
+      aliases: ['KRS325SDHZ01']
+    })]);
+  });
+
+  test('aliases must point at a known part', async () => {
+    db.query
+      .mockResolvedValueOnce({ rows: [{ part_number: 'PS11752778' }] })   // existing parts
+      .mockResolvedValueOnce({ rows: [] });                               // existing aliases
+
+    const plan = await planImport({
+      aliasRecords: [
+        { line: 2, record: { alias: 'W10321304', part_number: 'PS11752778', alias_type: 'superseded' } },
+        { line: 3, record: { alias: 'WP123456', part_number: 'PS99999999' } },
+        { line: 4, record: { alias: 'X1', part_number: 'PS11752778', alias_type: 'replacement' } }
+      ]
+    });
+
+    expect(plan.aliases.created).toEqual([expect.objectContaining({ alias: 'W10321304', alias_type: 'superseded' })]);
+    expect(plan.errors.map(e => e.line)).toEqual([4, 3]);
+  });
+
+  test('sorts compatibility links into new, existing and unknown parts', async () => {
+    db.query.mockResolvedValueOnce({
+      rows: [{ part_number: 'PS11752778', model_number: 'WRS325SDHZ01' }]
+    });
+
+    const plan = await planImport({
+      compatRecords: [
+        { line: 2, record: { part_number: 'PS11752778', model_number: 'wrs325sdhz01' } },
+        { line: 3, record: { part_number: 'PS11752778', model_number: 'WRS325SDHZ02' } },
+        { line: 4, record: { part_number: 'PS99999999', model_number: 'WDT780SAEM1' } }
+      ]
+    });
+
+    expect(plan.compatibility.existing.map(c => c.model_number)).toEqual(['WRS325SDHZ01']);
+    expect(plan.compatibility.added.map(c => c.model_number)).toEqual(['WRS325SDHZ02']);
+    expect(plan.compatibility.unknownPart.map(c => c.part_number)).toEqual(['PS99999999']);
+  });
+});
+
+describe('applyImport', () => {
+  const emptyPlan = () => ({
+    parts: { created: [], updated: [], unchanged: [] },
+    models: { created: [], updated: [], unchanged: [] },
+    aliases: { created: [], updated: [], unchanged: [] },
+    compatibility: { added: [], existing: [], unknownPart: [] },
+    reembed: [],
+    errors: []
+  });
+
+  beforeEach(async () => {
+    redis.flushall();
+    db.pool.connect.mockResolvedValue({ query: jest.fn().mockResolvedValue({ rowCount: 0 }), release: jest.fn() });
+    await redis.set('compat:PS11752778:WRS325SDHZ01', JSON.stringify({ isCompatible: false }));
+    await redis.set('compat:PS3406971:WDT780SAEM1', JSON.stringify({ isCompatible: true }));
+    await redis.set('product:any:door-bin', JSON.stringify([]));
+  });
+
+  test('clears cached answers for the parts it links', async () => {
+    const plan = emptyPlan();
+    plan.compatibility.added.push({ part_number: 'PS11752778', model_number: 'WRS325SDHZ01' });
+
+    const result = await applyImport(plan);
+
+    expect(result.clearedCacheKeys).toBe(1);
+    expect(await redis.get('compat:PS11752778:WRS325SDHZ01')).toBeNull();
+    expect(await redis.get('compat:PS3406971:WDT780SAEM1')).not.toBeNull();
+    expect(await redis.get('product:any:door-bin')).not.toBeNull();
+  });
+
+  test('clears product searches when parts or aliases change', async () => {
+    const plan = emptyPlan();
+    plan.aliases.created.push({ alias: 'wpw10321304', part_number: 'PS11752778', alias_type: 'oem' });
+
+    await applyImport(plan);
+
+    expect(await redis.get('compat:PS11752778:WRS325SDHZ01')).toBeNull();
+    expect(await redis.get('product:any:door-bin')).toBeNull();
+  });
+});
@@ -0,0 +1,138 @@
+const db = require('../db');
+
+// Model numbers as customers type them: "WRS325SDHZ01", "wrs325sdhz-01",
+// "WRS325SDHZ". An optional hyphenated revision suffix is kept.
+const MODEL_NUMBER_PATTERN = /[A-Z]{3}\d{3,7}[A-Z0-9]{3,}(?:-[A-Z0-9]{1,2})?/i;
+
+// Canonical form stored in models.model_number and part_compatibility:
+// upper case with spaces, hyphens, dots and slashes removed.
+function normalizeModelNumber(raw) {
+  if (!raw) return null;
+  const normalized = String(raw).toUpperCase().replace(/[\s\-./]/g, '');
+  return normalized || null;
+}
+
+// Best guess at base model and revision for numbers not in the registry,
+// e.g. WRS325SDHZ01 → WRS325SDHZ / 01, WDT780SAEM1 → WDT780SAEM / 1.
+function splitModelNumber(raw) {
+  const normalized = normalizeModelNumber(raw);
+  if (!normalized) return { baseModel: null, revision: null };
+
+  const match = normalized.match(/^(.*[A-Z])(\d{1,2})$/);
+  if (!match || match[1].length < 6) return { baseModel: normalized, revision: null };
+  return { baseModel: match[1], revision: match[2] };
+}
+
+// First model number in free text, skipping tokens already known to be
+// something else (OEM part numbers share the model number shape)
+function extractModelNumber(text, exclude = []) {
+  const skip = new Set(exclude.map(normalizeModelNumber));
+  const pattern = new RegExp(MODEL_NUMBER_PATTERN.source, 'gi');
+
+  for (const match of (text || '').matchAll(pattern)) {
+    const normalized = normalizeModelNumber(match[0]);
+    if (!skip.has(normalized)) return normalized;
+  }
+  return null;
+}
+
+// "00, 01, 02, 04" → "00–02, 04"
+function formatRevisions(revisions) {
+  const sorted = [...new Set(revisions.filter(Boolean))].sort();
+  const ranges = [];
+
+  for (const rev of sorted) {
+    const last = ranges[ranges.length - 1];
+    const consecutive = last && /^\d+$/.test(rev) && /^\d+$/.test(last.end)
+      && rev.length === last.end.length && Number(rev) === Number(last.end) + 1;
+
+    if (consecutive) {
+      last.end = rev;
+    } else {
+      ranges.push({ start: rev, end: rev });
+    }
+  }
+
+  return ranges.map(r => (r.start === r.end ? r.start : `${r.start}–${r.end}`)).join(', ');
+}
+
+/**
+ * Resolve customer input against the models registry. Matches an exact model
+ * number or alias first; a base model with no revision matches every revision.
+ * Unregistered numbers fall back to the normalized input so compatibility rows
+ * without a registry entry still match.
+ * Resolves to { input, modelNumber, baseModel, revision, brand, applianceType,
+ * registered, allRevisions, modelNumbers }.
+ */
+async function resolveModel(input) {
+  const normalized = normalizeModelNumber(input);
+  if (!normalized) return null;
+
+  const exact = await db.query(
+    `SELECT model_number, base_model, revision, brand, appliance_type
+     FROM models
+     WHERE model_number = $1 OR $1 = ANY(aliases)
+     LIMIT 1`,
+    [normalized]
+  );
+
+  if (exact.rows.length > 0) {
+    const model = exact.rows[0];
+    return {
+      input,
+      modelNumber: model.model_number,
+      baseModel: model.base_model,
+      revision: model.revision,
+      brand: model.brand,
+      applianceType: model.appliance_type,
+      registered: true,
+      allRevisions: false,
+      modelNumbers: [model.model_number]
+    };
+  }
+
+  const revisions = await db.query(
+    `SELECT model_number, base_model, revision, brand, appliance_type
+     FROM models
+     WHERE base_model = $1
+     ORDER BY revision NULLS FIRST`,
+    [normalized]
+  );
+
+  if (revisions.rows.length > 0) {
+    const first = revisions.rows[0];
+    return {
+      input,
+      modelNumber: normalized,
+      baseModel: normalized,
+      revision: null,
+      brand: first.brand,
+      applianceType: first.appliance_type,
+      registered: true,
+      allRevisions: true,
+      modelNumbers: revisions.rows.map(r => r.model_number)
+    };
+  }
+
+  const { baseModel, revision } = splitModelNumber(normalized);
+  return {
+    input,
+    modelNumber: normalized,
+    baseModel,
+    revision,
+    brand: null,
+    applianceType: null,
+    registered: false,
+    allRevisions: false,
+    modelNumbers: [normalized]
+  };
+}
+
+module.exports = {
+  MODEL_NUMBER_PATTERN,
+  normalizeModelNumber,
+  splitModelNumber,
+  extractModelNumber,
+  formatRevisions,
+  resolveModel
+};
@@ -0,0 +1,82 @@
+jest.mock('../db', () => ({ query: jest.fn() }));
+
+const db = require('../db');
+const {
+  normalizeModelNumber,
+  splitModelNumber,
+  extractModelNumber,
+  formatRevisions,
+  resolveModel
+} = require('./models');
+
+const revision = (rev) => ({
+  model_number: `WRS325SDHZ${rev}`,
+  base_model: 'WRS325SDHZ',
+  revision: rev,
+  brand: 'Whirlpool',
+  appliance_type: 'refrigerator'
+});
+
+describe('model number normalization', () => {
+  test('upper-cases and strips separators', () => {
+    expect(normalizeModelNumber(' wrs325sdhz-01 ')).toBe('WRS325SDHZ01');
+    expect(normalizeModelNumber('WRS325SDHZ 01')).toBe('WRS325SDHZ01');
+    expect(normalizeModelNumber('')).toBeNull();
+  });
+
+  test('splits a trailing revision from the base model', () => {
+    expect(splitModelNumber('WRS325SDHZ01')).toEqual({ baseModel: 'WRS325SDHZ', revision: '01' });
+    expect(splitModelNumber('WDT780SAEM1')).toEqual({ baseModel: 'WDT780SAEM', revision: '1' });
+    expect(splitModelNumber('WRS325SDHZ')).toEqual({ baseModel: 'WRS325SDHZ', revision: null });
+  });
+
+  test('extracts hyphenated model numbers from text', () => {
+    expect(extractModelNumber('does it fit my WRS325SDHZ-01?')).toBe('WRS325SDHZ01');
+    expect(extractModelNumber('no model here')).toBeNull();
+  });
+
+  test('collapses consecutive revisions into ranges', () => {
+    expect(formatRevisions(['03', '00', '01', '02', '04'])).toBe('00–04');
+    expect(formatRevisions(['00', '01', '03', null])).toBe('00–01, 03');
+    expect(formatRevisions([])).toBe('');
+  });
+});
+
+describe('resolveModel', () => {
+  beforeEach(() => {
+    db.query.mockReset();
+  });
+
+  test('matches a registered model or alias exactly', async () => {
+    db.query.mockResolvedValueOnce({ rows: [revision('01')] });
+
+    const model = await resolveModel('wrs325sdhz-01');
+
+    expect(db.query.mock.calls[0][1]).toEqual(['WRS325SDHZ01']);
+    expect(model).toMatchObject({ modelNumber: 'WRS325SDHZ01', registered: true, allRevisions: false });
+  });
+
+  test('a base model without revision covers every revision', async () => {
+    db.query
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValueOnce({ rows: [revision('00'), revision('01')] });
+
+    const model = await resolveModel('WRS325SDHZ');
+
+    expect(model.allRevisions).toBe(true);
+    expect(model.modelNumbers).toEqual(['WRS325SDHZ00', 'WRS325SDHZ01']);
+  });
+
+  test('falls back to the normalized input for unregistered models', async () => {
+    db.query.mockResolvedValue({ rows: [] });
+
+    const model = await resolveModel('wdt780saem1');
+
+    expect(model).toMatchObject({
+      modelNumber: 'WDT780SAEM1',
+      baseModel: 'WDT780SAEM',
+      registered: false,
+      modelNumbers: ['WDT780SAEM1']
+    });
+  });
+});
@@ -0,0 +1,120 @@
+const db = require('../db');
+
+// PartSelect numbers (PS11752778), bare PartSelect digits (11752778) and
+// manufacturer numbers (WPW10321304, W10321304, AP6023956)
+const PART_REFERENCE_PATTERN = /^(?:PS\d{5,10}|[A-Z]{0,4}\d{5,}[A-Z0-9]*)$/;
+
+// Longest supersession chain we follow before assuming bad data
+const MAX_SUPERSESSION_DEPTH = 10;
+
+function normalizePartNumber(raw) {
+  if (!raw) return null;
+  const normalized = String(raw).toUpperCase().replace(/[\s\-./]/g, '');
+  return normalized || null;
+}
+
+function isPartReference(token) {
+  const normalized = normalizePartNumber(token);
+  return Boolean(normalized && PART_REFERENCE_PATTERN.test(normalized));
+}
+
+// A part row for a PartSelect number or any alias of it
+async function findPart(candidates) {
+  const result = await db.query(
+    `SELECT p.id, p.part_number, p.name, 'part_number' AS matched_by, 0 AS priority
+     FROM parts p WHERE p.part_number = ANY($1::text[])
+     UNION ALL
+     SELECT p.id, p.part_number, p.name, a.alias_type AS matched_by, 1 AS priority
+     FROM part_aliases a JOIN parts p ON p.id = a.part_id
+     WHERE a.alias = ANY($1::text[])
+     ORDER BY priority
+     LIMIT 1`,
+    [candidates]
+  );
+  return result.rows[0] || null;
+}
+
+// The part that replaced `partNumber`, if a superseded alias points elsewhere
+async function findReplacement(partNumber) {
+  const result = await db.query(
+    `SELECT p.id, p.part_number, p.name
+     FROM part_aliases a JOIN parts p ON p.id = a.part_id
+     WHERE a.alias = $1 AND a.alias_type = 'superseded'`,
+    [partNumber]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Resolve a PartSelect number, bare PartSelect digits, OEM number or
+ * superseded number to the current PartSelect part, following replacement
+ * chains. Resolves to null when nothing matches, otherwise
+ * { input, partNumber, partId, name, matchedBy, superseded, chain } where
+ * `chain` lists every number from the input to the current part.
+ */
+async function resolvePartNumber(input) {
+  const normalized = normalizePartNumber(input);
+  if (!normalized) return null;
+
+  const candidates = /^\d{5,10}$/.test(normalized) ? [normalized, `PS${normalized}`] : [normalized];
+  let part = await findPart(candidates);
+  if (!part) return null;
+
+  // Bare digits that matched a PartSelect number start the chain as that number
+  const start = part.matched_by === 'part_number' ? part.part_number : normalized;
+  const chain = part.part_number === start ? [start] : [start, part.part_number];
+  const seen = new Set(chain);
+  let superseded = part.matched_by === 'superseded';
+
+  for (let depth = 0; depth < MAX_SUPERSESSION_DEPTH; depth++) {
+    const replacement = await findReplacement(part.part_number);
+    if (!replacement || seen.has(replacement.part_number)) break;
+
+    part = { ...replacement, matched_by: part.matched_by };
+    chain.push(replacement.part_number);
+    seen.add(replacement.part_number);
+    superseded = true;
+  }
+
+  return {
+    input,
+    partNumber: part.part_number,
+    partId: part.id,
+    name: part.name,
+    matchedBy: part.matched_by,
+    superseded,
+    chain
+  };
+}
+
+/**
+ * Scan free text for part numbers and resolve the first one that matches a
+ * catalog part. Resolves to { token, ...resolution } or null.
+ */
+async function findPartReference(text) {
+  const tokens = (text || '').split(/[^A-Za-z0-9-]+/).filter(isPartReference);
+
+  for (const token of tokens) {
+    const resolution = await resolvePartNumber(token);
+    if (resolution) return { token, ...resolution };
+  }
+  return null;
+}
+
+// "W10321304 has been superseded by PS11752778" — null when not superseded
+function describeSupersession(resolution) {
+  if (!resolution?.superseded) return null;
+  const [original] = resolution.chain;
+  const via = resolution.chain.slice(1, -1);
+  return `Part **${original}** has been superseded by **${resolution.partNumber}**`
+    + (via.length > 0 ? ` (via ${via.join(' → ')})` : '')
+    + '.';
+}
+
+module.exports = {
+  normalizePartNumber,
+  isPartReference,
+  resolvePartNumber,
+  findPartReference,
+  describeSupersession
+};
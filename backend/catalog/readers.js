@@ -0,0 +1,86 @@
+const fs = require('fs');
+const path = require('path');
+
+// Minimal RFC 4180 parser: quoted fields, escaped quotes ("") and newlines
+// inside quotes. Returns an array of rows, each an array of strings.
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+
+    if (inQuotes) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+/**
+ * Read a CSV (header row required) or JSONL file into
+ * [{ line, record }] where `line` is the 1-based source line for error reports.
+ */
+function readRecords(filePath) {
+  const text = fs.readFileSync(filePath, 'utf8').replace(/^﻿/, '');
+  const ext = path.extname(filePath).toLowerCase();
+
+  if (ext === '.jsonl' || ext === '.ndjson') {
+    return text.split(/\r?\n/)
+      .map((line, i) => ({ line: i + 1, text: line.trim() }))
+      .filter(({ text: t }) => t !== '')
+      .map(({ line, text: t }) => {
+        try {
+          return { line, record: JSON.parse(t) };
+        } catch (e) {
+          return { line, record: null, error: `invalid JSON: ${e.message}` };
+        }
+      });
+  }
+
+  if (ext === '.csv') {
+    const [header, ...rows] = parseCsv(text);
+    if (!header) return [];
+    const columns = header.map(h => h.trim().toLowerCase());
+
+    return rows
+      .map((values, i) => ({ line: i + 2, values }))
+      .filter(({ values }) => values.some(v => v.trim() !== ''))
+      .map(({ line, values }) => ({
+        line,
+        record: Object.fromEntries(columns.map((c, j) => [c, values[j] ?? '']))
+      }));
+  }
+
+  throw new Error(`Unsupported file type "${ext}" for ${filePath} (expected .csv or .jsonl)`);
+}
+
+module.exports = { readRecords, parseCsv };
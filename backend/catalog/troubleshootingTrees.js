@@ -0,0 +1,82 @@
+const db = require('../db');
+
+// Trees change only when experts edit them; cache the list briefly
+const TREE_CACHE_MS = 60 * 1000;
+let treeCache = { at: 0, trees: null };
+
+/**
+ * All troubleshooting trees: [{ slug, applianceType, symptom, matchPhrases, rootNodeKey }].
+ */
+async function listTrees() {
+  if (treeCache.trees && Date.now() - treeCache.at < TREE_CACHE_MS) {
+    return treeCache.trees;
+  }
+
+  const result = await db.query(
+    `SELECT slug, appliance_type, symptom, match_phrases, root_node_key, version
+     FROM troubleshooting_trees
+     ORDER BY appliance_type, slug`
+  );
+
+  const trees = result.rows.map(row => ({
+    slug: row.slug,
+    applianceType: row.appliance_type,
+    symptom: row.symptom,
+    matchPhrases: row.match_phrases,
+    rootNodeKey: row.root_node_key,
+    version: row.version
+  }));
+
+  treeCache = { at: Date.now(), trees };
+  return trees;
+}
+
+/**
+ * One node of a tree with its outcomes in display order.
+ * Resolves to { treeSlug, symptom, key, type, prompt, likelyParts, outcomes }, each
+ * outcome { key, label, type: 'ok' | 'problem', next },
+ * or null when the tree or node doesn't exist (e.g. it was edited mid-session).
+ */
+async function getNode(treeSlug, nodeKey) {
+  const node = await db.query(
+    `SELECT t.slug, t.symptom, t.version, n.tree_id, n.node_key, n.node_type, n.prompt, n.likely_parts
+     FROM troubleshooting_nodes n
+     JOIN troubleshooting_trees t ON t.id = n.tree_id
+     WHERE t.slug = $1 AND n.node_key = $2`,
+    [treeSlug, nodeKey]
+  );
+
+  if (node.rows.length === 0) return null;
+  const row = node.rows[0];
+
+  const outcomes = await db.query(
+    `SELECT outcome_key, label, next_node_key, outcome_type
+     FROM troubleshooting_outcomes
+     WHERE tree_id = $1 AND node_key = $2
+     ORDER BY position, outcome_key`,
+    [row.tree_id, row.node_key]
+  );
+
+  return {
+    treeSlug: row.slug,
+    symptom: row.symptom,
+    version: row.version,
+    key: row.node_key,
+    type: row.node_type,
+    prompt: row.prompt,
+    likelyParts: row.likely_parts,
+    outcomes: outcomes.rows.map(o => ({
+      key: o.outcome_key,
+      label: o.label,
+      type: o.outcome_type,
+      next: o.next_node_key
+    }))
+  };
+}
+
+// Tests and admin tooling can force a reload after editing trees
+function clearTreeCache() {
+  treeCache = { at: 0, trees: null };
+}
+
+module.exports = { listTrees, getNode, clearTreeCache };
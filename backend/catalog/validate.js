@@ -0,0 +1,165 @@
+const { normalizeModelNumber, splitModelNumber } = require('./models');
+const { normalizePartNumber } = require('./parts');
+
+const ALIAS_TYPES = ['oem', 'superseded', 'cross_reference'];
+
+// Field rules for catalog import rows. Each validator returns
+// { value, errors } where `value` is the normalized row for the database.
+
+const PART_NUMBER_PATTERN = /^PS\d{5,10}$/;
+
+function blankToNull(value) {
+  if (value === undefined || value === null) return null;
+  const trimmed = String(value).trim();
+  return trimmed === '' ? null : trimmed;
+}
+
+function parseBoolean(value) {
+  if (value === null) return null;
+  if (typeof value === 'boolean') return value;
+  const normalized = String(value).toLowerCase();
+  if (['true', 'yes', 'y', '1'].includes(normalized)) return true;
+  if (['false', 'no', 'n', '0'].includes(normalized)) return false;
+  return undefined;
+}
+
+function validatePart(record) {
+  const errors = [];
+  const get = (key) => blankToNull(record[key]);
+
+  const partNumber = get('part_number')?.toUpperCase() || null;
+  if (!partNumber) {
+    errors.push('part_number is required');
+  } else if (!PART_NUMBER_PATTERN.test(partNumber)) {
+    errors.push(`part_number "${partNumber}" must look like PS12345678`);
+  }
+
+  const name = get('name');
+  if (!name) errors.push('name is required');
+
+  const price = get('price') === null ? null : Number(get('price'));
+  if (price !== null && (!Number.isFinite(price) || price < 0)) {
+    errors.push(`price "${record.price}" must be a non-negative number`);
+  }
+
+  const rating = get('rating') === null ? null : Number(get('rating'));
+  if (rating !== null && (!Number.isFinite(rating) || rating < 0 || rating > 5)) {
+    errors.push(`rating "${record.rating}" must be between 0 and 5`);
+  }
+
+  const reviewCount = get('review_count') === null ? null : Number(get('review_count'));
+  if (reviewCount !== null && (!Number.isInteger(reviewCount) || reviewCount < 0)) {
+    errors.push(`review_count "${record.review_count}" must be a non-negative integer`);
+  }
+
+  const inStock = parseBoolean(get('in_stock'));
+  if (inStock === undefined) {
+    errors.push(`in_stock "${record.in_stock}" must be true or false`);
+  }
+
+  const category = get('category');
+  if (category && category.length > 50) errors.push('category must be at most 50 characters');
+
+  const applianceType = get('appliance_type')?.toLowerCase() || null;
+  if (applianceType && applianceType.length > 50) errors.push('appliance_type must be at most 50 characters');
+
+  return {
+    errors,
+    value: {
+      part_number: partNumber,
+      name,
+      description: get('description'),
+      price,
+      in_stock: inStock ?? true,
+      image_url: get('image_url'),
+      rating,
+      review_count: reviewCount,
+      category,
+      appliance_type: applianceType
+    }
+  };
+}
+
+function validateCompatibility(record) {
+  const errors = [];
+  const partNumber = blankToNull(record.part_number)?.toUpperCase() || null;
+  const modelNumber = normalizeModelNumber(blankToNull(record.model_number));
+
+  if (!partNumber) errors.push('part_number is required');
+  if (!modelNumber) errors.push('model_number is required');
+  if (modelNumber && modelNumber.length > 100) errors.push('model_number must be at most 100 characters');
+
+  return { errors, value: { part_number: partNumber, model_number: modelNumber } };
+}
+
+// Aliases come as a JSON array (JSONL) or a "|"-separated string (CSV)
+function parseAliases(value) {
+  if (Array.isArray(value)) return value;
+  const text = blankToNull(value);
+  return text ? text.split('|') : [];
+}
+
+function validateModel(record) {
+  const errors = [];
+  const get = (key) => blankToNull(record[key]);
+
+  const modelNumber = normalizeModelNumber(get('model_number'));
+  if (!modelNumber) {
+    errors.push('model_number is required');
+  } else if (modelNumber.length > 100) {
+    errors.push('model_number must be at most 100 characters');
+  }
+
+  // Explicit base model / revision win over the suffix heuristic
+  const guessed = splitModelNumber(modelNumber);
+  const baseModel = normalizeModelNumber(get('base_model')) || guessed.baseModel;
+  const revision = get('base_model') ? get('revision')?.toUpperCase() || null : guessed.revision;
+
+  if (baseModel && modelNumber && !modelNumber.startsWith(baseModel)) {
+    errors.push(`model_number "${modelNumber}" does not start with base_model "${baseModel}"`);
+  }
+  if (revision && revision.length > 10) errors.push('revision must be at most 10 characters');
+
+  const aliases = [...new Set(parseAliases(record.aliases).map(normalizeModelNumber).filter(Boolean))]
+    .filter(a => a !== modelNumber)
+    .sort();
+
+  return {
+    errors,
+    value: {
+      model_number: modelNumber,
+      base_model: baseModel,
+      revision,
+      brand: get('brand'),
+      appliance_type: get('appliance_type')?.toLowerCase() || null,
+      aliases
+    }
+  };
+}
+
+function validateAlias(record) {
+  const errors = [];
+  const partNumber = normalizePartNumber(blankToNull(record.part_number));
+  const alias = normalizePartNumber(blankToNull(record.alias));
+  const aliasType = blankToNull(record.alias_type)?.toLowerCase() || 'oem';
+
+  if (!partNumber) errors.push('part_number is required');
+  if (!alias) errors.push('alias is required');
+  if (alias && alias.length > 100) errors.push('alias must be at most 100 characters');
+  if (alias && alias === partNumber) errors.push('alias must differ from part_number');
+  if (!ALIAS_TYPES.includes(aliasType)) {
+    errors.push(`alias_type "${record.alias_type}" must be one of ${ALIAS_TYPES.join(', ')}`);
+  }
+
+  return {
+    errors,
+    value: {
+      alias,
+      part_number: partNumber,
+      alias_type: aliasType,
+      manufacturer: blankToNull(record.manufacturer)
+    }
+  };
+}
+
+module.exports = { validatePart, validateCompatibility, validateModel, validateAlias };
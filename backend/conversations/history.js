@@ -0,0 +1,104 @@
+const db = require('../db');
+
+const CONVERSATION_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const MAX_TITLE_LENGTH = 80;
+const DEFAULT_LIST_LIMIT = 30;
+
+const isConversationId = (id) => typeof id === 'string' && CONVERSATION_ID_PATTERN.test(id);
+
+const isoDate = (value) => (value ? new Date(value).toISOString() : null);
+
+function title(text) {
+  const line = String(text || '').trim().replace(/\s+/g, ' ');
+  return line.length > MAX_TITLE_LENGTH ? `${line.slice(0, MAX_TITLE_LENGTH - 1)}…` : line;
+}
+
+// Replies saved before actions were stored have a bare product array
+function readPayload(payload) {
+  if (Array.isArray(payload)) return { products: payload, actions: [] };
+  return { products: payload?.products || [], actions: payload?.actions || [] };
+}
+
+function formatConversation(row) {
+  return {
+    id: row.id,
+    status: row.status || 'active',
+    title: title(row.title),
+    messageCount: row.message_count,
+    startedAt: isoDate(row.started_at),
+    lastActivityAt: isoDate(row.last_activity_at)
+  };
+}
+
+/**
+ * The user's past chats, most recent first, titled with their first
+ * message. Conversations with no user message yet are left out.
+ */
+async function listConversations(userId, limit = DEFAULT_LIST_LIMIT) {
+  const result = await db.query(
+    `SELECT c.id, c.status, c.started_at, c.last_activity_at,
+            first_message.content AS title, counts.message_count
+     FROM conversations c
+     CROSS JOIN LATERAL (
+       SELECT content FROM messages
+       WHERE conversation_id = c.id AND sender = 'user'
+       ORDER BY created_at ASC
+       LIMIT 1
+     ) first_message
+     CROSS JOIN LATERAL (
+       SELECT COUNT(*)::int AS message_count FROM messages WHERE conversation_id = c.id
+     ) counts
+     WHERE c.user_id = $1
+     ORDER BY c.last_activity_at DESC
+     LIMIT $2`,
+    [userId, limit]
+  );
+
+  return result.rows.map(formatConversation);
+}
+
+/**
+ * One conversation of the user's with its messages in order, each with the
+ * products and actions its reply carried so the chat can re-render them.
+ * Null when the conversation doesn't exist or belongs to someone else.
+ */
+async function getConversation(userId, conversationId) {
+  if (!isConversationId(conversationId)) return null;
+
+  const conversation = await db.query(
+    `SELECT id, status, started_at, last_activity_at
+     FROM conversations
+     WHERE id = $1 AND user_id = $2`,
+    [conversationId, userId]
+  );
+  if (conversation.rows.length === 0) return null;
+
+  const messages = await db.query(
+    `SELECT id, sender, content, payload, created_at
+     FROM messages
+     WHERE conversation_id = $1
+     ORDER BY created_at ASC, id ASC`,
+    [conversationId]
+  );
+
+  const row = conversation.rows[0];
+  const firstUserMessage = messages.rows.find(m => m.sender === 'user');
+
+  return {
+    conversation: formatConversation({ ...row, title: firstUserMessage?.content, message_count: messages.rows.length }),
+    messages: messages.rows.map(m => ({
+      id: String(m.id),
+      role: m.sender,
+      content: m.content || '',
+      ...readPayload(m.payload),
+      createdAt: isoDate(m.created_at)
+    }))
+  };
+}
+
+module.exports = {
+  isConversationId,
+  readPayload,
+  listConversations,
+  getConversation
+};
@@ -0,0 +1,69 @@
+jest.mock('../db', () => ({ query: jest.fn() }));
+
+const db = require('../db');
+const { readPayload, listConversations, getConversation } = require('./history');
+
+const CONVERSATION_ID = '3f1c2a9e-8b7d-4c6e-9a51-2d4f6b8c0e17';
+
+describe('conversation history', () => {
+  beforeEach(() => db.query.mockReset());
+
+  test('lists conversations titled with their first message', async () => {
+    db.query.mockResolvedValueOnce({
+      rows: [{
+        id: CONVERSATION_ID,
+        status: 'ended',
+        started_at: new Date('2026-10-18T14:00:00Z'),
+        last_activity_at: new Date('2026-10-18T14:03:00Z'),
+        title: `My ice maker   is not working ${'and it leaks '.repeat(10)}`,
+        message_count: 4
+      }]
+    });
+
+    const [conversation] = await listConversations('user-1');
+
+    expect(db.query.mock.calls[0][1]).toEqual(['user-1', 30]);
+    expect(conversation).toMatchObject({
+      id: CONVERSATION_ID,
+      status: 'ended',
+      messageCount: 4,
+      lastActivityAt: '2026-10-18T14:03:00.000Z'
+    });
+    expect(conversation.title).toMatch(/^My ice maker is not working and it leaks/);
+    expect(conversation.title).toHaveLength(80);
+  });
+
+  test('returns messages with their products and actions', async () => {
+    const product = { part_number: 'PS11752778', name: 'Refrigerator Door Shelf Bin' };
+    db.query
+      .mockResolvedValueOnce({ rows: [{ id: CONVERSATION_ID, status: 'active', started_at: null, last_activity_at: null }] })
+      .mockResolvedValueOnce({
+        rows: [
+          { id: 1, sender: 'user', content: 'Is PS11752778 compatible with WRS325SDHZ01?', payload: null },
+          { id: 2, sender: 'assistant', content: '✓ **Yes!**', payload: { products: [], actions: [{ type: 'add_to_cart', partNumber: 'PS11752778' }] } },
+          { id: 3, sender: 'assistant', content: 'Here are some bins', payload: [product] }
+        ]
+      });
+
+    const result = await getConversation('user-1', CONVERSATION_ID);
+
+    expect(db.query.mock.calls[0][1]).toEqual([CONVERSATION_ID, 'user-1']);
+    expect(result.conversation).toMatchObject({ title: 'Is PS11752778 compatible with WRS325SDHZ01?', messageCount: 3 });
+    expect(result.messages.map(m => m.role)).toEqual(['user', 'assistant', 'assistant']);
+    expect(result.messages[1].actions).toEqual([{ type: 'add_to_cart', partNumber: 'PS11752778' }]);
+    expect(result.messages[2]).toMatchObject({ products: [product], actions: [] });
+  });
+
+  test("doesn't return other users' conversations or look up malformed ids", async () => {
+    db.query.mockResolvedValueOnce({ rows: [] });
+
+    expect(await getConversation('user-2', CONVERSATION_ID)).toBeNull();
+    expect(await getConversation('user-2', "1' OR '1'='1")).toBeNull();
+    expect(db.query).toHaveBeenCalledTimes(1);
+  });
+
+  test('reads old and new reply payloads', () => {
+    expect(readPayload(null)).toEqual({ products: [], actions: [] });
+    expect(readPayload([{ part_number: 'PS1' }])).toEqual({ products: [{ part_number: 'PS1' }], actions: [] });
+  });
+});
@@ -0,0 +1,206 @@
+const db = require('../db');
+const logger = require('../logger');
+const { clearUserContext } = require('../redis');
+const { isConversationId } = require('./history');
+
+const MINUTE = 60 * 1000;
+
+const setting = (value, fallback) => {
+  const parsed = parseFloat(value);
+  return parsed > 0 ? parsed : fallback;
+};
+
+// A conversation ends after IDLE minutes without a message, or MAX minutes
+// after it started (or was reopened) however busy it is
+const IDLE_MINUTES = setting(process.env.CONVERSATION_IDLE_MINUTES, 5);
+const MAX_MINUTES = setting(process.env.CONVERSATION_MAX_MINUTES, 120);
+const SWEEP_SECONDS = setting(process.env.CONVERSATION_SWEEP_SECONDS, 60);
+
+const sessionStart = (conversation) => new Date(conversation.resumed_at || conversation.started_at);
+
+/**
+ * Why a conversation can't take another message, or null while it's live
+ */
+function expiryReason(conversation, now = new Date()) {
+  if (conversation.status === 'ended') return conversation.end_reason || 'idle';
+  if (now - new Date(conversation.last_activity_at) > IDLE_MINUTES * MINUTE) return 'idle';
+  if (now - sessionStart(conversation) > MAX_MINUTES * MINUTE) return 'max_duration';
+  return null;
+}
+
+/**
+ * When a conversation will end if no message comes first (ISO string)
+ */
+function expiresAt(conversation) {
+  const idle = new Date(conversation.last_activity_at).getTime() + IDLE_MINUTES * MINUTE;
+  const max = sessionStart(conversation).getTime() + MAX_MINUTES * MINUTE;
+  return new Date(Math.min(idle, max)).toISOString();
+}
+
+async function findConversation(userId, conversationId) {
+  const result = await db.query(
+    `SELECT * FROM conversations WHERE id = $1 AND user_id = $2`,
+    [conversationId, userId]
+  );
+  return result.rows[0] || null;
+}
+
+async function findActiveConversation(userId) {
+  const result = await db.query(
+    `SELECT * FROM conversations
+     WHERE user_id = $1
+     AND (status = 'active' OR status IS NULL)
+     ORDER BY last_activity_at DESC
+     LIMIT 1`,
+    [userId]
+  );
+  return result.rows[0] || null;
+}
+
+// end_reason: idle | max_duration | user | replaced
+async function markEnded(conversationId, reason) {
+  await db.query(
+    `UPDATE conversations SET status = 'ended', ended_at = NOW(), end_reason = $2 WHERE id = $1`,
+    [conversationId, reason]
+  );
+  logger.info(`🏁 Conversation ${conversationId} ended (${reason})`);
+}
+
+// One active conversation per user: opening one ends the rest
+async function endOtherConversations(userId, conversationId) {
+  await db.query(
+    `UPDATE conversations SET status = 'ended', ended_at = NOW(), end_reason = 'replaced'
+     WHERE user_id = $1 AND (status = 'active' OR status IS NULL) AND id <> $2`,
+    [userId, conversationId]
+  );
+}
+
+async function createConversation(userId) {
+  await clearUserContext(userId);
+  logger.info(`🧹 Cleared context for new conversation`);
+
+  const result = await db.query(
+    `INSERT INTO conversations (user_id, status)
+     VALUES ($1, 'active') RETURNING *`,
+    [userId]
+  );
+  const conversation = result.rows[0];
+  await endOtherConversations(userId, conversation.id);
+  logger.info(`🆕 New conversation: ${conversation.id}`);
+  return conversation;
+}
+
+// The user context held the state of whichever chat was open before
+async function reopenConversation(userId, conversationId) {
+  await endOtherConversations(userId, conversationId);
+  const result = await db.query(
+    `UPDATE conversations
+     SET status = 'active', ended_at = NULL, end_reason = NULL, resumed_at = NOW(), last_activity_at = NOW()
+     WHERE id = $1 RETURNING *`,
+    [conversationId]
+  );
+  await clearUserContext(userId);
+  logger.info(`📂 Reopened conversation: ${conversationId}`);
+  return result.rows[0];
+}
+
+async function touchConversation(conversationId) {
+  const result = await db.query(
+    `UPDATE conversations SET last_activity_at = NOW() WHERE id = $1 RETURNING *`,
+    [conversationId]
+  );
+  logger.info(`♻️ Continue conversation: ${conversationId}`);
+  return result.rows[0];
+}
+
+/**
+ * The conversation a new message belongs to. `conversationId` is the chat
+ * the client shows; it is continued while live. An expired or ended one is
+ * replaced by a new conversation, reported as `previous` ({ id, reason }),
+ * unless `reopen` is set (a chat picked from the history sidebar).
+ * Resolves to { conversation, previous }.
+ */
+async function resolveConversation(userId, { conversationId = null, reopen = false } = {}) {
+  const requested = isConversationId(conversationId) ? await findConversation(userId, conversationId) : null;
+  const current = requested || await findActiveConversation(userId);
+
+  if (!current) {
+    return { conversation: await createConversation(userId), previous: null };
+  }
+
+  const reason = expiryReason(current);
+  if (!reason) {
+    return { conversation: await touchConversation(current.id), previous: null };
+  }
+
+  if (requested && reopen) {
+    return { conversation: await reopenConversation(userId, current.id), previous: null };
+  }
+
+  if (current.status !== 'ended') await markEnded(current.id, reason);
+  return {
+    conversation: await createConversation(userId),
+    previous: { id: current.id, reason }
+  };
+}
+
+/**
+ * End one of the user's conversations on request ("new chat"). Resolves to
+ * the conversation, or null when it isn't the user's.
+ */
+async function endConversation(userId, conversationId) {
+  if (!isConversationId(conversationId)) return null;
+
+  const conversation = await findConversation(userId, conversationId);
+  if (!conversation) return null;
+  if (conversation.status === 'ended') return conversation;
+
+  await markEnded(conversation.id, 'user');
+  await clearUserContext(userId);
+  return { ...conversation, status: 'ended', end_reason: 'user' };
+}
+
+/**
+ * End every conversation past its idle or absolute timeout
+ * @returns {Promise<number>} How many were ended
+ */
+async function endExpiredConversations() {
+  const result = await db.query(
+    `UPDATE conversations
+     SET status = 'ended',
+         ended_at = NOW(),
+         end_reason = CASE WHEN NOW() - last_activity_at > make_interval(secs => $1) THEN 'idle' ELSE 'max_duration' END
+     WHERE (status = 'active' OR status IS NULL)
+     AND (NOW() - last_activity_at > make_interval(secs => $1)
+          OR NOW() - COALESCE(resumed_at, started_at) > make_interval(secs => $2))
+     RETURNING id`,
+    [IDLE_MINUTES * 60, MAX_MINUTES * 60]
+  );
+
+  if (result.rows.length > 0) {
+    logger.info(`🧹 Ended ${result.rows.length} expired conversations`);
+  }
+  return result.rows.length;
+}
+
+// Periodic cleanup so the history shows expired chats as ended
+function scheduleExpirySweep() {
+  return setInterval(async () => {
+    try {
+      await endExpiredConversations();
+    } catch (err) {
+      logger.error('Cleanup error:', err.message);
+    }
+  }, SWEEP_SECONDS * 1000);
+}
+
+module.exports = {
+  IDLE_MINUTES,
+  MAX_MINUTES,
+  expiryReason,
+  expiresAt,
+  resolveConversation,
+  endConversation,
+  endExpiredConversations,
+  scheduleExpirySweep
+};
@@ -0,0 +1,116 @@
+jest.mock('../db', () => ({ query: jest.fn() }));
+jest.mock('../redis', () => ({ clearUserContext: jest.fn(async () => {}) }));
+
+const db = require('../db');
+const { clearUserContext } = require('../redis');
+const {
+  IDLE_MINUTES,
+  MAX_MINUTES,
+  expiryReason,
+  expiresAt,
+  resolveConversation,
+  endConversation,
+  endExpiredConversations
+} = require('./lifecycle');
+
+const OLD_ID = '3f1c2a9e-8b7d-4c6e-9a51-2d4f6b8c0e17';
+const NEW_ID = '9b0e4d2c-1a3f-4e5d-8c7b-6a5f4e3d2c1b';
+
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000);
+const conversation = (overrides = {}) => ({
+  id: OLD_ID,
+  user_id: 'user-1',
+  status: 'active',
+  started_at: minutesAgo(10),
+  last_activity_at: minutesAgo(1),
+  resumed_at: null,
+  end_reason: null,
+  ...overrides
+});
+
+describe('conversation lifecycle', () => {
+  beforeEach(() => {
+    db.query.mockReset();
+    clearUserContext.mockClear();
+  });
+
+  test('defaults to a 5 minute idle and 120 minute absolute timeout', () => {
+    expect(IDLE_MINUTES).toBe(5);
+    expect(MAX_MINUTES).toBe(120);
+  });
+
+  test('says why a conversation expired', () => {
+    expect(expiryReason(conversation())).toBeNull();
+    expect(expiryReason(conversation({ last_activity_at: minutesAgo(6) }))).toBe('idle');
+    expect(expiryReason(conversation({ started_at: minutesAgo(121) }))).toBe('max_duration');
+    expect(expiryReason(conversation({ started_at: minutesAgo(121), resumed_at: minutesAgo(30) }))).toBeNull();
+    expect(expiryReason(conversation({ status: 'ended', end_reason: 'user' }))).toBe('user');
+  });
+
+  test('expires at whichever timeout comes first', () => {
+    const lastActivity = new Date('2026-10-19T12:00:00Z');
+    expect(expiresAt(conversation({ last_activity_at: lastActivity, started_at: new Date('2026-10-19T11:00:00Z') })))
+      .toBe('2026-10-19T12:05:00.000Z');
+    expect(expiresAt(conversation({ last_activity_at: lastActivity, started_at: new Date('2026-10-19T10:02:00Z') })))
+      .toBe('2026-10-19T12:02:00.000Z');
+  });
+
+  test('continues a live conversation', async () => {
+    const live = conversation();
+    db.query
+      .mockResolvedValueOnce({ rows: [live] })
+      .mockResolvedValueOnce({ rows: [{ ...live, last_activity_at: new Date() }] });
+
+    const result = await resolveConversation('user-1', { conversationId: OLD_ID });
+
+    expect(result.conversation.id).toBe(OLD_ID);
+    expect(result.previous).toBeNull();
+    expect(clearUserContext).not.toHaveBeenCalled();
+  });
+
+  test('replaces an idle conversation and reports why', async () => {
+    db.query
+      .mockResolvedValueOnce({ rows: [conversation({ last_activity_at: minutesAgo(7) })] })  // find
+      .mockResolvedValueOnce({ rows: [] })                                                     // mark ended
+      .mockResolvedValueOnce({ rows: [conversation({ id: NEW_ID, started_at: new Date() })] }) // create
+      .mockResolvedValueOnce({ rows: [] });                                                    // end others
+
+    const result = await resolveConversation('user-1', { conversationId: OLD_ID });
+
+    expect(result.conversation.id).toBe(NEW_ID);
+    expect(result.previous).toEqual({ id: OLD_ID, reason: 'idle' });
+    expect(db.query.mock.calls[1][1]).toEqual([OLD_ID, 'idle']);
+    expect(clearUserContext).toHaveBeenCalledWith('user-1');
+  });
+
+  test('reopens an ended conversation picked from the history', async () => {
+    const ended = conversation({ status: 'ended', end_reason: 'idle', last_activity_at: minutesAgo(60) });
+    db.query
+      .mockResolvedValueOnce({ rows: [ended] })
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValueOnce({ rows: [{ ...ended, status: 'active', resumed_at: new Date() }] });
+
+    const result = await resolveConversation('user-1', { conversationId: OLD_ID, reopen: true });
+
+    expect(result).toMatchObject({ conversation: { id: OLD_ID, status: 'active' }, previous: null });
+    expect(clearUserContext).toHaveBeenCalledWith('user-1');
+  });
+
+  test("ends a conversation on request, but not someone else's", async () => {
+    db.query
+      .mockResolvedValueOnce({ rows: [conversation()] })
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValueOnce({ rows: [] });
+
+    expect(await endConversation('user-1', OLD_ID)).toMatchObject({ status: 'ended', end_reason: 'user' });
+    expect(clearUserContext).toHaveBeenCalledWith('user-1');
+    expect(await endConversation('user-2', OLD_ID)).toBeNull();
+  });
+
+  test('sweeps expired conversations with the configured timeouts', async () => {
+    db.query.mockResolvedValueOnce({ rows: [{ id: OLD_ID }, { id: NEW_ID }] });
+
+    expect(await endExpiredConversations()).toBe(2);
+    expect(db.query.mock.calls[0][1]).toEqual([300, 7200]);
+  });
+});
@@ -53,8 +53,201 @@ CREATE INDEX idx_messages_conversation ON messages(conversation_id, created_at);
 ALTER TABLE conversations
 ADD COLUMN status VARCHAR(20) DEFAULT 'active';  -- active | ended
 
+-- Conversation lifecycle (conversations/lifecycle.js). The absolute timeout
+-- counts from resumed_at when a chat was reopened from the history.
+ALTER TABLE conversations ADD COLUMN ended_at TIMESTAMPTZ;
+ALTER TABLE conversations ADD COLUMN end_reason VARCHAR(20);  -- idle | max_duration | user | replaced
+ALTER TABLE conversations ADD COLUMN resumed_at TIMESTAMPTZ;
+CREATE INDEX idx_conversations_user_status ON conversations(user_id, status, last_activity_at);
+
+-- Share of verified part numbers, prices and links in an assistant reply
+-- (grounding/verifier.js); null when the check couldn't run
+ALTER TABLE messages ADD COLUMN grounding_score NUMERIC(3,2);
+
 CREATE EXTENSION IF NOT EXISTS vector;
 
 ALTER TABLE parts ADD COLUMN embedding vector(1536);
 CREATE INDEX idx_parts_embedding ON parts USING ivfflat (embedding vector_l2_ops);
 
+
+-- Embedding provenance: which model produced each vector and its dimension.
+-- vector(1536) matches the default text-embedding-3-small; `npm run embed`
+-- resizes the column and rebuilds the index when EMBEDDING_MODEL changes.
+ALTER TABLE parts ADD COLUMN embedding_model VARCHAR(100);
+ALTER TABLE parts ADD COLUMN embedding_dim INTEGER;
+CREATE INDEX idx_parts_embedding_model ON parts(embedding_model);
+
+-- Full-text search over name, category and description (hybrid search)
+ALTER TABLE parts ADD COLUMN search_vector tsvector GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', coalesce(name, '')), 'A') ||
+    setweight(to_tsvector('english', coalesce(category, '')), 'B') ||
+    setweight(to_tsvector('english', coalesce(description, '')), 'C')
+) STORED;
+CREATE INDEX idx_parts_search_vector ON parts USING GIN (search_vector);
+
+-- Appliance model registry. model_number is the normalized full number
+-- (upper case, no separators, e.g. WRS325SDHZ01); base_model + revision split
+-- it so "WRS325SDHZ" can match every revision. part_compatibility.model_number
+-- stores the same normalized form.
+CREATE TABLE models (
+    id SERIAL PRIMARY KEY,
+    model_number VARCHAR(100) NOT NULL UNIQUE,
+    base_model VARCHAR(100) NOT NULL,
+    revision VARCHAR(10),
+    brand VARCHAR(50),
+    appliance_type VARCHAR(50),
+    aliases TEXT[] NOT NULL DEFAULT '{}',
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+CREATE INDEX idx_models_base_model ON models(base_model);
+CREATE INDEX idx_models_aliases ON models USING GIN (aliases);
+
+-- Other numbers a part is known by: manufacturer (OEM) numbers, superseded
+-- numbers and cross-references. Aliases are normalized like part numbers.
+-- A 'superseded' alias that is itself a PartSelect part_number links the old
+-- part to its replacement, so replacement chains are followed alias by alias.
+CREATE TABLE part_aliases (
+    id SERIAL PRIMARY KEY,
+    alias VARCHAR(100) NOT NULL UNIQUE,
+    part_id INTEGER NOT NULL REFERENCES parts(id) ON DELETE CASCADE,
+    alias_type VARCHAR(20) NOT NULL CHECK (alias_type IN ('oem', 'superseded', 'cross_reference')),
+    manufacturer VARCHAR(50),
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+CREATE INDEX idx_part_aliases_part ON part_aliases(part_id);
+
+-- Installation guides. A guide belongs to one part (part_id) or covers a
+-- whole category of parts for an appliance type; part guides win.
+CREATE TABLE installation_guides (
+    id SERIAL PRIMARY KEY,
+    part_id INTEGER REFERENCES parts(id) ON DELETE CASCADE,
+    category VARCHAR(50),
+    appliance_type VARCHAR(50),
+    title TEXT NOT NULL,
+    summary TEXT,
+    steps TEXT[] NOT NULL,
+    tools TEXT[] NOT NULL DEFAULT '{}',
+    safety_notes TEXT[] NOT NULL DEFAULT '{}',
+    estimated_time VARCHAR(50),
+    difficulty VARCHAR(20) CHECK (difficulty IN ('easy', 'medium', 'hard')),
+    video_url TEXT,
+    pdf_url TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    CHECK (part_id IS NOT NULL OR category IS NOT NULL),
+    CHECK (cardinality(steps) > 0)
+);
+CREATE INDEX idx_installation_guides_part ON installation_guides(part_id);
+CREATE INDEX idx_installation_guides_category ON installation_guides(category, appliance_type);
+
+-- Troubleshooting decision trees: symptom → check → outcome → likely part.
+-- Each tree starts at root_node_key. 'check' nodes ask the customer to
+-- inspect something and branch on its outcomes; 'diagnosis' nodes end the
+-- walk with a likely cause and the parts to suggest. Nodes and outcomes are
+-- keyed by name so repair experts can review and edit them directly.
+CREATE TABLE troubleshooting_trees (
+    id SERIAL PRIMARY KEY,
+    slug VARCHAR(100) NOT NULL UNIQUE,
+    appliance_type VARCHAR(50) NOT NULL,
+    symptom TEXT NOT NULL,
+    match_phrases TEXT[] NOT NULL DEFAULT '{}',
+    root_node_key VARCHAR(100) NOT NULL,
+    version INTEGER NOT NULL DEFAULT 1,
+    reviewed_by VARCHAR(100),
+    reviewed_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE troubleshooting_nodes (
+    id SERIAL PRIMARY KEY,
+    tree_id INTEGER NOT NULL REFERENCES troubleshooting_trees(id) ON DELETE CASCADE,
+    node_key VARCHAR(100) NOT NULL,
+    node_type VARCHAR(20) NOT NULL CHECK (node_type IN ('check', 'diagnosis')),
+    prompt TEXT NOT NULL,
+    likely_parts TEXT[] NOT NULL DEFAULT '{}',
+    UNIQUE (tree_id, node_key)
+);
+
+CREATE TABLE troubleshooting_outcomes (
+    id SERIAL PRIMARY KEY,
+    tree_id INTEGER NOT NULL,
+    node_key VARCHAR(100) NOT NULL,
+    outcome_key VARCHAR(100) NOT NULL,
+    label TEXT NOT NULL,
+    next_node_key VARCHAR(100) NOT NULL,
+    -- 'ok' means the check found nothing wrong; the wizard's Done and Skip follow it
+    outcome_type VARCHAR(20) NOT NULL DEFAULT 'problem' CHECK (outcome_type IN ('ok', 'problem')),
+    position INTEGER NOT NULL DEFAULT 0,
+    UNIQUE (tree_id, node_key, outcome_key),
+    FOREIGN KEY (tree_id, node_key) REFERENCES troubleshooting_nodes(tree_id, node_key) ON DELETE CASCADE,
+    FOREIGN KEY (tree_id, next_node_key) REFERENCES troubleshooting_nodes(tree_id, node_key)
+);
+
+-- Orders, mirrored from the order system (locally: npm run fixtures).
+-- A lookup must match order_number plus the email or shipping ZIP.
+CREATE TABLE orders (
+    id SERIAL PRIMARY KEY,
+    order_number VARCHAR(20) NOT NULL UNIQUE,
+    email VARCHAR(255) NOT NULL,
+    shipping_zip VARCHAR(10) NOT NULL,
+    status VARCHAR(20) NOT NULL CHECK (status IN ('processing', 'shipped', 'partially_shipped', 'delivered', 'cancelled')),
+    shipping_method VARCHAR(20),
+    subtotal NUMERIC(10,2) NOT NULL,
+    shipping_cost NUMERIC(10,2) NOT NULL DEFAULT 0,
+    total NUMERIC(10,2) NOT NULL,
+    placed_at TIMESTAMPTZ NOT NULL,
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+CREATE INDEX idx_orders_email ON orders(LOWER(email));
+
+-- Carrier events are stored newest last: [{ at, location, description }]
+CREATE TABLE shipments (
+    id SERIAL PRIMARY KEY,
+    order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    carrier VARCHAR(20) NOT NULL,
+    tracking_number VARCHAR(50) NOT NULL,
+    status VARCHAR(20) NOT NULL CHECK (status IN ('label_created', 'in_transit', 'out_for_delivery', 'delivered', 'exception')),
+    shipped_at TIMESTAMPTZ,
+    estimated_delivery DATE,
+    delivered_at TIMESTAMPTZ,
+    events JSONB NOT NULL DEFAULT '[]'
+);
+CREATE INDEX idx_shipments_order ON shipments(order_id);
+
+-- part_number and name are copied at order time; shipment_id is NULL until
+-- the line ships
+CREATE TABLE order_items (
+    id SERIAL PRIMARY KEY,
+    order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    part_id INTEGER REFERENCES parts(id) ON DELETE SET NULL,
+    part_number VARCHAR(50) NOT NULL,
+    name TEXT NOT NULL,
+    quantity INTEGER NOT NULL CHECK (quantity > 0),
+    unit_price NUMERIC(10,2) NOT NULL,
+    shipment_id INTEGER REFERENCES shipments(id) ON DELETE SET NULL
+);
+CREATE INDEX idx_order_items_order ON order_items(order_id);
+
+-- Return requests (RMAs). One row per returned order line, created once the
+-- return is approved. slip_token makes the printable slip URL unguessable.
+CREATE TABLE return_requests (
+    id SERIAL PRIMARY KEY,
+    rma_number VARCHAR(20) NOT NULL UNIQUE,
+    order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    order_item_id INTEGER NOT NULL REFERENCES order_items(id) ON DELETE CASCADE,
+    quantity INTEGER NOT NULL CHECK (quantity > 0),
+    condition VARCHAR(20) NOT NULL CHECK (condition IN ('unused', 'defective')),
+    reason TEXT NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'issued' CHECK (status IN ('issued', 'received', 'refunded', 'rejected', 'cancelled')),
+    refund_amount NUMERIC(10,2) NOT NULL,
+    slip_token VARCHAR(64) NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+CREATE INDEX idx_return_requests_order ON return_requests(order_id);
+CREATE INDEX idx_return_requests_item ON return_requests(order_item_id);
+-- At most one open return per order line, even when two requests race
+CREATE UNIQUE INDEX idx_return_requests_open_item ON return_requests(order_item_id)
+    WHERE status NOT IN ('cancelled', 'rejected');
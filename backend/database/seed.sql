@@ -58,3 +58,213 @@ FROM ins,
         ('WFW9150WW01'),
         ('WFW8300SW02')
      ) AS m(model_number);
+
+-- Additional revisions of the WRS325SDHZ the door bin fits
+INSERT INTO part_compatibility (part_id, model_number)
+SELECT p.id, m.model_number
+FROM parts p,
+     (VALUES
+        ('WRS325SDHZ00'),
+        ('WRS325SDHZ02'),
+        ('WRS325SDHZ03'),
+        ('WRS325SDHZ04')
+     ) AS m(model_number)
+WHERE p.part_number = 'PS11752778';
+
+-- Model registry for the seeded compatibility rows
+INSERT INTO models (model_number, base_model, revision, brand, appliance_type, aliases)
+VALUES
+    ('WRS325SDHZ00', 'WRS325SDHZ', '00', 'Whirlpool', 'refrigerator', '{}'),
+    ('WRS325SDHZ01', 'WRS325SDHZ', '01', 'Whirlpool', 'refrigerator', '{}'),
+    ('WRS325SDHZ02', 'WRS325SDHZ', '02', 'Whirlpool', 'refrigerator', '{}'),
+    ('WRS325SDHZ03', 'WRS325SDHZ', '03', 'Whirlpool', 'refrigerator', '{}'),
+    ('WRS325SDHZ04', 'WRS325SDHZ', '04', 'Whirlpool', 'refrigerator', '{}'),
+    ('WRS325SDHZ05', 'WRS325SDHZ', '05', 'Whirlpool', 'refrigerator', '{}'),
+    ('WRF535SWHZ00', 'WRF535SWHZ', '00', 'Whirlpool', 'refrigerator', '{}'),
+    ('WRS588FIHZ04', 'WRS588FIHZ', '04', 'Whirlpool', 'refrigerator', '{}'),
+    ('WRT519SZDM03', 'WRT519SZDM', '03', 'Whirlpool', 'refrigerator', '{}'),
+    ('WFW5620HW0',   'WFW5620HW',  '0',  'Whirlpool', 'washer', '{}'),
+    ('WFW75HEFW0',   'WFW75HEFW',  '0',  'Whirlpool', 'washer', '{}'),
+    ('WFW9150WW01',  'WFW9150WW',  '01', 'Whirlpool', 'washer', '{}'),
+    ('WFW8300SW02',  'WFW8300SW',  '02', 'Whirlpool', 'washer', '{}')
+ON CONFLICT (model_number) DO NOTHING;
+
+-- Manufacturer, superseded and cross-reference numbers for the seeded parts
+INSERT INTO part_aliases (alias, part_id, alias_type, manufacturer)
+SELECT a.alias, p.id, a.alias_type, a.manufacturer
+FROM (VALUES
+        ('WPW10321304', 'PS11752778', 'oem',             'Whirlpool'),
+        ('W10321304',   'PS11752778', 'superseded',      'Whirlpool'),
+        ('WPW10730972', 'PS11757304', 'oem',             'Whirlpool'),
+        ('W10730972',   'PS11757304', 'superseded',      'Whirlpool'),
+        ('AP6023956',   'PS11757304', 'cross_reference', NULL)
+     ) AS a(alias, part_number, alias_type, manufacturer)
+JOIN parts p ON p.part_number = a.part_number
+ON CONFLICT (alias) DO NOTHING;
+
+-- Installation guides: one part-specific guide and one category guide
+INSERT INTO installation_guides (
+    part_id, category, appliance_type, title, summary, steps, tools,
+    safety_notes, estimated_time, difficulty
+)
+SELECT p.id, NULL, NULL,
+    'Replacing the refrigerator door shelf bin',
+    'The door bin clips onto molded supports on the door liner and lifts straight off. No tools are needed.',
+    ARRAY[
+        'Remove all items from the old bin.',
+        'Grip both ends of the bin and lift it straight up until it clears the supports on the door liner.',
+        'Pull the bin toward you to remove it.',
+        'Line up the new bin with the supports at the height you want.',
+        'Slide the bin down until it seats fully on both sides.',
+        'Push down gently on both ends to confirm it is locked in place before reloading it.'
+    ],
+    '{}',
+    ARRAY['Do not load the bin until it is fully seated on both supports.'],
+    '5 minutes',
+    'easy'
+FROM parts p WHERE p.part_number = 'PS11752778';
+
+INSERT INTO installation_guides (
+    part_id, category, appliance_type, title, summary, steps, tools,
+    safety_notes, estimated_time, difficulty
+) VALUES (
+    NULL, 'Pump', 'washer',
+    'Replacing a washer drain pump',
+    'The drain pump sits at the bottom of the washer behind the lower access panel, held by a clamp on each hose and a mounting bracket.',
+    ARRAY[
+        'Unplug the washer and turn off both water supply valves.',
+        'Drain any remaining water through the drain hose or filter into a shallow pan.',
+        'Remove the lower access panel (or tip the washer back against a wall for bottom access).',
+        'Disconnect the wire harness from the pump.',
+        'Loosen the hose clamps with pliers and pull both hoses off the pump.',
+        'Remove the mounting screws and take the old pump out.',
+        'Fit the new pump, reinstall the mounting screws, hoses, clamps and wire harness.',
+        'Refit the panel, restore water and power, and run a drain/spin cycle to check for leaks.'
+    ],
+    ARRAY['Nut driver or socket set', 'Pliers', 'Towels and a shallow pan'],
+    ARRAY[
+        'Unplug the washer before touching any wiring.',
+        'Expect water in the pump and hoses even after draining.'
+    ],
+    '30-60 minutes',
+    'medium'
+);
+
+-- Troubleshooting decision trees for common symptoms
+INSERT INTO troubleshooting_trees (slug, appliance_type, symptom, match_phrases, root_node_key)
+VALUES
+    ('fridge-not-cooling', 'refrigerator', 'Refrigerator not cooling',
+        ARRAY['fridge warm', 'not cold', 'not cooling', 'food spoiling', 'freezer cold but fridge warm'], 'check_settings'),
+    ('ice-maker-not-working', 'refrigerator', 'Ice maker not making ice',
+        ARRAY['no ice', 'ice maker not working', 'ice maker stopped', 'not making ice'], 'check_ice_arm'),
+    ('dishwasher-not-draining', 'dishwasher', 'Dishwasher not draining',
+        ARRAY['standing water', 'water in bottom', 'not draining', 'won''t drain'], 'check_filter'),
+    ('dishwasher-leaking', 'dishwasher', 'Dishwasher leaking',
+        ARRAY['leak', 'leaking', 'water on floor', 'puddle under dishwasher'], 'check_door_gasket');
+
+INSERT INTO troubleshooting_nodes (tree_id, node_key, node_type, prompt, likely_parts)
+SELECT t.id, n.node_key, n.node_type, n.prompt, n.likely_parts
+FROM troubleshooting_trees t
+JOIN (VALUES
+    ('fridge-not-cooling', 'check_settings', 'check',
+        'Check the temperature control: it should be set to the recommended middle setting (about 37°F / 3°C), and the unit should not be in demo or showroom mode.', '{}'::text[]),
+    ('fridge-not-cooling', 'settings_fixed', 'diagnosis',
+        'The temperature setting was the cause. Give the refrigerator 24 hours to reach temperature after changing it.', '{}'::text[]),
+    ('fridge-not-cooling', 'check_condenser_fan', 'check',
+        'Pull the refrigerator out and look at the condenser fan near the compressor at the back bottom while it is running. Is the fan spinning?', '{}'::text[]),
+    ('fridge-not-cooling', 'condenser_fan_failed', 'diagnosis',
+        'A condenser fan that does not spin while the compressor runs lets the compressor overheat, so the fridge stops cooling. The condenser fan motor most likely needs replacing.', ARRAY['condenser fan motor']),
+    ('fridge-not-cooling', 'check_evaporator_fan', 'check',
+        'Open the freezer and listen for the evaporator fan behind the rear panel (press the door switch if the fan stops when the door opens). Can you hear or feel air moving?', '{}'::text[]),
+    ('fridge-not-cooling', 'evaporator_fan_failed', 'diagnosis',
+        'Without the evaporator fan, cold air from the freezer never reaches the fresh food section. The evaporator fan motor most likely needs replacing.', ARRAY['evaporator fan motor']),
+    ('fridge-not-cooling', 'check_frost', 'check',
+        'Remove the freezer rear panel and look at the evaporator coils. Are they covered in thick, even frost?', '{}'::text[]),
+    ('fridge-not-cooling', 'defrost_failed', 'diagnosis',
+        'Heavy frost on the coils means the defrost system is not running, which blocks airflow. The defrost heater, defrost thermostat or defrost control is the likely cause.', ARRAY['defrost heater', 'defrost thermostat']),
+    ('fridge-not-cooling', 'needs_technician', 'diagnosis',
+        'The fans run and the coils are clear, so the sealed system or compressor start components are the likely problem. We recommend a technician for sealed-system diagnosis; the start relay is the one part worth checking yourself.', ARRAY['start relay']),
+
+    ('ice-maker-not-working', 'check_ice_arm', 'check',
+        'Check the ice maker''s shut-off arm (or on/off switch). It should be down / switched on.', '{}'::text[]),
+    ('ice-maker-not-working', 'arm_fixed', 'diagnosis',
+        'The shut-off arm was up, which tells the ice maker the bin is full. Leave it down and allow 24 hours for a full batch.', '{}'::text[]),
+    ('ice-maker-not-working', 'check_freezer_temp', 'check',
+        'Check the freezer temperature. It needs to be 0–5°F (-18 to -15°C) for the ice maker to cycle. Is it cold enough?', '{}'::text[]),
+    ('ice-maker-not-working', 'freezer_too_warm', 'diagnosis',
+        'The freezer is too warm for the ice maker to cycle. Fix the cooling problem first; lower the freezer setting and check the freezer door seals.', '{}'::text[]),
+    ('ice-maker-not-working', 'check_water_supply', 'check',
+        'Dispense water from the door (if you have a dispenser), or check that the supply valve behind the fridge is fully open and the line isn''t kinked or frozen. Does water reach the fridge?', '{}'::text[]),
+    ('ice-maker-not-working', 'inlet_valve_failed', 'diagnosis',
+        'Water isn''t reaching the ice maker even though the supply is on, which points to a failed water inlet valve (or a clogged water filter, if your model has one).', ARRAY['water inlet valve', 'water filter']),
+    ('ice-maker-not-working', 'ice_maker_failed', 'diagnosis',
+        'The freezer is cold and water is available, so the ice maker assembly itself has most likely failed.', ARRAY['ice maker assembly']),
+
+    ('dishwasher-not-draining', 'check_filter', 'check',
+        'Remove the bottom rack and twist out the filter at the bottom of the tub. Is it clogged with food or debris?', '{}'::text[]),
+    ('dishwasher-not-draining', 'clean_filter', 'diagnosis',
+        'A clogged filter stops water from draining. Rinse the filter under warm water, scrub it with a soft brush and refit it.', '{}'::text[]),
+    ('dishwasher-not-draining', 'check_drain_hose', 'check',
+        'Check the drain hose under the sink and behind the dishwasher for kinks, and check the garbage disposal knockout plug if the dishwasher was just installed. Is the hose kinked or blocked?', '{}'::text[]),
+    ('dishwasher-not-draining', 'clear_hose', 'diagnosis',
+        'A kinked or blocked drain hose is the cause. Straighten or clear it; replace the hose if it is damaged.', ARRAY['drain hose']),
+    ('dishwasher-not-draining', 'check_pump_sound', 'check',
+        'Start a cycle and cancel it to force a drain. Do you hear the drain pump humming or running?', '{}'::text[]),
+    ('dishwasher-not-draining', 'pump_blocked', 'diagnosis',
+        'A pump that hums but doesn''t move water is usually jammed by debris or has a broken impeller. Clear the pump inlet; replace the drain pump if it still won''t drain.', ARRAY['drain pump']),
+    ('dishwasher-not-draining', 'pump_failed', 'diagnosis',
+        'A silent drain pump has most likely failed electrically. The drain pump most likely needs replacing.', ARRAY['drain pump']),
+
+    ('dishwasher-leaking', 'check_door_gasket', 'check',
+        'Look at the rubber door gasket around the tub opening. Is it torn, flattened or coming loose?', '{}'::text[]),
+    ('dishwasher-leaking', 'gasket_worn', 'diagnosis',
+        'A damaged door gasket lets water escape from the front of the door. The door gasket needs replacing.', ARRAY['door gasket']),
+    ('dishwasher-leaking', 'check_detergent', 'check',
+        'Are you using regular dish soap or too much detergent? Excess suds can push water out of the door.', '{}'::text[]),
+    ('dishwasher-leaking', 'detergent_cause', 'diagnosis',
+        'Suds from the wrong detergent or too much of it are forcing water out. Use only dishwasher detergent in the recommended amount and run a rinse cycle to clear the suds.', '{}'::text[]),
+    ('dishwasher-leaking', 'check_under_tub', 'check',
+        'Remove the lower kick plate and look under the tub with a flashlight during a fill. Is water dripping from the pump, a hose connection or the inlet valve?', '{}'::text[]),
+    ('dishwasher-leaking', 'pump_seal_leak', 'diagnosis',
+        'Water dripping from the pump area points to a failed pump seal or cracked pump housing.', ARRAY['circulation pump', 'pump seal']),
+    ('dishwasher-leaking', 'inlet_valve_leak', 'diagnosis',
+        'A leak at the water inlet valve or its connection means the valve or its fitting has failed.', ARRAY['water inlet valve']),
+    ('dishwasher-leaking', 'leak_not_found', 'diagnosis',
+        'No obvious source was found. Check the tub for cracks and the spray arm seals; if the leak continues, a technician can pressure-test the hoses.', '{}'::text[])
+) AS n(slug, node_key, node_type, prompt, likely_parts) ON n.slug = t.slug;
+
+INSERT INTO troubleshooting_outcomes (tree_id, node_key, outcome_key, label, next_node_key, outcome_type, position)
+SELECT t.id, o.node_key, o.outcome_key, o.label, o.next_node_key, o.outcome_type, o.position
+FROM troubleshooting_trees t
+JOIN (VALUES
+    ('fridge-not-cooling', 'check_settings', 'settings_wrong', 'The setting was wrong or it was in demo mode', 'settings_fixed', 'problem', 1),
+    ('fridge-not-cooling', 'check_settings', 'settings_ok', 'The settings look correct', 'check_condenser_fan', 'ok', 2),
+    ('fridge-not-cooling', 'check_condenser_fan', 'fan_not_spinning', 'The condenser fan isn''t spinning', 'condenser_fan_failed', 'problem', 1),
+    ('fridge-not-cooling', 'check_condenser_fan', 'fan_spinning', 'The condenser fan is spinning', 'check_evaporator_fan', 'ok', 2),
+    ('fridge-not-cooling', 'check_evaporator_fan', 'no_airflow', 'No air moving / fan is silent', 'evaporator_fan_failed', 'problem', 1),
+    ('fridge-not-cooling', 'check_evaporator_fan', 'airflow_ok', 'The evaporator fan is running', 'check_frost', 'ok', 2),
+    ('fridge-not-cooling', 'check_frost', 'heavy_frost', 'The coils are covered in frost', 'defrost_failed', 'problem', 1),
+    ('fridge-not-cooling', 'check_frost', 'coils_clear', 'The coils are clear', 'needs_technician', 'ok', 2),
+
+    ('ice-maker-not-working', 'check_ice_arm', 'arm_up', 'The arm was up / switch was off', 'arm_fixed', 'problem', 1),
+    ('ice-maker-not-working', 'check_ice_arm', 'arm_down', 'The arm is down and it''s switched on', 'check_freezer_temp', 'ok', 2),
+    ('ice-maker-not-working', 'check_freezer_temp', 'too_warm', 'The freezer is warmer than 5°F', 'freezer_too_warm', 'problem', 1),
+    ('ice-maker-not-working', 'check_freezer_temp', 'cold_enough', 'The freezer is cold enough', 'check_water_supply', 'ok', 2),
+    ('ice-maker-not-working', 'check_water_supply', 'no_water', 'The supply is on but no water comes through', 'inlet_valve_failed', 'problem', 1),
+    ('ice-maker-not-working', 'check_water_supply', 'water_ok', 'Water comes through fine', 'ice_maker_failed', 'ok', 2),
+
+    ('dishwasher-not-draining', 'check_filter', 'filter_clogged', 'The filter is clogged', 'clean_filter', 'problem', 1),
+    ('dishwasher-not-draining', 'check_filter', 'filter_clean', 'The filter is clean', 'check_drain_hose', 'ok', 2),
+    ('dishwasher-not-draining', 'check_drain_hose', 'hose_blocked', 'The hose is kinked or blocked', 'clear_hose', 'problem', 1),
+    ('dishwasher-not-draining', 'check_drain_hose', 'hose_clear', 'The hose is clear', 'check_pump_sound', 'ok', 2),
+    ('dishwasher-not-draining', 'check_pump_sound', 'pump_hums', 'The pump hums but no water drains', 'pump_blocked', 'problem', 1),
+    ('dishwasher-not-draining', 'check_pump_sound', 'pump_silent', 'The pump makes no sound', 'pump_failed', 'problem', 2),
+
+    ('dishwasher-leaking', 'check_door_gasket', 'gasket_damaged', 'The gasket is damaged', 'gasket_worn', 'problem', 1),
+    ('dishwasher-leaking', 'check_door_gasket', 'gasket_ok', 'The gasket looks fine', 'check_detergent', 'ok', 2),
+    ('dishwasher-leaking', 'check_detergent', 'wrong_detergent', 'Yes, dish soap or too much detergent', 'detergent_cause', 'problem', 1),
+    ('dishwasher-leaking', 'check_detergent', 'detergent_ok', 'No, the right detergent and amount', 'check_under_tub', 'ok', 2),
+    ('dishwasher-leaking', 'check_under_tub', 'pump_leak', 'It drips from the pump', 'pump_seal_leak', 'problem', 1),
+    ('dishwasher-leaking', 'check_under_tub', 'valve_leak', 'It drips from the inlet valve or its hose', 'inlet_valve_leak', 'problem', 2),
+    ('dishwasher-leaking', 'check_under_tub', 'no_leak_found', 'I can''t see where it leaks', 'leak_not_found', 'ok', 3)
+) AS o(slug, node_key, outcome_key, label, next_node_key, outcome_type, position) ON o.slug = t.slug;
@@ -0,0 +1,171 @@
+const logger = require('../logger');
+
+const CANCEL_PATTERN = /^\s*(cancel|stop|never ?mind|forget it|quit)\b/i;
+
+const isSet = (value) => value !== null && value !== undefined;
+
+/**
+ * Slot-filling dialogs for multi-turn flows (compatibility checks, order
+ * lookups, returns, installation help). A flow declares what it needs and
+ * what to do once it has it:
+ *
+ *   {
+ *     name: 'compatibility',
+ *     intent: 'compatibility_check',
+ *     extract: async (query, { slots, pending, context }) => ({ slotName: value }),
+ *     slots: [{
+ *       name: 'modelNumber',
+ *       extract: async (query, { slots, pending, context }) => value | null,
+ *       validate: async (value, slots, context) => result,
+ *       prompt: async (slots, { retry, context }) => response,
+ *       correctable: true,
+ *       skip: (slots) => boolean
+ *     }],
+ *     complete: async (slots, context) => response,
+ *     cancelled: "OK, I've stopped the compatibility check."
+ *   }
+ *
+ * Values come from the slot's own `extract`, or from the flow-level `extract`
+ * when one message can answer several slots. `pending` is true for the slot
+ * the last prompt asked about, so free-text slots only take direct answers.
+ * A filled slot is only overwritten when it is `correctable`.
+ *
+ * `validate` (optional) resolves to one of:
+ *   { value, fill, note }  accept; `fill` sets other slots, `note` is added
+ *                          to the next reply
+ *   { error, clear }       reply with `error` and ask again, clearing the
+ *                          slots listed in `clear`
+ *   { end }                stop the flow and reply with `end`
+ *
+ * One dialog is active per user, kept in context.dialog = { flow, slots,
+ * pending }, so it survives between turns and classifier misfires.
+ */
+class DialogManager {
+  constructor() {
+    this.flows = new Map();
+  }
+
+  register(flow) {
+    this.flows.set(flow.name, flow);
+    return flow;
+  }
+
+  active(context) {
+    return context.dialog ? this.flows.get(context.dialog.flow) || null : null;
+  }
+
+  // Start a flow. Values in `slots` were already checked by the caller; the
+  // opening message (if any) is mined for the rest.
+  async start(name, query, context, slots = {}) {
+    const flow = this.flows.get(name);
+    if (context.dialog) {
+      logger.info(`💬 Replacing ${context.dialog.flow} dialog with ${name}`);
+    }
+
+    const filled = Object.fromEntries(Object.entries(slots).filter(([, v]) => isSet(v)));
+    context.dialog = { flow: name, slots: filled, pending: null };
+    return await this.advance(flow, query, context);
+  }
+
+  async continue(query, context) {
+    const flow = this.active(context);
+    if (CANCEL_PATTERN.test(query)) return this.cancel(context);
+    return await this.advance(flow, query, context);
+  }
+
+  // Whether a reply answers the question the active dialog is waiting on
+  async claims(query, context) {
+    const flow = this.active(context);
+    if (!flow) return false;
+    if (CANCEL_PATTERN.test(query)) return true;
+
+    const slot = flow.slots.find(s => s.name === context.dialog.pending);
+    if (!slot) return false;
+
+    const values = await this.extract(flow, query, context);
+    return isSet(await this.slotValue(slot, query, values, context, true));
+  }
+
+  cancel(context) {
+    const flow = this.active(context);
+    context.dialog = null;
+    logger.info(`🛑 Cancelled ${flow?.name || 'unknown'} dialog`);
+    return { message: flow?.cancelled || "OK, I've stopped. What else can I help you with?" };
+  }
+
+  // The customer moved on to something else
+  abandon(context) {
+    if (!context.dialog) return;
+    logger.info(`↪️ Leaving ${context.dialog.flow} dialog for a new topic`);
+    context.dialog = null;
+  }
+
+  async extract(flow, query, context) {
+    if (!query || !flow.extract) return {};
+    const { slots, pending } = context.dialog;
+    return (await flow.extract(query, { slots, pending, context })) || {};
+  }
+
+  async slotValue(slot, query, values, context, pending) {
+    if (!query) return null;
+    if (slot.extract) {
+      return await slot.extract(query, { slots: context.dialog.slots, pending, context });
+    }
+    return values[slot.name];
+  }
+
+  nextSlot(flow, slots) {
+    return flow.slots.find(s => !isSet(slots[s.name]) && !(s.skip && s.skip(slots))) || null;
+  }
+
+  // Fill what the message answers (in slot order, so each validator sees the
+  // slots before it), then ask for the next missing slot or complete
+  async advance(flow, query, context) {
+    const state = context.dialog;
+    const values = await this.extract(flow, query, context);
+    const notes = [];
+    let answered = false;
+
+    for (const slot of flow.slots) {
+      const pending = state.pending === slot.name;
+      if (isSet(state.slots[slot.name]) && !pending && !slot.correctable) continue;
+
+      const value = await this.slotValue(slot, query, values, context, pending);
+      if (!isSet(value)) continue;
+
+      const result = slot.validate ? await slot.validate(value, state.slots, context) : { value };
+      if (result.end) {
+        context.dialog = null;
+        return result.end;
+      }
+      if (result.error) {
+        for (const name of result.clear || []) delete state.slots[name];
+        state.pending = this.nextSlot(flow, state.slots)?.name || slot.name;
+        return result.error;
+      }
+
+      state.slots[slot.name] = result.value;
+      Object.assign(state.slots, result.fill);
+      if (result.note) notes.push(result.note);
+      answered = true;
+    }
+
+    const next = this.nextSlot(flow, state.slots);
+    let response;
+    if (next) {
+      const retry = !answered && state.pending === next.name;
+      state.pending = next.name;
+      response = await next.prompt(state.slots, { retry, context });
+    } else {
+      context.dialog = null;
+      logger.info(`✅ ${flow.name} dialog complete`);
+      response = await flow.complete(state.slots, context);
+    }
+
+    return notes.length > 0
+      ? { ...response, message: [response.message, ...notes].join('\n\n') }
+      : response;
+  }
+}
+
+module.exports = { DialogManager, CANCEL_PATTERN };
@@ -0,0 +1,80 @@
+const { DialogManager } = require('./manager');
+
+const ask = (name) => async (slots, { retry }) => ({ message: `${retry ? 'Still need' : 'Need'} ${name}` });
+
+function delivery() {
+  const dialogs = new DialogManager();
+  dialogs.register({
+    name: 'delivery',
+    intent: 'order_support',
+    extract: (query) => ({
+      size: (query.match(/\b(small|large)\b/i) || [])[1] || null,
+      zip: (query.match(/\b(\d{5})\b/) || [])[1] || null
+    }),
+    slots: [
+      { name: 'size', correctable: true, prompt: ask('size') },
+      {
+        name: 'zip',
+        validate: async (zip) => (zip === '00000' ? { error: { message: 'No such ZIP' } } : { value: zip, note: 'ZIP noted' }),
+        prompt: ask('zip')
+      },
+      {
+        name: 'note',
+        extract: (query, { pending }) => (pending ? query : null),
+        skip: (slots) => slots.size === 'small',
+        prompt: ask('note')
+      }
+    ],
+    complete: async (slots) => ({ message: `Done: ${slots.size} ${slots.zip} ${slots.note || '-'}` }),
+    cancelled: 'Stopped.'
+  });
+  return dialogs;
+}
+
+describe('DialogManager', () => {
+  test('fills slots over several turns, in any order, then completes', async () => {
+    const dialogs = delivery();
+    const context = {};
+
+    expect((await dialogs.start('delivery', 'Ship to 60614', context)).message).toBe('Need size\n\nZIP noted');
+    expect(context.dialog).toEqual({ flow: 'delivery', slots: { zip: '60614' }, pending: 'size' });
+
+    expect((await dialogs.continue('something', context)).message).toBe('Still need size');
+    expect((await dialogs.continue('large please', context)).message).toBe('Need note');
+    expect((await dialogs.continue('leave at the door', context)).message).toBe('Done: large 60614 leave at the door');
+    expect(context.dialog).toBeNull();
+  });
+
+  test('skips slots that do not apply and lets correctable slots change', async () => {
+    const dialogs = delivery();
+    const context = {};
+
+    await dialogs.start('delivery', null, context, { size: 'large', zip: null });
+    expect(context.dialog.slots).toEqual({ size: 'large' });
+
+    const done = await dialogs.continue('actually small, 60614', context);
+    expect(done.message).toBe('Done: small 60614 -\n\nZIP noted');
+  });
+
+  test('asks again when a value fails validation', async () => {
+    const dialogs = delivery();
+    const context = {};
+
+    expect((await dialogs.start('delivery', 'large to 00000', context)).message).toBe('No such ZIP');
+    expect(context.dialog).toMatchObject({ slots: { size: 'large' }, pending: 'zip' });
+  });
+
+  test('claims only replies to the pending slot, plus cancel', async () => {
+    const dialogs = delivery();
+    const context = {};
+    await dialogs.start('delivery', 'large', context);
+
+    expect(await dialogs.claims('60614', context)).toBe(true);
+    expect(await dialogs.claims('small', context)).toBe(false);
+    expect(await dialogs.claims('Cancel that', context)).toBe(true);
+
+    expect((await dialogs.continue('cancel', context)).message).toBe('Stopped.');
+    expect(context.dialog).toBeNull();
+    expect(await dialogs.claims('60614', context)).toBe(false);
+  });
+});
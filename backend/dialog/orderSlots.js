@@ -0,0 +1,83 @@
+const logger = require('../logger');
+const { extractLookupDetails, findOrder } = require('../orders/lookup');
+const { isLookupLocked, recordLookupFailure, clearLookupFailures } = require('../orders/lookupLimit');
+
+const BLOCKED_MESSAGE = "I wasn't able to verify that order. For your security I can't check more order details here, but our support team can help you with it.";
+
+const orderPrompt = {
+  type: 'input_prompt',
+  fields: ['order number', 'email or ZIP code'],
+  placeholder: 'Enter order number (e.g. ORD-104829)'
+};
+
+function verificationFrom(query) {
+  const { email, zip } = extractLookupDetails(query);
+  return email || zip ? { email, zip } : null;
+}
+
+/**
+ * The `orderNumber` and `verification` (email or ZIP on the order) slots
+ * shared by order tracking and returns. The order is looked up as soon as
+ * both are known, whichever arrives last; a miss clears both and asks again
+ * without saying which was wrong. `onVerified(order, slots, context)`
+ * resolves to a validate result ({ fill, note } or { end }).
+ */
+function orderSlots({ prompt, onVerified }) {
+  const verify = async (orderNumber, verification, slots, context) => {
+    if (await isLookupLocked(orderNumber)) {
+      return { end: { message: BLOCKED_MESSAGE } };
+    }
+
+    const order = await findOrder(orderNumber, verification);
+    if (!order) {
+      const failures = await recordLookupFailure(orderNumber);
+      logger.warn(`📦 Order lookup failed for ${orderNumber} (${failures} failures)`);
+      return {
+        error: {
+          message: `I couldn't find an order **${orderNumber}** with that email or ZIP code. Please check both and try again.`,
+          actions: [orderPrompt]
+        },
+        clear: ['orderNumber', 'verification']
+      };
+    }
+
+    await clearLookupFailures(orderNumber);
+    return await onVerified(order, slots, context);
+  };
+
+  const accept = (value, result) => (result.end || result.error ? result : { ...result, value });
+
+  return [
+    {
+      name: 'orderNumber',
+      correctable: true,
+      extract: (query) => extractLookupDetails(query).orderNumber,
+      validate: async (value, slots, context) => (slots.verification
+        ? accept(value, await verify(value, slots.verification, slots, context))
+        : { value }),
+      prompt
+    },
+    {
+      name: 'verification',
+      correctable: true,
+      extract: verificationFrom,
+      validate: async (value, slots, context) => (slots.orderNumber
+        ? accept(value, await verify(slots.orderNumber, value, slots, context))
+        : { value }),
+      prompt: (slots) => ({
+        message: `To look up **${slots.orderNumber}**, please confirm the email address or shipping ZIP code on the order.`,
+        actions: [{
+          type: 'input_prompt',
+          field: 'email_or_zip',
+          placeholder: 'Enter email or ZIP code'
+        }]
+      })
+    }
+  ];
+}
+
+module.exports = {
+  BLOCKED_MESSAGE,
+  orderPrompt,
+  orderSlots
+};
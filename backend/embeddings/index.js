@@ -0,0 +1,106 @@
+require('dotenv').config();
+const { createOpenAIEmbedder } = require('./openaiEmbedder');
+const { createLocalEmbedder } = require('./localEmbedder');
+
+// === Embedding service ===
+//
+// EMBEDDING_BACKEND selects the backend:
+//   openai — OpenAI-compatible /v1/embeddings endpoint (default)
+//            EMBEDDING_API_URL, EMBEDDING_API_KEY (falls back to OPENAI_API_KEY)
+//   local  — deterministic hashing embedder, no network
+//
+// EMBEDDING_MODEL and EMBEDDING_DIMENSIONS override the backend defaults. The
+// model name and dimension are stored next to every vector so searches only
+// compare vectors produced by the configured model.
+
+const KNOWN_DIMENSIONS = {
+  'text-embedding-3-small': 1536,
+  'text-embedding-3-large': 3072,
+  'text-embedding-ada-002': 1536
+};
+
+// Models that return shorter vectors when the request names `dimensions`
+const SHORTENABLE_MODELS = /^text-embedding-3-/;
+
+const BACKENDS = {
+  openai: () => {
+    const model = process.env.EMBEDDING_MODEL || 'text-embedding-3-small';
+    const dimensions = parseInt(process.env.EMBEDDING_DIMENSIONS || KNOWN_DIMENSIONS[model] || 1536, 10);
+
+    // A known model asked for another size has to support shortening
+    const shorten = Boolean(KNOWN_DIMENSIONS[model]) && dimensions !== KNOWN_DIMENSIONS[model];
+    if (shorten && !SHORTENABLE_MODELS.test(model)) {
+      throw new Error(`Embedding model ${model} only returns ${KNOWN_DIMENSIONS[model]} dimensions; unset EMBEDDING_DIMENSIONS or pick a text-embedding-3 model`);
+    }
+
+    return createOpenAIEmbedder({
+      apiUrl: process.env.EMBEDDING_API_URL || 'https://api.openai.com/v1/embeddings',
+      apiKey: process.env.EMBEDDING_API_KEY || process.env.OPENAI_API_KEY,
+      model,
+      dimensions,
+      shorten
+    });
+  },
+  local: () => createLocalEmbedder({
+    model: process.env.EMBEDDING_MODEL || 'local-hash-v1',
+    dimensions: parseInt(process.env.EMBEDDING_DIMENSIONS || '384', 10)
+  })
+};
+
+let embedder = null;
+
+function getEmbedder() {
+  if (!embedder) {
+    const backend = process.env.EMBEDDING_BACKEND || 'openai';
+    if (!BACKENDS[backend]) {
+      throw new Error(`Unknown EMBEDDING_BACKEND "${backend}" (expected ${Object.keys(BACKENDS).join(' or ')})`);
+    }
+    embedder = BACKENDS[backend]();
+  }
+  return embedder;
+}
+
+// Swap the active embedder (tests, scripts); pass null to rebuild from env
+function setEmbedder(custom) {
+  embedder = custom;
+}
+
+function getEmbeddingConfig() {
+  const { name, model, dimensions } = getEmbedder();
+  return { backend: name, model, dimensions };
+}
+
+async function embedBatch(texts) {
+  const active = getEmbedder();
+  const vectors = await active.embedBatch(texts);
+
+  for (const vector of vectors) {
+    if (vector.length !== active.dimensions) {
+      throw new Error(`Embedding model ${active.model} returned ${vector.length} dimensions, expected ${active.dimensions}`);
+    }
+  }
+
+  return vectors;
+}
+
+/**
+ * Embed a single text. Resolves to { vector, model, dimensions }.
+ */
+async function embed(text) {
+  const [vector] = await embedBatch([text]);
+  const { model, dimensions } = getEmbedder();
+  return { vector, model, dimensions };
+}
+
+// pgvector input format, e.g. '[0.1,0.2,0.3]'
+function toVectorLiteral(vector) {
+  return '[' + vector.join(',') + ']';
+}
+
+module.exports = {
+  embed,
+  embedBatch,
+  getEmbeddingConfig,
+  setEmbedder,
+  toVectorLiteral
+};
@@ -0,0 +1,49 @@
+/**
+ * Deterministic, offline embedder based on feature hashing.
+ *
+ * Words and word bigrams are hashed (FNV-1a) into a fixed number of signed
+ * buckets and the result is L2-normalized. There is no semantic model behind
+ * it, but texts that share vocabulary land close together, which is enough
+ * for local development and tests.
+ */
+
+function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+function tokenize(text) {
+  return (text || '').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+}
+
+function createLocalEmbedder({ model = 'local-hash-v1', dimensions = 384 } = {}) {
+  function embed(text) {
+    const vector = new Array(dimensions).fill(0);
+    const words = tokenize(text);
+    const features = [
+      ...words,
+      ...words.slice(1).map((w, i) => `${words[i]} ${w}`)
+    ];
+
+    for (const feature of features) {
+      const hash = fnv1a(feature);
+      const sign = (hash & 1) ? 1 : -1;
+      vector[(hash >>> 1) % dimensions] += sign;
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0)) || 1;
+    return vector.map(v => v / norm);
+  }
+
+  async function embedBatch(texts) {
+    return texts.map(embed);
+  }
+
+  return { name: 'local', model, dimensions, embedBatch };
+}
+
+module.exports = { createLocalEmbedder };
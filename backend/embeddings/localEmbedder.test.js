@@ -0,0 +1,28 @@
+const { createLocalEmbedder } = require('./localEmbedder');
+
+function cosine(a, b) {
+  return a.reduce((sum, v, i) => sum + v * b[i], 0);
+}
+
+describe('local embedder', () => {
+  const embedder = createLocalEmbedder({ dimensions: 64 });
+
+  test('is deterministic and normalized', async () => {
+    const [first] = await embedder.embedBatch(['refrigerator door shelf bin']);
+    const [second] = await embedder.embedBatch(['refrigerator door shelf bin']);
+
+    expect(first).toHaveLength(64);
+    expect(second).toEqual(first);
+    expect(cosine(first, first)).toBeCloseTo(1);
+  });
+
+  test('places texts with shared vocabulary closer together', async () => {
+    const [query, bin, pump] = await embedder.embedBatch([
+      'door shelf bin',
+      'Refrigerator Door Shelf Bin for Whirlpool',
+      'Washing machine drain pump'
+    ]);
+
+    expect(cosine(query, bin)).toBeGreaterThan(cosine(query, pump));
+  });
+});
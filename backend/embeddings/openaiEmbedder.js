@@ -0,0 +1,30 @@
+const axios = require('axios');
+
+/**
+ * Embedder for any endpoint that speaks the OpenAI embeddings API
+ * (OpenAI, or a self-hosted server such as Ollama / text-embeddings-inference).
+ * With `shorten`, the request asks for `dimensions` instead of the model's
+ * native size (text-embedding-3 models support this).
+ */
+function createOpenAIEmbedder({ apiUrl, apiKey, model, dimensions, shorten = false, timeout = 10000 }) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (apiKey) {
+    headers.Authorization = `Bearer ${apiKey}`;
+  }
+
+  async function embedBatch(texts) {
+    const res = await axios.post(
+      apiUrl,
+      { model, input: texts, ...(shorten && { dimensions }) },
+      { headers, timeout }
+    );
+
+    return res.data.data
+      .sort((a, b) => a.index - b.index)
+      .map(d => d.embedding);
+  }
+
+  return { name: 'openai', model, dimensions, embedBatch };
+}
+
+module.exports = { createOpenAIEmbedder };
@@ -0,0 +1,43 @@
+jest.mock('axios');
+const axios = require('axios');
+const { createOpenAIEmbedder } = require('./openaiEmbedder');
+
+describe('OpenAI embedder', () => {
+  beforeEach(() => {
+    axios.post.mockReset();
+    axios.post.mockResolvedValue({ data: { data: [{ index: 0, embedding: [0.1, 0.2] }] } });
+  });
+
+  test('asks for the configured dimensions when shortening', async () => {
+    const embedder = createOpenAIEmbedder({ apiUrl: 'http://embed', model: 'text-embedding-3-small', dimensions: 512, shorten: true });
+    await embedder.embedBatch(['door bin']);
+
+    expect(axios.post.mock.calls[0][1]).toEqual({ model: 'text-embedding-3-small', input: ['door bin'], dimensions: 512 });
+  });
+
+  test('leaves the size to the model otherwise', async () => {
+    const embedder = createOpenAIEmbedder({ apiUrl: 'http://embed', model: 'nomic-embed-text', dimensions: 768 });
+    await embedder.embedBatch(['door bin']);
+
+    expect(axios.post.mock.calls[0][1]).not.toHaveProperty('dimensions');
+  });
+});
+
+describe('embedding config', () => {
+  const env = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...env };
+    require('./index').setEmbedder(null);
+  });
+
+  test('shortens text-embedding-3 models to EMBEDDING_DIMENSIONS', () => {
+    Object.assign(process.env, { EMBEDDING_BACKEND: 'openai', EMBEDDING_MODEL: 'text-embedding-3-large', EMBEDDING_DIMENSIONS: '1024' });
+    expect(require('./index').getEmbeddingConfig()).toEqual({ backend: 'openai', model: 'text-embedding-3-large', dimensions: 1024 });
+  });
+
+  test('rejects a size a fixed-size model cannot return', () => {
+    Object.assign(process.env, { EMBEDDING_BACKEND: 'openai', EMBEDDING_MODEL: 'text-embedding-ada-002', EMBEDDING_DIMENSIONS: '512' });
+    expect(() => require('./index').getEmbeddingConfig()).toThrow(/only returns 1536 dimensions/);
+  });
+});
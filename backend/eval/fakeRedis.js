@@ -0,0 +1,123 @@
+// === In-memory Redis ===
+//
+// A stand-in for redis.js covering the commands the agents and the cart use,
+// so eval runs need no Redis server. Expiry is accepted and ignored: a run
+// lasts seconds.
+
+function createFakeRedis() {
+  const strings = new Map();
+  const hashes = new Map();
+
+  const hash = (key) => {
+    if (!hashes.has(key)) hashes.set(key, new Map());
+    return hashes.get(key);
+  };
+
+  const client = {
+    async get(key) {
+      return strings.has(key) ? strings.get(key) : null;
+    },
+    async set(key, value) {
+      strings.set(key, String(value));
+      return 'OK';
+    },
+    async del(...keys) {
+      const existing = keys.filter(k => strings.has(k) || hashes.has(k));
+      for (const k of keys) {
+        strings.delete(k);
+        hashes.delete(k);
+      }
+      return existing.length;
+    },
+    async incr(key) {
+      const value = (parseInt(strings.get(key), 10) || 0) + 1;
+      strings.set(key, String(value));
+      return value;
+    },
+    // One pass over every key; the cursor is always '0'
+    async scan(cursor, match, pattern) {
+      const glob = new RegExp(`^${pattern.split('*').map(p => p.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+      return ['0', [...strings.keys(), ...hashes.keys()].filter(k => glob.test(k))];
+    },
+    async expire() {
+      return 1;
+    },
+    async hget(key, field) {
+      return hashes.get(key)?.get(field) ?? null;
+    },
+    async hgetall(key) {
+      return Object.fromEntries(hashes.get(key) || []);
+    },
+    async hlen(key) {
+      return hashes.get(key)?.size || 0;
+    },
+    async hexists(key, field) {
+      return hashes.get(key)?.has(field) ? 1 : 0;
+    },
+    async hset(key, field, value) {
+      hash(key).set(field, String(value));
+      return 1;
+    },
+    async hdel(key, ...fields) {
+      return fields.filter(f => hashes.get(key)?.delete(f)).length;
+    },
+    async hincrby(key, field, by) {
+      const value = (parseInt(hash(key).get(field), 10) || 0) + by;
+      hash(key).set(field, String(value));
+      return value;
+    },
+    // Queued commands run in order on exec()
+    multi() {
+      const queued = [];
+      const chain = new Proxy({}, {
+        get: (target, command) => (command === 'exec'
+          ? async () => {
+            const results = [];
+            for (const [name, args] of queued) results.push([null, await client[name](...args)]);
+            return results;
+          }
+          : (...args) => {
+            queued.push([command, args]);
+            return chain;
+          })
+      });
+      return chain;
+    },
+    flushall() {
+      strings.clear();
+      hashes.clear();
+    }
+  };
+
+  return client;
+}
+
+// The helpers redis.js exports, bound to `client`
+function createRedisModule(client = createFakeRedis()) {
+  return {
+    redis: client,
+    async getUserContext(userId) {
+      const data = await client.get(`context:${userId}`);
+      return data ? JSON.parse(data) : {};
+    },
+    async setUserContext(userId, context) {
+      await client.set(`context:${userId}`, JSON.stringify(context));
+    },
+    async clearUserContext(userId) {
+      await client.del(`context:${userId}`);
+    },
+    async safeRedisGet(key) {
+      const data = await client.get(key);
+      return data ? JSON.parse(data) : null;
+    },
+    async safeRedisSet(key, value) {
+      await client.set(key, JSON.stringify(value));
+    },
+    async deleteMatching(pattern) {
+      const [, keys] = await client.scan('0', 'MATCH', pattern);
+      return keys.length > 0 ? client.del(...keys) : 0;
+    }
+  };
+}
+
+module.exports = { createFakeRedis, createRedisModule };
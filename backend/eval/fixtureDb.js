@@ -0,0 +1,238 @@
+const orderFixtures = require('../orders/fixtures.json');
+
+// === Fixture database ===
+//
+// An in-memory stand-in for db.js that answers the read queries the agent
+// pipeline makes, from eval/fixtures.json and orders/fixtures.json. Each
+// query is recognised by a fragment of its SQL; anything else throws, so a
+// new query shows up as a failed eval turn instead of an empty result.
+// Full-text search is approximated by matching whole words, which is close
+// enough for a handful of fixture parts.
+
+// Words Postgres' english configuration drops from a tsquery
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'for', 'from', 'how', 'i', 'in', 'is', 'it', 'my',
+  'need', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'with'
+]);
+
+const normalizeSql = (text) => text.replace(/\s+/g, ' ').trim();
+const words = (text) => (text || '').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+const sameText = (a, b) => Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+const stem = (word) => word.replace(/(?:es|s)$/, '');
+
+// Whole-word matches of `terms` in `text`, ignoring plurals
+function countMatches(terms, text) {
+  const doc = new Set(words(text).map(stem));
+  return terms.filter(t => !STOP_WORDS.has(t) && doc.has(stem(t))).length;
+}
+
+// orders/fixtures.json in the shape scripts/loadOrderFixtures.js stores it
+function orderTables(fixtures) {
+  const orders = [];
+  const shipments = [];
+  const items = [];
+
+  fixtures.forEach((order, i) => {
+    const orderId = i + 1;
+    const { shipments: orderShipments = [], items: orderItems = [], ...row } = order;
+    orders.push({ id: orderId, ...row });
+
+    for (const shipment of orderShipments) {
+      shipments.push({ delivered_at: null, ...shipment, id: shipments.length + 1, order_id: orderId });
+    }
+    for (const { tracking_number: tracking, ...item } of orderItems) {
+      const shipment = shipments.find(s => s.order_id === orderId && s.tracking_number === tracking);
+      items.push({ ...item, id: items.length + 1, order_id: orderId, shipment_id: shipment ? shipment.id : null });
+    }
+  });
+
+  return { orders, shipments, order_items: items };
+}
+
+function createFixtureDb(catalog, orders = orderFixtures) {
+  const tables = { ...catalog, ...orderTables(orders) };
+  const partById = (id) => tables.parts.find(p => p.id === id);
+  const modelByNumber = (number) => tables.models.find(m => m.model_number === number);
+
+  // Filters every parts query shares: ($2 appliance type, $3 part ids)
+  const inScope = (part, applianceType, partIds) =>
+    (!applianceType || sameText(part.appliance_type, applianceType)) &&
+    (!partIds || partIds.includes(part.id));
+
+  const handlers = [
+    {
+      name: 'find part',
+      match: 'FROM parts p WHERE p.part_number = ANY($1::text[]) UNION ALL',
+      rows: ([candidates]) => {
+        const direct = tables.parts.find(p => candidates.includes(p.part_number));
+        if (direct) return [{ id: direct.id, part_number: direct.part_number, name: direct.name, matched_by: 'part_number', priority: 0 }];
+
+        const alias = tables.part_aliases.find(a => candidates.includes(a.alias));
+        const part = alias && partById(alias.part_id);
+        return part ? [{ id: part.id, part_number: part.part_number, name: part.name, matched_by: alias.alias_type, priority: 1 }] : [];
+      }
+    },
+    {
+      name: 'find replacement',
+      match: "WHERE a.alias = $1 AND a.alias_type = 'superseded'",
+      rows: ([alias]) => tables.part_aliases
+        .filter(a => a.alias === alias && a.alias_type === 'superseded')
+        .map(a => partById(a.part_id))
+        .map(p => ({ id: p.id, part_number: p.part_number, name: p.name }))
+    },
+    {
+      name: 'model by number',
+      match: 'FROM models WHERE model_number = $1 OR $1 = ANY(aliases)',
+      rows: ([number]) => tables.models.filter(m => m.model_number === number || m.aliases.includes(number)).slice(0, 1)
+    },
+    {
+      name: 'model revisions',
+      match: 'FROM models WHERE base_model = $1',
+      rows: ([base]) => tables.models
+        .filter(m => m.base_model === base)
+        .sort((a, b) => (a.revision || '').localeCompare(b.revision || ''))
+    },
+    {
+      name: 'compatibility',
+      match: 'FROM part_compatibility pc LEFT JOIN models m',
+      rows: ([partId, modelNumbers, baseModel]) => tables.part_compatibility
+        .filter(pc => pc.part_id === partId)
+        .map(pc => ({ pc, model: modelByNumber(pc.model_number) }))
+        .filter(({ pc, model }) => modelNumbers.includes(pc.model_number) || (model && model.base_model === baseModel))
+        .map(({ pc, model }) => ({ model_number: pc.model_number, revision: model ? model.revision : null }))
+    },
+    {
+      name: 'parts for model',
+      match: 'SELECT DISTINCT part_id FROM part_compatibility',
+      rows: ([modelNumbers]) => [...new Set(tables.part_compatibility
+        .filter(pc => modelNumbers.includes(pc.model_number))
+        .map(pc => pc.part_id))]
+        .map(id => ({ part_id: id }))
+    },
+    {
+      name: 'exact part search',
+      match: "OR description ~* ('\\m('",
+      rows: ([identifiers, applianceType, partIds, resolvedIds]) => tables.parts
+        .filter(p => resolvedIds.includes(p.id) || identifiers.includes(p.part_number) ||
+          identifiers.some(id => words(p.description).includes(id.toLowerCase())))
+        .filter(p => inScope(p, applianceType, partIds))
+        .sort((a, b) => Number(resolvedIds.includes(b.id)) - Number(resolvedIds.includes(a.id)) ||
+          Number(identifiers.includes(b.part_number)) - Number(identifiers.includes(a.part_number)))
+    },
+    {
+      name: 'lexical part search',
+      match: "to_tsquery('english', $1) q WHERE search_vector @@ q",
+      rows: ([query, applianceType, partIds]) => tables.parts
+        .filter(p => inScope(p, applianceType, partIds))
+        .map(p => ({ ...p, lexical_rank: countMatches(query.split(' | '), `${p.name} ${p.category} ${p.description}`) }))
+        .filter(p => p.lexical_rank > 0)
+        .sort((a, b) => b.lexical_rank - a.lexical_rank)
+    },
+    {
+      // Fixture parts carry no embeddings
+      name: 'vector part search',
+      match: 'embedding <=> $1::vector',
+      rows: () => []
+    },
+    {
+      name: 'model part list',
+      match: 'ORDER BY category NULLS LAST, rating DESC NULLS LAST',
+      rows: ([partIds, applianceType, limit]) => tables.parts
+        .filter(p => inScope(p, applianceType, partIds))
+        .sort((a, b) => a.category.localeCompare(b.category) || b.rating - a.rating)
+        .slice(0, limit)
+    },
+    {
+      name: 'guide for part',
+      match: 'FROM installation_guides g WHERE g.part_id = $1',
+      rows: ([partId]) => tables.installation_guides.filter(g => g.part_id === partId)
+    },
+    {
+      name: 'guide for category',
+      match: 'FROM installation_guides g JOIN parts p ON p.id = $1',
+      rows: ([partId]) => {
+        const part = partById(partId);
+        return tables.installation_guides.filter(g => part && g.part_id === null &&
+          sameText(g.category, part.category) && (!g.appliance_type || sameText(g.appliance_type, part.appliance_type)));
+      }
+    },
+    {
+      // plainto_tsquery ANDs its terms
+      name: 'guide search',
+      match: "FROM installation_guides g, plainto_tsquery('english', $1) q",
+      rows: ([query]) => {
+        const terms = words(query).filter(t => !STOP_WORDS.has(t));
+        return tables.installation_guides
+          .filter(g => terms.length > 0 && countMatches(terms, `${g.title} ${g.summary} ${g.category}`) === terms.length)
+          .slice(0, 1);
+      }
+    },
+    {
+      name: 'troubleshooting trees',
+      match: 'FROM troubleshooting_trees ORDER BY appliance_type, slug',
+      rows: () => tables.troubleshooting_trees
+    },
+    {
+      name: 'troubleshooting node',
+      match: 'FROM troubleshooting_nodes n JOIN troubleshooting_trees t',
+      rows: ([slug, key]) => {
+        const tree = tables.troubleshooting_trees.find(t => t.slug === slug);
+        return tables.troubleshooting_nodes
+          .filter(n => tree && n.tree_id === tree.id && n.node_key === key)
+          .map(n => ({ ...n, slug: tree.slug, symptom: tree.symptom, version: tree.version }));
+      }
+    },
+    {
+      name: 'troubleshooting outcomes',
+      match: 'FROM troubleshooting_outcomes WHERE tree_id = $1 AND node_key = $2',
+      rows: ([treeId, key]) => tables.troubleshooting_outcomes
+        .filter(o => o.tree_id === treeId && o.node_key === key)
+        .sort((a, b) => a.position - b.position)
+    },
+    {
+      name: 'order',
+      match: 'FROM orders WHERE order_number = $1 AND (LOWER(email) = $2 OR shipping_zip = $3)',
+      rows: ([orderNumber, email, zip]) => tables.orders.filter(o => o.order_number === orderNumber &&
+        (o.email.toLowerCase() === email || o.shipping_zip === zip))
+    },
+    {
+      name: 'order items',
+      match: 'FROM order_items WHERE order_id = $1',
+      rows: ([orderId]) => tables.order_items.filter(i => i.order_id === orderId)
+    },
+    {
+      name: 'order shipments',
+      match: 'FROM shipments WHERE order_id = $1',
+      rows: ([orderId]) => tables.shipments.filter(s => s.order_id === orderId)
+    },
+    {
+      name: 'part stock',
+      match: 'SELECT in_stock FROM parts WHERE id = $1',
+      rows: ([partId]) => tables.parts.filter(p => p.id === partId)
+    },
+    {
+      // Cart pricing and the grounding check
+      name: 'parts by number',
+      match: 'FROM parts WHERE part_number = ANY($1::text[])',
+      rows: ([partNumbers]) => tables.parts.filter(p => partNumbers.includes(p.part_number))
+    }
+  ];
+
+  const queries = [];
+
+  async function query(text, params = []) {
+    const sql = normalizeSql(text);
+    const handler = handlers.find(h => sql.includes(h.match));
+    if (!handler) {
+      throw new Error(`Fixture database has no answer for: ${sql.slice(0, 120)}`);
+    }
+
+    queries.push(handler.name);
+    const rows = handler.rows(params).map(row => ({ ...row }));
+    return { rows, rowCount: rows.length };
+  }
+
+  return { query, queries, tables };
+}
+
+module.exports = { createFixtureDb };
@@ -0,0 +1,264 @@
+const fs = require('fs');
+const path = require('path');
+const { registerProvider } = require('../llm');
+const { createMockProvider } = require('../llm/mockProvider');
+const { SCRIPTED_RESPONDERS } = require('./scriptedResponders');
+
+// === Offline evaluation ===
+//
+// Replays the golden conversations in eval/golden.json through the agent
+// pipeline with a scripted LLM provider, against fixture data instead of
+// Postgres and Redis (see scripts/evaluate.js and eval/harness.test.js for
+// the wiring). Every turn lists what it expects:
+//
+//   { "user": "...",
+//     "wizard": { ... },                       optional wizard answer
+//     "llm": { "<task>": <response> },         scripted model answers
+//     "expect": {
+//       "intent": "compatibility_check",
+//       "entities": { "modelNumber": "WRS325SDHZ01" },
+//       "compatibility": { "partNumber": "...", "modelNumber": "...", "compatible": true },
+//       "actions": ["add_to_cart", { "type": "order_status", "orderNumber": "ORD-104829" }]
+//     } }
+//
+// Tasks without a scripted answer get the rule-based answers in
+// eval/scriptedResponders.js, then the mock provider's defaults. Each
+// expectation is one metric; a run is scored per metric and compared with
+// eval/baseline.json so a prompt or routing change that breaks a turn that
+// used to pass shows up as a regression.
+
+const PROVIDER_NAME = 'eval';
+const METRICS = ['intent', 'entities', 'compatibility', 'actions'];
+const GOLDEN_PATH = path.join(__dirname, 'golden.json');
+const BASELINE_PATH = path.join(__dirname, 'baseline.json');
+
+// `expected` is contained in `actual`: objects compare only the keys listed
+function matches(expected, actual) {
+  if (expected === null || typeof expected !== 'object') return expected === actual;
+  if (Array.isArray(expected)) {
+    return Array.isArray(actual) && expected.length === actual.length && expected.every((e, i) => matches(e, actual[i]));
+  }
+  return Boolean(actual) && typeof actual === 'object' && Object.entries(expected).every(([k, v]) => matches(v, actual[k]));
+}
+
+// What the pipeline understood from the conversation so far: the pending
+// dialog's slots plus the part, model, order or tree a reply acted on
+function observedEntities(response, context) {
+  const entities = { ...(context.dialog?.slots || {}) };
+  const compatibility = response.metadata?.compatibility;
+  if (compatibility) {
+    entities.partNumber = compatibility.partNumber;
+    entities.modelNumber = compatibility.modelNumber;
+  }
+
+  for (const action of response.actions || []) {
+    if (action.type === 'order_status') entities.orderNumber = action.orderNumber;
+    if (action.type === 'installation_guide' && action.partNumber) entities.partNumber = action.partNumber;
+    if (action.type === 'troubleshooting_wizard' && action.tree) entities.tree = action.tree;
+  }
+  return entities;
+}
+
+function findAction(required, actions) {
+  return actions.some(action => (typeof required === 'string' ? action.type === required : matches(required, action)));
+}
+
+// One { metric, passed, expected, actual } per expectation of the turn
+function checkTurn(expect, response, context) {
+  const checks = [];
+  const add = (metric, passed, expected, actual) => checks.push({ metric, passed, expected, actual });
+
+  if (expect.intent !== undefined) {
+    const intent = response.metadata?.intent;
+    add('intent', intent === expect.intent, expect.intent, intent);
+  }
+  if (expect.entities !== undefined) {
+    const entities = observedEntities(response, context);
+    const actual = Object.fromEntries(Object.keys(expect.entities).map(k => [k, entities[k] ?? null]));
+    add('entities', matches(expect.entities, actual), expect.entities, actual);
+  }
+  if (expect.compatibility !== undefined) {
+    const verdict = response.metadata?.compatibility || null;
+    add('compatibility', matches(expect.compatibility, verdict), expect.compatibility, verdict);
+  }
+  if (expect.actions !== undefined) {
+    const actions = response.actions || [];
+    const missing = expect.actions.filter(required => !findAction(required, actions));
+    add('actions', missing.length === 0, expect.actions, actions.map(a => a.type));
+  }
+  return checks;
+}
+
+/**
+ * Replay `conversations` through `orchestrator`. `redis` is the module the
+ * orchestrator reads user context from (it's flushed between
+ * conversations). Resolves to one result per turn:
+ *   { id, conversation, turn, user, reply, checks, error }
+ */
+async function runEvaluation({ orchestrator, redis, conversations = require(GOLDEN_PATH) }) {
+  const responders = { ...SCRIPTED_RESPONDERS };
+  registerProvider(createMockProvider({ name: PROVIDER_NAME, responders }));
+
+  // Every agent talks to the scripted provider, whatever the environment says
+  const env = { ...process.env };
+  for (const key of Object.keys(process.env).filter(k => k.startsWith('LLM_PROVIDER_ORDER_'))) {
+    delete process.env[key];
+  }
+  process.env.LLM_PROVIDER_ORDER = PROVIDER_NAME;
+
+  const results = [];
+  try {
+    for (const conversation of conversations) {
+      await redis.redis.flushall();
+      const userId = `eval-${conversation.id}`;
+      const history = [];
+
+      for (const [index, turn] of conversation.turns.entries()) {
+        for (const task of Object.keys(responders)) delete responders[task];
+        Object.assign(responders, SCRIPTED_RESPONDERS, turn.llm || {});
+
+        // The API stores the message before loading history, so it's included
+        history.push({ role: 'user', content: turn.user });
+        const result = { id: `${conversation.id}#${index + 1}`, conversation: conversation.id, turn: index + 1, user: turn.user };
+
+        try {
+          const response = await orchestrator.processQuery(userId, turn.user, [...history], { wizard: turn.wizard || null });
+          const context = await redis.getUserContext(userId);
+          history.push({ role: 'assistant', content: response.message });
+          results.push({ ...result, reply: response.message, checks: checkTurn(turn.expect || {}, response, context), error: null });
+        } catch (err) {
+          const checks = Object.keys(turn.expect || {}).filter(m => METRICS.includes(m))
+            .map(metric => ({ metric, passed: false, expected: turn.expect[metric], actual: null }));
+          results.push({ ...result, reply: null, checks, error: err.message });
+        }
+      }
+    }
+  } finally {
+    process.env = env;
+  }
+
+  return results;
+}
+
+/**
+ * Per-metric accuracy over a run:
+ *   { turns, conversations, metrics: { intent: { passed, total, accuracy } },
+ *     passing: ['<conversation>#<turn>'], failures: [{ id, user, metric, expected, actual, error }] }
+ */
+function scoreResults(results) {
+  const metrics = Object.fromEntries(METRICS.map(m => [m, { passed: 0, total: 0, accuracy: null }]));
+  const failures = [];
+
+  for (const result of results) {
+    for (const check of result.checks) {
+      metrics[check.metric].total += 1;
+      if (check.passed) {
+        metrics[check.metric].passed += 1;
+      } else {
+        failures.push({ id: result.id, user: result.user, metric: check.metric, expected: check.expected, actual: check.actual, error: result.error });
+      }
+    }
+  }
+
+  for (const metric of Object.values(metrics)) {
+    metric.accuracy = metric.total > 0 ? Math.round((metric.passed / metric.total) * 1000) / 1000 : null;
+  }
+
+  return {
+    turns: results.length,
+    conversations: new Set(results.map(r => r.conversation)).size,
+    metrics,
+    passing: results.filter(r => !r.error && r.checks.every(c => c.passed)).map(r => r.id),
+    failures
+  };
+}
+
+// What `--save-baseline` stores: per-metric accuracy and the passing turns
+function toBaseline(scores) {
+  return {
+    metrics: Object.fromEntries(Object.entries(scores.metrics).map(([name, m]) => [name, m.accuracy])),
+    passing: scores.passing
+  };
+}
+
+function loadBaseline(file = BASELINE_PATH) {
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+}
+
+function saveBaseline(scores, file = BASELINE_PATH) {
+  fs.writeFileSync(file, `${JSON.stringify(toBaseline(scores), null, 2)}\n`);
+}
+
+/**
+ * Metrics that scored lower than the baseline and turns that passed in the
+ * baseline but fail now. Turns added since the baseline can't regress.
+ * Resolves to { metrics: [{ name, baseline, accuracy }], turns: [id] }.
+ */
+function findRegressions(scores, baseline) {
+  if (!baseline) return { metrics: [], turns: [] };
+
+  const passing = new Set(scores.passing);
+  const ran = new Set(scores.failures.map(f => f.id).concat(scores.passing));
+
+  return {
+    metrics: Object.entries(baseline.metrics)
+      .filter(([name, accuracy]) => accuracy !== null && scores.metrics[name]?.accuracy !== null &&
+        scores.metrics[name]?.accuracy < accuracy)
+      .map(([name, accuracy]) => ({ name, baseline: accuracy, accuracy: scores.metrics[name].accuracy })),
+    turns: baseline.passing.filter(id => ran.has(id) && !passing.has(id))
+  };
+}
+
+const percent = (value) => (value === null || value === undefined ? '—' : `${(value * 100).toFixed(1)}%`);
+const show = (value) => JSON.stringify(value);
+
+// Plain-text regression report for the console and CI logs
+function formatReport(scores, baseline, regressions = findRegressions(scores, baseline)) {
+  const lines = [
+    `Agent pipeline evaluation: ${scores.conversations} conversations, ${scores.turns} turns, ${scores.passing.length} passed`,
+    '',
+    `${'Metric'.padEnd(15)}${'Score'.padEnd(18)}Baseline`
+  ];
+
+  for (const [name, metric] of Object.entries(scores.metrics)) {
+    const score = `${metric.passed}/${metric.total} ${percent(metric.accuracy)}`;
+    lines.push(`${name.padEnd(15)}${score.padEnd(18)}${percent(baseline?.metrics[name])}`);
+  }
+
+  lines.push('');
+  if (!baseline) {
+    lines.push('No baseline yet: run with --save-baseline to record one.');
+  } else if (regressions.metrics.length === 0 && regressions.turns.length === 0) {
+    lines.push('✅ No regressions against the baseline.');
+  } else {
+    lines.push('❌ Regressions against the baseline:');
+    for (const m of regressions.metrics) lines.push(`  • ${m.name}: ${percent(m.baseline)} → ${percent(m.accuracy)}`);
+    for (const id of regressions.turns) lines.push(`  • ${id} used to pass`);
+  }
+
+  if (scores.failures.length > 0) {
+    lines.push('', 'Failures:');
+    for (const f of scores.failures) {
+      lines.push(`  • ${f.id} [${f.metric}] "${f.user}"`);
+      lines.push(f.error ? `      error: ${f.error}` : `      expected ${show(f.expected)}, got ${show(f.actual)}`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  METRICS,
+  GOLDEN_PATH,
+  BASELINE_PATH,
+  matches,
+  observedEntities,
+  checkTurn,
+  runEvaluation,
+  scoreResults,
+  toBaseline,
+  loadBaseline,
+  saveBaseline,
+  findRegressions,
+  formatReport
+};
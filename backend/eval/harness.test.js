@@ -0,0 +1,68 @@
+jest.mock('../db', () => require('./fixtureDb').createFixtureDb(require('./fixtures.json')));
+jest.mock('../redis', () => require('./fakeRedis').createRedisModule());
+
+const redis = require('../redis');
+const AgentOrchestrator = require('../agents/orchestrator');
+const { runEvaluation, scoreResults, findRegressions, formatReport, checkTurn } = require('./harness');
+
+describe('offline evaluation harness', () => {
+  const env = { ...process.env };
+
+  beforeAll(() => {
+    process.env.EMBEDDING_BACKEND = 'local';
+  });
+
+  afterAll(() => {
+    process.env = env;
+  });
+
+  test('every golden conversation passes', async () => {
+    const results = await runEvaluation({ orchestrator: new AgentOrchestrator(), redis });
+    const scores = scoreResults(results);
+
+    expect(scores.failures).toEqual([]);
+    expect(scores.passing).toHaveLength(scores.turns);
+    for (const metric of Object.values(scores.metrics)) {
+      expect(metric.accuracy).toBe(1);
+    }
+  });
+
+  test('scores only what a turn expects', () => {
+    const response = {
+      message: 'Checked.',
+      actions: [{ type: 'add_to_cart', partNumber: 'PS11752778' }],
+      metadata: { intent: 'compatibility_check', compatibility: { partNumber: 'PS11752778', modelNumber: 'WRS325SDHZ01', compatible: false } }
+    };
+
+    const checks = checkTurn({
+      intent: 'compatibility_check',
+      entities: { partNumber: 'PS11752778' },
+      compatibility: { compatible: true },
+      actions: ['add_to_cart', 'order_status']
+    }, response, {});
+
+    expect(checks.map(c => [c.metric, c.passed])).toEqual([
+      ['intent', true],
+      ['entities', true],
+      ['compatibility', false],
+      ['actions', false]
+    ]);
+  });
+
+  test('reports turns and metrics that fell below the baseline', () => {
+    const scores = scoreResults([
+      { id: 'a#1', conversation: 'a', user: 'hi', checks: [{ metric: 'intent', passed: true }], error: null },
+      { id: 'b#1', conversation: 'b', user: 'help', checks: [{ metric: 'intent', passed: false, expected: 'cart', actual: 'general_question' }], error: null },
+      { id: 'c#1', conversation: 'c', user: 'new', checks: [{ metric: 'actions', passed: false, expected: ['cart'], actual: [] }], error: null }
+    ]);
+    const baseline = { metrics: { intent: 1, entities: null, compatibility: null, actions: null }, passing: ['a#1', 'b#1'] };
+
+    const regressions = findRegressions(scores, baseline);
+    expect(regressions).toEqual({ metrics: [{ name: 'intent', baseline: 1, accuracy: 0.5 }], turns: ['b#1'] });
+
+    const report = formatReport(scores, baseline, regressions);
+    expect(report).toContain('intent: 100.0% → 50.0%');
+    expect(report).toContain('b#1 used to pass');
+    expect(report).toContain('expected "cart", got "general_question"');
+  });
+});
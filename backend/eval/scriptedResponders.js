@@ -0,0 +1,70 @@
+const { DEFAULT_RESPONDERS, customerQuery, promptOf, classifyText } = require('../llm/mockProvider');
+
+// === Scripted model answers ===
+//
+// The mock provider's offline answers, extended for the eval harness and the
+// agent tests so multi-part messages and troubleshooting walks run end to
+// end without a model:
+//
+//   createMockProvider({ name: 'scripted', responders: SCRIPTED_RESPONDERS })
+
+// Clause boundaries of a message asking for several things
+const CLAUSE_BOUNDARY = /\s*(?:[?!.]\s+|,?\s+\b(?:and|also|then|plus)\s+(?=(?:how|what|where|when|can|could|will|would|is|are|does|do|add|track|show|find|check)\b))/i;
+
+// Identifiers anywhere in the message, which is what "it" in a later clause
+// refers to
+const ENTITY_PATTERNS = {
+  partNumber: /\bPS\d{5,10}\b/i,
+  modelNumber: /\b[A-Z]{3}\d{3,7}[A-Z0-9]{3,}\b/i,
+  orderNumber: /\bORD-?\d{6}\b/i
+};
+
+// Pick the "- key: description" line in the prompt sharing the most words
+// with the customer's reply; null when nothing overlaps
+function pickCandidate(prompt, query) {
+  const words = (text) => new Set(text.toLowerCase().split(/[^a-z0-9']+/).filter(w => w.length > 1));
+  const said = words(query);
+
+  let best = null;
+  let bestScore = 0;
+  for (const [, key, description] of prompt.matchAll(/^- ([\w-]+): (.+)$/gm)) {
+    const score = [...words(description)].filter(w => said.has(w)).length;
+    if (score > bestScore) {
+      best = key;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+// Other tasks fall through to the provider's defaults
+const SCRIPTED_RESPONDERS = {
+  intent_classification(messages) {
+    const query = customerQuery(messages);
+    const result = DEFAULT_RESPONDERS.intent_classification(messages);
+
+    // One sub-intent per clause that matches a rule, when they differ
+    const entities = Object.fromEntries(Object.entries(ENTITY_PATTERNS)
+      .map(([name, pattern]) => [name, query.match(pattern)?.[0].toUpperCase()])
+      .filter(([, value]) => value));
+    const subIntents = query.split(CLAUSE_BOUNDARY)
+      .map(text => ({ intent: classifyText(text), text, entities }))
+      .filter(s => s.intent);
+
+    if (new Set(subIntents.map(s => s.intent)).size > 1) {
+      result.primary = subIntents[0].intent;
+      result.subIntents = subIntents;
+    }
+    return result;
+  },
+
+  troubleshooting_symptom(messages) {
+    return { tree: pickCandidate(promptOf(messages), customerQuery(messages)) };
+  },
+
+  troubleshooting_outcome(messages) {
+    return { outcome: pickCandidate(promptOf(messages), customerQuery(messages)) };
+  }
+};
+
+module.exports = { SCRIPTED_RESPONDERS };
@@ -0,0 +1,239 @@
+const client = require('prom-client');
+const db = require('../db');
+const logger = require('../logger');
+const { resolvePartNumber } = require('../catalog/parts');
+const { PART_COLUMNS } = require('../search');
+const { ORDER_NUMBER_PATTERN } = require('../orders/lookup');
+const { RMA_NUMBER_PATTERN } = require('../orders/returns');
+const { FREE_SHIPPING_THRESHOLD, STANDARD_SHIPPING } = require('../cart/cart');
+
+// === Grounding ===
+//
+// Replies written by a model can name parts, prices and pages from the
+// model's own knowledge. Before a reply goes out, every part number, price
+// and link in its text is checked against the catalog and against the
+// products and actions the reply carries (cart totals, refunds, tracking
+// links). A part number the customer typed (or asked a compatibility check
+// about) that the catalog doesn't know is an echo: the reply may repeat it,
+// but it isn't verified and doesn't count toward the score. Verified parts
+// get product cards. A sentence with a part number or price that can't be
+// verified is dropped, and an unverifiable link loses its URL. The share of
+// verified claims among the checked ones is the reply's grounding score.
+
+// PartSelect numbers and manufacturer numbers with a letter prefix
+// (WPW10321304, AP6023956), in any case. Bare digits are left alone: they're
+// usually order, tracking or phone numbers.
+const PART_TOKEN_PATTERN = /\b(?:PS\d{5,10}|[A-Z]{1,4}\d{5,}[A-Z0-9]*)\b/gi;
+const PRICE_PATTERN = /\$\s?((?:\d{1,3}(?:,\d{3})+|\d+)(?:\.\d{1,2})?)/g;
+const URL_PATTERN = /https?:\/\/[^\s<>"'()[\]]+/g;
+const MARKDOWN_LINK_PATTERN = /\[([^\]]+)\]\((https?:\/\/[^\s)]+)\)/g;
+const PARTSELECT_PART_PAGE = /^https?:\/\/(?:www\.)?partselect\.com\/(PS\d{5,10})[\w-]*\.htm$/i;
+const PARTSELECT_HOME = /^https?:\/\/(?:www\.)?partselect\.com\/?$/i;
+
+const MAX_PRODUCT_CARDS = 5;
+
+const UNVERIFIED_NOTE = "_I've left out part numbers or prices I couldn't confirm in the PartSelect catalog._";
+const NOTHING_VERIFIED_MESSAGE = "I couldn't confirm the parts I had in mind in our catalog. If you share your appliance's model number, I can look up parts that fit it.";
+
+const groundingScores = new client.Histogram({
+  name: 'reply_grounding_score',
+  help: 'Share of part numbers, prices and links in a reply that were verified',
+  buckets: [0, 0.25, 0.5, 0.75, 0.9, 1]
+});
+
+const unverifiedClaims = new client.Counter({
+  name: 'reply_unverified_claims_total',
+  help: 'Part numbers, prices and links removed from replies because they could not be verified',
+  labelNames: ['type']
+});
+
+const toCents = (amount) => Math.round(amount * 100);
+const trimUrl = (url) => url.replace(/[.,;:!?*_]+$/, '');
+
+// Every string and amount the reply's products and actions already vouch
+// for (the part numbers on an order, a tracking link, a cart total)
+function collectFacts(value, facts = { strings: new Set(), amounts: new Set() }) {
+  if (typeof value === 'string') {
+    facts.strings.add(value);
+  } else if (typeof value === 'number' && Number.isFinite(value)) {
+    facts.amounts.add(toCents(value));
+  } else if (Array.isArray(value)) {
+    value.forEach(v => collectFacts(v, facts));
+  } else if (value && typeof value === 'object') {
+    Object.values(value).forEach(v => collectFacts(v, facts));
+  }
+  return facts;
+}
+
+// Part numbers the customer wrote, in this message or earlier ones
+function customerTokens(userText) {
+  return userText.flatMap(text => String(text || '').toUpperCase().match(PART_TOKEN_PATTERN) || []);
+}
+
+// Part numbers are upper-cased; dropSentences() finds them in any case
+function extractClaims(message) {
+  const parts = [...new Set((message.match(PART_TOKEN_PATTERN) || []).map(token => token.toUpperCase()))]
+    .filter(token => !ORDER_NUMBER_PATTERN.test(token) && !RMA_NUMBER_PATTERN.test(token));
+  const prices = [...new Set([...message.matchAll(PRICE_PATTERN)].map(m => m[0]))];
+  const links = [...new Set((message.match(URL_PATTERN) || []).map(trimUrl))];
+  return { parts, prices, links };
+}
+
+function productCard(row) {
+  return {
+    partNumber: row.part_number,
+    name: row.name,
+    description: row.description,
+    price: parseFloat(row.price || 0),
+    inStock: row.in_stock ?? true,
+    imageUrl: row.image_url || '/placeholder-part.png',
+    productUrl: `https://www.partselect.com/${row.part_number}.htm`,
+    rating: row.rating || 4.3,
+    reviews: row.review_count || 19
+  };
+}
+
+async function loadParts(partNumbers) {
+  if (partNumbers.length === 0) return new Map();
+  const result = await db.query(
+    `SELECT ${PART_COLUMNS} FROM parts WHERE part_number = ANY($1::text[])`,
+    [partNumbers]
+  );
+  return new Map(result.rows.map(row => [row.part_number, row]));
+}
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// `value` as a whole token: "$4" doesn't match inside "$44.95", nor PS12345
+// inside PS123456
+function claimPattern(value) {
+  const start = /^\w/.test(value) ? '(?<!\\w)' : '';
+  return new RegExp(`${start}${escapeRegExp(value)}(?!\\w|[.,]\\d)`, 'i');
+}
+
+// Drop every sentence (or list line) that mentions one of `values`
+function dropSentences(message, values) {
+  if (values.length === 0) return message;
+  const patterns = values.map(claimPattern);
+
+  return message
+    .split('\n')
+    .map(line => {
+      const sentences = line.split(/(?<=[.!?])\s+/);
+      const kept = sentences.filter(s => !patterns.some(p => p.test(s)));
+      if (kept.length === sentences.length) return line;
+      return kept.length > 0 ? kept.join(' ') : null;
+    })
+    .filter(line => line !== null)
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+function unlink(message, urls) {
+  if (urls.length === 0) return message;
+  return message
+    .replace(MARKDOWN_LINK_PATTERN, (match, text, url) => (urls.includes(trimUrl(url)) ? text : match))
+    .replace(URL_PATTERN, (url) => (urls.includes(trimUrl(url)) ? url.slice(trimUrl(url).length) : url))
+    .replace(/\(\s*\)/g, '')
+    .replace(/[ \t]{2,}/g, ' ');
+}
+
+// Whether `text` names anything verifyReply() would check
+function hasClaims(text) {
+  const { parts, prices, links } = extractClaims(String(text || ''));
+  return parts.length + prices.length + links.length > 0;
+}
+
+/**
+ * Check the part numbers, prices and links in a reply. `userText` is what
+ * the customer wrote (this message and earlier ones). Returns the reply
+ * with unverifiable claims removed, product cards for the verified parts and
+ * `metadata.grounding`:
+ *   { score, claims, verified: [...], echoed: [...], unverified: [{ type, value }] }
+ * `score` is 1 for a reply that makes no checked claims. When the catalog
+ * can't be reached the reply is returned unchanged with a null score.
+ */
+async function verifyReply(response, { userText = [] } = {}) {
+  const message = response.message || '';
+  const claims = extractClaims(message);
+  const partPages = claims.links.map(url => url.match(PARTSELECT_PART_PAGE)?.[1].toUpperCase()).filter(Boolean);
+  const total = claims.parts.length + claims.prices.length + claims.links.length;
+
+  if (total === 0) {
+    groundingScores.observe(1);
+    return { ...response, metadata: { ...response.metadata, grounding: { score: 1, claims: 0, verified: [], echoed: [], unverified: [] } } };
+  }
+
+  const products = response.products || [];
+  const facts = collectFacts([products, response.actions || []]);
+  const echoes = new Set(customerTokens([...userText, response.metadata?.compatibility?.partNumber]));
+  for (const amount of [FREE_SHIPPING_THRESHOLD, STANDARD_SHIPPING]) facts.amounts.add(toCents(amount));
+
+  // Numbers the reply's own data vouches for need no lookup
+  let resolutions;
+  let rows;
+  try {
+    const tokens = [...new Set([...claims.parts, ...partPages])].filter(t => !facts.strings.has(t));
+    resolutions = new Map(await Promise.all(tokens.map(async t => [t, await resolvePartNumber(t)])));
+    rows = await loadParts([...new Set([...resolutions.values()].filter(Boolean).map(r => r.partNumber))]);
+  } catch (err) {
+    logger.error('Grounding check failed:', err.message);
+    return { ...response, metadata: { ...response.metadata, grounding: { score: null, claims: total, verified: [], echoed: [], unverified: [] } } };
+  }
+
+  const mentioned = claims.parts.map(t => resolutions.get(t)).filter(Boolean).map(r => rows.get(r.partNumber)).filter(Boolean);
+  for (const row of mentioned) facts.amounts.add(toCents(parseFloat(row.price || 0)));
+
+  const verified = [];
+  const echoed = [];
+  const unverified = [];
+  const check = (type, value, ok) => (ok ? verified : unverified).push(ok ? value : { type, value });
+
+  for (const token of claims.parts) {
+    const ok = facts.strings.has(token) || Boolean(resolutions.get(token));
+    if (!ok && echoes.has(token)) {
+      echoed.push(token);
+    } else {
+      check('part', token, ok);
+    }
+  }
+  for (const price of claims.prices) {
+    const amount = parseFloat(price.replace(/[$,\s]/g, ''));
+    check('price', price, facts.amounts.has(toCents(amount)));
+  }
+  for (const url of claims.links) {
+    const page = url.match(PARTSELECT_PART_PAGE)?.[1].toUpperCase();
+    const ok = facts.strings.has(url) || PARTSELECT_HOME.test(url) || Boolean(page && (facts.strings.has(page) || resolutions.get(page)));
+    check('link', url, ok);
+  }
+
+  const checked = total - echoed.length;
+  const score = checked > 0 ? Math.round((verified.length / checked) * 100) / 100 : 1;
+  groundingScores.observe(score);
+
+  let text = message;
+  if (unverified.length > 0) {
+    for (const claim of unverified) unverifiedClaims.inc({ type: claim.type });
+    logger.warn(`🔎 Unverified claims in reply: ${unverified.map(c => c.value).join(', ')}`);
+
+    text = unlink(text, unverified.filter(c => c.type === 'link').map(c => c.value));
+    text = dropSentences(text, unverified.filter(c => c.type !== 'link').map(c => c.value));
+    text = text ? `${text}\n\n${UNVERIFIED_NOTE}` : NOTHING_VERIFIED_MESSAGE;
+  }
+
+  // Cards for verified parts the reply names but doesn't show yet
+  const shown = new Set(products.map(p => p.partNumber));
+  const cards = mentioned
+    .filter((row, i) => !shown.has(row.part_number) && mentioned.findIndex(r => r.part_number === row.part_number) === i)
+    .map(productCard);
+
+  return {
+    ...response,
+    message: text,
+    products: [...products, ...cards].slice(0, Math.max(MAX_PRODUCT_CARDS, products.length)),
+    metadata: { ...response.metadata, grounding: { score, claims: total, verified, echoed, unverified } }
+  };
+}
+
+module.exports = { verifyReply, hasClaims };
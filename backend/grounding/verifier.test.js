@@ -0,0 +1,161 @@
+jest.mock('../db', () => ({ query: jest.fn() }));
+jest.mock('../redis', () => ({ redis: {} }));
+jest.mock('../catalog/parts', () => ({ resolvePartNumber: jest.fn() }));
+
+const db = require('../db');
+const { resolvePartNumber } = require('../catalog/parts');
+const { verifyReply } = require('./verifier');
+
+const doorBin = {
+  id: 1,
+  part_number: 'PS11752778',
+  name: 'Refrigerator Door Shelf Bin',
+  description: 'Clear door bin',
+  price: '44.95',
+  in_stock: true,
+  image_url: null,
+  rating: 4.8,
+  review_count: 120
+};
+
+// The catalog knows the door bin by its PartSelect and OEM numbers
+const CATALOG = { PS11752778: 'PS11752778', WPW10321304: 'PS11752778' };
+
+describe('grounding verifier', () => {
+  beforeEach(() => {
+    db.query.mockReset().mockResolvedValue({ rows: [doorBin] });
+    resolvePartNumber.mockReset().mockImplementation(async (token) => (
+      CATALOG[token] ? { input: token, partNumber: CATALOG[token], partId: 1 } : null
+    ));
+  });
+
+  test('keeps catalog parts, prices and pages and adds product cards', async () => {
+    const response = await verifyReply({
+      message: 'The **WPW10321304** door bin (now PS11752778) is $44.95. See https://www.partselect.com/PS11752778.htm.',
+      products: [],
+      actions: []
+    });
+
+    expect(response.message).toContain('$44.95');
+    expect(response.metadata.grounding).toMatchObject({ score: 1, claims: 4, unverified: [] });
+    expect(response.products).toEqual([expect.objectContaining({ partNumber: 'PS11752778', price: 44.95 })]);
+  });
+
+  test('drops sentences with invented part numbers and prices and flags them', async () => {
+    const response = await verifyReply({
+      message: 'Check the wiring first. The inlet valve PS99999999 usually fixes it.\n\n• Door bin WPW10321304\n• Thermostat for about $89.99',
+      products: [],
+      actions: []
+    });
+
+    expect(response.message).toBe(
+      "Check the wiring first.\n\n• Door bin WPW10321304\n\n_I've left out part numbers or prices I couldn't confirm in the PartSelect catalog._"
+    );
+    expect(response.metadata.grounding.score).toBe(0.33);
+    expect(response.metadata.grounding.unverified).toEqual([
+      { type: 'part', value: 'PS99999999' },
+      { type: 'price', value: '$89.99' }
+    ]);
+  });
+
+  test("trusts what the reply's own actions carry", async () => {
+    const response = await verifyReply({
+      message: '• 1 × Door Shelf Bin (PS11752778) — $45.99\n\nSubtotal: **$45.99**\n\nAdd $4.01 more for free standard shipping (free over $50).',
+      products: [],
+      actions: [{ type: 'cart', cart: { items: [{ partNumber: 'PS11752778', lineTotal: 45.99 }], subtotal: 45.99, freeShippingRemaining: 4.01 } }]
+    });
+
+    expect(response.metadata.grounding).toMatchObject({ score: 1, unverified: [] });
+    expect(resolvePartNumber).not.toHaveBeenCalled();
+    expect(response.products).toEqual([]);
+  });
+
+  test('removes links it cannot vouch for', async () => {
+    const response = await verifyReply({
+      message: 'Follow [this guide](https://fixit.example.com/valve) or visit https://www.partselect.com/ for more.',
+      products: [],
+      actions: []
+    });
+
+    expect(response.message).toMatch(/^Follow this guide or visit https:\/\/www\.partselect\.com\/ for more\./);
+    expect(response.metadata.grounding.unverified).toEqual([{ type: 'link', value: 'https://fixit.example.com/valve' }]);
+  });
+
+  test('keeps part numbers the customer typed without counting them as verified', async () => {
+    const message = "Great! I have part number **PS99999999**. What's your appliance model number?";
+
+    const response = await verifyReply({ message, products: [], actions: [] }, { userText: ['Is ps99999999 compatible?'] });
+
+    expect(response.message).toBe(message);
+    expect(response.metadata.grounding).toMatchObject({ score: 1, verified: [], echoed: ['PS99999999'], unverified: [] });
+  });
+
+  test('leaves echoed part numbers out of the score', async () => {
+    const response = await verifyReply({
+      message: 'PS99999999 is not in our catalog. The door bin WPW10321304 might be what you need. Try PS88888888 instead.',
+      products: [],
+      actions: []
+    }, { userText: ['Do you have PS99999999?'] });
+
+    expect(response.metadata.grounding).toMatchObject({
+      score: 0.5,
+      verified: ['WPW10321304'],
+      echoed: ['PS99999999'],
+      unverified: [{ type: 'part', value: 'PS88888888' }]
+    });
+    expect(response.message).toContain('PS99999999 is not in our catalog.');
+  });
+
+  test('checks lowercase part numbers too', async () => {
+    const response = await verifyReply({
+      message: 'The door bin is wpw10321304. The valve ps99999999 fixes leaks.',
+      products: [],
+      actions: []
+    });
+
+    expect(response.metadata.grounding.verified).toEqual(['WPW10321304']);
+    expect(response.metadata.grounding.unverified).toEqual([{ type: 'part', value: 'PS99999999' }]);
+    expect(response.message).not.toContain('ps99999999');
+  });
+
+  test('drops a sentence only for the whole claim', async () => {
+    const response = await verifyReply({
+      message: 'The WPW10321304 door bin is $44.95. Shipping is about $4.',
+      products: [],
+      actions: []
+    });
+
+    expect(response.message).toMatch(/^The WPW10321304 door bin is \$44\.95\.\n\n/);
+    expect(response.metadata.grounding.unverified).toEqual([{ type: 'price', value: '$4' }]);
+  });
+
+  test('keeps the part a compatibility verdict reports', async () => {
+    const message = '✗ Unfortunately, part **PS12345678** is not compatible with **WDT780SAEM1**.\n\nDouble-check the part number on the old part.';
+
+    // The part came in an earlier message, which this turn doesn't have
+    const response = await verifyReply({
+      message,
+      products: [],
+      actions: [],
+      metadata: { compatibility: { partNumber: 'PS12345678', modelNumber: 'WDT780SAEM1', compatible: false } }
+    }, { userText: ['WDT780SAEM1'] });
+
+    expect(response.message).toBe(message);
+    expect(response.metadata.grounding).toMatchObject({ score: 1, unverified: [] });
+  });
+
+  test('scores replies without claims as fully grounded', async () => {
+    const response = await verifyReply({ message: 'Happy to help!', products: [], actions: [] });
+    expect(response.metadata.grounding).toEqual({ score: 1, claims: 0, verified: [], echoed: [], unverified: [] });
+  });
+
+  test('leaves the reply alone when the catalog is unreachable', async () => {
+    resolvePartNumber.mockRejectedValue(new Error('connection refused'));
+    const message = 'Try PS99999999.';
+
+    const response = await verifyReply({ message, products: [], actions: [] });
+
+    expect(response.message).toBe(message);
+    expect(response.metadata.grounding.score).toBeNull();
+  });
+});
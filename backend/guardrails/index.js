@@ -0,0 +1,74 @@
+const client = require('prom-client');
+const logger = require('../logger');
+const {
+  USER_TEXT_TAG,
+  USER_TEXT_RULE,
+  escapeUserText,
+  quoteUserText,
+  quoteHistory,
+  checkInput
+} = require('./input');
+const { checkOutput } = require('./output');
+const { createGuardedStream } = require('./stream');
+
+// === Guardrails ===
+//
+// Run around every turn by the orchestrator: guardInput() before any model
+// sees the customer's message, guardOutput() on the reply before it is sent
+// and stored. Blocked messages get BLOCKED_INPUT_MESSAGE without calling a
+// model; blocked replies are replaced with BLOCKED_OUTPUT_MESSAGE.
+// Streamed replies go through createGuardedStream(), which sends nothing the
+// output check hasn't passed.
+// The adversarial corpus in corpus.json runs offline with
+// `npm run test:guardrails`.
+
+const BLOCKED_INPUT_MESSAGE = "I can't change how I work, but I can help with refrigerator and dishwasher parts — finding parts, checking compatibility, installation, troubleshooting and orders. What can I help you with?";
+
+const BLOCKED_OUTPUT_MESSAGE = "Sorry, I can't help with that. I can help you find parts, check compatibility, fix a problem or track an order.";
+
+const guardrailHits = new client.Counter({
+  name: 'guardrail_hits_total',
+  help: 'Guardrail rule hits by stage (input, output), rule and action taken',
+  labelNames: ['stage', 'rule', 'action']
+});
+
+function record(stage, result, text) {
+  for (const rule of result.hits) {
+    guardrailHits.inc({ stage, rule, action: result.action });
+  }
+  logger.warn(`🛡️ Guardrail ${result.action} (${stage}): ${result.hits.join(', ')}`, {
+    text: text.substring(0, 200)
+  });
+}
+
+// { action: 'allow' | 'block', hits }
+function guardInput(text) {
+  const result = checkInput(text);
+  if (result.action !== 'allow') record('input', result, String(text ?? ''));
+  return result;
+}
+
+// { action: 'allow' | 'rewrite' | 'block', text, hits }; `text` is always
+// safe to send
+function guardOutput(text) {
+  const result = checkOutput(text);
+  if (result.action === 'allow') return result;
+
+  record('output', result, String(text ?? ''));
+  return result.action === 'block' ? { ...result, text: BLOCKED_OUTPUT_MESSAGE } : result;
+}
+
+module.exports = {
+  USER_TEXT_TAG,
+  USER_TEXT_RULE,
+  BLOCKED_INPUT_MESSAGE,
+  BLOCKED_OUTPUT_MESSAGE,
+  escapeUserText,
+  quoteUserText,
+  quoteHistory,
+  checkInput,
+  checkOutput,
+  guardInput,
+  guardOutput,
+  createGuardedStream
+};
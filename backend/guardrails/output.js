@@ -0,0 +1,86 @@
+const SYSTEM_PROMPTS = require('../prompts');
+const { USER_TEXT_TAG, USER_TEXT_RULE } = require('./input');
+
+// Lines long enough to be distinctive; a reply quoting one is reciting its
+// instructions rather than paraphrasing them by chance
+const PROMPT_LINES = [...Object.values(SYSTEM_PROMPTS), USER_TEXT_RULE]
+  .flatMap(prompt => prompt.split(/\n|(?<=\.) /))
+  .map(line => line.trim().replace(/^[-\d.\s]+/, '').toLowerCase())
+  .filter(line => line.length >= 40);
+
+// Replies that must not reach the customer at all
+const BLOCK_RULES = [
+  {
+    rule: 'system_prompt_leak',
+    test: (text) => {
+      const lower = text.toLowerCase();
+      return lower.includes(`<${USER_TEXT_TAG}`) ||
+        /\bmy (system prompt|(hidden|initial|system) instructions)\b/.test(lower) ||
+        PROMPT_LINES.some(line => lower.includes(line));
+    }
+  },
+  {
+    rule: 'secret_leak',
+    test: (text) => /\bsk-[A-Za-z0-9_-]{20,}|\b(postgres(ql)?|redis):\/\/[^\s:@]+:[^\s@]+@|-----BEGIN [A-Z ]*PRIVATE KEY-----|\b(SESSION_SECRET|ACCOUNT_LINK_SECRET|[A-Z]+_API_KEY)\s*[=:]\s*\S+/.test(text)
+  },
+  {
+    rule: 'persona_takeover',
+    test: (text) => /\b(DAN|developer|dev|god|jailbreak|unrestricted) mode (is )?(now )?(enabled|activated|on|unlocked)\b|\bI(?: am|'m) (now )?(DAN|jailbroken|unrestricted|unfiltered|free (of|from) (my|all|any) (rules|restrictions|guidelines))\b/i.test(text)
+  }
+];
+
+// Replies that are fine once the offending part is rewritten
+const REWRITE_RULES = [
+  {
+    rule: 'unsafe_markup',
+    pattern: /<\s*(script|iframe|object|embed|style)\b[\s\S]*?(<\/\s*\1\s*>|$)|<[^>]+\son\w+\s*=[^>]*>/gi,
+    replace: ''
+  },
+  {
+    rule: 'unsafe_markup',
+    pattern: /\b(javascript|vbscript|data):[^\s)"']+/gi,
+    replace: '#'
+  },
+  // The prompts forbid talking about internal systems; the models don't
+  // always listen
+  {
+    rule: 'internal_terms',
+    pattern: /\b(our|the) (product |parts )?(database|inventory system)\b/gi,
+    replace: (match, owner) => `${owner} catalog`
+  },
+  {
+    rule: 'internal_terms',
+    pattern: /\b(database|inventory system)\b/gi,
+    replace: 'catalog'
+  }
+];
+
+/**
+ * Check a reply before it reaches the customer.
+ * Returns { action: 'allow' | 'rewrite' | 'block', text, hits: [rule names] };
+ * `text` is the rewritten reply, or null when blocked.
+ */
+function checkOutput(text) {
+  const message = String(text ?? '');
+
+  const blocked = BLOCK_RULES.filter(r => r.test(message)).map(r => r.rule);
+  if (blocked.length > 0) {
+    return { action: 'block', text: null, hits: [...new Set(blocked)] };
+  }
+
+  let rewritten = message;
+  const hits = new Set();
+  for (const { rule, pattern, replace } of REWRITE_RULES) {
+    const next = rewritten.replace(pattern, replace);
+    if (next !== rewritten) {
+      hits.add(rule);
+      rewritten = next;
+    }
+  }
+
+  return hits.size > 0
+    ? { action: 'rewrite', text: rewritten, hits: [...hits] }
+    : { action: 'allow', text: message, hits: [] };
+}
+
+module.exports = { checkOutput };
@@ -0,0 +1,68 @@
+const { checkOutput } = require('./output');
+
+// === Guarded token stream ===
+//
+// Model tokens are held back until a sentence (or line) is complete, and a
+// sentence is only sent once checkOutput() allows everything written so far.
+// On the first hit the stream stops: nothing after it reaches the client, and
+// the finished reply (already guarded and verified) decides what comes next.
+// `hold(text)` can stop the stream for other reasons, e.g. claims that still
+// have to be checked.
+
+// Ends of complete sentences (with the space after them) and lines in the
+// held text
+const BOUNDARY = /[.!?:]\s+|\n/g;
+
+function createGuardedStream(send, { hold = () => false } = {}) {
+  let sent = '';
+  let pending = [];
+  let stopped = false;
+
+  // Tokens up to the last complete sentence, or [] while it's still open. A
+  // token running past the sentence end is split there and the rest stays
+  // pending.
+  const completeTokens = () => {
+    const text = pending.join('');
+    const ends = [...text.matchAll(BOUNDARY)];
+    if (ends.length === 0) return [];
+
+    const last = ends[ends.length - 1];
+    const cut = last.index + last[0].length;
+    const tokens = [];
+    let length = 0;
+    for (const token of pending) {
+      if (length >= cut) break;
+      tokens.push(token.slice(0, cut - length));
+      length += token.length;
+    }
+    return tokens;
+  };
+
+  return {
+    push(token) {
+      if (stopped) return;
+      pending.push(token);
+
+      const tokens = completeTokens();
+      if (tokens.length === 0) return;
+
+      const text = tokens.join('');
+      if (checkOutput(sent + text).action !== 'allow' || hold(text)) {
+        stopped = true;
+        return;
+      }
+
+      tokens.forEach(t => send(t));
+      sent += text;
+      const rest = pending.join('').slice(text.length);
+      pending = rest ? [rest] : [];
+    },
+
+    // The text sent so far; the rest of the reply is up to the caller
+    get sent() {
+      return sent;
+    }
+  };
+}
+
+module.exports = { createGuardedStream };
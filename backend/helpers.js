@@ -0,0 +1,47 @@
+const logger = require('./logger');
+
+// Retry wrapper for errors
+async function retry(fn, retries = 3, delay = 500) {
+  for (let i = 0; i < retries; i++) {
+    try {
+      return await fn(); // Try executing the function
+    } catch (err) {
+      const isLastAttempt = i === retries - 1;
+      logger.warn(`⚠️ Retry ${i + 1}/${retries} failed: ${err.message}`);
+
+      if (isLastAttempt) throw err; // Out of retries → propagate error
+      await new Promise(r => setTimeout(r, delay)); // Wait before retrying
+    }
+  }
+}
+
+// Helper to understand conversation flow
+function getConversationContext(history) {
+  if (history.length === 0) return { stage: 'initial', topic: null };
+  
+  const recentMessages = history.slice(-5);
+  const lastAssistant = recentMessages.slice().reverse().find(h => h.role === 'assistant');
+  
+  if (!lastAssistant) return { stage: 'initial', topic: null };
+  
+  const content = lastAssistant.content.toLowerCase();
+  
+  // Detect what we were just talking about
+  let topic = null;
+  let stage = 'ongoing';
+  
+  if (content.includes('step') || content.includes('troubleshoot')) {
+    topic = 'troubleshooting';
+    stage = 'diagnostic_given';
+  } else if (content.includes('compatible') || content.includes('model')) {
+    topic = 'compatibility';
+  } else if (content.includes('install')) {
+    topic = 'installation';
+  } else if (content.includes('part') && content.includes('$')) {
+    topic = 'product_recommendation';
+  }
+  
+  return { stage, topic };
+}
+
+module.exports = { retry, getConversationContext };
@@ -0,0 +1,147 @@
+const fs = require('fs');
+const path = require('path');
+const { isPartReference } = require('../catalog/parts');
+const { MODEL_NUMBER_PATTERN } = require('../catalog/models');
+const { ORDER_NUMBER_PATTERN } = require('../orders/lookup');
+const { RMA_NUMBER_PATTERN } = require('../orders/returns');
+
+// === Local intent classifier ===
+//
+// A softmax (multinomial logistic) regression over words and word pairs,
+// trained from intent/examples.jsonl by `npm run train:intent` and stored in
+// intent/model.json. Part, model, order and RMA numbers and email addresses
+// become placeholder tokens, so "PS11752778 compatible with WRS325SDHZ01?"
+// looks like every other part-and-model question. Prediction is a few
+// dictionary lookups; the intent agent trusts it above a confidence
+// threshold and asks the LLM otherwise.
+
+const MODEL_VERSION = 1;
+const DEFAULT_MODEL_PATH = path.join(__dirname, 'model.json');
+
+// Deterministic training: examples in file order, fixed epochs and rate
+const TRAINING_DEFAULTS = { epochs: 40, learningRate: 0.1, l2: 0.001 };
+
+const EMAIL_PATTERN = /[^\s@<>(),;:"]+@[^\s@<>(),;:"]+\.[a-z]{2,}/gi;
+const MODEL_TOKEN = new RegExp(`^${MODEL_NUMBER_PATTERN.source}$`, 'i');
+const everyMatch = (pattern) => new RegExp(pattern.source, `${pattern.flags}g`);
+
+function placeholder(token) {
+  if (/^\d{1,5}$/.test(token)) return '_number_';
+  if (isPartReference(token)) return '_part_';
+  if (MODEL_TOKEN.test(token)) return '_model_';
+  return token.toLowerCase();
+}
+
+/**
+ * Words and adjacent word pairs of a message, with identifiers replaced by
+ * placeholders: "Track ORD-104829" → ['track', '_order_', 'track _order_'].
+ */
+function extractFeatures(text) {
+  const words = String(text || '')
+    .replace(everyMatch(ORDER_NUMBER_PATTERN), ' _order_ ')
+    .replace(everyMatch(RMA_NUMBER_PATTERN), ' _rma_ ')
+    .replace(EMAIL_PATTERN, ' _email_ ')
+    .replace(/'/g, '')
+    .split(/[^A-Za-z0-9_]+/)
+    .filter(Boolean)
+    .map(placeholder);
+
+  const pairs = words.slice(1).map((word, i) => `${words[i]} ${word}`);
+  return [...new Set([...words, ...pairs])];
+}
+
+function softmax(scores) {
+  const max = Math.max(...scores);
+  const exps = scores.map(s => Math.exp(s - max));
+  const sum = exps.reduce((a, b) => a + b, 0);
+  return exps.map(e => e / sum);
+}
+
+function scoresFor(weights, labels, features) {
+  return labels.map((label, i) => features.reduce((sum, f) => sum + (weights[f]?.[i] || 0), weights._bias?.[i] || 0));
+}
+
+/**
+ * Train a model from [{ text, intent }]. The result is plain JSON:
+ * { version, labels, weights: { feature: [weight per label] }, trainedAt, examples }.
+ */
+function train(examples, options = {}) {
+  const { epochs, learningRate, l2 } = { ...TRAINING_DEFAULTS, ...options };
+  const labels = [...new Set(examples.map(e => e.intent))].sort();
+  const data = examples.map(e => ({ features: extractFeatures(e.text), label: labels.indexOf(e.intent) }));
+  const weights = { _bias: labels.map(() => 0) };
+
+  for (const { features } of data) {
+    for (const f of features) weights[f] = weights[f] || labels.map(() => 0);
+  }
+
+  for (let epoch = 0; epoch < epochs; epoch++) {
+    for (const { features, label } of data) {
+      const probabilities = softmax(scoresFor(weights, labels, features));
+      for (const f of [...features, '_bias']) {
+        const w = weights[f];
+        for (let i = 0; i < labels.length; i++) {
+          const gradient = probabilities[i] - (i === label ? 1 : 0);
+          w[i] -= learningRate * (gradient + l2 * w[i]);
+        }
+      }
+    }
+  }
+
+  // Four decimals keep the artifact small and its diffs readable
+  for (const f of Object.keys(weights)) {
+    weights[f] = weights[f].map(w => Math.round(w * 10000) / 10000);
+  }
+
+  return { version: MODEL_VERSION, labels, weights, trainedAt: new Date().toISOString(), examples: examples.length };
+}
+
+/**
+ * The most likely intent for `text`: { intent, confidence, scores } where
+ * `scores` maps every label to its probability.
+ */
+function predict(model, text) {
+  const features = extractFeatures(text).filter(f => model.weights[f]);
+  const probabilities = softmax(scoresFor(model.weights, model.labels, features));
+  const best = probabilities.indexOf(Math.max(...probabilities));
+
+  return {
+    intent: model.labels[best],
+    confidence: Math.round(probabilities[best] * 1000) / 1000,
+    scores: Object.fromEntries(model.labels.map((label, i) => [label, probabilities[i]]))
+  };
+}
+
+// One labeled example per line: {"text": "...", "intent": "..."}
+function readExamples(file) {
+  return fs.readFileSync(file, 'utf8')
+    .split('\n')
+    .map((line, i) => ({ line: line.trim(), number: i + 1 }))
+    .filter(({ line }) => line)
+    .map(({ line, number }) => {
+      const example = JSON.parse(line);
+      if (typeof example.text !== 'string' || typeof example.intent !== 'string') {
+        throw new Error(`${file}:${number} needs "text" and "intent"`);
+      }
+      return example;
+    });
+}
+
+// Throws when the file is missing, unreadable or from another model version
+function loadModel(file = DEFAULT_MODEL_PATH) {
+  const model = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (model.version !== MODEL_VERSION) {
+    throw new Error(`${file} is model version ${model.version}, expected ${MODEL_VERSION}; run npm run train:intent`);
+  }
+  return model;
+}
+
+module.exports = {
+  MODEL_VERSION,
+  DEFAULT_MODEL_PATH,
+  extractFeatures,
+  train,
+  predict,
+  readExamples,
+  loadModel
+};
@@ -0,0 +1,43 @@
+jest.mock('../db', () => ({ query: jest.fn() }));
+
+const { extractFeatures, train, predict, loadModel } = require('./classifier');
+
+describe('local intent classifier', () => {
+  test('replaces identifiers with placeholders', () => {
+    expect(extractFeatures('Is PS11752778 compatible with WRS325SDHZ01?')).toEqual(
+      expect.arrayContaining(['_part_', '_model_', 'compatible with', 'with _model_'])
+    );
+    expect(extractFeatures("Track ORD-104829, it's for jane@example.com")).toEqual(
+      expect.arrayContaining(['track _order_', 'its', '_email_'])
+    );
+  });
+
+  test('learns intents from labeled examples', () => {
+    const model = train([
+      { text: 'track my order', intent: 'order_support' },
+      { text: 'where is my order', intent: 'order_support' },
+      { text: 'add it to my cart', intent: 'cart' },
+      { text: 'show my cart', intent: 'cart' }
+    ]);
+
+    expect(model.labels).toEqual(['cart', 'order_support']);
+    expect(predict(model, 'Track order ORD-104829').intent).toBe('order_support');
+    expect(predict(model, 'add PS11752778 to the cart').intent).toBe('cart');
+  });
+
+  test('is unsure about words it never saw', () => {
+    const model = train([
+      { text: 'track my order', intent: 'order_support' },
+      { text: 'show my cart', intent: 'cart' }
+    ]);
+    expect(predict(model, 'hello there').confidence).toBeLessThan(0.6);
+  });
+
+  test('the shipped model answers obvious messages confidently', () => {
+    const model = loadModel();
+
+    expect(predict(model, 'PS11752778 compatible with WRS325SDHZ01?')).toMatchObject({ intent: 'compatibility_check' });
+    expect(predict(model, 'track my order').confidence).toBeGreaterThanOrEqual(0.9);
+    expect(predict(model, 'Yes please').confidence).toBeLessThan(0.9);
+  });
+});
@@ -0,0 +1,102 @@
+const logger = require('../logger');
+
+const STATES = {
+  CLOSED: 'CLOSED',
+  HALF_OPEN: 'HALF_OPEN',
+  OPEN: 'OPEN'
+};
+
+/**
+ * Circuit breaker for a single LLM provider.
+ *
+ * After `failureThreshold` consecutive failures the breaker opens and rejects
+ * calls for `resetTimeout` ms. It then lets a single probe through (half-open):
+ * success closes it, failure re-opens it with the timeout doubled, capped at
+ * `maxResetTimeout`.
+ */
+class CircuitBreaker {
+  constructor(name, {
+    failureThreshold = 3,
+    resetTimeout = 30000,
+    maxResetTimeout = 300000,
+    now = Date.now
+  } = {}) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.baseResetTimeout = resetTimeout;
+    this.maxResetTimeout = maxResetTimeout;
+    this.now = now;
+
+    this.state = STATES.CLOSED;
+    this.failureCount = 0;
+    this.consecutiveTrips = 0;
+    this.openedAt = 0;
+    this.probeInFlight = false;
+  }
+
+  get resetTimeout() {
+    const backoff = this.baseResetTimeout * Math.pow(2, Math.max(this.consecutiveTrips - 1, 0));
+    return Math.min(backoff, this.maxResetTimeout);
+  }
+
+  // Whether a call may go through right now. Moving from OPEN to HALF_OPEN
+  // claims the single probe slot, so callers must report the outcome.
+  canRequest() {
+    if (this.state === STATES.CLOSED) return true;
+
+    if (this.state === STATES.OPEN) {
+      if (this.now() - this.openedAt < this.resetTimeout) return false;
+
+      this.state = STATES.HALF_OPEN;
+      logger.info(`🧭 ${this.name} circuit half-open — sending probe`);
+    }
+
+    if (this.probeInFlight) return false;
+    this.probeInFlight = true;
+    return true;
+  }
+
+  recordSuccess() {
+    if (this.state !== STATES.CLOSED) {
+      logger.info(`✅ ${this.name} circuit closed`);
+    }
+    this.state = STATES.CLOSED;
+    this.failureCount = 0;
+    this.consecutiveTrips = 0;
+    this.probeInFlight = false;
+  }
+
+  recordFailure() {
+    this.failureCount++;
+    this.probeInFlight = false;
+
+    if (this.state === STATES.HALF_OPEN || this.failureCount >= this.failureThreshold) {
+      this.trip();
+    }
+  }
+
+  trip() {
+    this.state = STATES.OPEN;
+    this.openedAt = this.now();
+    this.consecutiveTrips++;
+    logger.error(`🚨 ${this.name} circuit breaker TRIPPED (retry in ${this.resetTimeout}ms)`);
+  }
+
+  getStatus() {
+    const retryAt = this.state === STATES.OPEN
+      ? new Date(this.openedAt + this.resetTimeout).toISOString()
+      : null;
+
+    return {
+      provider: this.name,
+      state: this.state,
+      failureCount: this.failureCount,
+      failureThreshold: this.failureThreshold,
+      consecutiveTrips: this.consecutiveTrips,
+      resetTimeoutMs: this.resetTimeout,
+      retryAt
+    };
+  }
+}
+
+module.exports = { CircuitBreaker, STATES };
@@ -0,0 +1,59 @@
+const { CircuitBreaker, STATES } = require('./circuitBreaker');
+
+describe('CircuitBreaker', () => {
+  let clock;
+  let breaker;
+
+  beforeEach(() => {
+    clock = 0;
+    breaker = new CircuitBreaker('test', {
+      failureThreshold: 2,
+      resetTimeout: 1000,
+      maxResetTimeout: 3000,
+      now: () => clock
+    });
+  });
+
+  test('opens after the failure threshold and rejects calls', () => {
+    breaker.recordFailure();
+    expect(breaker.state).toBe(STATES.CLOSED);
+
+    breaker.recordFailure();
+    expect(breaker.state).toBe(STATES.OPEN);
+    expect(breaker.canRequest()).toBe(false);
+  });
+
+  test('allows a single half-open probe once the timeout passes', () => {
+    breaker.recordFailure();
+    breaker.recordFailure();
+    clock = 1000;
+
+    expect(breaker.canRequest()).toBe(true);
+    expect(breaker.state).toBe(STATES.HALF_OPEN);
+    expect(breaker.canRequest()).toBe(false);
+
+    breaker.recordSuccess();
+    expect(breaker.state).toBe(STATES.CLOSED);
+    expect(breaker.canRequest()).toBe(true);
+  });
+
+  test('backs off exponentially when probes keep failing', () => {
+    breaker.recordFailure();
+    breaker.recordFailure();
+    expect(breaker.resetTimeout).toBe(1000);
+
+    clock = 1000;
+    breaker.canRequest();
+    breaker.recordFailure();
+    expect(breaker.state).toBe(STATES.OPEN);
+    expect(breaker.resetTimeout).toBe(2000);
+
+    clock = 2500;
+    expect(breaker.canRequest()).toBe(false);
+
+    clock = 3000;
+    breaker.canRequest();
+    breaker.recordFailure();
+    expect(breaker.resetTimeout).toBe(3000);
+  });
+});
@@ -0,0 +1,275 @@
+require('dotenv').config();
+const { AsyncLocalStorage } = require('async_hooks');
+const client = require('prom-client');
+const logger = require('../logger');
+const SYSTEM_PROMPTS = require('../prompts');
+const { createOpenAICompatibleProvider } = require('./openaiCompatible');
+const { createMockProvider } = require('./mockProvider');
+const { CircuitBreaker, STATES } = require('./circuitBreaker');
+
+// === Provider registry ===
+//
+// Providers share one interface: `chat(messages, options)` resolving to
+// `{ content, model, usage: { promptTokens, completionTokens, totalTokens } }`,
+// and may add `stream(messages, options, onToken)` with the same result.
+//
+// Priority order comes from LLM_PROVIDER_ORDER (default "deepseek,openai") and
+// can be overridden per agent with LLM_PROVIDER_ORDER_<AGENT>, e.g.
+// LLM_PROVIDER_ORDER_INTENT=mock. Any name that isn't built in is treated as an
+// OpenAI-compatible endpoint configured with LLM_<NAME>_API_URL,
+// LLM_<NAME>_API_KEY, LLM_<NAME>_MODEL and LLM_<NAME>_TIMEOUT_MS.
+//
+// Each provider has its own circuit breaker, so an outage at one vendor only
+// skips that vendor. Thresholds come from LLM_BREAKER_FAILURE_THRESHOLD,
+// LLM_BREAKER_RESET_MS and LLM_BREAKER_MAX_RESET_MS, overridable per provider
+// as LLM_<NAME>_BREAKER_FAILURE_THRESHOLD etc.
+
+const DEFAULT_PROVIDER_ORDER = 'deepseek,openai';
+
+const BUILT_IN_PROVIDERS = {
+  deepseek: () => createOpenAICompatibleProvider({
+    name: 'deepseek',
+    apiUrl: process.env.DEEPSEEK_API_URL || 'https://api.deepseek.com/v1/chat/completions',
+    apiKey: process.env.DEEPSEEK_API_KEY,
+    model: process.env.DEEPSEEK_MODEL || 'deepseek-chat',
+    timeout: 12000
+  }),
+  openai: () => createOpenAICompatibleProvider({
+    name: 'openai',
+    apiUrl: process.env.OPENAI_API_URL || 'https://api.openai.com/v1/chat/completions',
+    apiKey: process.env.OPENAI_API_KEY,
+    model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+    timeout: 10000
+  }),
+  mock: () => createMockProvider()
+};
+
+const providers = new Map();
+const breakers = new Map();
+
+const llmRequests = new client.Counter({
+  name: 'llm_requests_total',
+  help: 'LLM provider calls by outcome',
+  labelNames: ['provider', 'agent', 'status']
+});
+
+const llmTokens = new client.Counter({
+  name: 'llm_tokens_total',
+  help: 'Tokens consumed per LLM provider',
+  labelNames: ['provider', 'agent', 'type']
+});
+
+const BREAKER_STATE_VALUES = {
+  [STATES.CLOSED]: 0,
+  [STATES.HALF_OPEN]: 1,
+  [STATES.OPEN]: 2
+};
+
+// Gauges are read at scrape time, so they always reflect the live breakers
+new client.Gauge({
+  name: 'llm_circuit_breaker_state',
+  help: 'Circuit breaker state per LLM provider (0 = closed, 1 = half-open, 2 = open)',
+  labelNames: ['provider'],
+  collect() {
+    for (const breaker of breakers.values()) {
+      this.set({ provider: breaker.name }, BREAKER_STATE_VALUES[breaker.state]);
+    }
+  }
+});
+
+new client.Gauge({
+  name: 'llm_circuit_breaker_failures',
+  help: 'Consecutive failures counted by each LLM provider circuit breaker',
+  labelNames: ['provider'],
+  collect() {
+    for (const breaker of breakers.values()) {
+      this.set({ provider: breaker.name }, breaker.failureCount);
+    }
+  }
+});
+
+new client.Gauge({
+  name: 'llm_circuit_breaker_reset_timeout_ms',
+  help: 'Current open-state timeout per LLM provider, including backoff',
+  labelNames: ['provider'],
+  collect() {
+    for (const breaker of breakers.values()) {
+      this.set({ provider: breaker.name }, breaker.resetTimeout);
+    }
+  }
+});
+
+function envPrefix(name) {
+  return `LLM_${name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}`;
+}
+
+function envInt(keys, fallback) {
+  const key = keys.find(k => process.env[k]);
+  return key ? parseInt(process.env[key], 10) : fallback;
+}
+
+function getBreaker(name) {
+  if (!breakers.has(name)) {
+    const prefix = envPrefix(name);
+    breakers.set(name, new CircuitBreaker(name, {
+      failureThreshold: envInt([`${prefix}_BREAKER_FAILURE_THRESHOLD`, 'LLM_BREAKER_FAILURE_THRESHOLD'], 3),
+      resetTimeout: envInt([`${prefix}_BREAKER_RESET_MS`, 'LLM_BREAKER_RESET_MS'], 30000),
+      maxResetTimeout: envInt([`${prefix}_BREAKER_MAX_RESET_MS`, 'LLM_BREAKER_MAX_RESET_MS'], 300000)
+    }));
+  }
+  return breakers.get(name);
+}
+
+function getBreakerStatus() {
+  const names = new Set([...getProviderOrder(), ...breakers.keys()]);
+  return [...names].map(name => getBreaker(name).getStatus());
+}
+
+function providerFromEnv(name) {
+  const prefix = envPrefix(name);
+  return createOpenAICompatibleProvider({
+    name,
+    apiUrl: process.env[`${prefix}_API_URL`],
+    apiKey: process.env[`${prefix}_API_KEY`],
+    model: process.env[`${prefix}_MODEL`],
+    timeout: parseInt(process.env[`${prefix}_TIMEOUT_MS`] || '12000', 10)
+  });
+}
+
+function registerProvider(provider) {
+  if (!provider || !provider.name || typeof provider.chat !== 'function') {
+    throw new Error('LLM provider must have a name and a chat(messages, options) function');
+  }
+  providers.set(provider.name, provider);
+  return provider;
+}
+
+function getProvider(name) {
+  if (!providers.has(name)) {
+    const factory = BUILT_IN_PROVIDERS[name] || (() => providerFromEnv(name));
+    registerProvider(factory());
+  }
+  return providers.get(name);
+}
+
+function getProviderOrder(agent) {
+  const agentKey = agent ? `LLM_PROVIDER_ORDER_${agent.toUpperCase()}` : null;
+  const order = (agentKey && process.env[agentKey]) ||
+    process.env.LLM_PROVIDER_ORDER ||
+    DEFAULT_PROVIDER_ORDER;
+
+  return order.split(',').map(name => name.trim()).filter(Boolean);
+}
+
+function resetProviders() {
+  providers.clear();
+  breakers.clear();
+}
+
+// Set by withTokenStream() for the duration of a streaming chat request.
+// Calls made with `stream: true` forward their tokens to it.
+const tokenStream = new AsyncLocalStorage();
+
+function withTokenStream(onToken, fn) {
+  return tokenStream.run({ onToken }, fn);
+}
+
+function buildMessages(userMessage, history = [], systemPrompt = SYSTEM_PROMPTS.default) {
+  return [
+    { role: 'system', content: systemPrompt },
+    ...history.slice(-5),
+    { role: 'user', content: userMessage }
+  ];
+}
+
+/**
+ * Call one provider and record request/token metrics
+ */
+async function callProvider(name, messages, options = {}) {
+  const provider = getProvider(name);
+  const agent = options.agent || 'default';
+
+  const onToken = options.stream ? tokenStream.getStore()?.onToken : null;
+  let streamed = false;
+  const forward = (text) => {
+    streamed = true;
+    onToken(text);
+  };
+
+  try {
+    const result = onToken && provider.stream
+      ? await provider.stream(messages, options, forward)
+      : await provider.chat(messages, options);
+    llmRequests.inc({ provider: name, agent, status: 'success' });
+    llmTokens.inc({ provider: name, agent, type: 'prompt' }, result.usage?.promptTokens || 0);
+    llmTokens.inc({ provider: name, agent, type: 'completion' }, result.usage?.completionTokens || 0);
+    return { ...result, provider: name };
+  } catch (err) {
+    llmRequests.inc({ provider: name, agent, status: 'error' });
+    err.afterTokens = streamed;
+    throw err;
+  }
+}
+
+/**
+ * Try each provider in the agent's priority order until one succeeds,
+ * skipping providers whose circuit breaker is open. A provider that fails
+ * after streaming tokens is not retried elsewhere: the client already shows
+ * part of its reply, and the next provider would stream a second one after it.
+ */
+async function chat(userMessage, history = [], options = {}) {
+  const messages = buildMessages(userMessage, history, options.systemPrompt);
+  const order = getProviderOrder(options.agent);
+  let lastError;
+
+  for (const name of order) {
+    const breaker = getBreaker(name);
+    if (!breaker.canRequest()) {
+      logger.warn(`🚫 ${name} circuit OPEN — skipping`);
+      continue;
+    }
+
+    try {
+      const result = await callProvider(name, messages, options);
+      breaker.recordSuccess();
+      return result;
+    } catch (err) {
+      breaker.recordFailure();
+      if (err.afterTokens) {
+        logger.warn(`⚠️ ${name} failed mid-stream, not falling back`);
+        throw err;
+      }
+      lastError = err;
+      logger.warn(`⚠️ ${name} failed, trying next provider`);
+    }
+  }
+
+  if (!lastError) {
+    throw new Error('AI temporarily unavailable (circuit open)');
+  }
+  throw lastError;
+}
+
+// Text-only convenience wrapper used by the agents
+async function callWithBreaker(userMessage, history = [], options = {}) {
+  try {
+    const result = await chat(userMessage, history, options);
+    return result.content;
+  } catch (err) {
+    logger.error('❌ All LLM providers failed:', err.message);
+    throw err;
+  }
+}
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  getProviderOrder,
+  getBreaker,
+  getBreakerStatus,
+  resetProviders,
+  buildMessages,
+  withTokenStream,
+  chat,
+  callWithBreaker
+};
@@ -0,0 +1,121 @@
+const llm = require('./index');
+const { createMockProvider } = require('./mockProvider');
+
+describe('LLM provider registry', () => {
+  const env = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...env };
+    llm.resetProviders();
+  });
+
+  test('uses the global order unless an agent overrides it', () => {
+    process.env.LLM_PROVIDER_ORDER = 'openai, deepseek';
+    process.env.LLM_PROVIDER_ORDER_INTENT = 'mock';
+
+    expect(llm.getProviderOrder('product')).toEqual(['openai', 'deepseek']);
+    expect(llm.getProviderOrder('intent')).toEqual(['mock']);
+  });
+
+  test('falls through to the next provider when one fails', async () => {
+    process.env.LLM_PROVIDER_ORDER = 'broken,mock';
+    llm.registerProvider({
+      name: 'broken',
+      chat: async () => { throw new Error('broken call failed'); }
+    });
+
+    const result = await llm.chat('Hello there', [], {});
+
+    expect(result.provider).toBe('mock');
+    expect(result.content).toContain('offline response');
+    expect(result.usage.totalTokens).toBeGreaterThan(0);
+  });
+
+  test('does not fall back once a provider has streamed tokens', async () => {
+    process.env.LLM_PROVIDER_ORDER = 'cutoff,mock';
+    const mock = jest.fn();
+    llm.registerProvider({
+      name: 'cutoff',
+      chat: async () => { throw new Error('unused'); },
+      stream: async (messages, options, onToken) => {
+        onToken('The door bin ');
+        throw new Error('cutoff stream failed');
+      }
+    });
+    jest.spyOn(llm.getProvider('mock'), 'stream').mockImplementation(mock);
+
+    const tokens = [];
+    await expect(llm.withTokenStream(
+      (text) => tokens.push(text),
+      () => llm.chat('Hello there', [], { stream: true })
+    )).rejects.toThrow('cutoff stream failed');
+
+    expect(tokens).toEqual(['The door bin ']);
+    expect(mock).not.toHaveBeenCalled();
+  });
+
+  test('an open breaker skips only its own provider', async () => {
+    process.env.LLM_PROVIDER_ORDER = 'flaky,mock';
+    process.env.LLM_BREAKER_FAILURE_THRESHOLD = '1';
+    const flaky = jest.fn(async () => { throw new Error('flaky call failed'); });
+    llm.registerProvider({ name: 'flaky', chat: flaky });
+
+    await llm.chat('first', [], {});
+    const second = await llm.chat('second', [], {});
+
+    expect(flaky).toHaveBeenCalledTimes(1);
+    expect(second.provider).toBe('mock');
+    expect(llm.getBreakerStatus()).toEqual(expect.arrayContaining([
+      expect.objectContaining({ provider: 'flaky', state: 'OPEN' }),
+      expect.objectContaining({ provider: 'mock', state: 'CLOSED' })
+    ]));
+  });
+
+  test('builds self-hosted OpenAI-compatible providers from env', () => {
+    process.env.LLM_LOCAL_API_URL = 'http://localhost:11434/v1/chat/completions';
+    process.env.LLM_LOCAL_MODEL = 'llama3';
+
+    const provider = llm.getProvider('local');
+
+    expect(provider.name).toBe('local');
+    expect(provider.model).toBe('llama3');
+  });
+
+  test('rejects providers without an endpoint', () => {
+    expect(() => llm.getProvider('nowhere')).toThrow(/no API URL/);
+  });
+});
+
+describe('mock provider', () => {
+  test('answers a task from its responder', async () => {
+    const responder = jest.fn(() => ({ primary: 'compatibility_check' }));
+    const mock = createMockProvider({ responders: { intent_classification: responder } });
+    const messages = llm.buildMessages('Is PS11752778 compatible with my fridge?');
+
+    const result = await mock.chat(messages, { task: 'intent_classification', responseFormat: 'json' });
+
+    expect(JSON.parse(result.content)).toEqual({ primary: 'compatibility_check' });
+    expect(responder).toHaveBeenCalledWith(messages, expect.objectContaining({ task: 'intent_classification' }));
+    expect(JSON.parse((await mock.chat(messages, { task: 'search_params', responseFormat: 'json' })).content))
+      .toMatchObject({ appliance_type: 'refrigerator' });
+  });
+
+  test('answers agent tasks offline without responders', async () => {
+    const mock = createMockProvider();
+    const messages = llm.buildMessages('Classify this message:\n<customer_message>My ice maker is not working</customer_message>');
+
+    const result = await mock.chat(messages, { task: 'intent_classification', responseFormat: 'json' });
+
+    expect(JSON.parse(result.content)).toEqual({ primary: 'troubleshooting', confidence: 0.9, entities: {} });
+    expect((await mock.chat(messages, { task: 'unknown_task', responseFormat: 'json' })).content).toBe('{}');
+  });
+
+  test('replays scripted responses before falling back to defaults', async () => {
+    const mock = createMockProvider({ script: ['first', { primary: 'troubleshooting' }] });
+    const messages = llm.buildMessages('"anything"');
+
+    expect((await mock.chat(messages)).content).toBe('first');
+    expect(JSON.parse((await mock.chat(messages)).content)).toEqual({ primary: 'troubleshooting' });
+    expect((await mock.chat(messages)).content).toContain('offline response');
+  });
+});
@@ -0,0 +1,145 @@
+/**
+ * Deterministic, offline LLM provider.
+ *
+ * Responses are resolved in this order:
+ *   1. `script` — a queue of canned responses consumed one per call
+ *   2. `responders[task]` — a fixed response, or a function called with
+ *      (messages, options), per task
+ *   3. built-in defaults keyed on `options.task`, which answer with simple
+ *      keyword rules so the agent pipeline runs without a model
+ *
+ * The built-in defaults read the customer's words from the first
+ * <customer_message> block in the prompt, which is how every agent prompt
+ * embeds the query, falling back to the first quoted string.
+ */
+
+const INTENT_RULES = [
+  { intent: 'cart', pattern: /\b(cart|basket)\b/i },
+  { intent: 'order_support', pattern: /\b(order|track|tracking|shipping|shipped|delivery|return|refund)\b/i },
+  { intent: 'installation_help', pattern: /\b(install|installation|replace it|put (it|this) in)\b/i },
+  { intent: 'compatibility_check', pattern: /\b(compatible|compatibility|fit|fits|work with)\b/i },
+  { intent: 'troubleshooting', pattern: /\b(not working|isn't|won't|doesn't|broken|leak|leaking|noise|noisy|stopped)\b/i },
+  { intent: 'product_search', pattern: /\b(part|parts|find|need|looking for|PS\d{6,8})\b/i }
+];
+
+// The prompt the agent sent, and the customer's words inside it
+function promptOf(messages) {
+  const userMessage = [...messages].reverse().find(m => m.role === 'user');
+  return userMessage ? userMessage.content : '';
+}
+
+function customerQuery(messages) {
+  const prompt = promptOf(messages);
+  const quoted = prompt.match(/<customer_message>([\s\S]*?)<\/customer_message>/);
+  if (quoted) {
+    return quoted[1].replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+  }
+  const match = prompt.match(/"([^"]+)"/);
+  return match ? match[1] : prompt;
+}
+
+// The intent of the first rule `text` matches, or null
+function classifyText(text) {
+  const rule = INTENT_RULES.find(r => r.pattern.test(text));
+  return rule ? rule.intent : null;
+}
+
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+const DEFAULT_RESPONDERS = {
+  intent_classification(messages) {
+    const intent = classifyText(customerQuery(messages));
+    return {
+      primary: intent || 'general_question',
+      confidence: intent ? 0.9 : 0.6,
+      entities: {}
+    };
+  },
+
+  search_params(messages) {
+    const query = customerQuery(messages);
+    const appliance = query.match(/\b(refrigerator|fridge|dishwasher)\b/i);
+    return {
+      part_number: null,
+      model_number: null,
+      keywords: query.toLowerCase().split(/\W+/).filter(w => w.length > 2),
+      appliance_type: appliance
+        ? (appliance[1].toLowerCase() === 'dishwasher' ? 'dishwasher' : 'refrigerator')
+        : null,
+      category: null
+    };
+  },
+
+  troubleshooting_analysis() {
+    return {
+      likelyCause: 'A worn or faulty component',
+      steps: [
+        'Step 1: Check that the appliance has power and the settings are correct.',
+        'Step 2: Inspect the affected component for visible damage or blockage.',
+        'Step 3: Test the component and replace it if it fails.'
+      ],
+      parts: [],
+      difficulty: 'medium'
+    };
+  }
+};
+
+function createMockProvider({ name = 'mock', script = [], responders = {} } = {}) {
+  const queue = [...script];
+
+  async function chat(messages, options = {}) {
+    const { task, responseFormat = 'text' } = options;
+
+    let response;
+    if (queue.length > 0) {
+      response = queue.shift();
+    } else if (task && responders[task] !== undefined) {
+      response = responders[task];
+    } else if (task && DEFAULT_RESPONDERS[task]) {
+      response = DEFAULT_RESPONDERS[task];
+    } else if (responseFormat === 'json') {
+      response = {};
+    } else {
+      response = `[${name}] Thanks for your question about "${customerQuery(messages).substring(0, 80)}". ` +
+        'This is an offline response, so no live model was consulted.';
+    }
+
+    if (typeof response === 'function') {
+      response = await response(messages, options);
+    }
+
+    const content = typeof response === 'string' ? response : JSON.stringify(response);
+    const promptTokens = messages.reduce((sum, m) => sum + estimateTokens(m.content), 0);
+    const completionTokens = estimateTokens(content);
+
+    return {
+      content,
+      model: name,
+      usage: {
+        promptTokens,
+        completionTokens,
+        totalTokens: promptTokens + completionTokens
+      }
+    };
+  }
+
+  async function stream(messages, options = {}, onToken) {
+    const result = await chat(messages, options);
+    for (const token of result.content.match(/\S+\s*/g) || []) {
+      onToken(token);
+    }
+    return result;
+  }
+
+  return { name, model: name, chat, stream };
+}
+
+module.exports = {
+  DEFAULT_RESPONDERS,
+  createMockProvider,
+  customerQuery,
+  promptOf,
+  classifyText
+};
@@ -0,0 +1,107 @@
+const axios = require('axios');
+const logger = require('../logger');
+
+function normalizeUsage(usage = {}) {
+  return {
+    promptTokens: usage.prompt_tokens || 0,
+    completionTokens: usage.completion_tokens || 0,
+    totalTokens: usage.total_tokens || 0
+  };
+}
+
+/**
+ * Provider for any endpoint that speaks the OpenAI chat completions API
+ * (OpenAI, DeepSeek, or a self-hosted vLLM / Ollama / LM Studio server)
+ */
+function createOpenAICompatibleProvider({ name, apiUrl, apiKey, model, timeout = 12000 }) {
+  if (!apiUrl) {
+    throw new Error(`LLM provider "${name}" has no API URL configured`);
+  }
+
+  const headers = { 'Content-Type': 'application/json' };
+  if (apiKey) {
+    headers.Authorization = `Bearer ${apiKey}`;
+  }
+
+  function buildBody(messages, options) {
+    const {
+      temperature = 0.7,
+      maxTokens = 1000,
+      responseFormat = 'text'
+    } = options;
+
+    const body = {
+      model,
+      messages,
+      temperature,
+      max_tokens: maxTokens
+    };
+
+    if (responseFormat === 'json') {
+      body.response_format = { type: 'json_object' };
+    }
+
+    return body;
+  }
+
+  async function chat(messages, options = {}) {
+    try {
+      const res = await axios.post(apiUrl, buildBody(messages, options), { headers, timeout });
+
+      return {
+        content: res.data.choices[0].message.content,
+        model: res.data.model || model,
+        usage: normalizeUsage(res.data.usage)
+      };
+    } catch (err) {
+      logger.warn(`⚠️ ${name} API error:`, err.response?.data || err.message);
+      throw new Error(`${name} call failed`);
+    }
+  }
+
+  /**
+   * Same as chat(), but forwards each content delta to onToken as it arrives
+   */
+  async function stream(messages, options = {}, onToken) {
+    const body = { ...buildBody(messages, options), stream: true };
+
+    try {
+      const res = await axios.post(apiUrl, body, { headers, timeout, responseType: 'stream' });
+
+      let content = '';
+      let usage;
+      let buffer = '';
+
+      for await (const chunk of res.data) {
+        buffer += chunk.toString();
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+
+        for (const line of lines) {
+          const trimmed = line.trim();
+          if (!trimmed.startsWith('data:')) continue;
+
+          const data = trimmed.slice(5).trim();
+          if (data === '[DONE]') continue;
+
+          const parsed = JSON.parse(data);
+          const delta = parsed.choices?.[0]?.delta?.content;
+          if (delta) {
+            content += delta;
+            onToken(delta);
+          }
+          if (parsed.usage) usage = parsed.usage;
+        }
+      }
+
+      return { content, model, usage: normalizeUsage(usage) };
+    } catch (err) {
+      logger.warn(`⚠️ ${name} streaming error:`, err.message);
+      throw new Error(`${name} call failed`);
+    }
+  }
+
+  return { name, model, chat, stream };
+}
+
+module.exports = { createOpenAICompatibleProvider };
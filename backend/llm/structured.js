@@ -0,0 +1,97 @@
+const Ajv = require('ajv');
+const client = require('prom-client');
+const logger = require('../logger');
+const { callWithBreaker } = require('./index');
+
+const ajv = new Ajv({ allErrors: true });
+const validators = new Map();
+
+const structuredOutputs = new client.Counter({
+  name: 'llm_structured_output_total',
+  help: 'Structured LLM responses by schema and validation outcome (valid, repaired, invalid)',
+  labelNames: ['schema', 'outcome']
+});
+
+class StructuredOutputError extends Error {
+  constructor(schemaName, errors, raw) {
+    super(`LLM response did not match schema "${schemaName}": ${errors}`);
+    this.name = 'StructuredOutputError';
+    this.schemaName = schemaName;
+    this.errors = errors;
+    this.raw = raw;
+  }
+}
+
+function getValidator(schemaName, schema) {
+  if (!validators.has(schemaName)) {
+    validators.set(schemaName, ajv.compile(schema));
+  }
+  return validators.get(schemaName);
+}
+
+// Returns { value } when the raw text parses and matches the schema, otherwise { error }
+function parseAndValidate(raw, validate) {
+  let value;
+  try {
+    value = JSON.parse(raw);
+  } catch (e) {
+    return { error: `invalid JSON (${e.message})` };
+  }
+
+  if (!validate(value)) {
+    return { error: ajv.errorsText(validate.errors) };
+  }
+
+  return { value };
+}
+
+/**
+ * Call the LLM in JSON mode and validate the reply against a JSON schema.
+ * Malformed output gets one repair round-trip that shows the model its
+ * previous answer and the validation errors. Throws StructuredOutputError
+ * when the repaired answer is still invalid.
+ */
+async function callStructured(prompt, history = [], options = {}) {
+  const { schema, schemaName, ...llmOptions } = options;
+  const validate = getValidator(schemaName, schema);
+  const callOptions = { ...llmOptions, responseFormat: 'json' };
+
+  const raw = await callWithBreaker(prompt, history, callOptions);
+  const first = parseAndValidate(raw, validate);
+
+  if (!first.error) {
+    structuredOutputs.inc({ schema: schemaName, outcome: 'valid' });
+    return first.value;
+  }
+
+  logger.warn(`🛠️ ${schemaName} output invalid, requesting repair: ${first.error}`);
+
+  const repairPrompt = `Your previous response could not be used because it did not match the required JSON schema.
+
+Errors: ${first.error}
+
+Previous response:
+${raw}
+
+Required JSON schema:
+${JSON.stringify(schema)}
+
+Original request:
+${prompt}
+
+Respond with corrected JSON only.`;
+
+  const repairedRaw = await callWithBreaker(repairPrompt, [], callOptions);
+  const repaired = parseAndValidate(repairedRaw, validate);
+
+  if (!repaired.error) {
+    structuredOutputs.inc({ schema: schemaName, outcome: 'repaired' });
+    return repaired.value;
+  }
+
+  structuredOutputs.inc({ schema: schemaName, outcome: 'invalid' });
+  logger.error(`❌ ${schemaName} output still invalid after repair: ${repaired.error}`);
+  throw new StructuredOutputError(schemaName, repaired.error, repairedRaw);
+}
+
+module.exports = { callStructured, StructuredOutputError };
@@ -0,0 +1,50 @@
+const llm = require('./index');
+const { createMockProvider } = require('./mockProvider');
+const { callStructured, StructuredOutputError } = require('./structured');
+
+const SCHEMA = {
+  type: 'object',
+  properties: { primary: { enum: ['product_search', 'troubleshooting'] } },
+  required: ['primary']
+};
+
+function useScript(script) {
+  const provider = llm.registerProvider(createMockProvider({ name: 'scripted', script }));
+  jest.spyOn(provider, 'chat');
+  return provider;
+}
+
+describe('callStructured', () => {
+  beforeEach(() => {
+    process.env.LLM_PROVIDER_ORDER = 'scripted';
+    llm.resetProviders();
+  });
+
+  test('returns valid output without a repair call', async () => {
+    const provider = useScript([{ primary: 'troubleshooting' }]);
+
+    const result = await callStructured('"fridge is loud"', [], { schema: SCHEMA, schemaName: 'test_valid' });
+
+    expect(result).toEqual({ primary: 'troubleshooting' });
+    expect(provider.chat).toHaveBeenCalledTimes(1);
+  });
+
+  test('repairs malformed output with one extra round-trip', async () => {
+    const provider = useScript(['not json at all', { primary: 'product_search' }]);
+
+    const result = await callStructured('"need a bin"', [], { schema: SCHEMA, schemaName: 'test_repair' });
+
+    expect(result).toEqual({ primary: 'product_search' });
+    expect(provider.chat).toHaveBeenCalledTimes(2);
+    const repairMessages = provider.chat.mock.calls[1][0];
+    expect(repairMessages[repairMessages.length - 1].content).toMatch(/invalid JSON/);
+  });
+
+  test('throws once the repaired output is still invalid', async () => {
+    useScript([{ primary: 'weather' }, { primary: 'still weather' }]);
+
+    await expect(
+      callStructured('"weather"', [], { schema: SCHEMA, schemaName: 'test_invalid' })
+    ).rejects.toBeInstanceOf(StructuredOutputError);
+  });
+});
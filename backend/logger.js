@@ -0,0 +1,16 @@
+const winston = require('winston');
+
+const logger = winston.createLogger({
+  level: 'info',
+  silent: process.env.NODE_ENV === 'test',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'server.log' })
+  ]
+});
+
+module.exports = logger;
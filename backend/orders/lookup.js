@@ -0,0 +1,114 @@
+const db = require('../db');
+
+// Order numbers look like ORD-104829; customers also type "ord104829" or "#104829"
+const ORDER_NUMBER_PATTERN = /\bORD[-\s]?(\d{6})\b/i;
+const BARE_ORDER_NUMBER_PATTERN = /^#?(\d{6})$/;
+const EMAIL_PATTERN = /[^\s@<>(),;:"]+@[^\s@<>(),;:"]+\.[a-z]{2,}/i;
+const ZIP_PATTERN = /\b(\d{5})(?:-\d{4})?\b/;
+
+const TRACKING_URLS = {
+  UPS: 'https://www.ups.com/track?tracknum=',
+  FedEx: 'https://www.fedex.com/fedextrack/?trknbr=',
+  USPS: 'https://tools.usps.com/go/TrackConfirmAction?tLabels='
+};
+
+function normalizeOrderNumber(input) {
+  const text = String(input || '').trim();
+  const match = text.match(ORDER_NUMBER_PATTERN) || text.match(BARE_ORDER_NUMBER_PATTERN);
+  return match ? `ORD-${match[1]}` : null;
+}
+
+/**
+ * Pull the pieces of an order lookup out of a message:
+ * { orderNumber, email, zip }, each null when absent. A bare six-digit
+ * reply counts as an order number; ZIPs inside order numbers are ignored.
+ */
+function extractLookupDetails(text) {
+  const message = String(text || '');
+  const orderNumber = normalizeOrderNumber(message);
+  const email = message.match(EMAIL_PATTERN)?.[0].toLowerCase() || null;
+  const withoutOrder = message.replace(ORDER_NUMBER_PATTERN, ' ').replace(EMAIL_PATTERN, ' ');
+  const zip = orderNumber && BARE_ORDER_NUMBER_PATTERN.test(message.trim())
+    ? null
+    : withoutOrder.match(ZIP_PATTERN)?.[1] || null;
+
+  return { orderNumber, email, zip };
+}
+
+function trackingUrl(carrier, trackingNumber) {
+  const base = TRACKING_URLS[carrier];
+  return base ? `${base}${encodeURIComponent(trackingNumber)}` : null;
+}
+
+const isoDate = (value) => (value instanceof Date ? value.toISOString() : value);
+
+/**
+ * The order with its line items and shipments, but only when the email or
+ * shipping ZIP matches the order. A wrong email and an unknown order number
+ * both resolve to null, so lookups can't be used to probe order numbers.
+ */
+async function findOrder(orderNumber, { email = null, zip = null } = {}) {
+  if (!orderNumber || (!email && !zip)) return null;
+
+  const result = await db.query(
+    `SELECT id, order_number, status, shipping_method, subtotal, shipping_cost, total, placed_at
+     FROM orders
+     WHERE order_number = $1
+     AND (LOWER(email) = $2 OR shipping_zip = $3)`,
+    [orderNumber, email ? email.toLowerCase() : null, zip]
+  );
+  if (result.rows.length === 0) return null;
+  const order = result.rows[0];
+
+  const [items, shipments] = await Promise.all([
+    db.query(
+      `SELECT id, part_number, name, quantity, unit_price, shipment_id
+       FROM order_items WHERE order_id = $1 ORDER BY id`,
+      [order.id]
+    ),
+    db.query(
+      `SELECT id, carrier, tracking_number, status, shipped_at,
+              estimated_delivery::text AS estimated_delivery, delivered_at, events
+       FROM shipments WHERE order_id = $1 ORDER BY shipped_at NULLS LAST, id`,
+      [order.id]
+    )
+  ]);
+
+  const trackingById = new Map(shipments.rows.map(s => [s.id, s.tracking_number]));
+
+  return {
+    orderNumber: order.order_number,
+    status: order.status,
+    shippingMethod: order.shipping_method,
+    placedAt: isoDate(order.placed_at),
+    subtotal: parseFloat(order.subtotal),
+    shippingCost: parseFloat(order.shipping_cost),
+    total: parseFloat(order.total),
+    items: items.rows.map(i => ({
+      id: i.id,
+      partNumber: i.part_number,
+      name: i.name,
+      quantity: i.quantity,
+      unitPrice: parseFloat(i.unit_price),
+      trackingNumber: trackingById.get(i.shipment_id) || null
+    })),
+    shipments: shipments.rows.map(s => ({
+      carrier: s.carrier,
+      trackingNumber: s.tracking_number,
+      trackingUrl: trackingUrl(s.carrier, s.tracking_number),
+      status: s.status,
+      shippedAt: isoDate(s.shipped_at),
+      estimatedDelivery: s.estimated_delivery,
+      deliveredAt: isoDate(s.delivered_at),
+      events: s.events || []
+    }))
+  };
+}
+
+module.exports = {
+  ORDER_NUMBER_PATTERN,
+  normalizeOrderNumber,
+  extractLookupDetails,
+  trackingUrl,
+  findOrder
+};
@@ -0,0 +1,75 @@
+jest.mock('../db', () => ({ query: jest.fn() }));
+
+const db = require('../db');
+const { normalizeOrderNumber, extractLookupDetails, findOrder } = require('./lookup');
+
+describe('order lookup details', () => {
+  test('normalizes the ways customers type order numbers', () => {
+    expect(normalizeOrderNumber('ORD-104829')).toBe('ORD-104829');
+    expect(normalizeOrderNumber('where is ord104829?')).toBe('ORD-104829');
+    expect(normalizeOrderNumber('#104829')).toBe('ORD-104829');
+    expect(normalizeOrderNumber('PS11752778')).toBeNull();
+  });
+
+  test('pulls order number, email and ZIP out of one message', () => {
+    expect(extractLookupDetails('ORD-104829 Jane.Doe@Example.com')).toEqual({
+      orderNumber: 'ORD-104829', email: 'jane.doe@example.com', zip: null
+    });
+    expect(extractLookupDetails('order ORD-104829, zip 60614-1234')).toEqual({
+      orderNumber: 'ORD-104829', email: null, zip: '60614'
+    });
+  });
+
+  test('treats a bare six-digit reply as an order number, not a ZIP', () => {
+    expect(extractLookupDetails('104829')).toEqual({ orderNumber: 'ORD-104829', email: null, zip: null });
+    expect(extractLookupDetails('60614')).toEqual({ orderNumber: null, email: null, zip: '60614' });
+  });
+});
+
+describe('findOrder', () => {
+  beforeEach(() => db.query.mockReset());
+
+  test('needs an email or ZIP before touching the database', async () => {
+    expect(await findOrder('ORD-104829', {})).toBeNull();
+    expect(db.query).not.toHaveBeenCalled();
+  });
+
+  test('returns nothing when the email or ZIP does not match', async () => {
+    db.query.mockResolvedValueOnce({ rows: [] });
+
+    expect(await findOrder('ORD-104829', { email: 'someone@else.com' })).toBeNull();
+    expect(db.query.mock.calls[0][1]).toEqual(['ORD-104829', 'someone@else.com', null]);
+  });
+
+  test('assembles items and shipments with tracking links', async () => {
+    db.query
+      .mockResolvedValueOnce({ rows: [{
+        id: 7, order_number: 'ORD-104829', status: 'shipped', shipping_method: 'standard',
+        subtotal: '49.98', shipping_cost: '0.00', total: '49.98', placed_at: new Date('2026-10-14T15:12:00Z')
+      }] })
+      .mockResolvedValueOnce({ rows: [
+        { part_number: 'PS11752778', name: 'Refrigerator Door Shelf Bin', quantity: 2, unit_price: '24.99', shipment_id: 3 }
+      ] })
+      .mockResolvedValueOnce({ rows: [{
+        id: 3, carrier: 'UPS', tracking_number: '1Z999AA10123456784', status: 'in_transit',
+        shipped_at: new Date('2026-10-15T21:40:00Z'), estimated_delivery: '2026-10-21', delivered_at: null,
+        events: [{ at: '2026-10-15T21:40:00Z', location: 'Louisville, KY', description: 'Shipped' }]
+      }] });
+
+    const order = await findOrder('ORD-104829', { zip: '60614' });
+
+    expect(order).toMatchObject({
+      orderNumber: 'ORD-104829',
+      status: 'shipped',
+      total: 49.98,
+      placedAt: '2026-10-14T15:12:00.000Z',
+      items: [{ partNumber: 'PS11752778', quantity: 2, unitPrice: 24.99, trackingNumber: '1Z999AA10123456784' }],
+      shipments: [{
+        carrier: 'UPS',
+        status: 'in_transit',
+        estimatedDelivery: '2026-10-21',
+        trackingUrl: 'https://www.ups.com/track?tracknum=1Z999AA10123456784'
+      }]
+    });
+  });
+});
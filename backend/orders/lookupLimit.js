@@ -0,0 +1,62 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { redis } = require('../redis');
+
+// === Order lookup limit ===
+//
+// Failed email/ZIP verifications are counted per requester (the client's IP,
+// or the session when there is none) in Redis, outside the chat context, so
+// a new conversation or session doesn't start the count over:
+//   - per order or RMA number: MAX_LOOKUP_FAILURES misses lock that number
+//     for the requester, without locking its owner out
+//   - in total: MAX_REQUESTER_FAILURES misses on any numbers lock every
+//     lookup, which stops walking the sequential order numbers
+// Counts expire LOOKUP_LOCKOUT_SECONDS after the last failure. A successful
+// lookup clears the count for its number only.
+
+const MAX_LOOKUP_FAILURES = 5;
+const MAX_REQUESTER_FAILURES = 20;
+const LOOKUP_LOCKOUT_SECONDS = parseInt(process.env.ORDER_LOOKUP_LOCKOUT_SECONDS || '3600', 10);
+
+// Set by withRequester() for the duration of a chat request
+const requesterStore = new AsyncLocalStorage();
+
+function withRequester(requester, fn) {
+  return requesterStore.run(requester, fn);
+}
+
+const requester = () => requesterStore.getStore() || 'unknown';
+const requesterKey = () => `lookup-failures:${requester()}`;
+const failuresKey = (reference) => `${requesterKey()}:${String(reference).toUpperCase()}`;
+
+async function isLookupLocked(reference) {
+  const [total, failures] = (await Promise.all([
+    redis.get(requesterKey()),
+    redis.get(failuresKey(reference))
+  ])).map(count => parseInt(count, 10) || 0);
+  return total >= MAX_REQUESTER_FAILURES || failures >= MAX_LOOKUP_FAILURES;
+}
+
+// The failure count for `reference` after this one
+async function recordLookupFailure(reference) {
+  const [, , [, failures]] = await redis.multi()
+    .incr(requesterKey())
+    .expire(requesterKey(), LOOKUP_LOCKOUT_SECONDS)
+    .incr(failuresKey(reference))
+    .expire(failuresKey(reference), LOOKUP_LOCKOUT_SECONDS)
+    .exec();
+  return failures;
+}
+
+// The requester's total stays: one real order shouldn't reset a scan
+async function clearLookupFailures(reference) {
+  await redis.del(failuresKey(reference));
+}
+
+module.exports = {
+  MAX_LOOKUP_FAILURES,
+  MAX_REQUESTER_FAILURES,
+  withRequester,
+  isLookupLocked,
+  recordLookupFailure,
+  clearLookupFailures
+};
@@ -0,0 +1,273 @@
+const crypto = require('crypto');
+const db = require('../db');
+
+// Parts can be returned within this many days of purchase
+const RETURN_WINDOW_DAYS = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const RMA_NUMBER_PATTERN = /\bRMA-?([0-9A-F]{6})\b/i;
+
+// Only unused and defective parts are returnable; an installed, working
+// part is not
+const CONDITIONS = {
+  unused: 'Unused, in the original packaging',
+  defective: 'Defective or arrived damaged',
+  installed: 'Installed or used, and working'
+};
+
+const RETURN_STATUS_LABELS = {
+  issued: 'Approved, waiting for the part to arrive',
+  received: 'Received, refund being processed',
+  refunded: 'Refunded',
+  rejected: 'Rejected after inspection',
+  cancelled: 'Cancelled'
+};
+
+// Return address printed on the slip
+const RETURN_ADDRESS = (process.env.RETURN_ADDRESS || 'PartSelect Returns Department').split('|');
+
+function normalizeRmaNumber(input) {
+  const match = String(input || '').match(RMA_NUMBER_PATTERN);
+  return match ? `RMA-${match[1].toUpperCase()}` : null;
+}
+
+/**
+ * Whether an order line can be returned at all, before asking about its
+ * condition. `openReturns` maps order item ids to an existing RMA number.
+ * Resolves to { eligible: true } or { eligible: false, reason }.
+ */
+function checkItemEligibility(order, item, { openReturns = new Map(), now = new Date() } = {}) {
+  if (order.status === 'cancelled') {
+    return { eligible: false, reason: 'the order was cancelled' };
+  }
+
+  const existing = openReturns.get(item.id);
+  if (existing) {
+    return { eligible: false, reason: `it already has return ${existing}` };
+  }
+
+  const shipment = order.shipments.find(s => s.trackingNumber === item.trackingNumber);
+  if (!shipment) {
+    return { eligible: false, reason: "it hasn't shipped yet" };
+  }
+  if (shipment.status !== 'delivered') {
+    return { eligible: false, reason: "it hasn't been delivered yet" };
+  }
+
+  const age = (now - new Date(order.placedAt)) / DAY_MS;
+  if (age > RETURN_WINDOW_DAYS) {
+    return { eligible: false, reason: `it was bought more than ${RETURN_WINDOW_DAYS} days ago` };
+  }
+
+  return { eligible: true };
+}
+
+function checkCondition(condition) {
+  if (condition === 'installed') {
+    return { eligible: false, reason: 'installed parts can only be returned if they are defective' };
+  }
+  return CONDITIONS[condition] ? { eligible: true } : { eligible: false, reason: 'unknown condition' };
+}
+
+/**
+ * RMA numbers already issued for these order items (cancelled and rejected
+ * returns don't block a new one). Resolves to Map(itemId → rmaNumber).
+ */
+async function findOpenReturns(itemIds) {
+  if (itemIds.length === 0) return new Map();
+
+  const result = await db.query(
+    `SELECT order_item_id, rma_number FROM return_requests
+     WHERE order_item_id = ANY($1::int[])
+     AND status NOT IN ('cancelled', 'rejected')`,
+    [itemIds]
+  );
+  return new Map(result.rows.map(r => [r.order_item_id, r.rma_number]));
+}
+
+function toReturn(row) {
+  return {
+    rmaNumber: row.rma_number,
+    orderNumber: row.order_number,
+    partNumber: row.part_number,
+    name: row.name,
+    quantity: row.quantity,
+    condition: row.condition,
+    reason: row.reason,
+    status: row.status,
+    statusLabel: RETURN_STATUS_LABELS[row.status] || row.status,
+    refundAmount: parseFloat(row.refund_amount),
+    createdAt: row.created_at instanceof Date ? row.created_at.toISOString() : row.created_at,
+    slipPath: `/returns/${row.rma_number}/slip?token=${row.slip_token}`
+  };
+}
+
+const RETURN_COLUMNS = `r.rma_number, r.quantity, r.condition, r.reason, r.status, r.refund_amount,
+  r.slip_token, r.created_at, o.order_number, i.part_number, i.name`;
+
+// Unique index allowing one open return per order line
+const OPEN_RETURN_CONSTRAINT = 'idx_return_requests_open_item';
+
+/**
+ * Issue an RMA for one order line. The caller has already checked
+ * eligibility. Retries on the (unlikely) RMA number collision. Resolves to
+ * null when another request opened a return for the line in the meantime.
+ */
+async function createReturn({ orderNumber, item, condition, reason }) {
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const rmaNumber = `RMA-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+    const slipToken = crypto.randomBytes(16).toString('hex');
+
+    const result = await insertReturn(
+      `WITH r AS (
+         INSERT INTO return_requests (rma_number, order_id, order_item_id, quantity, condition, reason, refund_amount, slip_token)
+         SELECT $1, o.id, i.id, i.quantity, $4, $5, i.quantity * i.unit_price, $6
+         FROM orders o JOIN order_items i ON i.order_id = o.id
+         WHERE o.order_number = $2 AND i.id = $3
+         ON CONFLICT (rma_number) DO NOTHING
+         RETURNING *
+       )
+       SELECT ${RETURN_COLUMNS}
+       FROM r JOIN orders o ON o.id = r.order_id JOIN order_items i ON i.id = r.order_item_id`,
+      [rmaNumber, orderNumber, item.id, condition, reason, slipToken]
+    );
+    if (!result) return null;
+
+    if (result.rows.length > 0) return toReturn(result.rows[0]);
+  }
+
+  throw new Error(`Could not issue an RMA number for ${orderNumber}`);
+}
+
+// null when the line already has an open return
+async function insertReturn(sql, params) {
+  try {
+    return await db.query(sql, params);
+  } catch (err) {
+    if (err.code === '23505' && err.constraint === OPEN_RETURN_CONSTRAINT) return null;
+    throw err;
+  }
+}
+
+/**
+ * Returns matching an RMA number or an order number, verified like an order
+ * lookup: the email or shipping ZIP must match the order.
+ */
+async function findReturns({ rmaNumber = null, orderNumber = null }, { email = null, zip = null } = {}) {
+  if ((!rmaNumber && !orderNumber) || (!email && !zip)) return [];
+
+  const result = await db.query(
+    `SELECT ${RETURN_COLUMNS}
+     FROM return_requests r
+     JOIN orders o ON o.id = r.order_id
+     JOIN order_items i ON i.id = r.order_item_id
+     WHERE (r.rma_number = $1 OR o.order_number = $2)
+     AND (LOWER(o.email) = $3 OR o.shipping_zip = $4)
+     ORDER BY r.created_at DESC`,
+    [rmaNumber, orderNumber, email ? email.toLowerCase() : null, zip]
+  );
+  return result.rows.map(toReturn);
+}
+
+// Returns issued earlier in the same session need no re-verification
+async function findReturnsByNumber(rmaNumbers) {
+  if (rmaNumbers.length === 0) return [];
+
+  const result = await db.query(
+    `SELECT ${RETURN_COLUMNS}
+     FROM return_requests r
+     JOIN orders o ON o.id = r.order_id
+     JOIN order_items i ON i.id = r.order_item_id
+     WHERE r.rma_number = ANY($1::text[])
+     ORDER BY r.created_at DESC`,
+    [rmaNumbers]
+  );
+  return result.rows.map(toReturn);
+}
+
+// The return behind a slip link, or null when the token doesn't match
+async function findReturnForSlip(rmaNumber, token) {
+  const result = await db.query(
+    `SELECT ${RETURN_COLUMNS}
+     FROM return_requests r
+     JOIN orders o ON o.id = r.order_id
+     JOIN order_items i ON i.id = r.order_item_id
+     WHERE r.rma_number = $1`,
+    [rmaNumber]
+  );
+  if (result.rows.length === 0 || typeof token !== 'string') return null;
+
+  const expected = Buffer.from(result.rows[0].slip_token);
+  const given = Buffer.from(token);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+
+  return toReturn(result.rows[0]);
+}
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, c => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+}[c]));
+
+// Printable return slip; the customer prints it and packs it with the part
+function renderSlip(ret) {
+  const created = new Date(ret.createdAt).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Return ${escapeHtml(ret.rmaNumber)}</title>
+<style>
+  body { font-family: Arial, sans-serif; color: #333; max-width: 640px; margin: 32px auto; padding: 0 16px; }
+  h1 { color: #2e6e3e; font-size: 22px; margin-bottom: 4px; }
+  .rma { font-size: 36px; font-weight: bold; letter-spacing: 2px; border: 3px dashed #333; padding: 12px; text-align: center; margin: 20px 0; }
+  table { width: 100%; border-collapse: collapse; margin: 16px 0; }
+  th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #e5e5e5; vertical-align: top; }
+  th { width: 35%; color: #666; font-weight: normal; }
+  .address { border: 1px solid #333; padding: 12px 16px; font-size: 16px; line-height: 1.5; }
+  ol { line-height: 1.6; }
+  button { background: #2e6e3e; color: #fff; border: none; padding: 10px 24px; border-radius: 6px; font-size: 14px; cursor: pointer; }
+  @media print { button { display: none; } }
+</style>
+</head>
+<body>
+<h1>PartSelect Return Slip</h1>
+<div>Issued ${escapeHtml(created)}</div>
+<div class="rma">${escapeHtml(ret.rmaNumber)}</div>
+<table>
+  <tr><th>Order</th><td>${escapeHtml(ret.orderNumber)}</td></tr>
+  <tr><th>Part</th><td>${escapeHtml(ret.name)} (${escapeHtml(ret.partNumber)})</td></tr>
+  <tr><th>Quantity</th><td>${escapeHtml(ret.quantity)}</td></tr>
+  <tr><th>Condition</th><td>${escapeHtml(CONDITIONS[ret.condition] || ret.condition)}</td></tr>
+  <tr><th>Reason</th><td>${escapeHtml(ret.reason)}</td></tr>
+  <tr><th>Refund</th><td>$${ret.refundAmount.toFixed(2)} to the original payment method</td></tr>
+</table>
+<h2>Ship to</h2>
+<div class="address">${RETURN_ADDRESS.map(escapeHtml).join('<br>')}<br>RMA: ${escapeHtml(ret.rmaNumber)}</div>
+<h2>How to return</h2>
+<ol>
+  <li>Pack the part securely, in its original packaging if you have it.</li>
+  <li>Put this slip inside the box.</li>
+  <li>Write ${escapeHtml(ret.rmaNumber)} clearly on the outside of the box.</li>
+  <li>Ship it to the address above. Your refund is issued once the part is received and inspected.</li>
+</ol>
+<button onclick="window.print()">Print this slip</button>
+</body>
+</html>`;
+}
+
+module.exports = {
+  RETURN_WINDOW_DAYS,
+  RMA_NUMBER_PATTERN,
+  CONDITIONS,
+  RETURN_STATUS_LABELS,
+  normalizeRmaNumber,
+  checkItemEligibility,
+  checkCondition,
+  findOpenReturns,
+  createReturn,
+  findReturns,
+  findReturnsByNumber,
+  findReturnForSlip,
+  renderSlip
+};
@@ -0,0 +1,108 @@
+jest.mock('../db', () => ({ query: jest.fn() }));
+
+const db = require('../db');
+const {
+  normalizeRmaNumber,
+  checkItemEligibility,
+  checkCondition,
+  createReturn,
+  findReturnForSlip,
+  renderSlip
+} = require('./returns');
+
+const order = (overrides = {}) => ({
+  orderNumber: 'ORD-104830',
+  status: 'delivered',
+  placedAt: '2026-10-06T10:30:00.000Z',
+  items: [{ id: 11, partNumber: 'PS11757304', name: 'Washing Machine Drain Pump', quantity: 1, unitPrice: 59.99, trackingNumber: '9400' }],
+  shipments: [{ trackingNumber: '9400', status: 'delivered' }],
+  ...overrides
+});
+
+const row = {
+  rma_number: 'RMA-4F2A9C', quantity: 1, condition: 'unused', reason: 'Ordered by <mistake>', status: 'issued',
+  refund_amount: '59.99', slip_token: 'a'.repeat(32), created_at: new Date('2026-10-19T12:00:00Z'),
+  order_number: 'ORD-104830', part_number: 'PS11757304', name: 'Washing Machine Drain Pump'
+};
+
+describe('return eligibility', () => {
+  const now = new Date('2026-10-19T12:00:00Z');
+
+  test('a delivered line within the window is returnable', () => {
+    const o = order();
+    expect(checkItemEligibility(o, o.items[0], { now })).toEqual({ eligible: true });
+  });
+
+  test('rejects lines that are not delivered, too old or already returned', () => {
+    const inTransit = order({ shipments: [{ trackingNumber: '9400', status: 'in_transit' }] });
+    expect(checkItemEligibility(inTransit, inTransit.items[0], { now }).reason).toBe("it hasn't been delivered yet");
+
+    const old = order({ placedAt: '2025-09-01T00:00:00Z' });
+    expect(checkItemEligibility(old, old.items[0], { now }).reason).toMatch(/more than 365 days/);
+
+    const o = order();
+    const openReturns = new Map([[11, 'RMA-111111']]);
+    expect(checkItemEligibility(o, o.items[0], { now, openReturns }).reason).toBe('it already has return RMA-111111');
+  });
+
+  test('installed parts are only returnable as defective', () => {
+    expect(checkCondition('unused').eligible).toBe(true);
+    expect(checkCondition('defective').eligible).toBe(true);
+    expect(checkCondition('installed').eligible).toBe(false);
+  });
+
+  test('normalizes RMA numbers', () => {
+    expect(normalizeRmaNumber('status of rma4f2a9c?')).toBe('RMA-4F2A9C');
+    expect(normalizeRmaNumber('ORD-104830')).toBeNull();
+  });
+});
+
+describe('createReturn', () => {
+  const item = order().items[0];
+
+  beforeEach(() => db.query.mockReset());
+
+  test('issues an RMA for the line', async () => {
+    db.query.mockResolvedValue({ rows: [row] });
+
+    const ret = await createReturn({ orderNumber: 'ORD-104830', item, condition: 'unused', reason: 'Wrong part' });
+    expect(ret).toMatchObject({ rmaNumber: 'RMA-4F2A9C', orderNumber: 'ORD-104830' });
+  });
+
+  test('resolves to null when a concurrent request already opened a return', async () => {
+    db.query.mockRejectedValue(Object.assign(new Error('duplicate key'), {
+      code: '23505',
+      constraint: 'idx_return_requests_open_item'
+    }));
+
+    expect(await createReturn({ orderNumber: 'ORD-104830', item, condition: 'unused', reason: 'Wrong part' })).toBeNull();
+  });
+
+  test('passes other database errors on', async () => {
+    db.query.mockRejectedValue(new Error('connection lost'));
+
+    await expect(createReturn({ orderNumber: 'ORD-104830', item, condition: 'unused', reason: 'Wrong part' }))
+      .rejects.toThrow('connection lost');
+  });
+});
+
+describe('return slips', () => {
+  beforeEach(() => db.query.mockReset());
+
+  test('needs the matching slip token', async () => {
+    db.query.mockResolvedValue({ rows: [row] });
+
+    expect(await findReturnForSlip('RMA-4F2A9C', 'b'.repeat(32))).toBeNull();
+    expect(await findReturnForSlip('RMA-4F2A9C', undefined)).toBeNull();
+    expect(await findReturnForSlip('RMA-4F2A9C', 'a'.repeat(32))).toMatchObject({ rmaNumber: 'RMA-4F2A9C', refundAmount: 59.99 });
+  });
+
+  test('renders an escaped, printable slip', async () => {
+    db.query.mockResolvedValue({ rows: [row] });
+    const html = renderSlip(await findReturnForSlip('RMA-4F2A9C', 'a'.repeat(32)));
+
+    expect(html).toContain('<div class="rma">RMA-4F2A9C</div>');
+    expect(html).toContain('Ordered by &lt;mistake&gt;');
+    expect(html).toContain('$59.99 to the original payment method');
+  });
+});
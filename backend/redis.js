@@ -0,0 +1,60 @@
+require('dotenv').config();
+const Redis = require('ioredis');
+const logger = require('./logger');
+
+const redis = new Redis(process.env.REDIS_URL);
+
+// Redis-based context helpers
+async function getUserContext(userId) {
+  const data = await redis.get(`context:${userId}`);
+  return data ? JSON.parse(data) : {};
+}
+
+async function setUserContext(userId, context) {
+  await redis.set(`context:${userId}`, JSON.stringify(context), 'EX', 3600); // expires in 1h
+}
+
+async function clearUserContext(userId) {
+  await redis.del(`context:${userId}`);
+}
+
+// Fall back for Redis
+async function safeRedisGet(key) {
+  try {
+    const data = await redis.get(key);
+    return data ? JSON.parse(data) : null;
+  } catch (err) {
+    logger.error(`⚠️ Redis unavailable, skipping cache for ${key}`);
+    return null;
+  }
+}
+
+async function safeRedisSet(key, value, ttl = 3600) {
+  try {
+    await redis.set(key, JSON.stringify(value), 'EX', ttl);
+  } catch (err) {
+    logger.error(`⚠️ Redis unavailable, continuing without cache`);
+  }
+}
+
+// Delete every key matching a glob pattern; resolves to the number deleted
+async function deleteMatching(pattern) {
+  let cursor = '0';
+  let deleted = 0;
+  do {
+    const [next, keys] = await redis.scan(cursor, 'MATCH', pattern, 'COUNT', 500);
+    if (keys.length > 0) deleted += await redis.del(...keys);
+    cursor = next;
+  } while (cursor !== '0');
+  return deleted;
+}
+
+module.exports = {
+  redis,
+  getUserContext,
+  setUserContext,
+  clearUserContext,
+  safeRedisGet,
+  safeRedisSet,
+  deleteMatching
+};
@@ -1,36 +1,87 @@
 require('dotenv').config();
-const axios = require('axios');
 const db = require('../db');
+const { embedBatch, getEmbeddingConfig, toVectorLiteral } = require('../embeddings');
+
+// Usage:
+//   node scripts/embedParts.js            embed parts that are missing a vector
+//                                         or were embedded with another model
+//   node scripts/embedParts.js --reembed  re-embed every part
+const REEMBED_ALL = process.argv.includes('--reembed');
+const BATCH_SIZE = 50;
+
+// pgvector can't build an ivfflat index on wider vectors
+const IVFFLAT_MAX_DIMENSIONS = 2000;
+
+// Make parts.embedding match the configured dimension. pgvector stores the
+// dimension as the column's type modifier; changing it drops existing vectors
+// and their index, which ensureVectorIndex() rebuilds once vectors are loaded.
+async function ensureVectorColumn(dimensions) {
+  const current = await db.query(
+    `SELECT atttypmod FROM pg_attribute
+     WHERE attrelid = 'parts'::regclass AND attname = 'embedding'`
+  );
+
+  if (current.rows[0]?.atttypmod === dimensions) return false;
+
+  console.log(`📐 Resizing parts.embedding to vector(${dimensions})`);
+  await db.query(`DROP INDEX IF EXISTS idx_parts_embedding`);
+  await db.query(`ALTER TABLE parts ALTER COLUMN embedding TYPE vector(${dimensions}) USING NULL`);
+  await db.query(`UPDATE parts SET embedding_model = NULL, embedding_dim = NULL`);
+  return true;
+}
+
+// Build the ivfflat index after the vectors are in, so its lists are
+// clustered from real data. Wider vectors are searched without an index.
+async function ensureVectorIndex(dimensions) {
+  if (dimensions > IVFFLAT_MAX_DIMENSIONS) {
+    console.log(`⚠️ ${dimensions} dims is over the ivfflat limit of ${IVFFLAT_MAX_DIMENSIONS}; semantic search will scan without an index`);
+    await db.query(`DROP INDEX IF EXISTS idx_parts_embedding`);
+    return;
+  }
+
+  await db.query(`CREATE INDEX IF NOT EXISTS idx_parts_embedding ON parts USING ivfflat (embedding vector_l2_ops)`);
+}
+
+function partText(part) {
+  return `${part.name}. ${part.description || ''}. ${part.category || ''}. ${part.appliance_type || ''}`;
+}
 
 (async () => {
   try {
-    // 1. fetch all parts without embeddings
-    const parts = await db.query(`SELECT id, name, description, category, appliance_type FROM parts WHERE embedding IS NULL`);
-
-    for (const part of parts.rows) {
-      const text = `${part.name}. ${part.description || ''}. ${part.category || ''}. ${part.appliance_type || ''}`;
-      
-      // 2. get embedding from OpenAI
-      const response = await axios.post(
-        'https://api.openai.com/v1/embeddings',
-        {
-          model: 'text-embedding-3-small',
-          input: text,
-        },
-        { headers: { Authorization: `Bearer ${process.env.OPENAI_API_KEY}` } }
-      );
-
-      const embedding = response.data.data[0].embedding;
-
-      // 3. store embedding in Postgres
-      await db.query(
-        `UPDATE parts SET embedding = $1::vector WHERE id = $2`,
-        ['[' + embedding.join(',') + ']', part.id]
+    const { backend, model, dimensions } = getEmbeddingConfig();
+    console.log(`🧠 Embedding with ${backend}:${model} (${dimensions} dims)`);
+
+    // 1. make sure the column fits the model
+    await ensureVectorColumn(dimensions);
+
+    // 2. fetch parts that need a (new) embedding
+    const parts = await db.query(
+      `SELECT id, name, description, category, appliance_type FROM parts
+       WHERE $1::boolean OR embedding IS NULL OR embedding_model IS DISTINCT FROM $2
+       ORDER BY id`,
+      [REEMBED_ALL, model]
+    );
+
+    for (let i = 0; i < parts.rows.length; i += BATCH_SIZE) {
+      const batch = parts.rows.slice(i, i + BATCH_SIZE);
+      const vectors = await embedBatch(batch.map(partText));
+
+      // 3. store embedding with its provenance
+      for (let j = 0; j < batch.length; j++) {
+        await db.query(
+          `UPDATE parts
+           SET embedding = $1::vector, embedding_model = $2, embedding_dim = $3
+           WHERE id = $4`,
+          [toVectorLiteral(vectors[j]), model, dimensions, batch[j].id]
         );
-      console.log(`✅ Embedded: ${part.name}`);
+        console.log(`✅ Embedded: ${batch[j].name}`);
+      }
     }
 
-    console.log('🎉 All parts embedded successfully!');
+    // 4. index the vectors
+    await ensureVectorIndex(dimensions);
+
+    console.log(`🎉 Embedded ${parts.rows.length} parts with ${model}!`);
     process.exit(0);
   } catch (err) {
     console.error('❌ Error embedding parts:', err);
@@ -0,0 +1,65 @@
+require('dotenv').config();
+const Module = require('module');
+const { createFixtureDb } = require('../eval/fixtureDb');
+const { createRedisModule } = require('../eval/fakeRedis');
+
+// Usage:
+//   node scripts/evaluate.js                  replay eval/golden.json and compare
+//                                             with eval/baseline.json
+//   node scripts/evaluate.js --save-baseline  record this run as the new baseline
+//   node scripts/evaluate.js --verbose        keep the pipeline's own logging
+//
+// Runs offline: fixture data stands in for Postgres and Redis, and a scripted
+// provider for the LLM. Exits with 1 when a metric or a turn regressed.
+const SAVE_BASELINE = process.argv.includes('--save-baseline');
+const VERBOSE = process.argv.includes('--verbose');
+
+// Serve `exports` for `request` before anything else loads the real module
+function provide(request, exports) {
+  const filename = require.resolve(request);
+  const module = new Module(filename, null);
+  module.filename = filename;
+  module.loaded = true;
+  module.exports = exports;
+  require.cache[filename] = module;
+}
+
+provide('../db', createFixtureDb(require('../eval/fixtures.json')));
+const redis = createRedisModule();
+provide('../redis', redis);
+process.env.EMBEDDING_BACKEND = 'local';
+
+const logger = require('../logger');
+const AgentOrchestrator = require('../agents/orchestrator');
+const {
+  runEvaluation,
+  scoreResults,
+  loadBaseline,
+  saveBaseline,
+  findRegressions,
+  formatReport,
+  BASELINE_PATH
+} = require('../eval/harness');
+
+(async () => {
+  logger.silent = !VERBOSE;
+
+  try {
+    const results = await runEvaluation({ orchestrator: new AgentOrchestrator(), redis });
+    const scores = scoreResults(results);
+    const baseline = loadBaseline();
+    const regressions = findRegressions(scores, baseline);
+
+    console.log(formatReport(scores, baseline, regressions));
+
+    if (SAVE_BASELINE) {
+      saveBaseline(scores);
+      console.log(`\n💾 Saved baseline to ${BASELINE_PATH}`);
+      process.exit(0);
+    }
+    process.exit(regressions.metrics.length > 0 || regressions.turns.length > 0 ? 1 : 0);
+  } catch (err) {
+    console.error('❌ Evaluation failed:', err);
+    process.exit(1);
+  }
+})();
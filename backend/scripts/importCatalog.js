@@ -0,0 +1,79 @@
+require('dotenv').config();
+const db = require('../db');
+const { readRecords } = require('../catalog/readers');
+const { planImport, applyImport, formatReport } = require('../catalog/importer');
+
+// Usage:
+//   node scripts/importCatalog.js --parts parts.csv --models models.csv --aliases aliases.csv \
+//     --compat compat.jsonl [--dry-run] [--verbose]
+//
+// Parts files: part_number, name, description, price, in_stock, image_url,
+//              rating, review_count, category, appliance_type
+// Model files: model_number, base_model, revision, brand, appliance_type,
+//              aliases ("|"-separated in CSV, an array in JSONL)
+// Alias files: alias, part_number, alias_type (oem | superseded |
+//              cross_reference), manufacturer
+// Compatibility files: part_number, model_number
+//
+// Model numbers are normalized (upper case, no separators). Models that only
+// appear in compatibility files are added to the registry automatically.
+//
+// Each part row replaces every field of an existing part with the same
+// part_number. Compatibility links are only ever added.
+function parseArgs(argv) {
+  const args = { dryRun: argv.includes('--dry-run'), verbose: argv.includes('--verbose') };
+  const valueOf = (flag) => {
+    const i = argv.indexOf(flag);
+    return i !== -1 ? argv[i + 1] : null;
+  };
+  args.parts = valueOf('--parts');
+  args.models = valueOf('--models');
+  args.aliases = valueOf('--aliases');
+  args.compat = valueOf('--compat');
+  return args;
+}
+
+(async () => {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!args.parts && !args.models && !args.aliases && !args.compat) {
+    console.error('Usage: node scripts/importCatalog.js --parts <file> --models <file> --aliases <file> --compat <file> [--dry-run] [--verbose]');
+    process.exit(1);
+  }
+
+  try {
+    const plan = await planImport({
+      partRecords: args.parts ? readRecords(args.parts) : [],
+      modelRecords: args.models ? readRecords(args.models) : [],
+      aliasRecords: args.aliases ? readRecords(args.aliases) : [],
+      compatRecords: args.compat ? readRecords(args.compat) : []
+    });
+
+    let applied = null;
+    if (!args.dryRun) {
+      applied = await applyImport(plan);
+    }
+
+    console.log(formatReport(plan, args));
+
+    if (applied?.registeredModels > 0) {
+      console.log(`🗂️ Registered ${applied.registeredModels} models from compatibility rows`);
+    }
+
+    if (applied && applied.clearedCacheKeys === null) {
+      console.log('⚠️ Cached part lookups could not be cleared and may be stale for up to a day');
+    } else if (applied?.clearedCacheKeys > 0) {
+      console.log(`🧹 Cleared ${applied.clearedCacheKeys} cached part lookups`);
+    }
+
+    if (!args.dryRun && plan.reembed.length > 0) {
+      console.log('🧠 Run `npm run embed` to embed new and changed parts');
+    }
+
+    await db.pool.end();
+    process.exit(plan.errors.length > 0 ? 2 : 0);
+  } catch (err) {
+    console.error('❌ Error importing catalog:', err);
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,88 @@
+require('dotenv').config();
+const path = require('path');
+const db = require('../db');
+
+// Usage:
+//   node scripts/loadOrderFixtures.js [fixtures.json]
+//
+// Loads sample orders into orders / shipments / order_items so order lookup
+// works without the real order system. Defaults to orders/fixtures.json.
+// Each order is replaced by order_number, including its items and shipments;
+// items reference their shipment by tracking_number.
+const file = path.resolve(process.argv[2] || path.join(__dirname, '../orders/fixtures.json'));
+
+async function loadOrder(client, order) {
+  const inserted = await client.query(
+    `INSERT INTO orders (order_number, email, shipping_zip, status, shipping_method,
+                         subtotal, shipping_cost, total, placed_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+     ON CONFLICT (order_number) DO UPDATE SET
+       email = EXCLUDED.email,
+       shipping_zip = EXCLUDED.shipping_zip,
+       status = EXCLUDED.status,
+       shipping_method = EXCLUDED.shipping_method,
+       subtotal = EXCLUDED.subtotal,
+       shipping_cost = EXCLUDED.shipping_cost,
+       total = EXCLUDED.total,
+       placed_at = EXCLUDED.placed_at,
+       updated_at = NOW()
+     RETURNING id`,
+    [
+      order.order_number, order.email, order.shipping_zip, order.status, order.shipping_method,
+      order.subtotal, order.shipping_cost || 0, order.total, order.placed_at
+    ]
+  );
+  const orderId = inserted.rows[0].id;
+
+  await client.query('DELETE FROM order_items WHERE order_id = $1', [orderId]);
+  await client.query('DELETE FROM shipments WHERE order_id = $1', [orderId]);
+
+  const shipmentIds = new Map();
+  for (const s of order.shipments || []) {
+    const shipment = await client.query(
+      `INSERT INTO shipments (order_id, carrier, tracking_number, status, shipped_at,
+                              estimated_delivery, delivered_at, events)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING id`,
+      [
+        orderId, s.carrier, s.tracking_number, s.status, s.shipped_at || null,
+        s.estimated_delivery || null, s.delivered_at || null, JSON.stringify(s.events || [])
+      ]
+    );
+    shipmentIds.set(s.tracking_number, shipment.rows[0].id);
+  }
+
+  for (const item of order.items || []) {
+    await client.query(
+      `INSERT INTO order_items (order_id, part_id, part_number, name, quantity, unit_price, shipment_id)
+       VALUES ($1, (SELECT id FROM parts WHERE part_number = $2), $2, $3, $4, $5, $6)`,
+      [
+        orderId, item.part_number, item.name, item.quantity, item.unit_price,
+        shipmentIds.get(item.tracking_number) || null
+      ]
+    );
+  }
+}
+
+(async () => {
+  const orders = require(file);
+  const client = await db.pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    for (const order of orders) {
+      await loadOrder(client, order);
+    }
+    await client.query('COMMIT');
+
+    console.log(`📦 Loaded ${orders.length} orders from ${file}`);
+    client.release();
+    await db.pool.end();
+    process.exit(0);
+  } catch (err) {
+    await client.query('ROLLBACK');
+    client.release();
+    console.error('❌ Error loading order fixtures:', err);
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,56 @@
+require('dotenv').config();
+const path = require('path');
+const fs = require('fs');
+const { train, predict, readExamples, DEFAULT_MODEL_PATH } = require('../intent/classifier');
+
+// Usage:
+//   node scripts/trainIntentClassifier.js [examples.jsonl] [model.json]
+//
+// Trains the local intent classifier from labeled examples (defaults to
+// intent/examples.jsonl) and writes the model artifact (defaults to
+// intent/model.json). Before training on everything, a 5-fold cross
+// validation reports how many held-out messages would take the fast path at
+// INTENT_FAST_PATH_THRESHOLD and how often those answers are right.
+const examplesFile = path.resolve(process.argv[2] || path.join(__dirname, '../intent/examples.jsonl'));
+const modelFile = path.resolve(process.argv[3] || DEFAULT_MODEL_PATH);
+const THRESHOLD = parseFloat(process.env.INTENT_FAST_PATH_THRESHOLD || '0.9');
+const FOLDS = 5;
+
+function crossValidate(examples) {
+  const results = [];
+  for (let fold = 0; fold < FOLDS; fold++) {
+    const model = train(examples.filter((e, i) => i % FOLDS !== fold));
+    for (const example of examples.filter((e, i) => i % FOLDS === fold)) {
+      const { intent, confidence } = predict(model, example.text);
+      results.push({ ...example, predicted: intent, confidence });
+    }
+  }
+  return results;
+}
+
+const percent = (part, whole) => (whole > 0 ? `${((part / whole) * 100).toFixed(1)}%` : '—');
+
+(() => {
+  try {
+    const examples = readExamples(examplesFile);
+    const results = crossValidate(examples);
+    const correct = results.filter(r => r.predicted === r.intent);
+    const fast = results.filter(r => r.confidence >= THRESHOLD);
+    const fastCorrect = fast.filter(r => r.predicted === r.intent);
+
+    console.log(`📚 ${examples.length} examples from ${examplesFile}`);
+    console.log(`🎯 Cross-validated accuracy: ${percent(correct.length, results.length)}`);
+    console.log(`⚡ At threshold ${THRESHOLD}: ${percent(fast.length, results.length)} take the fast path, ${percent(fastCorrect.length, fast.length)} of them correct`);
+    for (const miss of fast.filter(r => r.predicted !== r.intent)) {
+      console.log(`   ✗ "${miss.text}" → ${miss.predicted} (${miss.confidence}), labeled ${miss.intent}`);
+    }
+
+    const model = train(examples);
+    fs.writeFileSync(modelFile, `${JSON.stringify(model)}\n`);
+    console.log(`💾 Saved ${Object.keys(model.weights).length} features × ${model.labels.length} intents to ${modelFile}`);
+    process.exit(0);
+  } catch (err) {
+    console.error('❌ Error training intent classifier:', err);
+    process.exit(1);
+  }
+})();
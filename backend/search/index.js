@@ -0,0 +1,180 @@
+const db = require('../db');
+const logger = require('../logger');
+const { embed, toVectorLiteral } = require('../embeddings');
+const { reciprocalRankFusion } = require('./rrf');
+const { resolveModel } = require('../catalog/models');
+const { resolvePartNumber } = require('../catalog/parts');
+
+// Columns returned to callers (never the raw embedding or tsvector)
+const PART_COLUMNS = `id, part_number, name, description, price, in_stock, image_url,
+  rating, review_count, category, appliance_type`;
+
+// How many candidates each retriever contributes before fusion
+const CANDIDATES_PER_RETRIEVER = 20;
+
+// Exact identifier hits should beat anything that merely sounds similar
+const RETRIEVER_WEIGHTS = { exact: 3, lexical: 1, vector: 1 };
+
+// Minimum cosine similarity for a vector-only hit to narrow a model's parts
+const MIN_MODEL_SIMILARITY = parseFloat(process.env.SEARCH_MIN_MODEL_SIMILARITY || '0.5');
+
+// PartSelect (PS11752778) and manufacturer (WPW10321304, W10321304) numbers
+const PART_NUMBER_PATTERN = /^[A-Z]{0,4}\d{5,}[A-Z0-9]*$/i;
+
+function tokenize(query) {
+  return (query || '').split(/[^A-Za-z0-9-]+/).filter(Boolean);
+}
+
+async function exactMatches(tokens, applianceType, partIds) {
+  const identifiers = tokens
+    .map(t => t.replace(/-/g, '').toUpperCase())
+    .filter(t => PART_NUMBER_PATTERN.test(t));
+
+  if (identifiers.length === 0) return [];
+
+  // OEM, superseded and cross-reference numbers resolve to the current part;
+  // the description match covers parts without alias rows
+  const resolved = await Promise.all(identifiers.map(resolvePartNumber));
+  const resolvedIds = resolved.filter(Boolean).map(r => r.partId);
+
+  const result = await db.query(
+    `SELECT ${PART_COLUMNS} FROM parts
+     WHERE (id = ANY($4::int[])
+        OR part_number = ANY($1::text[])
+        OR description ~* ('\\m(' || array_to_string($1::text[], '|') || ')\\M'))
+     AND ($2::text IS NULL OR appliance_type ILIKE $2)
+     AND ($3::int[] IS NULL OR id = ANY($3))
+     ORDER BY id = ANY($4::int[]) DESC, part_number = ANY($1::text[]) DESC
+     LIMIT ${CANDIDATES_PER_RETRIEVER}`,
+    [identifiers, applianceType, partIds, resolvedIds]
+  );
+  return result.rows;
+}
+
+async function lexicalMatches(tokens, applianceType, partIds) {
+  // OR the terms together so partial matches still rank, best coverage first
+  const terms = tokens
+    .map(t => t.toLowerCase().replace(/[^a-z0-9]/g, ''))
+    .filter(t => t.length > 1);
+
+  if (terms.length === 0) return [];
+
+  const result = await db.query(
+    `SELECT ${PART_COLUMNS}, ts_rank_cd(search_vector, q) AS lexical_rank
+     FROM parts, to_tsquery('english', $1) q
+     WHERE search_vector @@ q
+     AND ($2::text IS NULL OR appliance_type ILIKE $2)
+     AND ($3::int[] IS NULL OR id = ANY($3))
+     ORDER BY lexical_rank DESC
+     LIMIT ${CANDIDATES_PER_RETRIEVER}`,
+    [terms.join(' | '), applianceType, partIds]
+  );
+  return result.rows;
+}
+
+async function vectorMatches(query, applianceType, partIds) {
+  try {
+    const { vector, model } = await embed(query);
+
+    const result = await db.query(
+      `SELECT ${PART_COLUMNS}, 1 - (embedding <=> $1::vector) AS similarity
+       FROM parts
+       WHERE embedding IS NOT NULL AND embedding_model = $2
+       AND ($3::text IS NULL OR appliance_type ILIKE $3)
+       AND ($4::int[] IS NULL OR id = ANY($4))
+       ORDER BY embedding <-> $1::vector
+       LIMIT ${CANDIDATES_PER_RETRIEVER}`,
+      [toVectorLiteral(vector), model, applianceType, partIds]
+    );
+    return result.rows;
+  } catch (err) {
+    // Lexical and exact results are still useful without the embedding service
+    logger.warn(`⚠️ Vector search unavailable, using lexical results only: ${err.message}`);
+    return [];
+  }
+}
+
+/**
+ * Hybrid part search: exact part/OEM numbers, Postgres full-text search and
+ * vector similarity, merged with reciprocal rank fusion.
+ * Pass `partIds` to search only within a set of parts.
+ * Resolves to part rows ordered by `relevance`, each with `matchedBy`.
+ */
+async function searchParts({ query, applianceType = null, limit = 10, partIds = null }) {
+  const tokens = tokenize(query);
+  if (tokens.length === 0) return [];
+
+  const [exact, lexical, vector] = await Promise.all([
+    exactMatches(tokens, applianceType, partIds),
+    lexicalMatches(tokens, applianceType, partIds),
+    vectorMatches(query, applianceType, partIds)
+  ]);
+
+  const fused = reciprocalRankFusion(
+    [
+      { name: 'exact', rows: exact },
+      { name: 'lexical', rows: lexical },
+      { name: 'vector', rows: vector }
+    ],
+    { weights: RETRIEVER_WEIGHTS }
+  );
+
+  logger.info(`🔎 Hybrid search "${query}": ${exact.length} exact, ${lexical.length} lexical, ${vector.length} vector → ${fused.length} fused`);
+
+  return fused.slice(0, limit);
+}
+
+function groupByCategory(parts) {
+  const groups = new Map();
+  for (const part of parts) {
+    const category = part.category || 'Other';
+    if (!groups.has(category)) groups.set(category, []);
+    groups.get(category).push(part);
+  }
+  return [...groups.entries()].map(([category, items]) => ({ category, parts: items }));
+}
+
+/**
+ * Parts listed for one appliance model in part_compatibility, optionally
+ * narrowed by a keyword query ("door bin"). The model number is resolved
+ * through the models registry, so a base model covers all its revisions.
+ * Vector-only hits don't narrow on their own; they must clear
+ * MIN_MODEL_SIMILARITY to count.
+ * Resolves to { modelNumber, totalForModel, parts, groups }.
+ */
+async function searchPartsForModel({ modelNumber: input, query = '', applianceType = null, limit = 20 }) {
+  const model = await resolveModel(input);
+  const modelNumber = model?.modelNumber || input;
+
+  const compat = await db.query(
+    `SELECT DISTINCT part_id FROM part_compatibility WHERE model_number = ANY($1::text[])`,
+    [model ? model.modelNumbers : []]
+  );
+  const partIds = compat.rows.map(r => r.part_id);
+
+  if (partIds.length === 0) {
+    return { modelNumber, totalForModel: 0, parts: [], groups: [] };
+  }
+
+  let parts;
+  if (tokenize(query).length > 0) {
+    const ranked = await searchParts({ query, applianceType, limit, partIds });
+    parts = ranked.filter(p =>
+      p.matchedBy.some(m => m !== 'vector') || p.similarity >= MIN_MODEL_SIMILARITY
+    );
+  } else {
+    const result = await db.query(
+      `SELECT ${PART_COLUMNS} FROM parts
+       WHERE id = ANY($1)
+       AND ($2::text IS NULL OR appliance_type ILIKE $2)
+       ORDER BY category NULLS LAST, rating DESC NULLS LAST
+       LIMIT $3`,
+      [partIds, applianceType, limit]
+    );
+    parts = result.rows;
+  }
+
+  return { modelNumber, totalForModel: partIds.length, parts, groups: groupByCategory(parts) };
+}
+
+module.exports = { searchParts, searchPartsForModel, groupByCategory, PART_COLUMNS };
@@ -0,0 +1,33 @@
+// Reciprocal rank fusion constant; 60 is the value from the original paper
+// and keeps a single top-ranked hit from drowning out agreement across lists.
+const RRF_K = 60;
+
+/**
+ * Merge several ranked result lists with reciprocal rank fusion.
+ * Each list is { name, rows } with rows ordered best-first and keyed by `id`.
+ * Returns rows ordered by fused score, each with `relevance` and `matchedBy`.
+ */
+function reciprocalRankFusion(lists, { k = RRF_K, weights = {} } = {}) {
+  const fused = new Map();
+
+  for (const { name, rows } of lists) {
+    const weight = weights[name] ?? 1;
+
+    rows.forEach((row, index) => {
+      const entry = fused.get(row.id) || { row, relevance: 0, matchedBy: [] };
+      entry.relevance += weight / (k + index + 1);
+      entry.matchedBy.push(name);
+      fused.set(row.id, entry);
+    });
+  }
+
+  return [...fused.values()]
+    .sort((a, b) => b.relevance - a.relevance)
+    .map(({ row, relevance, matchedBy }) => ({
+      ...row,
+      relevance: Number(relevance.toFixed(6)),
+      matchedBy
+    }));
+}
+
+module.exports = { reciprocalRankFusion, RRF_K };
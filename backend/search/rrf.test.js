@@ -0,0 +1,27 @@
+const { reciprocalRankFusion, RRF_K } = require('./rrf');
+
+describe('reciprocalRankFusion', () => {
+  test('ranks rows found by several retrievers above single-list hits', () => {
+    const fused = reciprocalRankFusion([
+      { name: 'lexical', rows: [{ id: 1 }, { id: 2 }] },
+      { name: 'vector', rows: [{ id: 3 }, { id: 2 }] }
+    ]);
+
+    expect(fused.map(r => r.id)).toEqual([2, 1, 3]);
+    expect(fused[0].matchedBy).toEqual(['lexical', 'vector']);
+    expect(fused[0].relevance).toBeCloseTo(2 / (RRF_K + 2));
+  });
+
+  test('applies per-retriever weights', () => {
+    const fused = reciprocalRankFusion(
+      [
+        { name: 'exact', rows: [{ id: 7 }] },
+        { name: 'vector', rows: [{ id: 8 }, { id: 7 }] }
+      ],
+      { weights: { exact: 3 } }
+    );
+
+    expect(fused[0].id).toBe(7);
+    expect(fused[0].relevance).toBeCloseTo(3 / (RRF_K + 1) + 1 / (RRF_K + 2));
+  });
+});
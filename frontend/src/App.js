@@ -1,8 +1,45 @@
-import React from "react";
+import React, { useState, useEffect, useCallback } from "react";
 import "./App.css";
 import ChatWindow from "./components/ChatWindow";
+import CartDrawer from "./components/CartDrawer";
+import HistorySidebar from "./components/HistorySidebar";
+import { getCart, endConversation, getSavedConversationId, saveConversationId } from "./api/api";
 
 function App() {
+  const [cart, setCart] = useState(null);
+  const [cartOpen, setCartOpen] = useState(false);
+  const [historyOpen, setHistoryOpen] = useState(false);
+  // The chat on screen; kept in localStorage so a reload reopens it
+  const [conversationId, setConversationId] = useState(getSavedConversationId);
+
+  useEffect(() => {
+    getCart().then(setCart).catch(() => {});
+  }, []);
+
+  useEffect(() => {
+    saveConversationId(conversationId);
+  }, [conversationId]);
+
+  // Parts added from the chat open the drawer so the customer sees the total
+  const showCart = useCallback((updated) => {
+    setCart(updated);
+    setCartOpen(true);
+  }, []);
+  const openCart = useCallback(() => setCartOpen(true), []);
+  const closeCart = useCallback(() => setCartOpen(false), []);
+
+  const openHistory = useCallback(() => setHistoryOpen(true), []);
+  const closeHistory = useCallback(() => setHistoryOpen(false), []);
+  const selectConversation = useCallback((id) => {
+    setConversationId(id);
+    setHistoryOpen(false);
+  }, []);
+  // Ends the chat on the server too, so it shows as ended in the history
+  const startNewChat = useCallback(() => {
+    if (conversationId) endConversation(conversationId).catch(() => {});
+    selectConversation(null);
+  }, [conversationId, selectConversation]);
+
   return (
     <div className="App">
       <div className="app-header">
@@ -14,9 +51,32 @@ function App() {
               <p className="header-subtitle">Refrigerator & Dishwasher Parts Expert</p>
             </div>
           </div>
+          <div className="header-actions">
+            <button className="header-button" onClick={openHistory}>
+              🕘 History
+            </button>
+            <button className="header-button" onClick={openCart}>
+              🛒 Cart
+              {cart?.itemCount > 0 && <span className="cart-count">{cart.itemCount}</span>}
+            </button>
+          </div>
         </div>
       </div>
-      <ChatWindow />
+      <ChatWindow
+        conversationId={conversationId}
+        onConversationChange={setConversationId}
+        onNewChat={startNewChat}
+        onCartChange={showCart}
+        onOpenCart={openCart}
+      />
+      <HistorySidebar
+        open={historyOpen}
+        currentId={conversationId}
+        onSelect={selectConversation}
+        onNewChat={startNewChat}
+        onClose={closeHistory}
+      />
+      <CartDrawer open={cartOpen} cart={cart} onClose={closeCart} onCartChange={setCart} />
     </div>
   );
 }
@@ -3,20 +3,30 @@ const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001/api
 /**
  * Main chat API function - sends message and receives response with products/actions
  * @param {string} message - User's message
- * @param {string} sessionId - Unique session identifier
- * @returns {Promise<Object>} Response with content, products, and actions
+ * @param {Object} [handlers] - Optional streaming callbacks (onIntent, onProducts,
+ *   onToken, onActions). When given, the reply is streamed over SSE and each
+ *   handler fires as its event arrives.
+ * @param {Object} [wizard] - Structured troubleshooting wizard answer
+ *   ({ tree, node, outcome, status } or { checklist, step, status })
+ * @param {Object} [conversation] - { conversationId, reopen }: the chat on
+ *   screen, and whether it was picked from the history (reopened even if
+ *   it had ended)
+ * @returns {Promise<Object>} Response with content, products, actions and the
+ *   lifecycle fields conversation_id, conversation_expires_at and
+ *   previous_conversation ({ id, reason } when the chat on screen had ended)
  */
-export const getAIMessage = async (userQuery, sessionId = 'default') => {
+export const getAIMessage = async (userQuery, handlers = null, wizard = null, conversation = {}) => {
   try {
-    const response = await fetch(`${API_BASE_URL}/chat`, {
+    const response = await authFetch(`/chat${handlers ? '/stream' : ''}`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
       },
       body: JSON.stringify({
         message: userQuery,
-        sessionId,
-        userId: getUserId()
+        ...(wizard && { wizard }),
+        ...(conversation.conversationId && { conversationId: conversation.conversationId }),
+        ...(conversation.reopen && { reopen: true })
       }),
     });
 
@@ -24,6 +34,10 @@ export const getAIMessage = async (userQuery, sessionId = 'default') => {
       throw new Error(`HTTP error! status: ${response.status}`);
     }
 
+    if (handlers && response.body) {
+      return await readChatStream(response, handlers);
+    }
+
     const data = await response.json();
     return data;
   } catch (error) {
@@ -32,6 +46,68 @@ export const getAIMessage = async (userQuery, sessionId = 'default') => {
   }
 };
 
+/**
+ * Parse the Server-Sent Events stream from /chat/stream
+ * @param {Response} response - Fetch response with a readable body
+ * @param {Object} handlers - Streaming callbacks
+ * @returns {Promise<Object>} The final assembled message (same shape as /chat)
+ */
+async function readChatStream(response, handlers) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let final = null;
+
+  const dispatch = (event, data) => {
+    switch (event) {
+      case 'intent':
+        handlers.onIntent?.(data);
+        break;
+      case 'products':
+        handlers.onProducts?.(data.products);
+        break;
+      case 'token':
+        handlers.onToken?.(data.text);
+        break;
+      case 'actions':
+        handlers.onActions?.(data.actions);
+        break;
+      case 'done':
+        final = data;
+        break;
+      case 'error':
+        throw new Error(data.error || 'Stream error');
+      default:
+        break;
+    }
+  };
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const frames = buffer.split('\n\n');
+    buffer = frames.pop();
+
+    for (const frame of frames) {
+      let event = 'message';
+      let data = '';
+      for (const line of frame.split('\n')) {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) data += line.slice(5).trim();
+      }
+      if (data) dispatch(event, JSON.parse(data));
+    }
+  }
+
+  if (!final) {
+    throw new Error('Stream ended before the reply was complete');
+  }
+
+  return final;
+}
+
 /**
  * Search for products directly
  * @param {string} query - Search query
@@ -85,6 +161,146 @@ export const checkCompatibility = async (partNumber, modelNumber) => {
   }
 };
 
+/**
+ * Absolute URL of a printable return slip
+ * @param {string} slipPath - `slipPath` from a return_slip action
+ * @returns {string} URL to open in a new tab
+ */
+export const getReturnSlipUrl = (slipPath) => `${API_BASE_URL}${slipPath}`;
+
+/**
+ * Send a cart request; failures carry the server's explanation
+ * (e.g. "... is out of stock right now") as the error message
+ * @returns {Promise<Object>} The updated cart
+ */
+async function cartRequest(path, options = {}) {
+  try {
+    const response = await authFetch(`/cart${path}`, {
+      ...options,
+      headers: { 'Content-Type': 'application/json' },
+    });
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      throw new Error(data.error || `HTTP error! status: ${response.status}`);
+    }
+    return data;
+  } catch (error) {
+    console.error('Cart Error:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the user's cart
+ * @returns {Promise<Object>} { items, itemCount, subtotal, shipping, total,
+ *   freeShippingThreshold, freeShippingRemaining }
+ */
+export const getCart = () => cartRequest('');
+
+/**
+ * Add a part to the cart
+ * @param {string} partNumber - Part number (e.g., PS11752778)
+ * @param {number} quantity - How many to add
+ * @returns {Promise<Object>} The updated cart
+ */
+export const addToCart = (partNumber, quantity = 1) => cartRequest('/items', {
+  method: 'POST',
+  body: JSON.stringify({ partNumber, quantity }),
+});
+
+/**
+ * Set the quantity of a cart line (0 removes it)
+ * @returns {Promise<Object>} The updated cart
+ */
+export const updateCartItem = (partNumber, quantity) => cartRequest(`/items/${encodeURIComponent(partNumber)}`, {
+  method: 'PATCH',
+  body: JSON.stringify({ quantity }),
+});
+
+/**
+ * Remove a part from the cart
+ * @returns {Promise<Object>} The updated cart
+ */
+export const removeFromCart = (partNumber) => cartRequest(
+  `/items/${encodeURIComponent(partNumber)}`,
+  { method: 'DELETE' }
+);
+
+/**
+ * List the user's past chats, most recent first
+ * @returns {Promise<Array>} [{ id, status, title, messageCount, startedAt, lastActivityAt }]
+ */
+export const getConversations = async () => {
+  try {
+    const response = await authFetch('/conversations');
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    const data = await response.json();
+    return data.conversations;
+  } catch (error) {
+    console.error('Conversation List Error:', error);
+    throw error;
+  }
+};
+
+/**
+ * Load a past chat with the products and actions of each reply
+ * @param {string} conversationId - Conversation id from getConversations
+ * @returns {Promise<Object>} { conversation, messages: [{ role, content, products, actions }] }
+ */
+export const getConversationMessages = async (conversationId) => {
+  try {
+    const response = await authFetch(`/conversations/${encodeURIComponent(conversationId)}/messages`);
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    return await response.json();
+  } catch (error) {
+    console.error('Conversation History Error:', error);
+    throw error;
+  }
+};
+
+/**
+ * End a conversation so the next message starts a new one
+ * @param {string} conversationId - Conversation to end
+ * @returns {Promise<Object>} { conversation_id, status, end_reason }
+ */
+export const endConversation = async (conversationId) => {
+  try {
+    const response = await authFetch(`/conversations/${encodeURIComponent(conversationId)}/end`, {
+      method: 'POST',
+    });
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    return await response.json();
+  } catch (error) {
+    console.error('End Conversation Error:', error);
+    throw error;
+  }
+};
+
+/**
+ * Conversation shown in the chat, kept across page reloads
+ * @returns {string|null} Conversation id
+ */
+export const getSavedConversationId = () => localStorage.getItem('partselect_conversation_id');
+
+/**
+ * Remember the conversation shown in the chat (null forgets it)
+ * @param {string|null} conversationId - Conversation id
+ */
+export const saveConversationId = (conversationId) => {
+  if (conversationId) {
+    localStorage.setItem('partselect_conversation_id', conversationId);
+  } else {
+    localStorage.removeItem('partselect_conversation_id');
+  }
+};
+
 /**
  * Health check to verify backend is running
  * @returns {Promise<Object>} Health status
@@ -102,32 +318,125 @@ export const healthCheck = async () => {
   }
 };
 
+const SESSION_KEY = 'partselect_session';
+// Renew a session this close to expiry so the customer keeps their identity
+const SESSION_RENEW_MS = 24 * 60 * 60 * 1000;
+
+let pendingSession = null;
+
+function savedSession() {
+  try {
+    return JSON.parse(localStorage.getItem(SESSION_KEY));
+  } catch {
+    return null;
+  }
+}
+
 /**
- * Get or create a unique user ID stored in localStorage
- * @returns {string} User ID
+ * Ask the server for a session token. A still-valid token is renewed for
+ * the same user; otherwise the server issues a new anonymous session.
+ * @returns {Promise<Object>} { token, expiresAt, account }
  */
-function getUserId() {
-  let userId = localStorage.getItem('partselect_user_id');
-  
-  if (!userId) {
-    userId = `user-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-    localStorage.setItem('partselect_user_id', userId);
+async function requestSession(current = null) {
+  const response = await fetch(`${API_BASE_URL}/session`, {
+    method: 'POST',
+    headers: current ? { Authorization: `Bearer ${current}` } : {},
+  });
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
   }
-  
-  return userId;
+  const session = await response.json();
+  localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+  return session;
+}
+
+/**
+ * The signed session token the server identifies this visitor by, kept in
+ * localStorage. Concurrent callers share one session request.
+ * @returns {Promise<string>} Session token
+ */
+async function getSessionToken() {
+  const saved = savedSession();
+  const remaining = saved?.token ? Date.parse(saved.expiresAt) - Date.now() : 0;
+  if (remaining > SESSION_RENEW_MS) return saved.token;
+
+  if (!pendingSession) {
+    pendingSession = requestSession(remaining > 0 ? saved.token : null)
+      .finally(() => { pendingSession = null; });
+  }
+  return (await pendingSession).token;
+}
+
+/**
+ * fetch() against the API with the session token. A rejected token (expired,
+ * or the server's signing key changed) is replaced once and the request retried.
+ * @param {string} path - Path under the API base URL
+ * @param {Object} [options] - fetch options
+ * @returns {Promise<Response>} The response
+ */
+async function authFetch(path, options = {}) {
+  const send = async () => fetch(`${API_BASE_URL}${path}`, {
+    ...options,
+    headers: { ...options.headers, Authorization: `Bearer ${await getSessionToken()}` },
+  });
+
+  const response = await send();
+  if (response.status !== 401) return response;
+
+  localStorage.removeItem(SESSION_KEY);
+  return await send();
 }
 
+/**
+ * Link this visitor to the signed-in customer's account, so their chats and
+ * cart follow them to other devices. The host page passes the short-lived
+ * account token issued by the storefront.
+ * @param {string} accountToken - Signed account token from the storefront
+ * @returns {Promise<Object>} { token, expiresAt, account }
+ */
+export const linkAccount = async (accountToken) => {
+  try {
+    const response = await authFetch('/session/link', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ accountToken }),
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.error || `HTTP error! status: ${response.status}`);
+    }
+    localStorage.setItem(SESSION_KEY, JSON.stringify(data));
+    return data;
+  } catch (error) {
+    console.error('Account Link Error:', error);
+    throw error;
+  }
+};
+
 /**
  * Clear user session data
  */
 export const clearSession = () => {
+  localStorage.removeItem(SESSION_KEY);
   localStorage.removeItem('partselect_user_id');
+  localStorage.removeItem('partselect_conversation_id');
 };
 
 export default {
   getAIMessage,
   searchProducts,
   checkCompatibility,
+  getReturnSlipUrl,
+  getCart,
+  addToCart,
+  updateCartItem,
+  removeFromCart,
+  getConversations,
+  getConversationMessages,
+  endConversation,
+  getSavedConversationId,
+  saveConversationId,
+  linkAccount,
   healthCheck,
   clearSession
 };
@@ -1,7 +1,10 @@
 import React, { useState } from 'react';
 import './ActionButtons.css';
+import TroubleshootingWizard from './TroubleshootingWizard';
+import OrderStatusCard from './OrderStatusCard';
+import ReturnSlipCard from './ReturnSlipCard';
 
-const ActionButtons = ({ action, onAction }) => {
+const ActionButtons = ({ action, onAction, onAddToCart, onOpenCart, onNewChat }) => {
   const [inputValue, setInputValue] = useState('');
 
   const renderAction = () => {
@@ -118,26 +121,38 @@ const ActionButtons = ({ action, onAction }) => {
           <div className="cart-action">
             <button
               className="add-to-cart-button"
-              onClick={() => window.open(`https://www.partselect.com/${action.partNumber}.htm`, '_blank')}
+              onClick={() => onAddToCart(action.partNumber)}
             >
               🛒 Add Part {action.partNumber} to Cart
             </button>
           </div>
         );
 
+      case 'cart':
+        return (
+          <div className="cart-action">
+            <button className="view-cart-button" onClick={onOpenCart}>
+              🛒 View Cart ({action.cart.itemCount} {action.cart.itemCount === 1 ? 'item' : 'items'})
+            </button>
+          </div>
+        );
+
       case 'installation_guide':
         return (
           <div className="installation-action">
             <div className="guide-info">
               <div className="guide-details">
-                <span className="guide-time">⏱ {action.estimatedTime}</span>
-                <span className="guide-difficulty">📊 {action.difficulty}</span>
+                {action.estimatedTime && (
+                  <span className="guide-time">⏱ {action.estimatedTime}</span>
+                )}
+                {action.difficulty && (
+                  <span className="guide-difficulty">📊 {action.difficulty}</span>
+                )}
+              </div>
+              <div className="tools-needed">
+                <strong>Tools needed:</strong>{' '}
+                {action.tools?.length > 0 ? action.tools.join(', ') : 'None'}
               </div>
-              {action.tools && (
-                <div className="tools-needed">
-                  <strong>Tools needed:</strong> {action.tools.join(', ')}
-                </div>
-              )}
             </div>
             <div className="guide-buttons">
               {action.videoUrl && (
@@ -160,6 +175,15 @@ const ActionButtons = ({ action, onAction }) => {
           </div>
         );
 
+      case 'troubleshooting_wizard':
+        return <TroubleshootingWizard action={action} onAnswer={onAction} />;
+
+      case 'order_status':
+        return <OrderStatusCard order={action} />;
+
+      case 'return_slip':
+        return <ReturnSlipCard rma={action} />;
+
       case 'product_cards':
         // Products are rendered separately in ChatWindow
         return null;
@@ -175,7 +199,7 @@ const ActionButtons = ({ action, onAction }) => {
                   className="completion-button"
                   onClick={() => {
                     if (suggestion === "End this chat" || suggestion === "Start new chat") {
-                      window.location.reload();
+                      onNewChat();
                     } else {
                       onAction(suggestion);
                     }
@@ -199,7 +223,7 @@ const ActionButtons = ({ action, onAction }) => {
                   onClick={() => {
                     if (button.action === 'new_chat') {
                       if (window.confirm('Start a new conversation? Current chat will be saved.')) {
-                        window.location.reload();
+                        onNewChat();
                       }
                     } else if (button.action === 'search_part') {
                       onAction('Help me find the right replacement part');
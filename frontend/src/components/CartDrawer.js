@@ -0,0 +1,130 @@
+import React, { useEffect, useState } from 'react';
+import './CartDrawer.css';
+import { updateCartItem, removeFromCart } from '../api/api';
+
+const money = (amount) => `$${Number(amount || 0).toFixed(2)}`;
+
+/**
+ * Slide-in cart. The cart itself is owned by App; quantity changes and
+ * removals go to the API and report the updated cart via onCartChange.
+ */
+const CartDrawer = ({ open, cart, onClose, onCartChange }) => {
+  const [busyPart, setBusyPart] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!open) return;
+    const handleKey = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKey);
+    return () => window.removeEventListener('keydown', handleKey);
+  }, [open, onClose]);
+
+  const change = async (partNumber, request) => {
+    setBusyPart(partNumber);
+    setError(null);
+    try {
+      onCartChange(await request());
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusyPart(null);
+    }
+  };
+
+  const setQuantity = (item, quantity) =>
+    change(item.partNumber, () => updateCartItem(item.partNumber, quantity));
+  const remove = (item) =>
+    change(item.partNumber, () => removeFromCart(item.partNumber));
+
+  const items = cart?.items || [];
+  const threshold = cart?.freeShippingThreshold || 0;
+  const progress = threshold > 0 ? Math.min(100, (cart.subtotal / threshold) * 100) : 100;
+
+  return (
+    <>
+      <div className={`cart-overlay ${open ? 'open' : ''}`} onClick={onClose} />
+      <aside className={`cart-drawer ${open ? 'open' : ''}`} aria-hidden={!open} aria-label="Shopping cart">
+        <div className="cart-header">
+          <h2>🛒 Your Cart{cart?.itemCount > 0 && ` (${cart.itemCount})`}</h2>
+          <button className="cart-close" onClick={onClose} aria-label="Close cart">×</button>
+        </div>
+
+        {items.length === 0 ? (
+          <div className="cart-empty">
+            Your cart is empty. Ask me to find a part, then say "add that to my cart".
+          </div>
+        ) : (
+          <>
+            <div className="cart-shipping">
+              {cart.freeShippingRemaining > 0
+                ? <>Add <strong>{money(cart.freeShippingRemaining)}</strong> more for free standard shipping</>
+                : <>🎉 Your order ships free!</>}
+              <div className="cart-shipping-bar">
+                <div className="cart-shipping-progress" style={{ width: `${progress}%` }} />
+              </div>
+            </div>
+
+            <ul className="cart-items">
+              {items.map((item) => (
+                <li key={item.partNumber} className="cart-item">
+                  <img
+                    src={item.imageUrl || '/placeholder-part.png'}
+                    alt={item.name}
+                    className="cart-item-image"
+                    onError={(e) => {
+                      e.target.src = '/placeholder-part.png';
+                    }}
+                  />
+                  <div className="cart-item-info">
+                    <a href={item.productUrl} target="_blank" rel="noreferrer" className="cart-item-name">
+                      {item.name}
+                    </a>
+                    <div className="cart-item-part">Part #{item.partNumber}</div>
+                    {!item.inStock && <div className="cart-item-stock">Out of stock</div>}
+                    <div className="cart-item-controls">
+                      <button
+                        onClick={() => setQuantity(item, item.quantity - 1)}
+                        disabled={busyPart === item.partNumber}
+                        aria-label={`One fewer ${item.name}`}
+                      >
+                        −
+                      </button>
+                      <span className="cart-item-quantity">{item.quantity}</span>
+                      <button
+                        onClick={() => setQuantity(item, item.quantity + 1)}
+                        disabled={busyPart === item.partNumber}
+                        aria-label={`One more ${item.name}`}
+                      >
+                        +
+                      </button>
+                      <button
+                        className="cart-item-remove"
+                        onClick={() => remove(item)}
+                        disabled={busyPart === item.partNumber}
+                      >
+                        Remove
+                      </button>
+                    </div>
+                  </div>
+                  <div className="cart-item-total">{money(item.lineTotal)}</div>
+                </li>
+              ))}
+            </ul>
+
+            {error && <div className="cart-error">{error}</div>}
+
+            <div className="cart-summary">
+              <div><span>Subtotal</span><span>{money(cart.subtotal)}</span></div>
+              <div><span>Shipping</span><span>{cart.shipping > 0 ? money(cart.shipping) : 'Free'}</span></div>
+              <div className="cart-total"><span>Total</span><span>{money(cart.total)}</span></div>
+            </div>
+          </>
+        )}
+      </aside>
+    </>
+  );
+};
+
+export default CartDrawer;
@@ -1,14 +1,23 @@
-import React, { useState, useEffect, useRef } from "react";
+import React, { useState, useEffect, useRef, useCallback } from "react";
 import "./ChatWindow.css";
-import { getAIMessage } from "../api/api";
+import { getAIMessage, addToCart, getConversationMessages } from "../api/api";
 import { marked } from "marked";
 import ProductCard from "./ProductCard";
 import ActionButtons from "./ActionButtons";
 
-function ChatWindow() {
-  const defaultMessage = [{
-    role: "assistant",
-    content: `
+// Shown under the typing indicator once the stream reports the intent
+const INTENT_STATUS = {
+  product_search: "Searching for parts...",
+  compatibility_check: "Checking compatibility...",
+  troubleshooting: "Diagnosing the problem...",
+  installation_help: "Finding installation steps...",
+  order_support: "Looking into your order...",
+  cart: "Updating your cart...",
+};
+
+const defaultMessage = [{
+  role: "assistant",
+  content: `
       👋 Hi! I'm your PartSelect assistant. I can help you with:
 
       • Finding refrigerator and dishwasher parts  
@@ -19,21 +28,39 @@ function ChatWindow() {
 
       What can I help you with today?
       `,
-    suggestions: [
-      "Find parts for my model",
-      "My ice maker isn't working",
-      "Check part compatibility",
-      "Track my order"
-    ]
-  }];
+  suggestions: [
+    "Find parts for my model",
+    "My ice maker isn't working",
+    "Check part compatibility",
+    "Track my order"
+  ]
+}];
+
+// Shown when the server replaced the chat on screen with a new conversation,
+// keyed by previous_conversation.reason
+const SESSION_ENDED = {
+  idle: "⏱️ **Previous session ended** due to inactivity, so this is a fresh conversation.",
+  max_duration: "⏱️ **Previous session reached its time limit**, so this is a fresh conversation.",
+};
+const SESSION_ENDED_DEFAULT = "⏱️ **Previous session ended**, so this is a fresh conversation.";
 
+// conversationId is the chat to show (null for a new one) and
+// onConversationChange(id) reports the conversation the server put the chat
+// in; onNewChat ends the chat for a fresh one; onCartChange(cart) reports a
+// changed cart; onOpenCart opens the cart drawer
+function ChatWindow({ conversationId, onConversationChange, onNewChat, onCartChange, onOpenCart }) {
   const [messages, setMessages] = useState(defaultMessage);
   const [input, setInput] = useState("");
   const [loading, setLoading] = useState(false);
-  const [sessionId] = useState(() => `session-${Date.now()}`);
+  // When the server will end the conversation (conversation_expires_at)
+  const [expiresAt, setExpiresAt] = useState(null);
 
   const messagesEndRef = useRef(null);
   const inputRef = useRef(null);
+  // Conversation whose messages are on screen
+  const shownConversation = useRef(null);
+  // The chat on screen came from the history, so the next message reopens it
+  const reopening = useRef(false);
 
   const scrollToBottom = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: "smooth" });
@@ -43,79 +70,143 @@ function ChatWindow() {
     scrollToBottom();
   }, [messages]);
 
-  // Auto-end chat after 5 minutes of inactivity (frontend timer)
+  // Show the chat App asks for: one reopened from the history sidebar or
+  // saved before a reload, re-rendering each reply's products and actions
+  useEffect(() => {
+    if (conversationId === shownConversation.current) return;
+
+    if (!conversationId) {
+      shownConversation.current = null;
+      setMessages(defaultMessage);
+      return;
+    }
+
+    let cancelled = false;
+    setLoading(true);
+    getConversationMessages(conversationId)
+      .then(({ messages: saved }) => {
+        if (cancelled) return;
+        shownConversation.current = conversationId;
+        reopening.current = true;
+        setExpiresAt(null);
+        setMessages([
+          ...defaultMessage,
+          ...saved.map(({ role, content, products, actions }) => ({ role, content, products, actions })),
+        ]);
+      })
+      .catch(() => {
+        // Gone, or not this user's: start a new chat instead
+        if (!cancelled) onConversationChange?.(null);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [conversationId, onConversationChange]);
+
+  // Back to the greeting; the next message starts a new conversation
+  const startOver = useCallback(() => {
+    shownConversation.current = null;
+    reopening.current = false;
+    setExpiresAt(null);
+    setMessages(defaultMessage);
+    onConversationChange?.(null);
+  }, [onConversationChange]);
+
+  // Tell the customer when the server's timeout ends the chat on screen
   useEffect(() => {
-    // skip timer if only greeting message
-    if (messages.length <= 1) return;
+    if (!expiresAt) return;
 
-    // start a 5-minute timer
     const timer = setTimeout(() => {
       setMessages(prev => [
         ...prev,
         { 
           role: "system", 
-          content: "⏱️ **Chat session ended** due to 5 minutes of inactivity.\n\nYour conversation has been saved. Feel free to start a new chat anytime!" 
+          content: "⏱️ **Chat session ended.**\n\nYour conversation has been saved in History. Feel free to start a new chat anytime!" 
         }
       ]);
 
       // Reset to greeting message after 3 seconds
-      setTimeout(() => {
-        setMessages(defaultMessage);
-      }, 3000);
-    }, 5 * 60 * 1000); // 5 minutes in ms
+      setTimeout(startOver, 3000);
+    }, Math.max(0, Date.parse(expiresAt) - Date.now()));
 
-    // cleanup timer when user sends or receives new messages
+    // A newer reply moves the expiry
     return () => clearTimeout(timer);
-  }, [messages]);
+  }, [expiresAt, startOver]);
 
 
-  const handleSend = async (messageText = input) => {
+  // wizard: structured answer from the troubleshooting wizard, sent with the text
+  const handleSend = async (messageText = input, wizard = null) => {
     const textToSend = messageText.trim();
     if (textToSend === "") return;
 
+    // Placeholder assistant message that fills in as the stream arrives
+    const streamId = `stream-${Date.now()}`;
+
     // Add user message immediately
-    const userMessage = { role: "user", content: textToSend };
+    const userMessage = { role: "user", content: textToSend, turnId: streamId };
     setMessages((prev) => [...prev, userMessage]);
     setInput("");
     setLoading(true);
 
-    try {
-      // Call backend API
-      const response = await getAIMessage(textToSend, sessionId);
-
-      // ✅ Check if backend ended the session due to inactivity
-      if (response?.content?.includes("Session ended") || 
-          response?.content?.includes("ended due to") ||
-          response?.content?.includes("inactivity")) {
-        
-        // Add system message explaining why session ended
-        setMessages((prev) => [
-          ...prev,
-          {
-            role: "system",
-            content: "⏱️ **Previous session ended** due to 5 minutes of inactivity.\n\nStarting a fresh conversation...",
-          },
-        ]);
+    const updateStreamingMessage = (update) => {
+      setMessages((prev) => {
+        const exists = prev.some((m) => m.streamId === streamId);
+        const base = exists
+          ? prev
+          : [...prev, { role: "assistant", streamId, streaming: true, content: "", products: [], actions: [] }];
+        return base.map((m) => (m.streamId === streamId ? { ...m, ...update(m) } : m));
+      });
+    };
+    const removeStreamingMessage = () => {
+      setMessages((prev) => prev.filter((m) => m.streamId !== streamId));
+    };
 
-        // Give user a moment to read, then show fresh greeting
-        setTimeout(() => {
-          setMessages(defaultMessage);
-        }, 2500);
-        return;
-      }
+    try {
+      // Call backend API, rendering each streamed event as it arrives
+      const response = await getAIMessage(textToSend, {
+        onIntent: (intent) => updateStreamingMessage(() => ({ metadata: intent })),
+        onProducts: (products) => updateStreamingMessage(() => ({ products })),
+        onToken: (text) => updateStreamingMessage((m) => ({ content: m.content + text })),
+        onActions: (actions) => updateStreamingMessage(() => ({ actions })),
+      }, wizard, { conversationId, reopen: reopening.current });
 
-      // ✅ Add assistant reply to chat
-      const assistantMessage = {
-        role: "assistant",
+      // ✅ Replace the streamed draft with the fully assembled reply
+      updateStreamingMessage(() => ({
+        streaming: false,
         content: response.content,
         products: response.products || [],
         actions: response.actions || [],
         metadata: response.metadata,
-      };
+      }));
 
-      setMessages((prev) => [...prev, assistantMessage]);
+      // The chat on screen had ended: keep only this turn, under a notice
+      const previous = response.previous_conversation;
+      if (previous && previous.id === shownConversation.current) {
+        setMessages((prev) => [
+          ...defaultMessage,
+          { role: "system", content: SESSION_ENDED[previous.reason] || SESSION_ENDED_DEFAULT },
+          ...prev.slice(prev.findIndex((m) => m.turnId === streamId)),
+        ]);
+      }
+
+      // The server started a new conversation for this message
+      if (response.conversation_id && response.conversation_id !== shownConversation.current) {
+        shownConversation.current = response.conversation_id;
+        onConversationChange?.(response.conversation_id);
+      }
+      reopening.current = false;
+      setExpiresAt(response.conversation_expires_at || null);
+
+      // The assistant changed the cart ("add that to my cart")
+      const cartAction = response.actions?.find((a) => a.type === "cart");
+      if (cartAction) onCartChange?.(cartAction.cart);
     } catch (error) {
       console.error("Error:", error);
+      removeStreamingMessage();
       setMessages((prev) => [
         ...prev,
         {
@@ -132,6 +223,22 @@ function ChatWindow() {
   };
 
 
+  // Add to Cart buttons on product cards and compatibility answers
+  const handleAddToCart = async (partNumber) => {
+    try {
+      onCartChange?.(await addToCart(partNumber));
+    } catch (error) {
+      setMessages((prev) => [
+        ...prev,
+        {
+          role: "assistant",
+          content: `Sorry, I couldn't add ${partNumber} to your cart: ${error.message}`,
+          error: true,
+        },
+      ]);
+    }
+  };
+
   const handleSuggestionClick = (suggestion) => {
     setInput(suggestion);
     handleSend(suggestion);
@@ -145,6 +252,11 @@ function ChatWindow() {
   };
 
   const renderMessage = (message, index) => {
+    // Streamed replies stay behind the typing indicator until text arrives
+    if (message.streaming && !message.content && !message.products?.length) {
+      return null;
+    }
+
     // ✅ NEW: Handle system messages differently
     if (message.role === 'system') {
       return (
@@ -183,7 +295,7 @@ function ChatWindow() {
               <div className="products-label">Recommended Parts:</div>
               <div className="products-grid">
                 {message.products.slice(0, 3).map((product, idx) => (
-                  <ProductCard key={idx} product={product} />
+                  <ProductCard key={idx} product={product} onAddToCart={handleAddToCart} />
                 ))}
               </div>
             </div>
@@ -197,6 +309,9 @@ function ChatWindow() {
                   key={idx} 
                   action={action} 
                   onAction={handleSend}
+                  onAddToCart={handleAddToCart}
+                  onOpenCart={onOpenCart}
+                  onNewChat={onNewChat}
                 />
               ))}
             </div>
@@ -221,12 +336,14 @@ function ChatWindow() {
     );
   };
 
+  const streamingIntent = messages.find((m) => m.streaming)?.metadata?.intent;
+
   return (
     <div className="chat-container">
       <div className="messages-container">
         {messages.map((message, index) => renderMessage(message, index))}
         
-        {loading && (
+        {loading && !messages.some((m) => m.streaming && m.content) && (
           <div className="assistant-message-container">
             <div className="message assistant-message">
               <div className="typing-indicator">
@@ -234,6 +351,9 @@ function ChatWindow() {
                 <span></span>
                 <span></span>
               </div>
+              {streamingIntent && INTENT_STATUS[streamingIntent] && (
+                <div className="typing-status">{INTENT_STATUS[streamingIntent]}</div>
+              )}
             </div>
           </div>
         )}
@@ -0,0 +1,87 @@
+import React, { useEffect, useState } from 'react';
+import './HistorySidebar.css';
+import { getConversations } from '../api/api';
+
+const formatWhen = (iso) => {
+  if (!iso) return '';
+  const date = new Date(iso);
+  const sameDay = date.toDateString() === new Date().toDateString();
+  return sameDay
+    ? date.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })
+    : date.toLocaleDateString([], { month: 'short', day: 'numeric' });
+};
+
+/**
+ * Slide-in list of past chats. The list is fetched each time it opens;
+ * picking one reports its id via onSelect, and App hands it to ChatWindow.
+ */
+const HistorySidebar = ({ open, currentId, onSelect, onNewChat, onClose }) => {
+  const [conversations, setConversations] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!open) return;
+    let cancelled = false;
+
+    setLoading(true);
+    setError(null);
+    getConversations()
+      .then((list) => {
+        if (!cancelled) setConversations(list);
+      })
+      .catch(() => {
+        if (!cancelled) setError("Couldn't load your past chats.");
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    const handleKey = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKey);
+    return () => {
+      cancelled = true;
+      window.removeEventListener('keydown', handleKey);
+    };
+  }, [open, onClose]);
+
+  return (
+    <>
+      <div className={`history-overlay ${open ? 'open' : ''}`} onClick={onClose} />
+      <aside className={`history-sidebar ${open ? 'open' : ''}`} aria-hidden={!open} aria-label="Chat history">
+        <div className="history-header">
+          <h2>🕘 Your Chats</h2>
+          <button className="history-close" onClick={onClose} aria-label="Close chat history">×</button>
+        </div>
+
+        <button className="history-new" onClick={onNewChat}>+ New chat</button>
+
+        {loading && <div className="history-empty">Loading...</div>}
+        {error && <div className="history-error">{error}</div>}
+        {!loading && !error && conversations.length === 0 && (
+          <div className="history-empty">No past chats yet.</div>
+        )}
+
+        <ul className="history-list">
+          {conversations.map((conversation) => (
+            <li key={conversation.id}>
+              <button
+                className={`history-item ${conversation.id === currentId ? 'current' : ''}`}
+                onClick={() => onSelect(conversation.id)}
+              >
+                <span className="history-title">{conversation.title}</span>
+                <span className="history-meta">
+                  {formatWhen(conversation.lastActivityAt)} · {conversation.messageCount} messages
+                </span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      </aside>
+    </>
+  );
+};
+
+export default HistorySidebar;
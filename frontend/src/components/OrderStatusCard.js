@@ -0,0 +1,139 @@
+import React, { useState } from 'react';
+import './OrderStatusCard.css';
+
+const ORDER_STATUS_LABELS = {
+  processing: 'Processing',
+  shipped: 'Shipped',
+  partially_shipped: 'Partially shipped',
+  delivered: 'Delivered',
+  cancelled: 'Cancelled'
+};
+
+const SHIPMENT_STATUS_LABELS = {
+  label_created: 'Label created',
+  in_transit: 'In transit',
+  out_for_delivery: 'Out for delivery',
+  delivered: 'Delivered',
+  exception: 'Delivery exception'
+};
+
+// Date-only values (estimated delivery) are calendar dates, not instants
+const formatDate = (value, withTime = false) => {
+  if (!value) return '';
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(`${value}T12:00:00Z`) : new Date(value);
+  return date.toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    ...(withTime && { hour: 'numeric', minute: '2-digit' })
+  });
+};
+
+const formatPrice = (value) => `$${Number(value || 0).toFixed(2)}`;
+
+const Shipment = ({ shipment }) => {
+  const [showAll, setShowAll] = useState(false);
+
+  // Newest event first; older ones fold away
+  const events = [...(shipment.events || [])].reverse();
+  const visible = showAll ? events : events.slice(0, 1);
+
+  return (
+    <div className="order-shipment">
+      <div className="shipment-header">
+        <span className={`shipment-status ${shipment.status}`}>
+          {SHIPMENT_STATUS_LABELS[shipment.status] || shipment.status}
+        </span>
+        <span className="shipment-carrier">
+          {shipment.carrier}{' '}
+          {shipment.trackingUrl ? (
+            <a href={shipment.trackingUrl} target="_blank" rel="noopener noreferrer">
+              {shipment.trackingNumber}
+            </a>
+          ) : (
+            shipment.trackingNumber
+          )}
+        </span>
+      </div>
+
+      <div className="shipment-eta">
+        {shipment.deliveredAt
+          ? `Delivered ${formatDate(shipment.deliveredAt)}`
+          : shipment.estimatedDelivery && `Estimated delivery ${formatDate(shipment.estimatedDelivery)}`}
+      </div>
+
+      {visible.length > 0 && (
+        <ul className="shipment-events">
+          {visible.map((event, idx) => (
+            <li key={idx}>
+              <span className="event-time">{formatDate(event.at, true)}</span>
+              <span className="event-description">
+                {event.description}
+                {event.location && <span className="event-location"> · {event.location}</span>}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {events.length > 1 && (
+        <button className="shipment-toggle" onClick={() => setShowAll(!showAll)}>
+          {showAll ? 'Show latest update only' : `Show all ${events.length} updates`}
+        </button>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Renders an `order_status` action: order status, shipments with carrier
+ * tracking events, and the line items.
+ */
+const OrderStatusCard = ({ order }) => {
+  const unshipped = order.items.filter((item) => !item.trackingNumber);
+
+  return (
+    <div className="order-status-card">
+      <div className="order-header">
+        <div>
+          <div className="order-number">Order {order.orderNumber}</div>
+          <div className="order-placed">Placed {formatDate(order.placedAt)}</div>
+        </div>
+        <span className={`order-status ${order.status}`}>
+          {ORDER_STATUS_LABELS[order.status] || order.status}
+        </span>
+      </div>
+
+      {order.shipments.map((shipment) => (
+        <Shipment key={shipment.trackingNumber} shipment={shipment} />
+      ))}
+
+      {order.status !== 'cancelled' && unshipped.length > 0 && order.shipments.length > 0 && (
+        <div className="order-unshipped">
+          Not shipped yet: {unshipped.map((item) => item.name).join(', ')}
+        </div>
+      )}
+
+      <table className="order-items">
+        <tbody>
+          {order.items.map((item, idx) => (
+            <tr key={idx}>
+              <td className="item-name">
+                {item.name}
+                <div className="item-part-number">{item.partNumber}</div>
+              </td>
+              <td className="item-quantity">×{item.quantity}</td>
+              <td className="item-price">{formatPrice(item.unitPrice * item.quantity)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div className="order-total">
+        <span>Total</span>
+        <span>{formatPrice(order.total)}</span>
+      </div>
+    </div>
+  );
+};
+
+export default OrderStatusCard;
@@ -1,7 +1,7 @@
 import React from 'react';
 import './ProductCard.css';
 
-const ProductCard = ({ product }) => {
+const ProductCard = ({ product, onAddToCart }) => {
   const {
     partNumber,
     name,
@@ -15,7 +15,7 @@ const ProductCard = ({ product }) => {
   } = product;
 
   const handleAddToCart = () => {
-    window.open(product.productUrl, '_blank');
+    onAddToCart(partNumber);
   };
 
   const handleViewDetails = () => {
@@ -0,0 +1,42 @@
+import React from 'react';
+import './OrderStatusCard.css';
+import { getReturnSlipUrl } from '../api/api';
+
+/**
+ * Renders a `return_slip` action: the RMA number, returned part, refund and
+ * a link to the printable return slip.
+ */
+const ReturnSlipCard = ({ rma }) => (
+  <div className="order-status-card return-slip-card">
+    <div className="order-header">
+      <div>
+        <div className="order-number">Return {rma.rmaNumber}</div>
+        <div className="order-placed">Order {rma.orderNumber}</div>
+      </div>
+      <span className={`order-status return-${rma.status}`}>{rma.statusLabel}</span>
+    </div>
+
+    <table className="order-items">
+      <tbody>
+        <tr>
+          <td className="item-name">
+            {rma.name}
+            <div className="item-part-number">{rma.partNumber}</div>
+          </td>
+          <td className="item-price">${Number(rma.refundAmount || 0).toFixed(2)}</td>
+        </tr>
+      </tbody>
+    </table>
+
+    {rma.slipPath && (
+      <button
+        className="return-slip-button"
+        onClick={() => window.open(getReturnSlipUrl(rma.slipPath), '_blank')}
+      >
+        🖨 Print return slip
+      </button>
+    )}
+  </div>
+);
+
+export default ReturnSlipCard;
@@ -0,0 +1,184 @@
+import React, { useState } from 'react';
+import './TroubleshootingWizard.css';
+
+const STATUS_ICONS = { done: '✓', problem: '⚠', skip: '↷' };
+
+// LLM checklists sometimes number their own steps
+const stripStepNumber = (text) => text.replace(/^step\s*\d+\s*[:.)-]\s*/i, '');
+
+/**
+ * One check of an expert-reviewed decision tree. The answer goes back to the
+ * backend as { tree, node, outcome, status }; the step then collapses to a
+ * one-line summary.
+ */
+const TreeStep = ({ action, onAnswer }) => {
+  const [answer, setAnswer] = useState(null);
+  const [choosing, setChoosing] = useState(false);
+
+  const outcomes = action.outcomes || [];
+  const ok = outcomes.find((o) => o.type === 'ok');
+  const problems = outcomes.filter((o) => o.type !== 'ok');
+
+  const answerWith = (status, outcome = null) => {
+    const label = status === 'skip' ? 'Skipped this step' : outcome.label;
+    setAnswer({ status, label });
+    onAnswer(label, {
+      status,
+      tree: action.tree,
+      node: action.node,
+      ...(outcome && { outcome: outcome.key })
+    });
+  };
+
+  if (answer) {
+    return (
+      <div className="troubleshooting-wizard">
+        <div className={`wizard-step collapsed ${answer.status}`}>
+          <span className="wizard-status">{STATUS_ICONS[answer.status]}</span>
+          <span className="wizard-step-label">Step {action.step}</span>
+          <span className="wizard-answer">{answer.label}</span>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="troubleshooting-wizard">
+      <div className="wizard-step active">
+        <div className="wizard-step-label">Step {action.step}</div>
+        <div className="wizard-prompt">{action.prompt}</div>
+
+        {choosing ? (
+          <div className="wizard-choices">
+            <div className="wizard-hint">What did you find?</div>
+            {problems.map((o) => (
+              <button key={o.key} className="wizard-choice" onClick={() => answerWith('problem', o)}>
+                {o.label}
+              </button>
+            ))}
+            <button className="wizard-back" onClick={() => setChoosing(false)}>
+              Back
+            </button>
+          </div>
+        ) : (
+          <div className="wizard-controls">
+            {ok && (
+              <button className="wizard-button done" onClick={() => answerWith('done', ok)}>
+                ✓ Done: {ok.label}
+              </button>
+            )}
+            {problems.length > 0 && (
+              <button
+                className="wizard-button problem"
+                onClick={() => (problems.length === 1 ? answerWith('problem', problems[0]) : setChoosing(true))}
+              >
+                ⚠ Found a problem
+              </button>
+            )}
+            {ok && (
+              <button className="wizard-button skip" onClick={() => answerWith('skip')}>
+                Skip
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * A free-form checklist (no decision tree covers the symptom). Steps are
+ * worked through here; the backend hears about it once a step turns up a
+ * problem or every step is done.
+ */
+const Checklist = ({ steps, onAnswer }) => {
+  const [results, setResults] = useState([]);
+  const [expanded, setExpanded] = useState(null);
+
+  const current = results.length;
+  const finished = results.includes('problem') || current >= steps.length;
+
+  const record = (status) => {
+    const next = [...results, status];
+    setResults(next);
+    setExpanded(null);
+
+    if (status === 'problem') {
+      onAnswer(`Found a problem: ${stripStepNumber(steps[current])}`, {
+        checklist: true,
+        status: 'problem',
+        step: current + 1
+      });
+    } else if (next.length === steps.length) {
+      onAnswer("I've done all the checks and didn't find a problem", {
+        checklist: true,
+        status: 'done'
+      });
+    }
+  };
+
+  return (
+    <div className="troubleshooting-wizard">
+      {steps.map((step, idx) => {
+        const result = results[idx];
+        const text = stripStepNumber(step);
+
+        if (result) {
+          const open = expanded === idx;
+          return (
+            <button
+              key={idx}
+              className={`wizard-step collapsed ${result}`}
+              onClick={() => setExpanded(open ? null : idx)}
+            >
+              <span className="wizard-status">{STATUS_ICONS[result]}</span>
+              <span className="wizard-step-label">Step {idx + 1}</span>
+              <span className={open ? 'wizard-answer' : 'wizard-answer truncated'}>{text}</span>
+            </button>
+          );
+        }
+
+        if (idx === current && !finished) {
+          return (
+            <div key={idx} className="wizard-step active">
+              <div className="wizard-step-label">Step {idx + 1} of {steps.length}</div>
+              <div className="wizard-prompt">{text}</div>
+              <div className="wizard-controls">
+                <button className="wizard-button done" onClick={() => record('done')}>
+                  ✓ Done
+                </button>
+                <button className="wizard-button problem" onClick={() => record('problem')}>
+                  ⚠ Found a problem
+                </button>
+                <button className="wizard-button skip" onClick={() => record('skip')}>
+                  Skip
+                </button>
+              </div>
+            </div>
+          );
+        }
+
+        return (
+          <div key={idx} className="wizard-step pending">
+            <span className="wizard-step-label">Step {idx + 1}</span>
+            <span className="wizard-answer truncated">{text}</span>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+/**
+ * Renders a `troubleshooting_wizard` action. onAnswer(text, wizard) sends the
+ * display text plus the structured answer to the assistant.
+ */
+const TroubleshootingWizard = ({ action, onAnswer }) => {
+  if (action.steps) {
+    return action.steps.length > 0 ? <Checklist steps={action.steps} onAnswer={onAnswer} /> : null;
+  }
+  return <TreeStep action={action} onAnswer={onAnswer} />;
+};
+
+export default TroubleshootingWizard;